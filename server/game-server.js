@@ -0,0 +1,996 @@
+/**
+ * Servidor de referência para o modo multiplayer do Starstrike: Operação Zero
+ * Implementa o mesmo protocolo WebSocket usado pelo NetworkManager do cliente
+ */
+import { WebSocketServer, WebSocket } from 'ws';
+import { randomUUID } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { NETWORK, PLAYER, WEAPON, WEAPONS, ITEM } from '../src/config.js';
+import { SceneManager } from '../src/scene-manager.js';
+import { createMovementState, stepMovement } from '../src/player-movement.js';
+
+// Intervalo entre pings enviados pelo servidor (ms)
+const PING_INTERVAL = 5000;
+
+// Tempo sem resposta a um ping antes de derrubar o cliente (ms)
+const PONG_TIMEOUT = 15000;
+
+// Frequência da simulação de projéteis (ticks por segundo)
+const TICK_RATE = 30;
+
+// Ponto onde os jogadores entram e voltam depois de eliminados (altura dos olhos)
+const SPAWN_POSITION = { x: PLAYER.SPAWN_POSITION.x, y: PLAYER.HEIGHT, z: PLAYER.SPAWN_POSITION.z };
+
+// Fase cujas estruturas completam o mapa (a mesma carregada pelo cliente no multiplayer)
+const MAP_LEVEL = new URL('../assets/levels/level1.json', import.meta.url);
+
+export class GameServer {
+    /**
+     * Cria o servidor de jogo
+     * @param {Object} options - Opções do servidor
+     * @param {number} options.port - Porta de escuta (padrão 8080)
+     * @param {boolean} options.verbose - Exibe logs de cada evento
+     */
+    constructor(options = {}) {
+        this.port = options.port ?? 8080;
+        this.verbose = options.verbose ?? true;
+
+        // Estado autoritativo
+        this.players = new Map();      // id -> estado do jogador
+        this.projectiles = new Map();  // id -> estado do projétil
+        this.nextProjectileId = 0;
+        this.respawnTimers = new Set();
+
+        // Itens fixos do mapa que mudam o que o servidor valida (tiro rápido), com o horário em que
+        // cada um volta a estar disponível depois de coletado (ms)
+        this.pickups = ITEM.PLACEMENTS
+            .filter(placement => placement.type === 'rapid_fire')
+            .map(placement => ({ ...placement, availableAt: 0 }));
+
+        // Geometria do mapa, montada pelo mesmo SceneManager do cliente: paredes, obstáculos,
+        // containers e estruturas da fase bloqueiam os tiros e o movimento
+        this.map = new SceneManager(null);
+        this.map.buildLevelStructures(JSON.parse(readFileSync(MAP_LEVEL, 'utf8')).structures);
+        this.collisionWorld = this.map.collisionWorld;
+
+        // Recursos de rede
+        this.wss = null;
+        this.tickTimer = null;
+        this.pingTimer = null;
+        this.lastTickTime = 0;
+        this.broadcastAccumulator = 0;
+    }
+
+    /**
+     * Inicia o servidor WebSocket e os laços de simulação
+     * @returns {Promise<void>} - Resolve quando o servidor estiver escutando
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.wss = new WebSocketServer({ port: this.port });
+
+            this.wss.once('listening', () => {
+                // Porta real (útil quando a porta 0 é solicitada)
+                this.port = this.wss.address().port;
+                this.log(`Servidor escutando em ws://localhost:${this.port}`);
+
+                this.lastTickTime = Date.now();
+                this.tickTimer = setInterval(() => this.tick(), 1000 / TICK_RATE);
+                this.pingTimer = setInterval(() => this.pingClients(), PING_INTERVAL);
+
+                // Erros depois de iniciar só são registrados: não derrubam o processo
+                this.wss.off('error', reject);
+                this.wss.on('error', (error) => this.log(`Erro no servidor: ${error.message}`));
+                resolve();
+            });
+
+            this.wss.once('error', reject);
+            this.wss.on('connection', (socket, request) => this.handleConnection(socket, request));
+        });
+    }
+
+    /**
+     * Encerra o servidor e desconecta todos os clientes
+     * @returns {Promise<void>}
+     */
+    stop() {
+        clearInterval(this.tickTimer);
+        clearInterval(this.pingTimer);
+        this.tickTimer = null;
+        this.pingTimer = null;
+
+        this.respawnTimers.forEach(timer => clearTimeout(timer));
+        this.respawnTimers.clear();
+
+        return new Promise((resolve) => {
+            if (!this.wss) {
+                resolve();
+                return;
+            }
+
+            this.players.forEach(player => player.socket.terminate());
+            this.players.clear();
+            this.projectiles.clear();
+
+            this.wss.close(() => resolve());
+            this.wss = null;
+        });
+    }
+
+    /**
+     * Registra um novo cliente conectado
+     * @param {WebSocket} socket - Socket do cliente
+     * @param {http.IncomingMessage} request - Requisição HTTP de upgrade
+     */
+    handleConnection(socket, request) {
+        if (this.players.size >= NETWORK.MAX_PLAYERS) {
+            this.log(`Conexão recusada: limite de ${NETWORK.MAX_PLAYERS} jogadores atingido`);
+            this.sendTo(socket, 'error', { message: 'Servidor cheio' });
+            socket.close(1013, 'server_full');
+            return;
+        }
+
+        // O token vem na query string (?token=...) e é apenas registrado
+        const url = new URL(request?.url || '/', 'ws://localhost');
+        const now = Date.now();
+
+        const player = {
+            id: randomUUID(),
+            name: null,
+            token: url.searchParams.get('token'),
+            socket,
+            ...createMovementState(SPAWN_POSITION), // Posição, pulo e agachamento (stepMovement)
+            velocity: { x: 0, y: 0, z: 0 },
+            rotation: { x: 0, y: 0, z: 0 },
+            health: PLAYER.HEALTH,
+            weapons: createWeaponStates(), // Carregador, próximo tiro e fim da recarga de cada arma
+            rapidFireEndTime: 0,        // Fim do tiro rápido coletado (ms)
+            history: [],                // Posições recentes { time, position } para a compensação de atraso
+            lastSequence: -1,           // Último input aplicado, confirmado ao cliente no snapshot
+            lastInputTime: now,
+            inputTime: 0,               // Segundos de input que o cliente ainda pode enviar
+            lastPongTime: now,
+            latency: 0,
+            messageWindowStart: now,
+            messageCount: 0
+        };
+
+        this.players.set(player.id, player);
+        this.recordPosition(player, now);
+        this.log(`Jogador conectado: ${player.id} (${this.players.size}/${NETWORK.MAX_PLAYERS})`);
+
+        socket.on('message', (raw) => this.handleMessage(player, raw));
+        socket.on('close', () => this.removePlayer(player.id));
+        socket.on('error', (error) => this.log(`Erro no socket de ${player.id}: ${error.message}`));
+
+        this.sendTo(socket, 'connected', { playerId: player.id });
+    }
+
+    /**
+     * Processa uma mensagem recebida de um cliente
+     * @param {Object} player - Estado do jogador remetente
+     * @param {Buffer|string} raw - Conteúdo bruto da mensagem
+     */
+    handleMessage(player, raw) {
+        if (!this.checkRateLimit(player)) return;
+
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (e) {
+            this.sendTo(player.socket, 'error', { message: 'Mensagem inválida' });
+            return;
+        }
+
+        // JSON válido que não é um objeto (null, números, listas) também é recusado
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            this.sendTo(player.socket, 'error', { message: 'Mensagem inválida' });
+            return;
+        }
+
+        const data = message.data && typeof message.data === 'object' ? message.data : {};
+
+        switch (message.type) {
+            case 'auth':
+                this.handleAuth(player, data);
+                break;
+
+            case 'input':
+                this.handleInput(player, data);
+                break;
+
+            case 'action':
+                if (data.action === 'shoot') {
+                    this.handleShoot(player, data);
+                } else if (data.action === 'reload') {
+                    this.handleReload(player, data);
+                } else if (data.action === 'pickup') {
+                    this.handlePickup(player, data);
+                }
+                break;
+
+            case 'ping':
+                // Ping do cliente: devolve o timestamp original para medir latência
+                this.sendTo(player.socket, 'pong', { timestamp: data.timestamp });
+                break;
+
+            case 'pong':
+                // Resposta a um ping do servidor
+                player.lastPongTime = Date.now();
+                if (typeof data.timestamp === 'number') {
+                    player.latency = player.lastPongTime - data.timestamp;
+                }
+                break;
+
+            case 'getPlayers':
+                this.sendTo(player.socket, 'playersList', { players: this.getPlayersList() });
+                break;
+
+            case 'disconnect':
+                this.log(`Jogador ${player.id} solicitou desconexão (${data.reason || 'sem motivo'})`);
+                player.socket.close(1000, 'client_disconnect');
+                break;
+
+            default:
+                this.sendTo(player.socket, 'error', { message: `Tipo de mensagem desconhecido: ${message.type}` });
+        }
+    }
+
+    /**
+     * Aplica o limite de mensagens por segundo definido em NETWORK.RATE_LIMIT
+     * @param {Object} player - Estado do jogador
+     * @returns {boolean} - true se a mensagem pode ser processada
+     */
+    checkRateLimit(player) {
+        const now = Date.now();
+
+        if (now - player.messageWindowStart >= 1000) {
+            player.messageWindowStart = now;
+            player.messageCount = 0;
+        }
+
+        player.messageCount++;
+
+        // Inputs (10/s), pings e tiros dividem a mesma cota; o dobro do limite é tolerado
+        // antes de derrubar o cliente para absorver rajadas curtas
+        if (player.messageCount > NETWORK.RATE_LIMIT * 2) {
+            this.log(`Jogador ${player.id} excedeu o limite de mensagens e será desconectado`);
+            this.sendTo(player.socket, 'error', { message: 'Limite de mensagens excedido' });
+            player.socket.close(1008, 'rate_limit');
+            return false;
+        }
+
+        return player.messageCount <= NETWORK.RATE_LIMIT;
+    }
+
+    /**
+     * Registra o nome do jogador e anuncia a entrada para os demais
+     * @param {Object} player - Estado do jogador
+     * @param {Object} data - Dados de autenticação {playerId, playerName}
+     */
+    handleAuth(player, data) {
+        const firstAuth = player.name === null;
+        const name = typeof data.playerName === 'string' ? data.playerName.trim().slice(0, 24) : '';
+        player.name = name || `Jogador ${player.id.slice(0, 4)}`;
+
+        if (firstAuth) {
+            this.broadcast('playerJoined', { playerId: player.id, playerName: player.name }, player.id);
+        }
+    }
+
+    /**
+     * Aplica um lote de inputs de movimento enviado pelo cliente
+     * O cliente já se moveu com cada input (predição); o servidor refaz o movimento a partir
+     * das teclas e devolve no snapshot a sequência do último input aplicado
+     * @param {Object} player - Estado do jogador
+     * @param {Object} data - Lote {inputs: [{sequence, dt, move, sprint, crouch, jump, rotation}]}
+     */
+    handleInput(player, data) {
+        if (!Array.isArray(data.inputs)) return;
+
+        // O tempo de jogo enviado não pode passar do tempo real: impede acelerar o relógio
+        const now = Date.now();
+        player.inputTime = Math.min(
+            player.inputTime + (now - player.lastInputTime) / 1000,
+            NETWORK.PREDICTION.INPUT_TIME_BUFFER
+        );
+        player.lastInputTime = now;
+
+        // Jogadores eliminados ficam parados até voltarem
+        if (player.health <= 0) return;
+
+        for (const input of data.inputs.slice(0, NETWORK.PREDICTION.MAX_BATCH)) {
+            // Descarta inputs antigos, duplicados ou malformados
+            if (!isInput(input) || input.sequence <= player.lastSequence) continue;
+
+            // Sem tempo disponível: o restante do lote é descartado
+            if (input.dt > player.inputTime + 0.001) break;
+            player.inputTime -= input.dt;
+
+            this.applyInput(player, input);
+            player.lastSequence = input.sequence;
+        }
+
+        this.recordPosition(player, now);
+    }
+
+    /**
+     * Move o jogador por um input com o mesmo código do cliente (stepMovement): teclas, pulo,
+     * gravidade e as colisões com o mapa são refeitos aqui, sem confiar na posição do cliente
+     * @param {Object} player - Estado do jogador
+     * @param {Object} input - Input validado por isInput
+     */
+    applyInput(player, input) {
+        const start = { ...player.position };
+        stepMovement(player, input, this.collisionWorld);
+
+        player.velocity = {
+            x: (player.position.x - start.x) / input.dt,
+            y: (player.position.y - start.y) / input.dt,
+            z: (player.position.z - start.z) / input.dt
+        };
+        player.rotation = { x: input.rotation.x, y: input.rotation.y, z: 0 };
+    }
+
+    /**
+     * Guarda a posição atual no histórico do jogador e descarta o que passou de LAG_COMPENSATION.HISTORY
+     * @param {Object} player - Estado do jogador
+     * @param {number} now - Instante atual (ms)
+     */
+    recordPosition(player, now) {
+        player.history.push({ time: now, position: { ...player.position } });
+
+        while (player.history.length > 1 && player.history[0].time < now - NETWORK.LAG_COMPENSATION.HISTORY) {
+            player.history.shift();
+        }
+    }
+
+    /**
+     * Posição de um jogador em um instante passado, interpolada entre as posições do histórico
+     * @param {Object} player - Estado do jogador
+     * @param {number} time - Instante (ms)
+     * @returns {Object} - Posição {x, y, z}
+     */
+    getPositionAt(player, time) {
+        const history = player.history;
+
+        if (history.length === 0 || time >= history[history.length - 1].time) {
+            return player.position;
+        }
+        if (time <= history[0].time) {
+            return history[0].position;
+        }
+
+        let index = history.length - 1;
+        while (history[index - 1].time > time) {
+            index--;
+        }
+
+        const before = history[index - 1];
+        const after = history[index];
+        const t = (time - before.time) / Math.max(1, after.time - before.time);
+
+        return {
+            x: before.position.x + (after.position.x - before.position.x) * t,
+            y: before.position.y + (after.position.y - before.position.y) * t,
+            z: before.position.z + (after.position.z - before.position.z) * t
+        };
+    }
+
+    /**
+     * Quanto voltar no tempo para ver os alvos como o atirador os via: a latência informada
+     * pelo cliente (ou a medida pelo servidor) mais o atraso de interpolação dos jogadores remotos
+     * @param {Object} player - Estado do atirador
+     * @param {number} latency - Latência informada pelo cliente (ms)
+     * @returns {number} - Recuo em ms (no máximo LAG_COMPENSATION.MAX_REWIND)
+     */
+    getRewindTime(player, latency) {
+        const measured = Number.isFinite(latency) ? latency : player.latency;
+        return clamp(measured + NETWORK.INTERPOLATION.DELAY, 0, NETWORK.LAG_COMPENSATION.MAX_REWIND);
+    }
+
+    /**
+     * Valida um disparo do cliente e o resolve: tiros instantâneos acertam na hora, contra as
+     * posições que o atirador via (compensação de atraso); foguetes viram projéteis do servidor
+     * Tiros antes do intervalo da arma (FIRE_RATE, menor com o tiro rápido), durante a recarga
+     * ou com o carregador vazio são descartados e o atirador recebe shotRejected para devolver
+     * a munição gasta
+     * @param {Object} player - Estado do jogador que atirou
+     * @param {Object} data - Dados do tiro {weapon, position, directions, latency}
+     */
+    handleShoot(player, data) {
+        const key = String(data.weapon || '').toUpperCase();
+        const weapon = WEAPONS[key];
+        if (!weapon || player.health <= 0 || !isVector(data.position)) return;
+
+        // A origem tem que estar junto do atirador
+        if (distance(data.position, player.position) > NETWORK.LAG_COMPENSATION.SHOT_TOLERANCE) {
+            this.rejectShot(player, data.weapon, 'origem longe da posição no servidor');
+            return;
+        }
+
+        const now = Date.now();
+        const state = player.weapons[key];
+        const tolerance = NETWORK.LAG_COMPENSATION.TIMING_TOLERANCE;
+
+        if (now < state.reloadEndTime - tolerance || state.ammo <= 0) {
+            this.rejectShot(player, data.weapon, `${weapon.NAME} recarregando ou sem munição`);
+            return;
+        }
+        if (now < state.nextShotTime - tolerance) {
+            this.rejectShot(player, data.weapon, `antes do intervalo da ${weapon.NAME}`);
+            return;
+        }
+
+        // O próximo intervalo conta do horário previsto do tiro: mensagens que chegam juntas
+        // não acumulam atraso, mas a cadência média nunca passa da permitida
+        const fireRate = now < player.rapidFireEndTime ?
+            weapon.FIRE_RATE / ITEM.RAPID_FIRE.FIRE_RATE_MULTIPLIER :
+            weapon.FIRE_RATE;
+        state.nextShotTime = Math.max(state.nextShotTime, now - tolerance) + fireRate * 1000;
+        state.ammo--;
+
+        // Um disparo tem no máximo um raio por chumbo da arma
+        const directions = (Array.isArray(data.directions) ? data.directions : [data.direction])
+            .filter(isVector)
+            .map(normalize)
+            .filter(direction => direction !== null)
+            .slice(0, weapon.PELLETS);
+
+        if (weapon.PROJECTILE === 'hitscan') {
+            const time = Date.now() - this.getRewindTime(player, data.latency);
+            directions.forEach(direction => this.resolveHitscan(player, weapon, data.position, direction, time));
+            return;
+        }
+
+        directions.forEach(direction => {
+            const id = `${player.id}-${this.nextProjectileId++}`;
+            this.projectiles.set(id, {
+                id,
+                ownerId: player.id,
+                weapon,
+                position: { ...data.position },
+                origin: { ...data.position },
+                direction
+            });
+        });
+    }
+
+    /**
+     * Descarta um tiro e avisa o atirador, que devolve a munição gasta pelo cliente
+     * @param {Object} player - Estado do jogador que atirou
+     * @param {string} weapon - Id da arma do tiro
+     * @param {string} reason - Motivo (log e mensagem)
+     */
+    rejectShot(player, weapon, reason) {
+        this.log(`Tiro de ${player.id} descartado: ${reason}`);
+        this.sendTo(player.socket, 'shotRejected', { weapon, reason });
+    }
+
+    /**
+     * Registra a coleta de um item que muda a validação dos tiros (tiro rápido)
+     * Só vale junto a um local fixo do item que esteja disponível no servidor; caso contrário o
+     * cliente recebe pickupRejected e desfaz o efeito. Os demais itens ficam com o cliente.
+     * @param {Object} player - Estado do jogador
+     * @param {Object} data - Dados da coleta {type}
+     */
+    handlePickup(player, data) {
+        if (data.type !== 'rapid_fire' || player.health <= 0) return;
+
+        const now = Date.now();
+        const reach = ITEM.PICKUP_RADIUS + NETWORK.LAG_COMPENSATION.SHOT_TOLERANCE;
+        const pickup = this.pickups.find(candidate =>
+            candidate.availableAt <= now &&
+            Math.hypot(candidate.position.x - player.position.x, candidate.position.z - player.position.z) <= reach
+        );
+
+        if (!pickup) {
+            this.log(`Coleta de ${player.id} recusada: nenhum ${data.type} disponível por perto`);
+            this.sendTo(player.socket, 'pickupRejected', { item: data.type });
+            return;
+        }
+
+        pickup.availableAt = now + ITEM.RAPID_FIRE.RESPAWN_TIME * 1000;
+        player.rapidFireEndTime = now + ITEM.RAPID_FIRE.DURATION * 1000;
+    }
+
+    /**
+     * Começa a recarga de uma arma: o carregador volta cheio e a arma não atira por RELOAD_TIME
+     * A reserva de munição fica com o cliente (os itens coletados não passam pelo servidor)
+     * @param {Object} player - Estado do jogador
+     * @param {Object} data - Dados da recarga {weapon}
+     */
+    handleReload(player, data) {
+        const key = String(data.weapon || '').toUpperCase();
+        const weapon = WEAPONS[key];
+        if (!weapon || player.health <= 0) return;
+
+        const now = Date.now();
+        const state = player.weapons[key];
+        if (now < state.reloadEndTime || state.ammo >= weapon.MAGAZINE_SIZE) return;
+
+        state.ammo = weapon.MAGAZINE_SIZE;
+        state.reloadEndTime = now + weapon.RELOAD_TIME * 1000;
+    }
+
+    /**
+     * Resolve um tiro instantâneo contra o jogador mais próximo no caminho do raio
+     * O dano cai com a distância como no cliente (WEAPON.MIN_FALLOFF) e dobra na cabeça
+     * @param {Object} shooter - Estado do atirador
+     * @param {Object} weapon - Configuração da arma (WEAPONS)
+     * @param {Object} origin - Origem do raio
+     * @param {Object} direction - Direção normalizada
+     * @param {number} time - Instante em que os alvos são avaliados (ms)
+     */
+    resolveHitscan(shooter, weapon, origin, direction, time) {
+        // O raio para no chão ou no primeiro obstáculo do mapa
+        let maxDistance = this.collisionWorld.raycast(origin, direction, weapon.RANGE);
+        if (direction.y < 0) {
+            maxDistance = Math.min(maxDistance, -origin.y / direction.y);
+        }
+
+        const hit = this.raycastPlayers(origin, direction, maxDistance, shooter.id, time);
+        if (!hit) return;
+
+        const falloffRange = Math.max(1e-6, weapon.RANGE - weapon.FALLOFF_START);
+        const falloffProgress = clamp((hit.distance - weapon.FALLOFF_START) / falloffRange, 0, 1);
+        const falloff = 1 - (1 - WEAPON.MIN_FALLOFF) * falloffProgress;
+
+        this.applyDamage(hit.player, shooter, weapon.DAMAGE * falloff * WEAPON.HIT_ZONES[hit.zone.toUpperCase()], hit.zone);
+    }
+
+    /**
+     * Encontra o primeiro jogador vivo atravessado por um raio
+     * @param {Object} origin - Origem do raio
+     * @param {Object} direction - Direção normalizada
+     * @param {number} maxDistance - Alcance do raio
+     * @param {string} ignoreId - Jogador ignorado (o atirador)
+     * @param {number} time - Instante das posições usadas (ms); Date.now() usa as posições atuais
+     * @returns {Object|null} - { player, zone, distance } ou null
+     */
+    raycastPlayers(origin, direction, maxDistance, ignoreId, time = Date.now()) {
+        let closest = null;
+
+        this.players.forEach((target, id) => {
+            if (id === ignoreId || target.name === null || target.health <= 0) return;
+
+            const eyes = this.getPositionAt(target, time);
+            const top = eyes.y + NETWORK.HITBOX.TOP;
+            const distance = intersectCylinder(origin, direction, eyes, NETWORK.HITBOX.RADIUS, eyes.y - PLAYER.HEIGHT, top);
+
+            if (distance === null || distance > maxDistance || (closest && distance >= closest.distance)) return;
+
+            const hitY = origin.y + direction.y * distance;
+            const zone = hitY >= top - NETWORK.HITBOX.HEAD ? 'head' : 'body';
+            closest = { player: target, zone, distance };
+        });
+
+        return closest;
+    }
+
+    /**
+     * Aplica dano confirmado a um jogador e avisa todos; um jogador eliminado volta depois de RESPAWN_TIME
+     * @param {Object} target - Jogador atingido
+     * @param {Object} attacker - Jogador que causou o dano
+     * @param {number} amount - Dano
+     * @param {string} zone - Zona atingida ('head', 'body' ou 'splash')
+     */
+    applyDamage(target, attacker, amount, zone) {
+        if (target.health <= 0 || amount <= 0) return;
+
+        target.health = Math.max(0, target.health - amount);
+
+        this.broadcast('playerDamaged', {
+            playerId: target.id,
+            attackerId: attacker.id,
+            amount,
+            health: target.health,
+            zone
+        });
+
+        if (target.health > 0) return;
+
+        this.log(`${attacker.name} eliminou ${target.name}`);
+        this.broadcast('playerKilled', {
+            playerId: target.id,
+            playerName: target.name,
+            killerId: attacker.id,
+            killerName: attacker.name
+        });
+
+        const timer = setTimeout(() => {
+            this.respawnTimers.delete(timer);
+            this.respawnPlayer(target);
+        }, NETWORK.RESPAWN_TIME);
+        this.respawnTimers.add(timer);
+    }
+
+    /**
+     * Traz de volta um jogador eliminado, com a vida cheia, no ponto inicial, e avisa todos
+     * @param {Object} player - Estado do jogador
+     */
+    respawnPlayer(player) {
+        if (this.players.get(player.id) !== player) return;
+
+        const now = Date.now();
+        player.health = PLAYER.HEALTH;
+        player.weapons = createWeaponStates();
+        player.rapidFireEndTime = 0;
+        Object.assign(player, createMovementState(SPAWN_POSITION));
+        player.velocity = { x: 0, y: 0, z: 0 };
+        player.lastInputTime = now;
+        player.inputTime = 0;
+
+        // A posição antiga não vale mais para a compensação de atraso
+        player.history = [];
+        this.recordPosition(player, now);
+
+        this.broadcast('playerRespawned', {
+            playerId: player.id,
+            position: { ...player.position },
+            health: player.health
+        });
+    }
+
+    /**
+     * Avança a simulação e envia snapshots na taxa NETWORK.UPDATE_RATE
+     */
+    tick() {
+        const now = Date.now();
+        const deltaTime = Math.min((now - this.lastTickTime) / 1000, 0.1);
+        this.lastTickTime = now;
+
+        this.updateProjectiles(deltaTime);
+
+        this.broadcastAccumulator += deltaTime;
+        if (this.broadcastAccumulator >= 1 / NETWORK.UPDATE_RATE) {
+            this.broadcastAccumulator = 0;
+            this.broadcastSnapshot();
+        }
+    }
+
+    /**
+     * Move os projéteis e remove os que ultrapassaram o alcance
+     * @param {number} deltaTime - Tempo desde o último tick em segundos
+     */
+    updateProjectiles(deltaTime) {
+        this.projectiles.forEach((projectile, id) => {
+            // Mesma velocidade usada pelos projéteis da arma no cliente
+            const speed = projectile.weapon.BULLET_SPEED || WEAPON.BULLET_SPEED * 2;
+            const step = speed * deltaTime;
+
+            // Obstáculo do mapa no caminho do passo: o foguete explode nele
+            const owner = this.players.get(projectile.ownerId);
+            const wallDistance = this.collisionWorld.raycast(projectile.position, projectile.direction, step);
+
+            // Acerto direto em um jogador antes do obstáculo (posições atuais: o projétil existe no servidor)
+            const hit = this.raycastPlayers(projectile.position, projectile.direction, wallDistance, projectile.ownerId);
+            if (hit && owner) {
+                projectile.position.x += projectile.direction.x * hit.distance;
+                projectile.position.y += projectile.direction.y * hit.distance;
+                projectile.position.z += projectile.direction.z * hit.distance;
+
+                this.applyDamage(hit.player, owner, projectile.weapon.DAMAGE, hit.zone);
+                this.explode(projectile, owner, hit.player);
+                this.projectiles.delete(id);
+                return;
+            }
+
+            projectile.position.x += projectile.direction.x * wallDistance;
+            projectile.position.y += projectile.direction.y * wallDistance;
+            projectile.position.z += projectile.direction.z * wallDistance;
+
+            if (wallDistance < step) {
+                if (owner) {
+                    this.explode(projectile, owner, null);
+                }
+                this.projectiles.delete(id);
+                return;
+            }
+
+            const dx = projectile.position.x - projectile.origin.x;
+            const dy = projectile.position.y - projectile.origin.y;
+            const dz = projectile.position.z - projectile.origin.z;
+
+            if (projectile.position.y < 0 && owner) {
+                // Foguetes explodem no chão
+                projectile.position.y = 0;
+                this.explode(projectile, owner, null);
+                this.projectiles.delete(id);
+            } else if (Math.sqrt(dx * dx + dy * dy + dz * dz) > WEAPON.RANGE || projectile.position.y < 0) {
+                this.projectiles.delete(id);
+            }
+        });
+    }
+
+    /**
+     * Dano de área de um projétil com SPLASH_RADIUS: cai do SPLASH_DAMAGE no centro até 0 na borda
+     * @param {Object} projectile - Projétil que explodiu
+     * @param {Object} owner - Jogador que atirou (não é atingido pela própria explosão)
+     * @param {Object|null} directHit - Jogador que já recebeu o acerto direto
+     */
+    explode(projectile, owner, directHit) {
+        const radius = projectile.weapon.SPLASH_RADIUS;
+        if (!radius) return;
+
+        this.players.forEach((target, id) => {
+            if (target === directHit || id === owner.id || target.name === null) return;
+
+            const distanceToCenter = distance(projectile.position, target.position);
+            if (distanceToCenter > radius) return;
+
+            this.applyDamage(target, owner, Math.round(projectile.weapon.SPLASH_DAMAGE * (1 - distanceToCenter / radius)), 'splash');
+        });
+    }
+
+    /**
+     * Monta o snapshot do estado atual no formato esperado por NetworkManager.processServerUpdate
+     * @returns {Object} - Snapshot {timestamp, players, projectiles}
+     */
+    createSnapshot() {
+        const players = {};
+
+        this.players.forEach((player, id) => {
+            // Jogadores que ainda não se autenticaram não aparecem para os outros
+            if (player.name === null) return;
+
+            players[id] = {
+                name: player.name,
+                position: player.position,
+                rotation: player.rotation,
+                velocity: player.velocity,
+                health: player.health,
+                sequence: player.lastSequence,
+                // Pulo e agachamento no último input, para o cliente refazer os seguintes
+                movement: {
+                    verticalVelocity: player.verticalVelocity,
+                    isGrounded: player.isGrounded,
+                    isCrouching: player.isCrouching,
+                    currentHeight: player.currentHeight
+                }
+            };
+        });
+
+        const projectiles = [];
+        this.projectiles.forEach(projectile => {
+            projectiles.push({
+                id: projectile.id,
+                ownerId: projectile.ownerId,
+                position: projectile.position,
+                direction: projectile.direction
+            });
+        });
+
+        return { timestamp: Date.now(), players, projectiles };
+    }
+
+    /**
+     * Envia o snapshot atual para todos os clientes
+     */
+    broadcastSnapshot() {
+        if (this.players.size === 0) return;
+        this.broadcast('update', this.createSnapshot());
+    }
+
+    /**
+     * Envia pings aos clientes e derruba os que pararam de responder
+     */
+    pingClients() {
+        const now = Date.now();
+
+        this.players.forEach(player => {
+            if (now - player.lastPongTime > PONG_TIMEOUT) {
+                this.log(`Jogador ${player.id} não respondeu aos pings e será desconectado`);
+                player.socket.terminate();
+                this.removePlayer(player.id);
+                return;
+            }
+
+            this.sendTo(player.socket, 'ping', { timestamp: now });
+        });
+    }
+
+    /**
+     * Remove um jogador e avisa os demais
+     * @param {string} id - ID do jogador
+     */
+    removePlayer(id) {
+        const player = this.players.get(id);
+        if (!player) return;
+
+        this.players.delete(id);
+
+        // Projéteis de um jogador que saiu não continuam na partida
+        this.projectiles.forEach((projectile, projectileId) => {
+            if (projectile.ownerId === id) {
+                this.projectiles.delete(projectileId);
+            }
+        });
+
+        this.log(`Jogador desconectado: ${id} (${this.players.size}/${NETWORK.MAX_PLAYERS})`);
+
+        if (player.name !== null) {
+            this.broadcast('playerLeft', { playerId: id });
+        }
+    }
+
+    /**
+     * Retorna a lista pública de jogadores autenticados
+     * @returns {Array} - Lista de jogadores [{id, name, position, rotation, health, latency}]
+     */
+    getPlayersList() {
+        const list = [];
+
+        this.players.forEach((player, id) => {
+            if (player.name === null) return;
+
+            list.push({
+                id,
+                name: player.name,
+                position: player.position,
+                rotation: player.rotation,
+                health: player.health,
+                latency: player.latency
+            });
+        });
+
+        return list;
+    }
+
+    /**
+     * Envia uma mensagem para um socket
+     * Mensagens do servidor são planas: {type, ...payload}
+     * @param {WebSocket} socket - Socket de destino
+     * @param {string} type - Tipo da mensagem
+     * @param {Object} payload - Campos adicionais da mensagem
+     */
+    sendTo(socket, type, payload = {}) {
+        if (socket.readyState !== WebSocket.OPEN) return;
+        socket.send(JSON.stringify({ type, ...payload }));
+    }
+
+    /**
+     * Envia uma mensagem para todos os jogadores conectados
+     * @param {string} type - Tipo da mensagem
+     * @param {Object} payload - Campos adicionais da mensagem
+     * @param {string} excludeId - ID de um jogador que não deve receber a mensagem
+     */
+    broadcast(type, payload = {}, excludeId = null) {
+        const message = JSON.stringify({ type, ...payload });
+
+        this.players.forEach((player, id) => {
+            if (id === excludeId || player.socket.readyState !== WebSocket.OPEN) return;
+            player.socket.send(message);
+        });
+    }
+
+    /**
+     * Escreve uma mensagem de log quando o modo verboso está ativo
+     * @param {string} message - Mensagem
+     */
+    log(message) {
+        if (this.verbose) {
+            console.log(`[GameServer] ${message}`);
+        }
+    }
+}
+
+/**
+ * Verifica se um objeto tem componentes x, y e z numéricos
+ * @param {Object} value - Valor a verificar
+ * @returns {boolean}
+ */
+function isVector(value) {
+    return !!value &&
+        Number.isFinite(value.x) &&
+        Number.isFinite(value.y) &&
+        Number.isFinite(value.z);
+}
+
+/**
+ * Verifica o formato de um input de movimento do cliente
+ * @param {Object} input - Input {sequence, dt, move, sprint, crouch, jump, rotation}
+ * @returns {boolean}
+ */
+function isInput(input) {
+    return !!input &&
+        Number.isInteger(input.sequence) &&
+        Number.isFinite(input.dt) &&
+        input.dt > 0 &&
+        input.dt <= NETWORK.PREDICTION.MAX_INPUT_DT &&
+        !!input.move &&
+        Number.isFinite(input.move.x) &&
+        Number.isFinite(input.move.z) &&
+        !!input.rotation &&
+        Number.isFinite(input.rotation.x) &&
+        Number.isFinite(input.rotation.y);
+}
+
+/**
+ * Estado inicial das armas de um jogador no servidor
+ * @returns {Object} - Chave de WEAPONS -> { ammo, nextShotTime, reloadEndTime } (horários em ms)
+ */
+function createWeaponStates() {
+    const states = {};
+    Object.entries(WEAPONS).forEach(([key, weapon]) => {
+        states[key] = { ammo: weapon.MAGAZINE_SIZE, nextShotTime: 0, reloadEndTime: 0 };
+    });
+    return states;
+}
+
+/**
+ * Distância entre dois pontos
+ * @param {Object} a - Ponto {x, y, z}
+ * @param {Object} b - Ponto {x, y, z}
+ * @returns {number}
+ */
+function distance(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+/**
+ * Normaliza um vetor
+ * @param {Object} vector - Vetor {x, y, z}
+ * @returns {Object|null} - Vetor de comprimento 1 ou null se o vetor for nulo
+ */
+function normalize(vector) {
+    const length = Math.sqrt(vector.x ** 2 + vector.y ** 2 + vector.z ** 2);
+    if (length === 0) return null;
+    return { x: vector.x / length, y: vector.y / length, z: vector.z / length };
+}
+
+/**
+ * Distância ao longo de um raio até entrar em um cilindro vertical
+ * @param {Object} origin - Origem do raio
+ * @param {Object} direction - Direção normalizada
+ * @param {Object} center - Ponto do eixo do cilindro (só x e z são usados)
+ * @param {number} radius - Raio do cilindro
+ * @param {number} bottom - Altura da base
+ * @param {number} top - Altura do topo
+ * @returns {number|null} - Distância (0 se a origem está dentro) ou null se o raio não o atravessa
+ */
+function intersectCylinder(origin, direction, center, radius, bottom, top) {
+    let near = 0;
+    let far = Infinity;
+
+    // Lateral: círculo no plano XZ
+    const ox = origin.x - center.x;
+    const oz = origin.z - center.z;
+    const a = direction.x ** 2 + direction.z ** 2;
+    const c = ox ** 2 + oz ** 2 - radius ** 2;
+
+    if (a < 1e-9) {
+        if (c > 0) return null;
+    } else {
+        const b = ox * direction.x + oz * direction.z;
+        const discriminant = b * b - a * c;
+        if (discriminant < 0) return null;
+
+        const root = Math.sqrt(discriminant);
+        near = Math.max(near, (-b - root) / a);
+        far = Math.min(far, (-b + root) / a);
+    }
+
+    // Faixa de altura
+    if (Math.abs(direction.y) < 1e-9) {
+        if (origin.y < bottom || origin.y > top) return null;
+    } else {
+        const t1 = (bottom - origin.y) / direction.y;
+        const t2 = (top - origin.y) / direction.y;
+        near = Math.max(near, Math.min(t1, t2));
+        far = Math.min(far, Math.max(t1, t2));
+    }
+
+    return near <= far ? near : null;
+}
+
+/**
+ * Limita um valor a um intervalo
+ * @param {number} value - Valor
+ * @param {number} min - Mínimo
+ * @param {number} max - Máximo
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,22 @@
+/**
+ * Ponto de entrada do servidor multiplayer
+ * Uso: npm run server (porta configurável pela variável de ambiente PORT)
+ * O mapa é montado pelo SceneManager do jogo, que importa o Three.js da CDN: o script do npm
+ * carrega o hook server/register.js, que resolve essa URL para o pacote "three" (dependência
+ * de produção)
+ */
+import { GameServer } from './game-server.js';
+
+const port = Number(process.env.PORT) || 8080;
+const server = new GameServer({ port });
+
+server.start().catch((error) => {
+    console.error('Falha ao iniciar o servidor:', error);
+    process.exit(1);
+});
+
+// Encerra de forma limpa com Ctrl+C
+process.on('SIGINT', () => {
+    console.log('Encerrando servidor...');
+    server.stop().then(() => process.exit(0));
+});
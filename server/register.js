@@ -0,0 +1,6 @@
+/**
+ * Registra o three-loader.js (use com node --import ./server/register.js)
+ */
+import { register } from 'node:module';
+
+register('./three-loader.js', import.meta.url);
@@ -0,0 +1,14 @@
+/**
+ * Hook de carregamento de módulos do Node para rodar o jogo fora do navegador
+ * Os módulos importam o Three.js da CDN (como o navegador faz); no Node essa URL
+ * é resolvida para o pacote "three" instalado em node_modules, na mesma versão
+ */
+const THREE_CDN = 'https://cdn.jsdelivr.net/npm/three@';
+
+export function resolve(specifier, context, nextResolve) {
+    if (specifier.startsWith(THREE_CDN)) {
+        return nextResolve('three', context);
+    }
+
+    return nextResolve(specifier, context);
+}
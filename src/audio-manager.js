@@ -4,6 +4,7 @@
  */
 import { Howl, Howler } from 'https://cdn.jsdelivr.net/npm/howler@2.2.3/+esm';
 import { AUDIO } from './config.js';
+import { GAME_EVENTS } from './event-bus.js';
 
 export class AudioManager {
     constructor() {
@@ -15,6 +16,14 @@ export class AudioManager {
             // Sons do jogo
             this.sounds = {};
             
+            // Volume de cada efeito relativo a AUDIO.SFX_VOLUME
+            this.soundVolumes = {
+                shoot: 0.8,     // Volume um pouco reduzido
+                empty: 0.3,
+                explosion: 1,
+                reload: 1
+            };
+            
             // Controle de desempenho de áudio
             this.soundCooldowns = {}; // Controla a taxa de reprodução para cada tipo de som
             this.activeSoundCount = 0; // Monitora o número de sons ativos
@@ -40,6 +49,31 @@ export class AudioManager {
         }
     }
     
+    /**
+     * Assina os eventos da partida que têm som
+     * @param {EventBus} events - Barramento da partida
+     */
+    setEventBus(events) {
+        events.on(GAME_EVENTS.WEAPON_FIRED, () => this.play('shoot'));
+        events.on(GAME_EVENTS.WEAPON_EMPTY, () => this.play('empty'));
+        events.on(GAME_EVENTS.RELOAD_STARTED, () => this.play('reload'));
+        events.on(GAME_EVENTS.WEAPON_SWITCHED, () => this.play('reload', 0.4, 1.8));
+        events.on(GAME_EVENTS.PICKUP_COLLECTED, () => this.play('reload', 0.5, 1.5));
+        events.on(GAME_EVENTS.EXPLOSION, () => this.play('explosion', 0.8));
+        events.on(GAME_EVENTS.BOSS_PHASE_CHANGED, ({ phase }) => this.playBossPhaseCue(phase));
+        
+        // Ainda não há um som de dano próprio: explosão para dano pesado, tiro abafado para o leve
+        events.on(GAME_EVENTS.PLAYER_DAMAGED, ({ amount }) => {
+            if (amount <= 0) return;
+            
+            if (amount > 20) {
+                this.play('explosion', 0.8);
+            } else {
+                this.play('shoot', 0.3);
+            }
+        });
+    }
+    
     /**
      * Carrega todos os sons e músicas do jogo
      */
@@ -58,14 +92,14 @@ export class AudioManager {
                 shoot: new Howl({
                     src: ['./assets/sounds/shoot.wav'],
                     ...commonOptions,
-                    volume: AUDIO.SFX_VOLUME * 0.8 // Volume um pouco reduzido
+                    volume: AUDIO.SFX_VOLUME * this.soundVolumes.shoot
                 }),
                 
                 // Som de arma vazia
                 empty: new Howl({
                     src: ['./assets/sounds/empty.wav'],
                     ...commonOptions,
-                    volume: AUDIO.SFX_VOLUME * 0.3
+                    volume: AUDIO.SFX_VOLUME * this.soundVolumes.empty
                 }),
                 
                 // Som de explosão
@@ -117,7 +151,7 @@ export class AudioManager {
     /**
      * Reproduz um som com limitação de frequência e quantidade
      * @param {string} soundId - Identificador do som
-     * @param {number} volume - Volume opcional (0-1)
+     * @param {number} volume - Volume opcional (0-1), relativo ao volume de efeitos
      * @param {number} rate - Taxa de reprodução
      * @returns {number|null} - ID da reprodução ou null se não foi possível reproduzir
      */
@@ -150,10 +184,9 @@ export class AudioManager {
         // Incrementa contador de sons ativos
         this.activeSoundCount++;
         
-        // Configura opções
-        if (volume !== undefined) {
-            this.sounds[soundId].volume(volume);
-        }
+        // Configura opções (o volume de efeitos das configurações vale para todos os sons)
+        const relativeVolume = volume !== undefined ? volume : (this.soundVolumes[soundId] ?? 1);
+        this.sounds[soundId].volume(relativeVolume * AUDIO.SFX_VOLUME);
         
         if (rate !== undefined) {
             this.sounds[soundId].rate(rate);
@@ -358,6 +391,39 @@ export class AudioManager {
         }, 1000);
     }
     
+    /**
+     * Toca a vinheta de troca de fase do chefe, sintetizada no contexto do Howler
+     * (três notas ascendentes, mais graves e longas a cada fase), no volume da música
+     * @param {number} phase - Número da fase que começou (1 = primeira)
+     */
+    playBossPhaseCue(phase) {
+        const ctx = Howler.ctx;
+        if (!ctx || !Howler.masterGain) return;
+
+        const start = ctx.currentTime + 0.05;
+        const baseFrequency = 220 / phase;
+        const noteLength = 0.25 + 0.05 * phase;
+
+        [1, 1.19, 1.5].forEach((ratio, i) => {
+            const oscillator = ctx.createOscillator();
+            const gain = ctx.createGain();
+            const noteStart = start + i * noteLength * 0.8;
+
+            oscillator.type = 'sawtooth';
+            oscillator.frequency.setValueAtTime(baseFrequency * ratio, noteStart);
+
+            // Ataque rápido e decaimento até o fim da nota
+            gain.gain.setValueAtTime(0.0001, noteStart);
+            gain.gain.exponentialRampToValueAtTime(Math.max(0.0001, AUDIO.MUSIC_VOLUME * 0.4), noteStart + 0.02);
+            gain.gain.exponentialRampToValueAtTime(0.0001, noteStart + noteLength);
+
+            oscillator.connect(gain);
+            gain.connect(Howler.masterGain);
+            oscillator.start(noteStart);
+            oscillator.stop(noteStart + noteLength);
+        });
+    }
+
     /**
      * Configura o volume global da música
      * @param {number} volume - Novo volume (0-1)
@@ -0,0 +1,451 @@
+/**
+ * Chefe da missão final (comandante inimigo)
+ * Luta em fases definidas pela vida restante: cada fase acelera os ataques e libera novos
+ * (rajadas em leque, investidas e reforços). Pontos fracos brilhantes recebem dano extra
+ */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.157.0/build/three.module.js';
+import { BOSS } from './config.js';
+import { Enemy } from './enemy.js';
+import { GAME_EVENTS } from './event-bus.js';
+
+export class Boss extends Enemy {
+    /**
+     * @param {THREE.Vector3} position - Posição inicial do chefe
+     * @param {Random} random - Gerador da simulação (ver Enemy)
+     */
+    constructor(position, random) {
+        super(position, 'boss', random);
+
+        this.health = BOSS.HEALTH;
+        this.maxHealth = BOSS.HEALTH;
+        this.damage = BOSS.DAMAGE;
+        this.baseSpeed = BOSS.SPEED;
+        this.speed = BOSS.SPEED;
+        this.detectionRange = BOSS.DETECTION_RADIUS;
+        this.attackRange = BOSS.ATTACK_RANGE;
+        this.viewAngle = THREE.MathUtils.degToRad(BOSS.VIEW_ANGLE);
+        this.maxActiveBullets = BOSS.MAX_BULLETS;
+
+        // Os ataques seguem o intervalo de cada fase; a dificuldade o escala por este fator
+        this.attackIntervalMultiplier = 1;
+
+        // Fase atual (índice em BOSS.PHASES) e tempo restante da transição (invulnerável)
+        this.phaseIndex = 0;
+        this.transitionTimer = 0;
+
+        // Ataque em andamento ({ type, ... }) e o último escolhido, para variar
+        this.currentAttack = null;
+        this.lastAttackType = null;
+
+        // Reforços chamados e quem os cria (definido pelo EnemyManager)
+        this.minions = [];
+        this.summonCount = 0;
+        this.enemyManager = null;
+    }
+
+    /**
+     * Cria o corpo do chefe com os pontos fracos: dois exaustores nas costas, sempre expostos,
+     * e um núcleo na frente que só abre durante as investidas
+     * @returns {THREE.Mesh}
+     */
+    createMesh() {
+        const mesh = super.createMesh();
+
+        const geometry = new THREE.SphereGeometry(0.3, 12, 8);
+        const weakPoints = [
+            { offset: [-0.6, 0.4, -1.3], color: 0xffaa00, alwaysExposed: true },
+            { offset: [0.6, 0.4, -1.3], color: 0xffaa00, alwaysExposed: true },
+            { offset: [0, 0.3, 1.3], color: 0x00ffff, alwaysExposed: false }
+        ];
+
+        this.weakPoints = weakPoints.map(({ offset, color, alwaysExposed }) => {
+            const pointMesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color }));
+            pointMesh.position.set(...offset);
+            pointMesh.visible = alwaysExposed;
+            mesh.add(pointMesh);
+
+            return { mesh: pointMesh, alwaysExposed };
+        });
+
+        return mesh;
+    }
+
+    /**
+     * Define o gerenciador usado para chamar reforços
+     * @param {EnemyManager} enemyManager - Gerenciador de inimigos
+     */
+    setEnemyManager(enemyManager) {
+        this.enemyManager = enemyManager;
+    }
+
+    /**
+     * Aplica a dificuldade e guarda o fator do intervalo entre ataques das fases
+     * @param {Object} factors - Fatores de SettingsManager.getDifficulty()
+     */
+    applyDifficulty(factors) {
+        super.applyDifficulty(factors);
+        this.attackIntervalMultiplier = factors.attackCooldown;
+    }
+
+    /**
+     * Fase atual
+     * @returns {Object} - Entrada de BOSS.PHASES
+     */
+    get phase() {
+        return BOSS.PHASES[this.phaseIndex];
+    }
+
+    /**
+     * Resumo para a barra de vida do HUD
+     * @returns {Object} - { name, health (0-1), phase, phaseCount, invulnerable }
+     */
+    getStatus() {
+        return {
+            name: 'COMANDANTE',
+            health: Math.max(0, this.health / this.maxHealth),
+            phase: this.phaseIndex + 1,
+            phaseCount: BOSS.PHASES.length,
+            invulnerable: this.transitionTimer > 0
+        };
+    }
+
+    /**
+     * Atualiza o chefe; durante a troca de fase ele fica parado encarando o jogador
+     * @param {number} deltaTime - Tempo desde o último frame
+     * @param {Object} player - Referência ao jogador
+     */
+    update(deltaTime, player) {
+        // Pontos fracos atingidos voltam ao tamanho normal
+        this.weakPoints.forEach(({ mesh }) => {
+            if (mesh.scale.x > 1) {
+                mesh.scale.setScalar(Math.max(1, mesh.scale.x - deltaTime * 3));
+            }
+        });
+
+        if (this.transitionTimer > 0 && this.state !== 'dead') {
+            this.transitionTimer -= deltaTime;
+            this.faceTowards(player.position);
+
+            // Pulsa enquanto está invulnerável
+            this.mesh.scale.setScalar(this.transitionTimer > 0 ? 1 + 0.08 * Math.sin(this.transitionTimer * 20) : 1);
+
+            this.updateBullets(deltaTime);
+            return;
+        }
+
+        super.update(deltaTime, player);
+    }
+
+    /**
+     * Estado de ataque: termina o ataque em andamento ou escolhe o próximo da fase
+     * @param {number} deltaTime - Tempo desde o último frame
+     * @param {Object} player - Referência ao jogador
+     */
+    updateAttackingState(deltaTime, player) {
+        if (this.currentAttack) {
+            this.updateCurrentAttack(deltaTime, player);
+            return;
+        }
+
+        const distance = this.position.distanceTo(player.position);
+        if (distance > this.attackRange * 1.2 || !this.canSeePlayer) {
+            this.state = 'chasing';
+            return;
+        }
+
+        this.faceTowards(player.position);
+
+        if (this.attackTimer <= 0) {
+            this.startAttack(this.chooseAttack(player), player);
+            this.attackTimer = this.phase.ATTACK_INTERVAL * this.attackIntervalMultiplier;
+        }
+    }
+
+    /**
+     * Sorteia um ataque da fase entre os possíveis agora, evitando repetir o anterior
+     * @param {Object} player - Referência ao jogador
+     * @returns {string} - 'barrage', 'charge' ou 'summon'
+     */
+    chooseAttack(player) {
+        const available = this.phase.ATTACKS.filter(type => {
+            if (type === 'charge') {
+                return this.position.distanceTo(player.position) >= BOSS.CHARGE.MIN_DISTANCE &&
+                    (!this.navigationGrid || this.navigationGrid.hasLineOfSight(this.position, player.position));
+            }
+            if (type === 'summon') {
+                return !!this.enemyManager && this.getAliveMinions().length < BOSS.SUMMON.MAX_MINIONS;
+            }
+            return true;
+        });
+
+        const fresh = available.filter(type => type !== this.lastAttackType);
+        const options = fresh.length > 0 ? fresh : available;
+
+        return this.random.pick(options);
+    }
+
+    /**
+     * Começa um ataque
+     * @param {string} type - Ataque escolhido
+     * @param {Object} player - Referência ao jogador
+     */
+    startAttack(type, player) {
+        this.lastAttackType = type;
+
+        switch (type) {
+            case 'barrage':
+                this.currentAttack = { type, volleys: this.phase.VOLLEYS, timer: 0 };
+                break;
+
+            case 'charge':
+                this.currentAttack = { type, stage: 'windup', timer: BOSS.CHARGE.WINDUP, direction: new THREE.Vector3(), hasHit: false };
+                this.setCoreExposed(true);
+                break;
+
+            case 'summon':
+                this.summonMinions(player);
+                break;
+        }
+    }
+
+    /**
+     * Avança o ataque em andamento
+     * @param {number} deltaTime - Tempo desde o último frame
+     * @param {Object} player - Referência ao jogador
+     */
+    updateCurrentAttack(deltaTime, player) {
+        const attack = this.currentAttack;
+        attack.timer -= deltaTime;
+
+        if (attack.type === 'barrage') {
+            this.faceTowards(player.position);
+
+            if (attack.timer <= 0) {
+                this.fireBarrage(player.position);
+                attack.volleys--;
+                attack.timer = BOSS.BARRAGE.VOLLEY_INTERVAL;
+
+                if (attack.volleys <= 0) {
+                    this.currentAttack = null;
+                }
+            }
+            return;
+        }
+
+        // Investida: prepara, avança em linha reta e se recupera (com o núcleo exposto)
+        switch (attack.stage) {
+            case 'windup':
+                this.faceTowards(player.position);
+
+                if (attack.timer <= 0) {
+                    attack.direction.subVectors(player.position, this.position).setY(0).normalize();
+                    attack.stage = 'dash';
+                    attack.timer = BOSS.CHARGE.MAX_DURATION;
+                }
+                break;
+
+            case 'dash': {
+                const next = this.position.clone().addScaledVector(attack.direction, BOSS.CHARGE.SPEED * deltaTime);
+                const isBlocked = this.navigationGrid && !this.navigationGrid.isWalkable(next);
+
+                if (!isBlocked) {
+                    this.position.copy(next);
+                }
+
+                const dx = player.position.x - this.position.x;
+                const dz = player.position.z - this.position.z;
+                if (!attack.hasHit && Math.sqrt(dx * dx + dz * dz) < BOSS.CHARGE.HIT_RADIUS) {
+                    attack.hasHit = true;
+                    player.takeDamage(this.damage * BOSS.CHARGE.DAMAGE_MULTIPLIER);
+
+                    if (player.showDamageEffect) {
+                        player.showDamageEffect();
+                    }
+                }
+
+                if (isBlocked || attack.hasHit || attack.timer <= 0) {
+                    attack.stage = 'recover';
+                    attack.timer = BOSS.CHARGE.RECOVERY;
+                    this.path = [];
+                }
+                break;
+            }
+
+            case 'recover':
+                if (attack.timer <= 0) {
+                    this.setCoreExposed(false);
+                    this.currentAttack = null;
+                }
+                break;
+        }
+    }
+
+    /**
+     * Dispara um leque de projéteis centrado no alvo
+     * @param {THREE.Vector3} target - Posição mirada
+     */
+    fireBarrage(target) {
+        const count = BOSS.BARRAGE.PROJECTILES;
+        const spread = THREE.MathUtils.degToRad(BOSS.BARRAGE.SPREAD);
+        const projectile = {
+            accuracy: 0.02,
+            maxBullets: this.maxActiveBullets,
+            damageMultiplier: BOSS.BARRAGE.DAMAGE_MULTIPLIER
+        };
+
+        const toTarget = new THREE.Vector3().subVectors(target, this.position);
+        const up = new THREE.Vector3(0, 1, 0);
+
+        for (let i = 0; i < count; i++) {
+            const angle = count > 1 ? -spread / 2 + spread * i / (count - 1) : 0;
+            const aim = toTarget.clone().applyAxisAngle(up, angle).add(this.position);
+            this.fireProjectile(aim, projectile);
+        }
+
+        this.flashAttack();
+    }
+
+    /**
+     * Chama reforços ao redor do chefe, alternando os tipos de BOSS.SUMMON.TYPES
+     * @param {Object} player - Referência ao jogador
+     */
+    summonMinions(player) {
+        const count = Math.min(BOSS.SUMMON.COUNT, BOSS.SUMMON.MAX_MINIONS - this.getAliveMinions().length);
+        const types = BOSS.SUMMON.TYPES;
+
+        for (let i = 0; i < count; i++) {
+            const angle = this.random.range(0, Math.PI * 2);
+            const position = new THREE.Vector3(
+                this.position.x + Math.cos(angle) * BOSS.SUMMON.RADIUS,
+                0,
+                this.position.z + Math.sin(angle) * BOSS.SUMMON.RADIUS
+            );
+
+            if (this.navigationGrid && !this.navigationGrid.isWalkable(position)) continue;
+
+            const minion = this.enemyManager.spawnEnemy(types[this.summonCount % types.length], position);
+            if (!minion) break;
+
+            // Reforços já chegam sabendo onde o jogador está
+            this.summonCount++;
+            minion.lastKnownPosition.copy(player.position);
+            minion.state = 'chasing';
+            this.minions.push(minion);
+        }
+
+        console.log(`Chefe chamou reforços (${this.getAliveMinions().length} ativos)`);
+    }
+
+    /**
+     * Reforços chamados que ainda estão vivos
+     * @returns {Enemy[]}
+     */
+    getAliveMinions() {
+        this.minions = this.minions.filter(minion => minion.state !== 'dead');
+        return this.minions;
+    }
+
+    /**
+     * Abre ou fecha o núcleo frontal
+     * @param {boolean} exposed - Se o núcleo fica visível (e vulnerável)
+     */
+    setCoreExposed(exposed) {
+        this.weakPoints.forEach(weakPoint => {
+            if (!weakPoint.alwaysExposed) {
+                weakPoint.mesh.visible = exposed;
+            }
+        });
+    }
+
+    /**
+     * Dano extra quando a trajetória do projétil passa por um ponto fraco visível
+     * voltado para o atirador
+     * @param {Bullet} projectile - Projétil que acertou
+     * @returns {number}
+     */
+    getDamageMultiplier(projectile) {
+        if (!projectile.direction) return 1;
+
+        const point = new THREE.Vector3();
+        const facing = new THREE.Vector3();
+        const offset = new THREE.Vector3();
+
+        for (const weakPoint of this.weakPoints) {
+            if (!weakPoint.mesh.visible) continue;
+
+            weakPoint.mesh.getWorldPosition(point);
+
+            // Pontos nas costas não contam para tiros vindos da frente
+            facing.subVectors(point, this.mesh.position).setY(0);
+            if (facing.dot(projectile.direction) >= 0) continue;
+
+            // Distância entre o ponto fraco e a reta do projétil
+            offset.subVectors(point, projectile.position);
+            if (offset.cross(projectile.direction).length() <= BOSS.WEAK_POINTS.RADIUS) {
+                weakPoint.mesh.scale.setScalar(1.6);
+                return BOSS.WEAK_POINTS.DAMAGE_MULTIPLIER;
+            }
+        }
+
+        return 1;
+    }
+
+    /**
+     * Causa dano ao chefe, que ignora dano durante a troca de fase
+     * Um único golpe não pula fases: a vida para no limite da próxima
+     * @param {number} amount - Quantidade de dano
+     * @returns {boolean} - Se o dano foi fatal
+     */
+    takeDamage(amount) {
+        if (this.state === 'dead' || this.transitionTimer > 0) return false;
+
+        const next = BOSS.PHASES[this.phaseIndex + 1];
+        const threshold = next ? next.HEALTH * this.maxHealth : 0;
+
+        if (next && this.health - amount <= threshold) {
+            super.takeDamage(this.health - threshold);
+            this.enterPhase(this.phaseIndex + 1);
+            return false;
+        }
+
+        return super.takeDamage(amount);
+    }
+
+    /**
+     * Entra em uma nova fase: pausa invulnerável, acelera e avisa o jogador
+     * @param {number} index - Índice em BOSS.PHASES
+     */
+    enterPhase(index) {
+        this.phaseIndex = index;
+        this.transitionTimer = BOSS.PHASE_TRANSITION_TIME;
+        this.speed = this.baseSpeed * this.phase.SPEED_MULTIPLIER;
+        this.attackTimer = 0;
+
+        // Interrompe o ataque em andamento
+        this.currentAttack = null;
+        this.setCoreExposed(false);
+
+        this.mesh.material.emissive.setHex(this.phase.GLOW);
+
+        console.log(`Chefe entrou na fase ${index + 1}`);
+
+        // Aviso na interface e vinheta de áudio
+        if (this.enemyManager) {
+            this.enemyManager.emit(GAME_EVENTS.BOSS_PHASE_CHANGED, { boss: this, phase: index + 1 });
+        }
+    }
+
+    /**
+     * Mata o chefe e apaga os pontos fracos
+     */
+    die() {
+        super.die();
+
+        this.currentAttack = null;
+        this.mesh.scale.setScalar(1);
+        this.mesh.material.emissive.setHex(0x000000);
+        this.weakPoints.forEach(({ mesh }) => {
+            mesh.visible = false;
+        });
+    }
+}
@@ -1,6 +1,8 @@
 /**
  * Classe que representa um projétil no jogo
  * Gerencia o movimento, colisão e comportamento das balas
+ * As colisões são contínuas: cada atualização testa o trecho percorrido (e não só a posição final),
+ * então projéteis rápidos não atravessam paredes finas nem inimigos em frames longos
  */
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.157.0/build/three.module.js';
 import { WEAPON } from './config.js';
@@ -10,18 +12,32 @@ const SHARED = {
     // Geometrias compartilhadas (reduz alocações de memória)
     geometries: {
         playerBullet: new THREE.SphereGeometry(0.1, 6, 6), // Reduzido de 8,8 para 6,6 segmentos
-        enemyBullet: new THREE.SphereGeometry(0.15, 6, 6)
+        enemyBullet: new THREE.SphereGeometry(0.15, 6, 6),
+        rocket: new THREE.SphereGeometry(0.25, 8, 8)
     },
     
     // Materiais compartilhados
     materials: {
         playerBullet: new THREE.MeshBasicMaterial({ color: 0xffff00 }),
-        enemyBullet: new THREE.MeshBasicMaterial({ color: 0xff0000 })
+        enemyBullet: new THREE.MeshBasicMaterial({ color: 0xff0000 }),
+        rocket: new THREE.MeshBasicMaterial({ color: 0xff7700 })
+    },
+    
+    // Raios de colisão de cada geometria
+    radii: {
+        playerBullet: 0.1,
+        enemyBullet: 0.15,
+        rocket: 0.25
     },
     
     // Vetores temporários para cálculos (reutilizados)
     tempVector: new THREE.Vector3(),
     tempDirection: new THREE.Vector3(),
+    tempBox: new THREE.Box3(),
+    tempRay: new THREE.Ray(),
+    
+    // Obstáculos do mapa que param os projéteis (definido pelo Game via Bullet.setCollisionWorld)
+    collisionWorld: null,
     
     // Pool para reutilização de objetos
     pool: [],
@@ -36,6 +52,14 @@ const SHARED = {
 };
 
 export class Bullet {
+    /**
+     * Define os obstáculos que param todos os projéteis
+     * @param {CollisionWorld} collisionWorld - Mundo de colisão do SceneManager
+     */
+    static setCollisionWorld(collisionWorld) {
+        SHARED.collisionWorld = collisionWorld;
+    }
+    
     /**
      * Obtém uma instância de projétil, do pool ou nova
      * @param {THREE.Vector3} position - Posição inicial do projétil
@@ -91,6 +115,17 @@ export class Bullet {
         this.maxDistance = isPlayerBullet ? WEAPON.RANGE * 2 : WEAPON.RANGE * 1.5;
         this.damage = isPlayerBullet ? WEAPON.DAMAGE : 10;
         
+        // Tipo de projétil e dano em área (definidos pela arma em applyWeapon)
+        this.type = 'bullet';
+        this.splashRadius = 0;
+        this.splashDamage = 0;
+        
+        // Trecho percorrido na última atualização (início e comprimento) e se parou em um obstáculo
+        this.radius = isPlayerBullet ? SHARED.radii.playerBullet : SHARED.radii.enemyBullet;
+        this.previousPosition = position.clone();
+        this.lastStep = 0;
+        this.blocked = false;
+        
         // Usar geometrias e materiais compartilhados (reduz uso de memória)
         const geometry = isPlayerBullet ? SHARED.geometries.playerBullet : SHARED.geometries.enemyBullet;
         const material = isPlayerBullet ? SHARED.materials.playerBullet : SHARED.materials.enemyBullet;
@@ -121,25 +156,53 @@ export class Bullet {
         this.hasCollided = false;
         this.addedToScene = false;
         this._boundingBoxNeedsUpdate = true;
+        this.previousPosition.copy(position);
+        this.lastStep = 0;
+        this.blocked = false;
         
         // Configura propriedades baseadas no tipo
         this.speed = isPlayerBullet ? WEAPON.BULLET_SPEED * 2 : WEAPON.BULLET_SPEED * 1.5;
         this.maxDistance = isPlayerBullet ? WEAPON.RANGE * 2 : WEAPON.RANGE * 1.5;
         this.damage = isPlayerBullet ? WEAPON.DAMAGE : 10;
+        this.type = 'bullet';
+        this.splashRadius = 0;
+        this.splashDamage = 0;
         
         // Atualiza a geometria e material se necessário
         if (isPlayerBullet) {
             this.mesh.geometry = SHARED.geometries.playerBullet;
             this.mesh.material = SHARED.materials.playerBullet;
+            this.radius = SHARED.radii.playerBullet;
         } else {
             this.mesh.geometry = SHARED.geometries.enemyBullet;
             this.mesh.material = SHARED.materials.enemyBullet;
+            this.radius = SHARED.radii.enemyBullet;
         }
         
         // Atualiza posição do mesh
         this.mesh.position.copy(position);
     }
     
+    /**
+     * Aplica os atributos de uma arma do jogador (dano, velocidade e tipo de projétil)
+     * @param {Object} config - Definição da arma (entrada de WEAPONS)
+     */
+    applyWeapon(config) {
+        this.damage = config.DAMAGE;
+        this.speed = config.BULLET_SPEED;
+        this.type = config.PROJECTILE;
+        this.splashRadius = config.SPLASH_RADIUS || 0;
+        this.splashDamage = config.SPLASH_DAMAGE || 0;
+        
+        if (this.type === 'rocket') {
+            this.mesh.geometry = SHARED.geometries.rocket;
+            this.mesh.material = SHARED.materials.rocket;
+            this.radius = SHARED.radii.rocket;
+        }
+        
+        this._boundingBoxNeedsUpdate = true;
+    }
+    
     /**
      * Obtém a bounding box para colisão
      */
@@ -158,8 +221,24 @@ export class Bullet {
     update(deltaTime) {
         if (this.hasCollided) return;
         
+        // Parou em um obstáculo na atualização anterior, cujo trecho já foi testado contra os alvos
+        if (this.blocked) {
+            this.hasCollided = true;
+            return;
+        }
+        
         // Movimento mais eficiente, reduzindo alocações
-        const moveDistance = this.speed * Math.max(deltaTime, 0.01);
+        let moveDistance = this.speed * Math.max(deltaTime, 0.01);
+        
+        // O trecho termina no primeiro obstáculo do caminho
+        const obstacleDistance = this.findObstacle(moveDistance);
+        if (obstacleDistance < moveDistance) {
+            moveDistance = obstacleDistance;
+            this.blocked = true;
+        }
+        
+        this.previousPosition.copy(this.position);
+        this.lastStep = moveDistance;
         this.distance += moveDistance;
         
         // Atualiza posição, evitando criar novos vetores
@@ -179,39 +258,69 @@ export class Bullet {
     }
     
     /**
-     * Verifica colisão com outro objeto
-     * @param {Object} object - Objeto para verificar colisão
-     * @returns {boolean} - Verdadeiro se colidiu
+     * Distância até o primeiro obstáculo do mapa ou o chão à frente do projétil
+     * @param {number} maxDistance - Deslocamento desta atualização
+     * @returns {number} - Distância até o obstáculo, ou maxDistance se o caminho está livre
      */
-    checkCollision(object) {
-        if (this.hasCollided) return false;
-        
-        // Verificação rápida de distância antes de calcular bounding box
-        if (object.position) {
-            const distanceSq = this.position.distanceToSquared(object.position);
-            
-            // Aumentando o raio de colisão para melhorar detecção
-            // Usando 16 (4²) para inimigos normais ou 25 (5²) para sentinelas
-            const collisionRadiusSq = object.type === 'basic' ? 25 : 16;
-            
-            // Otimização: usa distância ao quadrado para evitar cálculo de raiz quadrada
-            if (distanceSq <= collisionRadiusSq) {
-                console.log(`Colisão por distância detectada: ${Math.sqrt(distanceSq).toFixed(2)} unidades`);
-                this.hasCollided = true;
-                return true;
-            }
+    findObstacle(maxDistance) {
+        let distance = maxDistance;
+        
+        if (SHARED.collisionWorld) {
+            distance = SHARED.collisionWorld.raycast(this.position, this.direction, maxDistance);
         }
         
-        // Verifica colisão de bounding boxes como backup
-        if (!this.hasCollided && object.boundingBox) {
-            const collision = this.boundingBox.intersectsBox(object.boundingBox);
-            if (collision) {
-                this.hasCollided = true;
-                return true;
-            }
+        // Chão (y = 0)
+        if (this.direction.y < 0) {
+            distance = Math.min(distance, Math.max(0, this.position.y) / -this.direction.y);
         }
         
-        return false;
+        return distance;
+    }
+    
+    /**
+     * Distância ao longo do último trecho percorrido até entrar em uma caixa
+     * A caixa é aumentada pelo raio do projétil (esfera contra caixa)
+     * @param {THREE.Box3} box - Caixa do alvo
+     * @returns {number} - Distância a partir de previousPosition, ou -1 se o trecho não cruza a caixa
+     */
+    sweepBox(box) {
+        const expanded = SHARED.tempBox.copy(box).expandByScalar(this.radius);
+        
+        if (expanded.containsPoint(this.previousPosition)) return 0;
+        
+        SHARED.tempRay.set(this.previousPosition, this.direction);
+        const entry = SHARED.tempRay.intersectBox(expanded, SHARED.tempVector);
+        if (!entry) return -1;
+        
+        const distance = entry.distanceTo(this.previousPosition);
+        return distance <= this.lastStep ? distance : -1;
+    }
+    
+    /**
+     * Verifica colisão com outro objeto ao longo do último trecho percorrido
+     * Ao colidir, o projétil é levado ao ponto de impacto
+     * @param {Object} object - Objeto com boundingBox (inimigo ou jogador)
+     * @returns {boolean} - Verdadeiro se colidiu
+     */
+    checkCollision(object) {
+        if (this.hasCollided || !object.boundingBox) return false;
+        
+        const distance = this.sweepBox(object.boundingBox);
+        if (distance < 0) return false;
+        
+        this.moveToImpact(distance);
+        this.hasCollided = true;
+        return true;
+    }
+    
+    /**
+     * Leva o projétil ao ponto do último trecho onde ele atingiu algo
+     * @param {number} distance - Distância a partir de previousPosition
+     */
+    moveToImpact(distance) {
+        this.position.copy(this.previousPosition).addScaledVector(this.direction, distance);
+        this.mesh.position.copy(this.position);
+        this._boundingBoxNeedsUpdate = true;
     }
     
     /**
@@ -0,0 +1,320 @@
+/**
+ * Mundo de colisão estático do mapa
+ * Guarda as caixas (AABB) da geometria do nível e resolve o movimento de cápsulas contra elas
+ * As consultas só testam as caixas das células da grade espacial por onde passam
+ */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.157.0/build/three.module.js';
+import { SPATIAL } from './config.js';
+import { SpatialGrid } from './spatial-grid.js';
+
+// Número de passadas de resolução (permite deslizar em cantos formados por duas caixas)
+const RESOLVE_ITERATIONS = 3;
+
+// Margem para evitar que a cápsula fique exatamente encostada e volte a colidir
+const SKIN = 0.001;
+
+export class CollisionWorld {
+    /**
+     * @param {number} halfSize - Metade do tamanho do mapa (limites em X e Z)
+     */
+    constructor(halfSize = 50) {
+        // Caixas estáticas em coordenadas do mundo (e a grade que as indexa)
+        this.colliders = [];
+        this.grid = new SpatialGrid(SPATIAL.STATIC_CELL_SIZE);
+
+        // Limites do mapa
+        this.bounds = {
+            minX: -halfSize,
+            maxX: halfSize,
+            minZ: -halfSize,
+            maxZ: halfSize
+        };
+    }
+
+    /**
+     * Registra um objeto 3D como colisor estático usando sua caixa envolvente
+     * @param {THREE.Object3D} object - Mesh ou grupo já posicionado
+     * @returns {THREE.Box3} - A caixa registrada
+     */
+    addObject(object) {
+        // Garante que a matriz de mundo considere os pais (peças dentro de grupos)
+        object.updateWorldMatrix(true, true);
+
+        const box = new THREE.Box3().setFromObject(object);
+        box.userData = { object };
+
+        return this.addBox(box);
+    }
+
+    /**
+     * Registra uma caixa diretamente
+     * @param {THREE.Box3} box - Caixa em coordenadas do mundo
+     * @returns {THREE.Box3} - A caixa registrada
+     */
+    addBox(box) {
+        this.colliders.push(box);
+        this.grid.insert(box, box.min.x, box.min.z, box.max.x, box.max.z);
+        return box;
+    }
+
+    /**
+     * Remove os colisores registrados para um objeto ou para qualquer descendente dele
+     * @param {THREE.Object3D} object - Objeto (ou grupo) removido do mapa
+     */
+    removeObject(object) {
+        this.colliders = this.colliders.filter(box => {
+            for (let current = box.userData && box.userData.object; current; current = current.parent) {
+                if (current === object) {
+                    this.grid.remove(box);
+                    return false;
+                }
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Remove todos os colisores
+     */
+    clear() {
+        this.colliders = [];
+        this.grid.clear();
+    }
+
+    /**
+     * Move uma cápsula vertical (círculo em XZ com altura) e resolve as colisões
+     * Caixas cujo topo esteja até stepHeight acima dos pés são "degraus": não bloqueiam
+     * e elevam os pés até o topo. As demais empurram a cápsula para fora pela normal,
+     * o que produz o deslizamento ao longo das paredes.
+     * @param {THREE.Vector3} feet - Posição dos pés (modificada no lugar)
+     * @param {THREE.Vector3} displacement - Deslocamento desejado neste frame
+     * @param {number} radius - Raio da cápsula
+     * @param {number} height - Altura da cápsula
+     * @param {number} stepHeight - Altura máxima que pode ser subida sem pular
+     * @returns {Object} - { blocked: houve contato lateral, stepped: subiu um degrau }
+     */
+    moveCapsule(feet, displacement, radius, height, stepHeight) {
+        feet.x += displacement.x;
+        feet.z += displacement.z;
+
+        let blocked = false;
+        let stepped = false;
+
+        for (let iteration = 0; iteration < RESOLVE_ITERATIONS; iteration++) {
+            let corrected = false;
+
+            for (const box of this.grid.queryRadius(feet.x, feet.z, radius)) {
+                // Sem sobreposição vertical: a caixa está acima da cabeça ou abaixo dos pés
+                if (box.min.y >= feet.y + height || box.max.y <= feet.y) continue;
+
+                const push = this.circleBoxPush(feet.x, feet.z, radius, box);
+                if (!push) continue;
+
+                // Degrau: sobe em vez de bloquear
+                if (box.max.y - feet.y <= stepHeight) {
+                    feet.y = box.max.y;
+                    stepped = true;
+                    continue;
+                }
+
+                feet.x += push.x;
+                feet.z += push.z;
+                blocked = true;
+                corrected = true;
+            }
+
+            if (!corrected) break;
+        }
+
+        this.clampToBounds(feet, radius);
+
+        return { blocked, stepped };
+    }
+
+    /**
+     * Calcula o empurrão mínimo para separar um círculo (em XZ) de uma caixa
+     * @param {number} x - Centro do círculo em X
+     * @param {number} z - Centro do círculo em Z
+     * @param {number} radius - Raio do círculo
+     * @param {THREE.Box3} box - Caixa
+     * @returns {Object|null} - Vetor {x, z} de correção ou null se não há sobreposição
+     */
+    circleBoxPush(x, z, radius, box) {
+        const closestX = Math.max(box.min.x, Math.min(x, box.max.x));
+        const closestZ = Math.max(box.min.z, Math.min(z, box.max.z));
+
+        const dx = x - closestX;
+        const dz = z - closestZ;
+        const distanceSq = dx * dx + dz * dz;
+
+        if (distanceSq >= radius * radius) return null;
+
+        // Centro fora da caixa: empurra ao longo da normal do ponto mais próximo
+        if (distanceSq > 0) {
+            const distance = Math.sqrt(distanceSq);
+            const depth = radius - distance + SKIN;
+            return { x: (dx / distance) * depth, z: (dz / distance) * depth };
+        }
+
+        // Centro dentro da caixa: sai pelo lado de menor penetração
+        const exits = [
+            { x: box.min.x - radius - x - SKIN, z: 0 },
+            { x: box.max.x + radius - x + SKIN, z: 0 },
+            { x: 0, z: box.min.z - radius - z - SKIN },
+            { x: 0, z: box.max.z + radius - z + SKIN }
+        ];
+
+        return exits.reduce((best, exit) =>
+            Math.abs(exit.x + exit.z) < Math.abs(best.x + best.z) ? exit : best
+        );
+    }
+
+    /**
+     * Retorna a altura do chão sob um círculo, ignorando caixas acima de maxY
+     * @param {number} x - Centro em X
+     * @param {number} z - Centro em Z
+     * @param {number} radius - Raio do círculo
+     * @param {number} maxY - Altura máxima considerada (normalmente pés + degrau)
+     * @returns {number} - Altura da superfície mais alta sob o círculo (0 = chão do mapa)
+     */
+    getGroundHeight(x, z, radius, maxY) {
+        let ground = 0;
+
+        for (const box of this.grid.queryRadius(x, z, radius)) {
+            if (box.max.y > maxY || box.max.y <= ground) continue;
+
+            const closestX = Math.max(box.min.x, Math.min(x, box.max.x));
+            const closestZ = Math.max(box.min.z, Math.min(z, box.max.z));
+            const dx = x - closestX;
+            const dz = z - closestZ;
+
+            if (dx * dx + dz * dz < radius * radius) {
+                ground = box.max.y;
+            }
+        }
+
+        return ground;
+    }
+
+    /**
+     * Retorna a altura da face inferior do colisor mais baixo acima de minY sobre um círculo
+     * Usado para bater a cabeça ao pular e para saber se há espaço para levantar
+     * @param {number} x - Centro em X
+     * @param {number} z - Centro em Z
+     * @param {number} radius - Raio do círculo
+     * @param {number} minY - Altura a partir da qual procurar
+     * @returns {number} - Altura do teto (Infinity se não houver nada acima)
+     */
+    getCeilingHeight(x, z, radius, minY) {
+        let ceiling = Infinity;
+
+        for (const box of this.grid.queryRadius(x, z, radius)) {
+            if (box.min.y < minY || box.min.y >= ceiling) continue;
+
+            const closestX = Math.max(box.min.x, Math.min(x, box.max.x));
+            const closestZ = Math.max(box.min.z, Math.min(z, box.max.z));
+            const dx = x - closestX;
+            const dz = z - closestZ;
+
+            if (dx * dx + dz * dz < radius * radius) {
+                ceiling = box.min.y;
+            }
+        }
+
+        return ceiling;
+    }
+
+    /**
+     * Verifica se o segmento entre dois pontos não atravessa nenhum colisor
+     * @param {THREE.Vector3} from - Início (ex.: olhos de um inimigo)
+     * @param {THREE.Vector3} to - Fim (ex.: posição do jogador)
+     * @returns {boolean} - Verdadeiro se nada bloqueia a visão
+     */
+    hasLineOfSight(from, to) {
+        const direction = [to.x - from.x, to.y - from.y, to.z - from.z];
+        const origin = [from.x, from.y, from.z];
+
+        for (const box of this.grid.querySegment(from, to)) {
+            if (segmentHitsBox(origin, direction, box)) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Distância até o primeiro colisor atravessado por um raio
+     * @param {THREE.Vector3} origin - Início do raio
+     * @param {THREE.Vector3} direction - Direção normalizada
+     * @param {number} maxDistance - Alcance do raio
+     * @returns {number} - Distância do impacto, ou maxDistance se nada bloqueia
+     */
+    raycast(origin, direction, maxDistance) {
+        const start = [origin.x, origin.y, origin.z];
+        const segment = [direction.x * maxDistance, direction.y * maxDistance, direction.z * maxDistance];
+        let nearest = 1;
+        const end = {
+            x: origin.x + segment[0],
+            z: origin.z + segment[2]
+        };
+
+        for (const box of this.grid.querySegment(origin, end)) {
+            const t = segmentBoxEntry(start, segment, box);
+            if (t >= 0 && t < nearest) nearest = t;
+        }
+
+        return nearest * maxDistance;
+    }
+
+    /**
+     * Mantém a posição dentro dos limites do mapa
+     * @param {THREE.Vector3} position - Posição (modificada no lugar)
+     * @param {number} radius - Raio do objeto
+     */
+    clampToBounds(position, radius = 0) {
+        position.x = Math.max(this.bounds.minX + radius, Math.min(this.bounds.maxX - radius, position.x));
+        position.z = Math.max(this.bounds.minZ + radius, Math.min(this.bounds.maxZ - radius, position.z));
+    }
+}
+
+/**
+ * Teste de interseção segmento x caixa
+ * @param {number[]} origin - Início do segmento [x, y, z]
+ * @param {number[]} direction - Fim menos início [x, y, z]
+ * @param {THREE.Box3} box - Caixa
+ * @returns {boolean}
+ */
+function segmentHitsBox(origin, direction, box) {
+    return segmentBoxEntry(origin, direction, box) >= 0;
+}
+
+/**
+ * Ponto de entrada do segmento na caixa pelo método das placas (slabs)
+ * @param {number[]} origin - Início do segmento [x, y, z]
+ * @param {number[]} direction - Fim menos início [x, y, z] (t de 0 a 1 percorre o segmento)
+ * @param {THREE.Box3} box - Caixa
+ * @returns {number} - t da entrada (0 se o início já está dentro), ou -1 se não cruza
+ */
+function segmentBoxEntry(origin, direction, box) {
+    const min = [box.min.x, box.min.y, box.min.z];
+    const max = [box.max.x, box.max.y, box.max.z];
+    let tMin = 0;
+    let tMax = 1;
+
+    for (let axis = 0; axis < 3; axis++) {
+        if (Math.abs(direction[axis]) < 1e-9) {
+            // Paralelo a este eixo: só cruza se já estiver entre as placas
+            if (origin[axis] < min[axis] || origin[axis] > max[axis]) return -1;
+            continue;
+        }
+
+        let t1 = (min[axis] - origin[axis]) / direction[axis];
+        let t2 = (max[axis] - origin[axis]) / direction[axis];
+        if (t1 > t2) [t1, t2] = [t2, t1];
+
+        tMin = Math.max(tMin, t1);
+        tMax = Math.min(tMax, t2);
+        if (tMin > tMax) return -1;
+    }
+
+    return tMin;
+}
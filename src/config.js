@@ -7,13 +7,17 @@
 export const PLAYER = {
     SPEED: 5,               // Velocidade de movimento do jogador
     HEALTH: 100,            // Saúde inicial do jogador
-    JUMP_FORCE: 8,          // Força do pulo (se implementado)
+    JUMP_FORCE: 8,          // Velocidade vertical inicial do pulo
     LOOK_SENSITIVITY: 0.2,  // Sensibilidade do mouse
     GRAVITY: 9.8,           // Gravidade aplicada ao jogador
     HEIGHT: 1.8,            // Altura do jogador em unidades
     RADIUS: 0.5,            // Raio do jogador para colisões
     STEP_HEIGHT: 0.35,      // Altura máxima que o jogador pode "subir" sem pular
     SPRINT_MULTIPLIER: 1.5, // Multiplicador de velocidade ao correr
+    CROUCH_HEIGHT: 1.1,     // Altura do jogador agachado
+    CROUCH_SPEED_MULTIPLIER: 0.5, // Multiplicador de velocidade agachado
+    CROUCH_TRANSITION_SPEED: 6,   // Velocidade (unidades/s) da transição de altura ao agachar/levantar
+    SPAWN_POSITION: { x: 0, z: 8 }, // Posição inicial (fora do obstáculo central)
 };
 
 // Configurações da arma
@@ -26,6 +30,118 @@ export const WEAPON = {
     MAX_AMMO: 90,           // Munição máxima reserva
     RANGE: 100,             // Alcance máximo do tiro
     BULLET_SPEED: 50,       // Velocidade do projétil
+    FALLOFF_START: 30,      // Distância em que o dano dos tiros instantâneos começa a cair
+    MIN_FALLOFF: 0.4,       // Fração do dano que resta no alcance máximo
+    HIT_ZONES: {            // Multiplicador de dano por parte do corpo dos inimigos
+        HEAD: 2,
+        BODY: 1
+    },
+    MAX_PLAYER_BULLETS: 100, // Projéteis do jogador ativos ao mesmo tempo (os mais antigos somem)
+    TRACER_TIME: 0.06,      // Duração do rastro dos tiros instantâneos (segundos)
+    HIT_MARKER_TIME: 150,   // Duração do marcador de acerto na mira (milissegundos)
+    SWITCH_TIME: 0.4,       // Tempo para sacar outra arma (sem poder atirar)
+    INVENTORY: ['pistol', 'rifle', 'shotgun', 'rocket_launcher'], // Ordem das armas (teclas 1-4)
+    STARTING_WEAPON: 1      // Índice da arma inicial no inventário
+};
+
+// Definições de cada arma do inventário (chave = id da arma em maiúsculas)
+// PROJECTILE: 'hitscan' (raio instantâneo com zonas de acerto e queda de dano até RANGE),
+// 'bullet' ou 'rocket' (foguetes causam dano em área ao explodir)
+// MODEL: dimensões e cores usadas para montar o modelo em primeira pessoa
+export const WEAPONS = {
+    PISTOL: {
+        NAME: 'Pistola',
+        DAMAGE: 20,
+        FIRE_RATE: 0.3,
+        AUTOMATIC: false,       // Um tiro por clique
+        MAGAZINE_SIZE: 12,
+        MAX_AMMO: 72,
+        RELOAD_TIME: 1.2,
+        RECOIL: 0.03,
+        SPREAD: 0.005,          // Desvio máximo da direção de cada projétil
+        PELLETS: 1,             // Projéteis por disparo
+        PROJECTILE: 'hitscan',
+        RANGE: WEAPON.RANGE,
+        FALLOFF_START: WEAPON.FALLOFF_START,
+        MODEL: {
+            BODY: [0.14, 0.22, 0.45],
+            BODY_COLOR: 0x333333,
+            BARREL_RADIUS: 0.035,
+            BARREL_LENGTH: 0.3,
+            BARREL_COUNT: 1,
+            BARREL_COLOR: 0x111111
+        }
+    },
+    RIFLE: {
+        NAME: 'Fuzil',
+        DAMAGE: WEAPON.DAMAGE,
+        FIRE_RATE: WEAPON.FIRE_RATE,
+        AUTOMATIC: true,
+        MAGAZINE_SIZE: WEAPON.MAGAZINE_SIZE,
+        MAX_AMMO: WEAPON.MAX_AMMO,
+        RELOAD_TIME: WEAPON.RELOAD_TIME,
+        RECOIL: WEAPON.RECOIL,
+        SPREAD: 0.015,
+        PELLETS: 1,
+        PROJECTILE: 'hitscan',
+        RANGE: WEAPON.RANGE,
+        FALLOFF_START: WEAPON.FALLOFF_START,
+        MODEL: {
+            BODY: [0.2, 0.3, 0.8],
+            BODY_COLOR: 0x222222,
+            BARREL_RADIUS: 0.05,
+            BARREL_LENGTH: 0.6,
+            BARREL_COUNT: 1,
+            BARREL_COLOR: 0x111111
+        }
+    },
+    SHOTGUN: {
+        NAME: 'Espingarda',
+        DAMAGE: 12,             // Dano por bala (chumbo)
+        FIRE_RATE: 0.9,
+        AUTOMATIC: false,
+        MAGAZINE_SIZE: 6,
+        MAX_AMMO: 36,
+        RELOAD_TIME: 2.5,
+        RECOIL: 0.12,
+        SPREAD: 0.08,
+        PELLETS: 8,
+        PROJECTILE: 'hitscan',
+        RANGE: 40,
+        FALLOFF_START: 8,
+        MODEL: {
+            BODY: [0.22, 0.26, 0.9],
+            BODY_COLOR: 0x4a2f1b,
+            BARREL_RADIUS: 0.045,
+            BARREL_LENGTH: 0.7,
+            BARREL_COUNT: 2,
+            BARREL_COLOR: 0x222222
+        }
+    },
+    ROCKET_LAUNCHER: {
+        NAME: 'Lança-foguetes',
+        DAMAGE: 80,             // Dano do impacto direto
+        FIRE_RATE: 1.2,
+        AUTOMATIC: false,
+        MAGAZINE_SIZE: 1,
+        MAX_AMMO: 6,
+        RELOAD_TIME: 2.8,
+        RECOIL: 0.2,
+        SPREAD: 0,
+        PELLETS: 1,
+        PROJECTILE: 'rocket',
+        BULLET_SPEED: 40,
+        SPLASH_RADIUS: 6,       // Raio da explosão
+        SPLASH_DAMAGE: 70,      // Dano no centro da explosão (cai até 0 na borda)
+        MODEL: {
+            BODY: [0.24, 0.24, 0.6],
+            BODY_COLOR: 0x3b4a2a,
+            BARREL_RADIUS: 0.12,
+            BARREL_LENGTH: 1.1,
+            BARREL_COUNT: 1,
+            BARREL_COLOR: 0x2c3520
+        }
+    }
 };
 
 // Configurações do inimigo
@@ -64,17 +180,146 @@ export const ENEMY = {
         BASIC: 1.5,         // Tempo entre ataques do inimigo básico (reduzido)
         MEDIUM: 1.0,        // Tempo entre ataques do inimigo médio (reduzido)
         HEAVY: 2.0          // Tempo entre ataques do inimigo pesado (reduzido)
+    },
+    VIEW_ANGLE: {
+        BASIC: 120,         // Abertura do cone de visão do inimigo básico (graus)
+        MEDIUM: 110,        // Abertura do cone de visão do inimigo médio (graus)
+        HEAVY: 90           // Abertura do cone de visão do inimigo pesado (graus)
+    },
+    PERCEPTION: {
+        INTERVAL: 0.2,          // Segundos entre verificações de visão de cada inimigo
+        CLOSE_RANGE: 4,         // Distância em que o jogador é percebido mesmo fora do cone de visão
+        LOSE_SIGHT_TIME: 2,     // Segundos sem ver o jogador até ir procurá-lo
+        SEARCH_TIME: 6,         // Segundos investigando a última posição conhecida
+        SEARCH_SPEED: 0.6,      // Fração da velocidade usada ao investigar
+        ALERT_RADIUS: 20,       // Distância dos aliados avisados quando um inimigo avista o jogador
+        ALERT_COOLDOWN: 3,      // Segundos entre alertas do mesmo inimigo
+        GUNSHOT_RADIUS: 35,     // Distância em que os tiros do jogador são ouvidos
+        FOOTSTEP_RADIUS: 10,    // Distância em que os passos do jogador correndo são ouvidos
+        FOOTSTEP_INTERVAL: 0.4  // Segundos entre passos (ruídos) ao correr
+    }
+};
+
+// Configurações do chefe (comandante da missão final)
+// Cada fase começa quando a vida cai abaixo de HEALTH (fração da vida máxima) e libera novos ataques
+// GLOW é o brilho (emissive) do corpo durante a fase
+export const BOSS = {
+    HEALTH: 500,            // Vida do chefe
+    DAMAGE: 30,             // Dano base dos ataques
+    SPEED: 2,               // Velocidade na primeira fase
+    DETECTION_RADIUS: 50,   // Raio de detecção do jogador
+    ATTACK_RANGE: 30,       // Alcance de ataque
+    VIEW_ANGLE: 140,        // Abertura do cone de visão (graus)
+    MAX_BULLETS: 15,        // Projéteis ativos ao mesmo tempo (as rajadas disparam vários)
+    PHASE_TRANSITION_TIME: 1.5, // Segundos invulnerável e parado ao mudar de fase
+    PHASES: [
+        { HEALTH: 1, ATTACKS: ['barrage'], ATTACK_INTERVAL: 3, VOLLEYS: 1, SPEED_MULTIPLIER: 1, GLOW: 0x000000 },
+        { HEALTH: 0.66, ATTACKS: ['barrage', 'charge'], ATTACK_INTERVAL: 2.5, VOLLEYS: 2, SPEED_MULTIPLIER: 1.25, GLOW: 0x331100 },
+        { HEALTH: 0.33, ATTACKS: ['barrage', 'charge', 'summon'], ATTACK_INTERVAL: 2, VOLLEYS: 3, SPEED_MULTIPLIER: 1.5, GLOW: 0x662200 }
+    ],
+    BARRAGE: {
+        PROJECTILES: 5,         // Projéteis em cada leque
+        SPREAD: 40,             // Abertura do leque (graus)
+        VOLLEY_INTERVAL: 0.4,   // Segundos entre leques da mesma rajada
+        DAMAGE_MULTIPLIER: 0.4  // Fração do dano base por projétil
+    },
+    CHARGE: {
+        WINDUP: 1.2,            // Segundos se preparando (núcleo frontal exposto)
+        SPEED: 14,              // Velocidade da investida
+        MAX_DURATION: 1.5,      // Duração máxima da investida
+        RECOVERY: 1.5,          // Segundos parado depois da investida (núcleo ainda exposto)
+        MIN_DISTANCE: 6,        // Distância mínima do jogador para investir
+        HIT_RADIUS: 2.5,        // Distância em que a investida atinge o jogador
+        DAMAGE_MULTIPLIER: 1.5  // Multiplicador do dano base ao atingir
+    },
+    SUMMON: {
+        TYPES: ['basic', 'medium'], // Tipos chamados (um de cada por vez, em ordem)
+        COUNT: 2,               // Inimigos chamados por vez
+        MAX_MINIONS: 4,         // Máximo de inimigos chamados vivos
+        RADIUS: 5               // Distância do chefe em que aparecem
+    },
+    WEAK_POINTS: {
+        DAMAGE_MULTIPLIER: 2.5, // Multiplicador do dano nos pontos fracos
+        RADIUS: 0.6             // Distância entre a trajetória do tiro e o ponto fraco para contar
     }
 };
 
+// Grade espacial usada nas colisões e nas consultas de proximidade
+// Células maiores que o maior inimigo; as dos colisores do mapa são maiores porque eles não se movem
+export const SPATIAL = {
+    STATIC_CELL_SIZE: 8,    // Células dos colisores do mapa (CollisionWorld)
+    DYNAMIC_CELL_SIZE: 4    // Células dos inimigos e itens
+};
+
+// Configurações da navegação dos inimigos (grade + A*)
+export const NAVIGATION = {
+    CELL_SIZE: 1,           // Tamanho de cada célula da grade em metros
+    AGENT_RADIUS: 0.8,      // Folga mantida em volta dos obstáculos
+    AGENT_HEIGHT: 2,        // Caixas que começam acima desta altura não bloqueiam
+    STEP_HEIGHT: 0.3,       // Caixas mais baixas que isso não bloqueiam
+    REPATH_INTERVAL: 0.5,   // Segundos entre recálculos do caminho durante a perseguição
+    REPATH_DISTANCE: 2,     // Deslocamento do alvo que força um novo caminho antes do intervalo
+    WAYPOINT_RADIUS: 0.4,   // Distância em que um ponto do caminho é considerado alcançado
+    MAX_SEARCH_NODES: 4000, // Limite de células expandidas por busca
+    MAX_SNAP_CELLS: 5       // Raio (em células) da busca por uma célula livre perto de um ponto bloqueado
+};
+
+// Configurações das táticas dos inimigos de longo alcance (cobertura e esquadrões)
+export const TACTICS = {
+    COVER_TYPES: ['medium', 'heavy'], // Tipos que usam cobertura (os demais atacam parados)
+    COVER_SPACING: 2,       // Distância entre pontos de cobertura ao longo de um obstáculo
+    COVER_MIN_HEIGHT: 1,    // Altura mínima de um obstáculo para esconder um inimigo
+    COVER_EYE_HEIGHT: 0.6,  // Altura testada para saber se um ponto está escondido do jogador
+    MIN_COVER_DISTANCE: 6,  // Distância mínima entre a cobertura e o jogador
+    MAX_COVER_TRAVEL: 15,   // Distância máxima percorrida até uma cobertura
+    COVER_CHECK_INTERVAL: 1, // Segundos entre verificações se a cobertura ainda esconde do jogador
+    HIDE_TIME: 2,           // Segundos médios escondido entre uma espiada e outra
+    PEEK_TIME: 1.5,         // Segundos expostos atirando ao espiar
+    PEEK_OFFSET: 1.5,       // Passo lateral para sair da cobertura ao espiar
+    SUPPRESS_FIRE_RATE: 0.6, // Multiplicador do intervalo entre tiros de quem suprime
+    SQUAD_INTERVAL: 1,      // Segundos entre redistribuições de papéis no esquadrão
+    FLANK_ANGLE: 70,        // Ângulo (graus, a partir do jogador) entre supressores e flanqueadores
+    FLANK_WEIGHT: 8,        // Peso do desvio de ângulo na escolha da cobertura de flanco
+    RETREAT_HEALTH: 0.3,    // Fração de vida abaixo da qual o inimigo recua
+    RETREAT_DISTANCE: 18,   // Distância mínima do jogador para a cobertura de recuo
+    LOSE_SIGHT_TIME: 4      // Segundos sem ver o jogador (contando as espiadas) até sair da cobertura para persegui-lo
+};
+
 // Configurações da onda
+// As ondas roteirizadas vêm de DEFINITIONS_PATH; depois delas (ou se o arquivo não carregar)
+// as ondas são geradas com os valores abaixo
 export const WAVE = {
-    INITIAL_ENEMIES: 3,     // Número de inimigos na primeira onda
-    ENEMIES_INCREMENT: 2,   // Incremento de inimigos por onda
-    SPAWN_DELAY: 2,         // Segundos entre cada spawn de inimigo
-    WAVE_DELAY: 5,          // Segundos entre cada onda
-    MAX_ACTIVE_ENEMIES: 10, // Máximo de inimigos ativos simultaneamente
-    BOSS_WAVES: [5, 10, 15] // Ondas em que chefes aparecerão
+    DEFINITIONS_PATH: 'assets/waves/waves.json', // Arquivo com as ondas roteirizadas
+    INITIAL_ENEMIES: 3,     // Número de inimigos na primeira onda gerada
+    ENEMIES_INCREMENT: 2,   // Incremento de inimigos por onda gerada
+    MAX_WAVE_ENEMIES: 25,   // Máximo de inimigos em uma onda gerada
+    SPAWN_DELAY: 2,         // Segundos entre cada spawn de um grupo (padrão dos grupos)
+    SPAWN_DELAY_DECREASE: 0.05, // Redução do intervalo entre spawns a cada onda gerada
+    MIN_SPAWN_DELAY: 0.8,   // Menor intervalo entre spawns de uma onda gerada
+    GROUP_STAGGER: 3,       // Segundos entre o início de cada grupo de uma onda gerada
+    WAVE_DELAY: 5,          // Segundos entre cada onda (padrão das ondas)
+    MAX_ACTIVE_ENEMIES: 200, // Máximo de inimigos ativos simultaneamente
+    BOSS_WAVES: [5, 10, 15], // Ondas em que chefes aparecerão
+    BOSS_DELAY: 4,          // Segundos depois do último spawn da onda até o chefe aparecer
+    ENDLESS: {
+        // Peso de cada tipo na onda N: WEIGHT + PER_WAVE * (N - FROM_WAVE), entre 0 e MAX_WEIGHT
+        MIX: [
+            { TYPE: 'basic', FROM_WAVE: 1, WEIGHT: 6, PER_WAVE: -0.25, MAX_WEIGHT: 6 },
+            { TYPE: 'medium', FROM_WAVE: 2, WEIGHT: 1, PER_WAVE: 0.75, MAX_WEIGHT: 5 },
+            { TYPE: 'heavy', FROM_WAVE: 4, WEIGHT: 1, PER_WAVE: 0.5, MAX_WEIGHT: 4 }
+        ],
+        HEALTH_PER_WAVE: 0.1,   // Vida extra dos inimigos por onda (+10%)
+        DAMAGE_PER_WAVE: 0.1,   // Dano extra dos inimigos por onda (+10%)
+        SPEED_PER_WAVE: 0.02,   // Velocidade extra dos inimigos por onda (+2%)
+        MAX_SPEED_MULTIPLIER: 1.4 // Limite do multiplicador de velocidade
+    }
+};
+
+// Configurações das missões
+export const MISSION = {
+    LEAVE_ZONE_TIME: 10,    // Segundos fora da área de defesa até a missão falhar (padrão de leaveTimeLimit)
+    OBJECTIVE_ATTACK_RANGE: 4, // Distância em que inimigos danificam o objetivo defendido
+    OBJECTIVE_DAMAGE_RATE: 0.5 // Fração do dano do inimigo aplicada por segundo ao objetivo
 };
 
 // Configurações dos itens e power-ups
@@ -86,27 +331,48 @@ export const ITEM = {
     },
     SHIELD: {
         DURATION: 15,       // Duração do escudo em segundos
-        DAMAGE_REDUCTION: 0.5 // Redução de dano (0-1, 0.5 = 50% menos dano)
+        DAMAGE_REDUCTION: 0.5, // Redução de dano (0-1, 0.5 = 50% menos dano)
+        RESPAWN_TIME: 90    // Tempo para reaparecer (em segundos)
     },
     AMMO_PACK: {
         AMMO_AMOUNT: 60,    // Quantidade de munição adicionada
-        DURATION: 0         // Duração do efeito (0 = instantâneo)
+        DURATION: 0,        // Duração do efeito (0 = instantâneo)
+        RESPAWN_TIME: 45    // Tempo para reaparecer (em segundos)
     },
     RAPID_FIRE: {
         DURATION: 10,       // Duração do power-up em segundos
-        FIRE_RATE_MULTIPLIER: 2 // Multiplicador da taxa de disparo
-    }
+        FIRE_RATE_MULTIPLIER: 2, // Multiplicador da taxa de disparo
+        RESPAWN_TIME: 90    // Tempo para reaparecer (em segundos)
+    },
+    // Locais fixos de itens no mapa (reaparecem após RESPAWN_TIME); o servidor multiplayer
+    // valida o tiro rápido por eles
+    PLACEMENTS: [
+        { type: 'health_pack', position: { x: -20, z: -20 } },
+        { type: 'ammo_pack', position: { x: 20, z: -20 } },
+        { type: 'shield', position: { x: -20, z: 20 } },
+        { type: 'rapid_fire', position: { x: 5, z: -18 } },
+        { type: 'ammo_pack', position: { x: -5, z: 10 } }
+    ],
+    PICKUP_RADIUS: 1.5,     // Distância horizontal para coletar um item
+    DROP_CHANCE: 0.25,      // Chance de um inimigo derrotado deixar um item (0-1)
+    DROP_LIFETIME: 20       // Tempo até um item deixado por inimigo desaparecer (em segundos)
 };
 
 // Configurações do jogo
 export const GAME = {
     FPS_TARGET: 60,         // FPS alvo (para cálculos baseados em tempo)
+    TICK_RATE: 60,          // Passos da simulação por segundo (independente do FPS da renderização)
+    MAX_FRAME_TIME: 0.25,   // Tempo máximo simulado por quadro, em segundos (evita a espiral após travamentos)
+    RNG_SEED: null,         // Semente fixa do gerador da simulação (null = uma nova a cada partida)
+    MAP_SEED: 1,            // Semente da disposição dos containers (o mesmo mapa em toda partida e cliente)
     FOV: 75,                // Campo de visão da câmera
     NEAR_PLANE: 0.01,       // Plano próximo da câmera (ajustado para evitar clipping da arma)
     FAR_PLANE: 1000,        // Plano distante da câmera
     GRAVITY: 9.8,           // Gravidade do mundo
     AMBIENT_LIGHT: 0.5,     // Intensidade da luz ambiente (0-1)
     SAVE_INTERVAL: 30,      // Intervalo para salvar progresso (em segundos)
+    SAVE_SLOTS: 3,          // Número de slots de jogo salvo
+    LEVELS_PATH: 'assets/levels', // Pasta dos arquivos de fase (levelN.json)
     DEBUG_MODE: true        // Ativar modo de depuração (mostra colisões, etc.)
 };
 
@@ -119,13 +385,82 @@ export const AUDIO = {
     REF_DISTANCE: 1         // Distância de referência para atenuação
 };
 
+// Níveis de dificuldade (escolhidos na tela inicial, guardados com o jogo salvo)
+// Cada valor multiplica o atributo correspondente; SOLDIER é o jogo como definido em ENEMY e WAVE.
+// ENEMY_ACCURACY divide a imprecisão dos tiros inimigos e SPAWN_RATE acelera os spawns das ondas
+export const DIFFICULTY = {
+    DEFAULT: 'soldier',
+    PRESETS: {
+        RECRUIT: {
+            ENEMY_HEALTH: 0.75, ENEMY_DAMAGE: 0.6, ENEMY_ACCURACY: 0.6, ATTACK_COOLDOWN: 1.3,
+            DETECTION_RADIUS: 0.8, WAVE_SIZE: 0.7, SPAWN_RATE: 0.8, DAMAGE_TAKEN: 0.75
+        },
+        SOLDIER: {
+            ENEMY_HEALTH: 1, ENEMY_DAMAGE: 1, ENEMY_ACCURACY: 1, ATTACK_COOLDOWN: 1,
+            DETECTION_RADIUS: 1, WAVE_SIZE: 1, SPAWN_RATE: 1, DAMAGE_TAKEN: 1
+        },
+        VETERAN: {
+            ENEMY_HEALTH: 1.3, ENEMY_DAMAGE: 1.3, ENEMY_ACCURACY: 1.5, ATTACK_COOLDOWN: 0.8,
+            DETECTION_RADIUS: 1.2, WAVE_SIZE: 1.4, SPAWN_RATE: 1.25, DAMAGE_TAKEN: 1.25
+        }
+    },
+    CUSTOM_MIN: 0.25,       // Menor multiplicador da dificuldade personalizada
+    CUSTOM_MAX: 3           // Maior multiplicador da dificuldade personalizada
+};
+
+// Níveis de qualidade gráfica (escolhidos na tela de configurações)
+// MAX_PIXEL_RATIO limita window.devicePixelRatio; SHADOW_MAP_SIZE vale para a luz do sol
+export const GRAPHICS = {
+    DEFAULT_QUALITY: 'high',
+    QUALITY: {
+        LOW: { MAX_PIXEL_RATIO: 0.75, SHADOWS: false, SHADOW_MAP_SIZE: 512 },
+        MEDIUM: { MAX_PIXEL_RATIO: 1, SHADOWS: true, SHADOW_MAP_SIZE: 1024 },
+        HIGH: { MAX_PIXEL_RATIO: 2, SHADOWS: true, SHADOW_MAP_SIZE: 2048 }
+    }
+};
+
+// Controles: entradas padrão de cada ação
+// Entradas são códigos de tecla (event.code), botões do mouse ('Mouse0' esquerdo, 'Mouse1' meio,
+// 'Mouse2' direito, 'Mouse3'/'Mouse4' laterais) ou a roda do mouse ('WheelUp', 'WheelDown')
+export const CONTROLS = {
+    PROFILE_VERSION: 1,         // Versão do formato dos perfis de controles exportados
+    MAX_BINDINGS_PER_ACTION: 2, // Entradas por ação (principal e alternativa)
+    BINDINGS: {
+        forward: ['KeyW', 'ArrowUp'],
+        backward: ['KeyS', 'ArrowDown'],
+        left: ['KeyA', 'ArrowLeft'],
+        right: ['KeyD', 'ArrowRight'],
+        sprint: ['ShiftLeft', 'ShiftRight'],
+        jump: ['Space'],
+        crouch: ['KeyC'],
+        reload: ['KeyR'],
+        fire: ['Mouse0'],
+        next_weapon: ['WheelDown'],
+        previous_weapon: ['WheelUp'],
+        weapon_1: ['Digit1'],
+        weapon_2: ['Digit2'],
+        weapon_3: ['Digit3'],
+        weapon_4: ['Digit4'],
+        pause: ['Escape', 'KeyP'],
+        scoreboard: ['Tab']
+    }
+};
+
+// Mensagens por segundo que um cliente legítimo envia: tiros na cadência da arma mais rápida com
+// o tiro rápido ativo, lotes de input e uma folga para pings, pongs, recargas, itens e pedidos
+const NETWORK_UPDATE_RATE = 10;
+const MAX_SHOTS_PER_SECOND = Math.ceil(Math.max(
+    ...Object.values(WEAPONS).map(weapon => ITEM.RAPID_FIRE.FIRE_RATE_MULTIPLIER / weapon.FIRE_RATE)
+));
+const OTHER_MESSAGES_PER_SECOND = 10;
+
 // Adicionar seção de configurações de rede/multiplayer
 export const NETWORK = {
     // URL padrão do servidor WebSocket
     DEFAULT_SERVER: 'ws://localhost:8080',
     
     // Taxa de atualização de rede (atualizações por segundo)
-    UPDATE_RATE: 10,
+    UPDATE_RATE: NETWORK_UPDATE_RATE,
     
     // Tempo máximo de ping (ms) antes de considerar conexão ruim
     MAX_PING: 150,
@@ -133,15 +468,56 @@ export const NETWORK = {
     // Limite de jogadores por sala/partida
     MAX_PLAYERS: 8,
     
-    // Configurações de interpolação
+    // Configurações de interpolação dos jogadores remotos
     INTERPOLATION: {
-        // Fator de interpolação (0-1)
-        FACTOR: 0.2,
+        // Atraso de interpolação (ms): os jogadores remotos são mostrados esse tempo no passado
+        DELAY: 100,
+        
+        // Tempo máximo que um jogador remoto continua se movendo sem snapshots novos (ms)
+        MAX_EXTRAPOLATION: 250,
+        
+        // Snapshots guardados por jogador remoto
+        BUFFER_SIZE: 32,
         
-        // Atraso de interpolação (ms)
-        DELAY: 100
+        // Salto entre dois snapshots mostrado sem interpolar (volta após ser eliminado)
+        TELEPORT_DISTANCE: 10,
+        
+        // Peso de cada snapshot na estimativa do relógio do servidor
+        CLOCK_SMOOTHING: 0.05,
+        
+        // Mudança na diferença de relógio que recomeça a estimativa (ms)
+        CLOCK_RESET: 1000
+    },
+    
+    // Limite de mensagens por segundo (40: 20 tiros, 10 lotes de input e 10 de folga)
+    RATE_LIMIT: MAX_SHOTS_PER_SECOND + NETWORK_UPDATE_RATE + OTHER_MESSAGES_PER_SECOND,
+    
+    // Predição do movimento local: o cliente envia inputs e corrige a posição pelo servidor
+    PREDICTION: {
+        MAX_PENDING: 120,       // Inputs aguardando confirmação guardados pelo cliente (2 s a 60 passos/s)
+        MAX_BATCH: 30,          // Inputs aceitos por mensagem
+        MAX_INPUT_DT: 0.1,      // Maior duração de um input (s)
+        INPUT_TIME_BUFFER: 1,   // Tempo de input que o servidor aceita acumular quando os lotes atrasam (s)
+        CORRECTION_RATE: 10,    // Fração do erro de predição corrigida por segundo
+        SNAP_DISTANCE: 3,       // Erro a partir do qual o jogador vai direto para a posição do servidor
+        EPSILON: 0.01           // Erro desprezado
+    },
+    
+    // Acertos entre jogadores, validados pelo servidor
+    LAG_COMPENSATION: {
+        MAX_REWIND: 300,        // Maior recuo no tempo aplicado a um tiro (ms)
+        HISTORY: 1000,          // Histórico de posições guardado por jogador (ms)
+        SHOT_TOLERANCE: 2,      // Distância máxima entre a origem do tiro e o atirador no servidor
+        TIMING_TOLERANCE: 100   // Adiantamento aceito em tiros e fins de recarga (ms), pela variação na chegada das mensagens
+    },
+    
+    // Corpo dos jogadores nos acertos: cilindro do chão até acima dos olhos
+    HITBOX: {
+        RADIUS: 0.4,
+        TOP: 0.2,               // Quanto o topo da cabeça fica acima dos olhos
+        HEAD: 0.45              // Faixa do topo que conta como cabeça (WEAPON.HIT_ZONES.HEAD)
     },
     
-    // Limite de mensagens por segundo
-    RATE_LIMIT: 30
+    // Tempo até um jogador eliminado voltar com a vida cheia (ms)
+    RESPAWN_TIME: 3000
 }; 
\ No newline at end of file
@@ -0,0 +1,172 @@
+/**
+ * Pontos de cobertura dos inimigos
+ * Gera pontos ao redor dos obstáculos do CollisionWorld e escolhe, para cada inimigo, um ponto
+ * escondido do jogador de acordo com o papel dele no esquadrão (suprimir, flanquear ou recuar)
+ */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.157.0/build/three.module.js';
+import { NAVIGATION, TACTICS } from './config.js';
+
+export class CoverSystem {
+    /**
+     * @param {CollisionWorld} collisionWorld - Obstáculos usados como cobertura e para os testes de visão
+     * @param {NavigationGrid} navigationGrid - Descarta pontos onde os inimigos não podem ficar
+     */
+    constructor(collisionWorld, navigationGrid) {
+        this.collisionWorld = collisionWorld;
+        this.navigationGrid = navigationGrid;
+
+        // Lista de { position, occupant }
+        this.points = [];
+
+        this.bake();
+    }
+
+    /**
+     * Recalcula os pontos de cobertura a partir dos colisores atuais
+     * Pontos ao longo de cada face dos obstáculos altos o bastante, afastados pelo raio do agente
+     */
+    bake() {
+        this.points = [];
+
+        const offset = NAVIGATION.AGENT_RADIUS + 0.3;
+        const spacing = TACTICS.COVER_SPACING;
+
+        this.collisionWorld.colliders.forEach(box => {
+            if (box.max.y < TACTICS.COVER_MIN_HEIGHT || box.min.y > TACTICS.COVER_EYE_HEIGHT) return;
+
+            const candidates = [];
+            const alongX = Math.max(1, Math.round((box.max.x - box.min.x) / spacing));
+            const alongZ = Math.max(1, Math.round((box.max.z - box.min.z) / spacing));
+
+            // Faces voltadas para -Z e +Z
+            for (let i = 0; i < alongX; i++) {
+                const x = box.min.x + (box.max.x - box.min.x) * (i + 0.5) / alongX;
+                candidates.push(new THREE.Vector3(x, 0, box.min.z - offset));
+                candidates.push(new THREE.Vector3(x, 0, box.max.z + offset));
+            }
+
+            // Faces voltadas para -X e +X
+            for (let i = 0; i < alongZ; i++) {
+                const z = box.min.z + (box.max.z - box.min.z) * (i + 0.5) / alongZ;
+                candidates.push(new THREE.Vector3(box.min.x - offset, 0, z));
+                candidates.push(new THREE.Vector3(box.max.x + offset, 0, z));
+            }
+
+            candidates.forEach(position => {
+                if (this.navigationGrid.isWalkable(position) && this.isInsideBounds(position)) {
+                    this.points.push({ position, occupant: null });
+                }
+            });
+        });
+
+        console.log(`CoverSystem: ${this.points.length} pontos de cobertura`);
+    }
+
+    /**
+     * Verifica se a posição está dentro dos limites do mapa
+     * @param {THREE.Vector3} position - Posição
+     * @returns {boolean}
+     */
+    isInsideBounds(position) {
+        const bounds = this.collisionWorld.bounds;
+        return position.x > bounds.minX && position.x < bounds.maxX &&
+            position.z > bounds.minZ && position.z < bounds.maxZ;
+    }
+
+    /**
+     * Verifica se um ponto está escondido de uma ameaça
+     * @param {THREE.Vector3} position - Ponto no chão
+     * @param {THREE.Vector3} threat - Posição dos olhos da ameaça (jogador)
+     * @returns {boolean}
+     */
+    isHidden(position, threat) {
+        const eye = new THREE.Vector3(position.x, TACTICS.COVER_EYE_HEIGHT, position.z);
+        return !this.collisionWorld.hasLineOfSight(threat, eye);
+    }
+
+    /**
+     * Escolhe o melhor ponto de cobertura livre para um inimigo
+     * @param {Enemy} enemy - Inimigo procurando cobertura
+     * @param {THREE.Vector3} threat - Posição do jogador
+     * @param {string} role - Papel no esquadrão ('suppress', 'flank' ou 'retreat')
+     * @param {THREE.Vector3|null} flankDirection - Direção (a partir do jogador) preferida por quem flanqueia
+     * @returns {Object|null} - Ponto escolhido (já reservado para o inimigo) ou null
+     */
+    findCover(enemy, threat, role, flankDirection = null) {
+        let best = null;
+        let bestScore = Infinity;
+
+        const minDistance = role === 'retreat' ? TACTICS.RETREAT_DISTANCE : TACTICS.MIN_COVER_DISTANCE;
+        const maxDistance = role === 'retreat' ? enemy.attackRange * 1.5 : enemy.attackRange;
+        const maxTravel = role === 'flank' ? TACTICS.MAX_COVER_TRAVEL * 1.5 : TACTICS.MAX_COVER_TRAVEL;
+
+        const fromThreat = new THREE.Vector3();
+
+        for (const point of this.points) {
+            if (point.occupant && point.occupant !== enemy && point.occupant.state !== 'dead') continue;
+
+            const travel = point.position.distanceTo(enemy.position);
+            if (travel > maxTravel) continue;
+
+            fromThreat.subVectors(point.position, threat).setY(0);
+            const distance = fromThreat.length();
+            if (distance < minDistance || distance > maxDistance) continue;
+
+            // Pontuação: menor é melhor (começa pela distância a percorrer)
+            let score = travel;
+
+            if (role === 'flank' && flankDirection) {
+                score += fromThreat.normalize().angleTo(flankDirection) * TACTICS.FLANK_WEIGHT;
+            } else if (role === 'retreat') {
+                score -= distance;
+            }
+
+            // O teste de visão é o mais caro: só para candidatos que podem vencer
+            if (score < bestScore && this.isHidden(point.position, threat)) {
+                best = point;
+                bestScore = score;
+            }
+        }
+
+        if (best) {
+            this.release(enemy);
+            best.occupant = enemy;
+        }
+
+        return best;
+    }
+
+    /**
+     * Procura uma posição ao lado da cobertura de onde a ameaça pode ser vista
+     * @param {Object} point - Ponto de cobertura
+     * @param {THREE.Vector3} threat - Posição do jogador
+     * @returns {THREE.Vector3|null} - Posição para espiar e atirar, ou null se não houver
+     */
+    findPeekPosition(point, threat) {
+        const toThreat = new THREE.Vector3().subVectors(threat, point.position).setY(0).normalize();
+        const side = new THREE.Vector3(-toThreat.z, 0, toThreat.x);
+
+        for (const step of [1, -1, 2, -2]) {
+            const candidate = point.position.clone().addScaledVector(side, step * TACTICS.PEEK_OFFSET);
+            const eye = new THREE.Vector3(candidate.x, TACTICS.COVER_EYE_HEIGHT, candidate.z);
+
+            if (this.navigationGrid.isWalkable(candidate) && this.collisionWorld.hasLineOfSight(eye, threat)) {
+                return candidate;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Libera o ponto reservado por um inimigo
+     * @param {Enemy} enemy - Inimigo que deixou a cobertura
+     */
+    release(enemy) {
+        this.points.forEach(point => {
+            if (point.occupant === enemy) {
+                point.occupant = null;
+            }
+        });
+    }
+}
@@ -3,8 +3,15 @@
  * Controla o sistema de ondas, spawning e comportamento da IA inimiga
  */
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.157.0/build/three.module.js';
-import { ENEMY, WAVE } from './config.js';
+import { ENEMY, WAVE, TACTICS, WEAPON, SPATIAL } from './config.js';
 import { Enemy } from './enemy.js';
+import { Boss } from './boss.js';
+import { Bullet } from './bullet.js';
+import { SpatialGrid } from './spatial-grid.js';
+import { Random } from './random.js';
+import { requestFrame } from './environment.js';
+import { GAME_EVENTS } from './event-bus.js';
+import { validateWaves } from './level-validator.js';
 
 export class EnemyManager {
     /**
@@ -18,23 +25,41 @@ export class EnemyManager {
         this.player = player;
         this.gameState = gameState;
         
-        // Lista de inimigos ativos
+        // Lista de inimigos ativos e a grade usada nas consultas de proximidade e colisão
         this.enemies = [];
+        this.enemyGrid = new SpatialGrid(SPATIAL.DYNAMIC_CELL_SIZE);
         
-        // Configurações de spawn
-        this.spawnDelay = 0;
-        this.maxEnemies = 10;
+        // Grade de navegação e geometria de visão repassadas aos inimigos (definidas pelo Game)
+        this.navigationGrid = null;
+        this.collisionWorld = null;
+        this.coverSystem = null;
         
-        // Array para armazenar os timers de spawn
-        this.spawnTimers = [];
+        // Tempo até redistribuir os papéis do esquadrão (suprimir / flanquear)
+        this.squadTimer = 0;
         
-        // Controle de ondas
-        this.currentWave = 0;
-        this.enemiesRemaining = 0;
-        this.spawnTimer = 0;
+        // Ondas roteirizadas (null até o arquivo de ondas carregar) e se as geradas vêm depois delas
+        this.waveDefinitions = null;
+        this.endlessWaves = true;
+        
+        // Onda em andamento ({ number, delay, modifiers, queue, clock }) e tempo até a próxima
+        // A fila de spawns avança com o deltaTime do jogo, então a pausa congela os spawns
+        this.wave = null;
         this.waveTimer = 0;
-        this.isWaveActive = false;
-        this.isBossWave = false;
+        
+        // Multiplicadores da onda atual aplicados a cada inimigo criado
+        this.waveModifiers = { health: 1, damage: 1, speed: 1 };
+        
+        // Fatores da dificuldade da campanha (null = jogo como definido no config.js)
+        this.difficulty = null;
+        
+        // Gerador com semente usado nos sorteios dos inimigos e das ondas (semente definida pelo Game)
+        this.random = new Random();
+        
+        // Barramento de eventos da partida (definido pelo Game via setEventBus)
+        this.events = null;
+        
+        // Raio reutilizado pelos tiros instantâneos do jogador
+        this.raycaster = new THREE.Raycaster();
         
         // Locais para spawn de inimigos (distantes do jogador)
         this.spawnPoints = [
@@ -51,6 +76,178 @@ export class EnemyManager {
         console.log("EnemyManager inicializado");
     }
     
+    /**
+     * Define a grade de navegação usada pelos inimigos para contornar obstáculos
+     * @param {NavigationGrid} navigationGrid - Grade do SceneManager
+     */
+    setNavigationGrid(navigationGrid) {
+        this.navigationGrid = navigationGrid;
+        this.enemies.forEach(enemy => this.attachToWorld(enemy));
+    }
+    
+    /**
+     * Define a geometria que bloqueia a visão dos inimigos
+     * @param {CollisionWorld} collisionWorld - Mundo de colisão do SceneManager
+     */
+    setCollisionWorld(collisionWorld) {
+        this.collisionWorld = collisionWorld;
+        this.enemies.forEach(enemy => this.attachToWorld(enemy));
+    }
+    
+    /**
+     * Define os pontos de cobertura usados pelos inimigos de longo alcance
+     * @param {CoverSystem} coverSystem - Pontos de cobertura do SceneManager
+     */
+    setCoverSystem(coverSystem) {
+        this.coverSystem = coverSystem;
+        this.enemies.forEach(enemy => this.attachToWorld(enemy));
+    }
+    
+    /**
+     * Define o barramento da partida: publica eliminações, ondas, chefe e explosões
+     * e passa a ouvir os ruídos do jogador
+     * @param {EventBus} events - Barramento da partida
+     */
+    setEventBus(events) {
+        this.events = events;
+        events.on(GAME_EVENTS.PLAYER_NOISE, ({ position, radius }) => this.reportNoise(position, radius));
+    }
+    
+    /**
+     * Publica um evento no barramento, se houver um (também usado pelo chefe)
+     * @param {string} type - Nome do evento (GAME_EVENTS)
+     * @param {Object} payload - Conteúdo do evento
+     */
+    emit(type, payload) {
+        if (this.events) {
+            this.events.emit(type, payload);
+        }
+    }
+    
+    /**
+     * Publica a eliminação de um inimigo pelo jogador (missões e drops de itens reagem)
+     * @param {Enemy} enemy - Inimigo eliminado
+     */
+    reportKill(enemy) {
+        console.log(`Inimigo ${enemy.type} foi eliminado!`);
+        this.emit(GAME_EVENTS.ENEMY_KILLED, { enemy, type: enemy.type, position: enemy.position.clone() });
+    }
+    
+    /**
+     * Define a dificuldade aplicada aos próximos inimigos e às próximas ondas
+     * @param {Object} factors - Fatores de SettingsManager.getDifficulty()
+     */
+    setDifficulty(factors) {
+        this.difficulty = factors;
+    }
+    
+    /**
+     * Reinicia o gerador da simulação (a mesma semente reproduz a mesma partida)
+     * @param {number} seed - Semente
+     */
+    setSeed(seed) {
+        this.random.setSeed(seed);
+    }
+    
+    /**
+     * Aplica a dificuldade da campanha a um inimigo recém-criado
+     * @param {Enemy} enemy - Inimigo
+     */
+    applyDifficulty(enemy) {
+        if (this.difficulty) {
+            enemy.applyDifficulty(this.difficulty);
+        }
+    }
+    
+    /**
+     * Passa ao inimigo as referências do mapa usadas para navegar, enxergar e se cobrir
+     * @param {Enemy} enemy - Inimigo recém-criado
+     */
+    attachToWorld(enemy) {
+        enemy.setNavigationGrid(this.navigationGrid);
+        enemy.setCollisionWorld(this.collisionWorld);
+        enemy.setCoverSystem(this.coverSystem);
+    }
+    
+    /**
+     * Distribui os papéis entre os inimigos de longo alcance em combate
+     * Os mais próximos do jogador (pesados primeiro) suprimem; os demais flanqueiam,
+     * alternando os lados, em coberturas a TACTICS.FLANK_ANGLE graus dos supressores
+     */
+    updateSquadTactics() {
+        const playerPosition = this.player.position;
+        const squad = this.enemies.filter(enemy =>
+            enemy.usesCover && enemy.state === 'attacking' && enemy.tactic.role !== 'retreat'
+        );
+        if (squad.length === 0) return;
+        
+        squad.sort((a, b) => {
+            if (a.type !== b.type) return a.type === 'heavy' ? -1 : 1;
+            return a.position.distanceTo(playerPosition) - b.position.distanceTo(playerPosition);
+        });
+        
+        const suppressors = squad.slice(0, Math.ceil(squad.length / 2));
+        const flankers = squad.slice(suppressors.length);
+        
+        // Direção média dos supressores vista do jogador
+        const suppressDirection = new THREE.Vector3();
+        suppressors.forEach(enemy => {
+            enemy.setTacticalRole('suppress');
+            suppressDirection.add(new THREE.Vector3().subVectors(enemy.position, playerPosition).setY(0).normalize());
+        });
+        suppressDirection.normalize();
+        
+        const flankAngle = THREE.MathUtils.degToRad(TACTICS.FLANK_ANGLE);
+        flankers.forEach((enemy, i) => {
+            const side = i % 2 === 0 ? 1 : -1;
+            const direction = suppressDirection.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), flankAngle * side);
+            enemy.setTacticalRole('flank', direction);
+        });
+    }
+    
+    /**
+     * Adiciona um inimigo à grade espacial ou atualiza suas células
+     * @param {Enemy} enemy - Inimigo (ocupa a área da sua caixa de colisão em XZ)
+     */
+    updateEnemyCell(enemy) {
+        const box = enemy.boundingBox;
+        this.enemyGrid.insert(enemy, box.min.x, box.min.z, box.max.x, box.max.z);
+    }
+    
+    /**
+     * Inimigos até uma distância de um ponto
+     * @param {THREE.Vector3} position - Centro da busca
+     * @param {number} radius - Distância máxima
+     * @returns {Array<Enemy>}
+     */
+    getEnemiesNear(position, radius) {
+        return this.enemyGrid.queryRadius(position.x, position.z, radius)
+            .filter(enemy => enemy.position.distanceTo(position) <= radius);
+    }
+    
+    /**
+     * Avisa os inimigos que ouvem um ruído do jogador (tiro ou passos)
+     * @param {THREE.Vector3} position - Origem do ruído
+     * @param {number} radius - Distância em que o ruído é ouvido
+     */
+    reportNoise(position, radius) {
+        this.getEnemiesNear(position, radius).forEach(enemy => {
+            enemy.investigate(position);
+        });
+    }
+    
+    /**
+     * Repassa a posição do jogador vista por um inimigo aos aliados próximos
+     * @param {Enemy} spotter - Inimigo que avistou o jogador
+     */
+    alertAllies(spotter) {
+        this.getEnemiesNear(spotter.position, ENEMY.PERCEPTION.ALERT_RADIUS).forEach(enemy => {
+            if (enemy !== spotter) {
+                enemy.investigate(spotter.lastKnownPosition);
+            }
+        });
+    }
+    
     /**
      * Atualiza todos os inimigos e gerencia ondas
      * @param {number} deltaTime - Tempo desde o último frame em segundos
@@ -59,15 +256,30 @@ export class EnemyManager {
         // Não atualiza se o jogo não estiver ativo
         if (this.gameState.state !== 'playing') return;
         
+        // Papéis do esquadrão (redistribuídos periodicamente, não a cada frame)
+        this.squadTimer -= deltaTime;
+        if (this.squadTimer <= 0) {
+            this.squadTimer = TACTICS.SQUAD_INTERVAL;
+            this.updateSquadTactics();
+        }
+        
         // Atualiza cada inimigo
         for (let i = this.enemies.length - 1; i >= 0; i--) {
             const enemy = this.enemies[i];
             enemy.update(deltaTime, this.player);
+            this.updateEnemyCell(enemy);
+            
+            // Inimigo que acabou de avistar o jogador chama os aliados
+            if (enemy.pendingAlert) {
+                enemy.pendingAlert = false;
+                this.alertAllies(enemy);
+            }
             
             // Remove inimigos mortos
             if (enemy.health <= 0 && enemy.state === 'dead' && enemy.deathTimer <= 0) {
                 this.scene.remove(enemy.mesh);
                 this.enemies.splice(i, 1);
+                this.enemyGrid.remove(enemy);
                 
                 // Adiciona pontos na morte
                 if (enemy.type === 'basic') {
@@ -80,27 +292,12 @@ export class EnemyManager {
                 
                 // Conta a eliminação
                 this.gameState.addKill(enemy.type);
-                this.enemiesRemaining--;
             }
         }
         
-        // Gerencia o spawning de inimigos durante uma onda ativa
-        if (this.isWaveActive) {
-            // Atualiza o timer de spawn
-            if (this.spawnTimer > 0) {
-                this.spawnTimer -= deltaTime;
-            }
-            
-            // Se é hora de spawnar e ainda tem inimigos para serem criados
-            if (this.spawnTimer <= 0 && this.enemiesRemaining > 0 && this.enemies.length < WAVE.MAX_ACTIVE_ENEMIES) {
-                this.spawnEnemy();
-                this.spawnTimer = WAVE.SPAWN_DELAY;
-            }
-            
-            // Verifica se a onda terminou (todos inimigos mortos)
-            if (this.enemiesRemaining <= 0 && this.enemies.length === 0) {
-                this.completeWave();
-            }
+        // Cria os inimigos da onda ativa ou espera a próxima
+        if (this.wave) {
+            this.updateWave(deltaTime);
         } else {
             // Entre ondas, atualiza o timer para a próxima onda
             if (this.waveTimer > 0) {
@@ -119,123 +316,270 @@ export class EnemyManager {
     
     /**
      * Verifica colisões dos projéteis dos inimigos com o jogador
+     * Todos os projéteis são testados a cada frame: a colisão é feita sobre o trecho percorrido
+     * na última atualização, e um trecho não testado não seria testado depois
+     * @returns {number} - Quantidade de projéteis que atingiram o jogador
      */
     checkEnemyBulletCollisions() {
         let hitCount = 0;
         
-        // Limite de verificações por frame para melhorar desempenho
-        const maxCheckPerFrame = 5;
-        let checksThisFrame = 0;
-        
-        // Verifica apenas um subconjunto de inimigos a cada frame
-        const startIndex = this.lastEnemyChecked || 0;
-        let currentIndex = startIndex;
-        
-        // Percorre os inimigos a partir do último verificado
-        for (let i = 0; i < this.enemies.length; i++) {
-            currentIndex = (startIndex + i) % this.enemies.length;
-            const enemy = this.enemies[currentIndex];
-            
-            if (!enemy.bullets || enemy.bullets.length === 0) continue;
-            
-            // Apenas verifica um número limitado de inimigos por frame
-            if (checksThisFrame >= maxCheckPerFrame) break;
-            checksThisFrame++;
+        this.enemies.forEach(enemy => {
+            if (!enemy.bullets || enemy.bullets.length === 0) return;
             
-            // Otimização: verifica no máximo 5 projéteis por inimigo
-            const maxBulletsToCheck = Math.min(enemy.bullets.length, 5);
-            for (let j = 0; j < maxBulletsToCheck; j++) {
-                const index = enemy.bullets.length - 1 - j;
-                if (index < 0) break;
-                
+            for (let index = enemy.bullets.length - 1; index >= 0; index--) {
                 const bullet = enemy.bullets[index];
                 
-                // Otimização: se o jogador está muito longe, nem verifica esse inimigo
-                const distanceToPlayer = bullet.position.distanceTo(this.player.position);
-                
-                // Se está próximo e não colidiu, verifica colisão mais precisa
-                if (distanceToPlayer < 2.5 && !bullet.hasCollided) {
-                    // Verifica se o projétil colide com o jogador
-                    if (bullet.checkCollision(this.player)) {
-                        // Causa dano ao jogador
-                        const damageAmount = bullet.damage;
-                        this.player.takeDamage(damageAmount);
-                        
-                        hitCount++;
-                        
-                        // Mostra efeito visual de dano
-                        if (this.player.showDamageEffect) {
-                            this.player.showDamageEffect();
-                        }
-                        
-                        // Remove o projétil
-                        if (bullet.addedToScene && this.scene) {
-                            this.scene.remove(bullet.mesh);
-                        }
-                        enemy.bullets.splice(index, 1);
+                if (!bullet.hasCollided && bullet.checkCollision(this.player)) {
+                    // Causa dano ao jogador
+                    this.player.takeDamage(bullet.damage);
+                    hitCount++;
+                    
+                    // Mostra efeito visual de dano
+                    if (this.player.showDamageEffect) {
+                        this.player.showDamageEffect();
                     }
-                } 
-                // Se o projétil está muito longe ou já colidiu, remove-o também
-                else if (bullet.distance > bullet.maxDistance || bullet.hasCollided || distanceToPlayer > 50) {
+                }
+                
+                // Remove o projétil se acertou, colidiu com o mapa ou saiu do alcance
+                if (bullet.hasCollided || bullet.distance > bullet.maxDistance) {
                     if (bullet.addedToScene && this.scene) {
-                        this.scene.remove(bullet.mesh);
+                        bullet.removeFromScene(this.scene);
                     }
+                    Bullet.recycle(bullet);
                     enemy.bullets.splice(index, 1);
                 }
             }
+        });
+        
+        return hitCount;
+    }
+    
+    /**
+     * Carrega as ondas roteirizadas (formato em level-validator.js)
+     * Enquanto o arquivo não carrega, ou se ele for inválido, as ondas são geradas
+     * @param {string} url - Caminho do arquivo de ondas
+     * @returns {Promise<boolean>} - Se as ondas foram carregadas
+     */
+    loadWaves(url = WAVE.DEFINITIONS_PATH) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Arquivo de ondas não encontrado (${url}: HTTP ${response.status})`);
+                }
+                
+                return response.json().catch(error => {
+                    throw new Error(`JSON inválido em ${url}: ${error.message}`);
+                });
+            })
+            .then(data => {
+                this.setWaveDefinitions(data, url);
+                return true;
+            })
+            .catch(error => {
+                console.error("Erro ao carregar as ondas, usando ondas geradas:", error.message);
+                return false;
+            });
+    }
+    
+    /**
+     * Valida e guarda as ondas roteirizadas
+     * @param {Object} data - Conteúdo do arquivo de ondas
+     * @param {string} source - Origem dos dados, usada nas mensagens de erro
+     * @throws {Error} - Se os dados não seguem o formato (as ondas atuais não mudam)
+     */
+    setWaveDefinitions(data, source = 'ondas') {
+        const errors = validateWaves(data);
+        if (errors.length > 0) {
+            throw new Error(`Ondas inválidas (${source}):\n- ${errors.join('\n- ')}`);
         }
         
-        // Atualiza o índice do último inimigo verificado
-        this.lastEnemyChecked = (currentIndex + 1) % this.enemies.length;
+        this.waveDefinitions = data.waves;
+        this.endlessWaves = data.endless !== false;
         
-        return hitCount;
+        console.log(`${data.waves.length} ondas roteirizadas carregadas${this.endlessWaves ? ' (ondas geradas depois delas)' : ''}`);
     }
     
     /**
-     * Inicia a próxima onda com mais inimigos
+     * Inicia a próxima onda: monta a fila de spawns e aplica os modificadores
      */
     startNextWave() {
-        // Incrementa o número da onda
-        const currentWave = this.gameState.currentWave;
+        const number = this.gameState.currentWave + 1;
+        const definition = this.getWaveDefinition(number);
         
-        // Define o número de inimigos com base na onda atual
-        // Onda 1: 3 inimigos
-        // Onda 2: 5 inimigos
-        // Onda 3+: 5 + (currentWave - 2) * 2 inimigos
-        let numEnemies = currentWave === 1 ? 3 : 
-                        currentWave === 2 ? 5 : 
-                        5 + (currentWave - 2) * 2;
+        if (!definition) {
+            console.log(`Todas as ${this.waveDefinitions.length} ondas concluídas`);
+            return;
+        }
         
-        // Limita o número máximo de inimigos por onda
-        numEnemies = Math.min(numEnemies, 15);
+        this.wave = {
+            number,
+            delay: definition.delay !== undefined ? definition.delay : WAVE.WAVE_DELAY,
+            modifiers: { health: 1, damage: 1, speed: 1, ...definition.modifiers },
+            queue: this.buildSpawnQueue(definition.groups),
+            clock: 0
+        };
+        this.waveModifiers = this.wave.modifiers;
         
-        console.log(`Iniciando onda ${currentWave} com ${numEnemies} inimigos.`);
+        console.log(`Iniciando onda ${number} com ${this.wave.queue.length} inimigos.`);
         
-        // Atualiza o estado do jogo
-        this.gameState.startNewWave(numEnemies);
+        // Atualiza o estado do jogo (número da onda no HUD)
+        this.gameState.startNewWave(this.wave.queue.length);
         
-        // Cria os inimigos para esta onda
-        this.scheduleEnemySpawns(numEnemies);
+        this.emit(GAME_EVENTS.WAVE_STARTED, { number, enemies: this.wave.queue.length });
     }
     
     /**
-     * Agenda o spawn dos inimigos ao longo da onda
-     * @param {number} numEnemies - Número de inimigos a serem criados
+     * Definição de uma onda: roteirizada, gerada ou nenhuma (ondas roteirizadas esgotadas sem modo infinito)
+     * Ondas em WAVE.BOSS_WAVES recebem um chefe se ainda não tiverem um
+     * @param {number} number - Número da onda (a partir de 1)
+     * @returns {Object|null} - { delay, modifiers, groups } no formato do arquivo de ondas
      */
-    scheduleEnemySpawns(numEnemies) {
-        // Remove todos os timers de spawn anteriores
-        this.spawnTimers.forEach(clearTimeout);
-        this.spawnTimers = [];
+    getWaveDefinition(number) {
+        const definitions = this.waveDefinitions;
+        let definition;
+        
+        if (definitions && number <= definitions.length) {
+            definition = definitions[number - 1];
+        } else if (!definitions || this.endlessWaves) {
+            definition = this.generateWave(number);
+        } else {
+            return null;
+        }
         
-        // Agenda o spawn de cada inimigo com intervalos
-        for (let i = 0; i < numEnemies; i++) {
-            const delay = i * 2000; // 2 segundos entre cada spawn
+        if (WAVE.BOSS_WAVES.includes(number) && !definition.groups.some(group => group.type === 'boss')) {
+            const lastSpawn = Math.max(...definition.groups.map(group =>
+                (group.delay || 0) + (group.count - 1) * (group.interval !== undefined ? group.interval : WAVE.SPAWN_DELAY)
+            ));
             
-            const timer = setTimeout(() => {
-                this.spawnEnemy();
-            }, delay);
+            definition = {
+                ...definition,
+                groups: [...definition.groups, { type: 'boss', count: 1, delay: lastSpawn + WAVE.BOSS_DELAY }]
+            };
+        }
+        
+        return definition;
+    }
+    
+    /**
+     * Gera uma onda do modo infinito: mais inimigos, tipos mais fortes e modificadores maiores a cada onda
+     * @param {number} number - Número da onda
+     * @returns {Object} - { delay, modifiers, groups }
+     */
+    generateWave(number) {
+        const endless = WAVE.ENDLESS;
+        const total = Math.min(WAVE.INITIAL_ENEMIES + WAVE.ENEMIES_INCREMENT * (number - 1), WAVE.MAX_WAVE_ENEMIES);
+        
+        // Peso de cada tipo já liberado nesta onda
+        const mix = endless.MIX
+            .filter(entry => number >= entry.FROM_WAVE)
+            .map(entry => ({
+                type: entry.TYPE,
+                weight: Math.max(0, Math.min(entry.MAX_WEIGHT, entry.WEIGHT + entry.PER_WAVE * (number - entry.FROM_WAVE)))
+            }))
+            .filter(entry => entry.weight > 0);
+        const totalWeight = mix.reduce((sum, entry) => sum + entry.weight, 0);
+        
+        // Divide os inimigos proporcionalmente aos pesos (as sobras vão para as maiores frações)
+        const shares = mix.map(entry => {
+            const exact = total * entry.weight / totalWeight;
+            return { type: entry.type, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+        });
+        let missing = total - shares.reduce((sum, share) => sum + share.count, 0);
+        [...shares].sort((a, b) => b.remainder - a.remainder).forEach(share => {
+            if (missing > 0) {
+                share.count++;
+                missing--;
+            }
+        });
+        
+        const interval = Math.max(WAVE.MIN_SPAWN_DELAY, WAVE.SPAWN_DELAY - WAVE.SPAWN_DELAY_DECREASE * (number - 1));
+        
+        return {
+            delay: WAVE.WAVE_DELAY,
+            modifiers: {
+                health: 1 + endless.HEALTH_PER_WAVE * (number - 1),
+                damage: 1 + endless.DAMAGE_PER_WAVE * (number - 1),
+                speed: Math.min(endless.MAX_SPEED_MULTIPLIER, 1 + endless.SPEED_PER_WAVE * (number - 1))
+            },
+            groups: shares
+                .filter(share => share.count > 0)
+                .map((share, i) => ({ type: share.type, count: share.count, delay: i * WAVE.GROUP_STAGGER, interval }))
+        };
+    }
+    
+    /**
+     * Transforma os grupos de uma onda em uma fila de spawns ordenada pelo tempo
+     * A dificuldade muda o tamanho dos grupos (exceto o do chefe) e acelera ou atrasa os tempos
+     * @param {Array<Object>} groups - Grupos { type, count, delay, interval, spawnPoints }
+     * @returns {Array<Object>} - Spawns { time, type, spawnPoint } (spawnPoint null = ponto aleatório)
+     */
+    buildSpawnQueue(groups) {
+        const queue = [];
+        const waveSize = this.difficulty ? this.difficulty.waveSize : 1;
+        const spawnRate = this.difficulty ? this.difficulty.spawnRate : 1;
+        
+        groups.forEach(group => {
+            const delay = (group.delay || 0) / spawnRate;
+            const interval = (group.interval !== undefined ? group.interval : WAVE.SPAWN_DELAY) / spawnRate;
+            const count = group.type === 'boss' ? group.count : Math.max(1, Math.round(group.count * waveSize));
             
-            this.spawnTimers.push(timer);
+            for (let i = 0; i < count; i++) {
+                queue.push({
+                    time: delay + i * interval,
+                    type: group.type,
+                    spawnPoint: group.spawnPoints ? group.spawnPoints[i % group.spawnPoints.length] : null
+                });
+            }
+        });
+        
+        return queue.sort((a, b) => a.time - b.time);
+    }
+    
+    /**
+     * Avança o relógio da onda, cria os inimigos cujo tempo chegou e encerra a onda
+     * quando todos foram criados e eliminados
+     * @param {number} deltaTime - Tempo desde o último frame
+     */
+    updateWave(deltaTime) {
+        const wave = this.wave;
+        wave.clock += deltaTime;
+        
+        // Com o limite de inimigos ativos atingido, o próximo spawn (e os seguintes) espera
+        while (wave.queue.length > 0 && wave.queue[0].time <= wave.clock &&
+            this.enemies.length < WAVE.MAX_ACTIVE_ENEMIES) {
+            this.spawnWaveEnemy(wave.queue.shift(), wave.number);
+        }
+        
+        if (wave.queue.length === 0 &&
+            !this.enemies.some(enemy => enemy.waveNumber === wave.number && enemy.state !== 'dead')) {
+            this.completeWave();
+        }
+    }
+    
+    /**
+     * Cria um inimigo da fila de spawns da onda
+     * @param {Object} spawn - { type, spawnPoint }
+     * @param {number} waveNumber - Onda à qual o inimigo pertence
+     */
+    spawnWaveEnemy(spawn, waveNumber) {
+        const point = this.spawnPoints[spawn.spawnPoint];
+        if (spawn.spawnPoint !== null && !point) {
+            console.warn(`Onda ${waveNumber}: a fase não tem o ponto de spawn ${spawn.spawnPoint}, usando um aleatório`);
+        }
+        
+        let position;
+        if (point) {
+            position = point.clone();
+            position.x += this.random.range(-2.5, 2.5);
+            position.z += this.random.range(-2.5, 2.5);
+        } else {
+            position = this.getRandomSpawnPoint();
+        }
+        
+        const enemy = spawn.type === 'boss' ? this.spawnBoss(position) : this.spawnEnemy(spawn.type, position);
+        
+        if (enemy) {
+            enemy.waveNumber = waveNumber;
         }
     }
     
@@ -253,40 +597,44 @@ export class EnemyManager {
         // Posição padrão se não for especificada
         const bossPosition = position || new THREE.Vector3(0, 0, -20);
         
-        // Cria o chefe com mais saúde e dano
-        const boss = new Enemy(bossPosition, 'boss');
-        boss.health = 500;
-        boss.maxHealth = 500;
-        boss.damage = 30;
-        boss.speed = 2;
-        boss.detectionRange = 50;
-        boss.attackRange = 30;
+        // Cria o chefe (atributos e fases em BOSS, no config.js)
+        const boss = new Boss(bossPosition, this.random);
+        this.applyDifficulty(boss);
         
         // Adiciona o chefe à cena
         boss.setScene(this.scene);
+        boss.setEnemyManager(this);
+        this.attachToWorld(boss);
         this.enemies.push(boss);
+        this.updateEnemyCell(boss);
         
-        // Mensagem ao jogador
-        if (window.game && window.game.uiManager) {
-            window.game.uiManager.showMessage(
-                "ALERTA: Comandante inimigo detectado!",
-                5000,
-                'warning'
-            );
-        }
+        // Alerta na interface
+        this.emit(GAME_EVENTS.BOSS_SPAWNED, { boss });
         
         console.log("Chefe criado na posição:", bossPosition);
         return boss;
     }
     
+    /**
+     * Chefe vivo no jogo, se houver
+     * @returns {Boss|null}
+     */
+    getBoss() {
+        return this.enemies.find(enemy => enemy.type === 'boss' && enemy.state !== 'dead') || null;
+    }
+    
     /**
      * Finaliza a onda atual e prepara a próxima
      */
     completeWave() {
-        this.isWaveActive = false;
-        this.waveTimer = WAVE.WAVE_DELAY;
+        const { number, delay } = this.wave;
+        
+        this.wave = null;
+        this.waveTimer = delay;
         
-        console.log(`Onda ${this.currentWave} concluída. Próxima onda em ${WAVE.WAVE_DELAY} segundos.`);
+        console.log(`Onda ${number} concluída. Próxima onda em ${delay} segundos.`);
+        
+        this.emit(GAME_EVENTS.WAVE_COMPLETED, { number, delay });
     }
     
     /**
@@ -297,7 +645,7 @@ export class EnemyManager {
      */
     spawnEnemy(type = 'basic', position = null) {
         // Limita o número total de inimigos para melhorar desempenho
-        if (this.enemies.length >= 10) {
+        if (this.enemies.length >= WAVE.MAX_ACTIVE_ENEMIES) {
             console.log("Limite de inimigos atingido, não spawnou novo inimigo");
             return null;
         }
@@ -305,24 +653,24 @@ export class EnemyManager {
         // Escolhe o tipo de inimigo baseado na onda atual, se não especificado
         if (!type || type === 'random') {
             // Mais variação de tipos em ondas mais altas
-            const wave = this.gameState ? this.gameState.wave : 1;
+            const wave = this.gameState ? this.gameState.currentWave : 1;
             
             if (wave <= 1) {
                 // Onda 1: apenas básicos
                 type = 'basic';
             } else if (wave <= 3) {
                 // Onda 2-3: básicos e alguns médios
-                const rand = Math.random();
+                const rand = this.random.next();
                 type = rand < 0.7 ? 'basic' : 'medium';
             } else if (wave <= 5) {
                 // Onda 4-5: básicos, médios e alguns pesados
-                const rand = Math.random();
+                const rand = this.random.next();
                 if (rand < 0.5) type = 'basic';
                 else if (rand < 0.8) type = 'medium';
                 else type = 'heavy';
             } else {
                 // Onda 6+: mistura de todos os tipos
-                const rand = Math.random();
+                const rand = this.random.next();
                 if (rand < 0.3) type = 'basic';
                 else if (rand < 0.6) type = 'medium';
                 else type = 'heavy';
@@ -344,10 +692,10 @@ export class EnemyManager {
             
             while (!validPosition && attempts < maxAttempts) {
                 // Ângulo aleatório
-                const angle = Math.random() * Math.PI * 2;
+                const angle = this.random.range(0, Math.PI * 2);
                 
                 // Distância entre mínima e máxima
-                const distance = minDistance + Math.random() * (maxDistance - minDistance);
+                const distance = this.random.range(minDistance, maxDistance);
                 
                 // Cálculo de posição
                 enemyPosition = new THREE.Vector3(
@@ -357,13 +705,7 @@ export class EnemyManager {
                 );
                 
                 // Verifica se a posição está longe o suficiente de outros inimigos
-                validPosition = true;
-                for (const enemy of this.enemies) {
-                    if (enemy.position.distanceTo(enemyPosition) < 5) {
-                        validPosition = false;
-                        break;
-                    }
-                }
+                validPosition = this.getEnemiesNear(enemyPosition, 5).length === 0;
                 
                 attempts++;
             }
@@ -376,24 +718,33 @@ export class EnemyManager {
         
         // Cria o inimigo com uma altura de 0.5 unidades acima do chão
         enemyPosition.y = 0.5;
-        const enemy = new Enemy(enemyPosition, type);
-        
-        // Configura o inimigo de acordo com seu tipo e onda atual
-        const wave = this.gameState ? this.gameState.wave : 1;
-        const waveMultiplier = 1 + (wave - 1) * 0.1; // +10% de stats por onda
+        const enemy = new Enemy(enemyPosition, type, this.random);
         
-        // Aumenta as estatísticas do inimigo de acordo com a onda
-        enemy.health *= waveMultiplier;
+        // Aplica os modificadores da onda atual
+        const modifiers = this.waveModifiers;
+        enemy.health *= modifiers.health;
         enemy.maxHealth = enemy.health;
-        enemy.damage *= waveMultiplier;
+        enemy.damage *= modifiers.damage;
+        enemy.speed *= modifiers.speed;
+        this.applyDifficulty(enemy);
         
         // Adiciona o inimigo à cena
         enemy.setScene(this.scene);
+        this.attachToWorld(enemy);
         this.enemies.push(enemy);
+        this.updateEnemyCell(enemy);
         
         return enemy;
     }
     
+    /**
+     * Substitui os pontos de spawn (definidos no arquivo da fase)
+     * @param {Array} points - Lista de posições {x, y, z}
+     */
+    setSpawnPoints(points) {
+        this.spawnPoints = points.map(point => new THREE.Vector3(point.x, point.y || 0, point.z));
+    }
+    
     /**
      * Seleciona um ponto de spawn aleatório longe do jogador
      * @returns {THREE.Vector3} - Posição para o spawn
@@ -409,11 +760,11 @@ export class EnemyManager {
         const points = validPoints.length > 0 ? validPoints : this.spawnPoints;
         
         // Seleciona um ponto aleatório
-        const point = points[Math.floor(Math.random() * points.length)].clone();
+        const point = this.random.pick(points).clone();
         
         // Adiciona uma pequena variação para evitar que inimigos spawnem exatamente no mesmo lugar
-        point.x += (Math.random() - 0.5) * 5;
-        point.z += (Math.random() - 0.5) * 5;
+        point.x += this.random.range(-2.5, 2.5);
+        point.z += this.random.range(-2.5, 2.5);
         
         return point;
     }
@@ -433,10 +784,12 @@ export class EnemyManager {
         
         // Limpa a lista de inimigos
         this.enemies = [];
+        this.enemyGrid.clear();
         
-        // Remove todos os timers de spawn
-        this.spawnTimers.forEach(clearTimeout);
-        this.spawnTimers = [];
+        // Cancela a onda em andamento (a próxima começa com startNextWave)
+        this.wave = null;
+        this.waveTimer = 0;
+        this.waveModifiers = { health: 1, damage: 1, speed: 1 };
     }
     
     /**
@@ -457,54 +810,250 @@ export class EnemyManager {
             // Pula projéteis que já colidiram
             if (projectile.hasCollided) continue;
             
-            // Verifica colisão com cada inimigo
-            for (let j = 0; j < this.enemies.length; j++) {
-                const enemy = this.enemies[j];
-                
+            // Inimigo mais próximo cruzado pelo trecho percorrido neste frame
+            let target = null;
+            let targetDistance = Infinity;
+            
+            const from = projectile.previousPosition;
+            const to = projectile.position;
+            const margin = projectile.radius;
+            const candidates = this.enemyGrid.queryBox(
+                Math.min(from.x, to.x) - margin, Math.min(from.z, to.z) - margin,
+                Math.max(from.x, to.x) + margin, Math.max(from.z, to.z) + margin
+            );
+            
+            for (const enemy of candidates) {
                 // Pula inimigos mortos
                 if (enemy.health <= 0 || enemy.state === 'dead') continue;
                 
-                // Verifica a distância entre o projétil e o inimigo (verificação rápida)
-                const distance = projectile.position.distanceTo(enemy.position);
+                const distance = projectile.sweepBox(enemy.boundingBox);
+                if (distance >= 0 && distance < targetDistance) {
+                    target = enemy;
+                    targetDistance = distance;
+                }
+            }
+            
+            if (target) {
+                projectile.moveToImpact(targetDistance);
+                projectile.onCollision();
                 
-                // Distância para considerar uma colisão
-                const collisionDistance = enemy.type === 'basic' ? 5.0 : 4.0;
+                // Causa dano ao inimigo (multiplicado se acertou um ponto fraco)
+                const wasFatal = target.takeDamage(projectile.damage * target.getDamageMultiplier(projectile));
+                if (wasFatal) {
+                    this.reportKill(target);
+                }
                 
-                // Se estiver próximo, faz uma verificação mais precisa
-                if (distance < collisionDistance) {
-                    console.log(`Projétil próximo a ${enemy.type}. Distância: ${distance.toFixed(2)}`);
-                    
-                    // Verifica colisão detalhada
-                    if (projectile.checkCollision(enemy)) {
-                        console.log(`Colisão confirmada com ${enemy.type}! Dano: ${projectile.damage}`);
-                        
-                        // Causa dano ao inimigo
-                        const wasFatal = enemy.takeDamage(projectile.damage);
-                        if (wasFatal) {
-                            console.log(`Inimigo ${enemy.type} foi eliminado!`);
-                        }
-                        
-                        // Adiciona à lista de inimigos atingidos
-                        hitEnemies.push(enemy);
-                        
-                        // Não precisa verificar mais inimigos para este projétil
-                        break;
-                    }
+                // Adiciona à lista de inimigos atingidos
+                if (!hitEnemies.includes(target)) {
+                    hitEnemies.push(target);
                 }
+                
+                // Foguetes também causam dano em área ao redor do alvo
+                if (projectile.type === 'rocket') {
+                    this.explode(projectile, target, hitEnemies);
+                }
+            } else if (projectile.type === 'rocket' && projectile.blocked) {
+                // Foguetes que atingem uma parede ou o chão explodem no ponto de impacto
+                projectile.onCollision();
+                this.explode(projectile, null, hitEnemies);
             }
         }
         
         return hitEnemies;
     }
     
+    /**
+     * Resolve os tiros instantâneos do jogador contra as zonas de acerto dos inimigos
+     * O raio para no primeiro obstáculo ou no chão. O dano cai linearmente de falloffStart até o
+     * alcance da arma (restando WEAPON.MIN_FALLOFF) e é multiplicado pela zona atingida
+     * (WEAPON.HIT_ZONES) e pelos pontos fracos do inimigo
+     * @param {Array<Object>} shots - Tiros { origin, direction, muzzle, damage, range, falloffStart }
+     * @returns {Array<Object>} - Acertos { enemy, zone, damage, fatal }
+     */
+    checkHitscanShots(shots) {
+        const hits = [];
+        
+        shots.forEach(shot => {
+            let maxDistance = shot.range;
+            if (this.collisionWorld) {
+                maxDistance = this.collisionWorld.raycast(shot.origin, shot.direction, maxDistance);
+            }
+            if (shot.direction.y < 0) {
+                maxDistance = Math.min(maxDistance, -shot.origin.y / shot.direction.y);
+            }
+            
+            const hit = this.raycastEnemies(shot.origin, shot.direction, maxDistance);
+            const end = shot.origin.clone().addScaledVector(shot.direction, hit ? hit.distance : maxDistance);
+            this.createTracerEffect(shot.muzzle, end);
+            
+            if (!hit) return;
+            
+            const { enemy, zone, distance } = hit;
+            const falloffRange = Math.max(1e-6, shot.range - shot.falloffStart);
+            const falloffProgress = Math.min(1, Math.max(0, (distance - shot.falloffStart) / falloffRange));
+            const falloff = 1 - (1 - WEAPON.MIN_FALLOFF) * falloffProgress;
+            
+            const damage = shot.damage * falloff * WEAPON.HIT_ZONES[zone.toUpperCase()] *
+                enemy.getDamageMultiplier({ position: shot.origin, direction: shot.direction });
+            const fatal = enemy.takeDamage(damage);
+            if (fatal) {
+                this.reportKill(enemy);
+            }
+            
+            hits.push({ enemy, zone, damage, fatal });
+        });
+        
+        return hits;
+    }
+    
+    /**
+     * Encontra a primeira zona de acerto de um inimigo vivo atravessada por um raio
+     * @param {THREE.Vector3} origin - Início do raio
+     * @param {THREE.Vector3} direction - Direção normalizada
+     * @param {number} maxDistance - Alcance (até o primeiro obstáculo)
+     * @returns {Object|null} - { enemy, zone, distance, point } ou null
+     */
+    raycastEnemies(origin, direction, maxDistance) {
+        const meshes = [];
+        const owners = new Map();
+        const end = origin.clone().addScaledVector(direction, maxDistance);
+        
+        this.enemyGrid.querySegment(origin, end).forEach(enemy => {
+            if (enemy.health <= 0 || enemy.state === 'dead' || !enemy.hitZones) return;
+            
+            // A matriz de mundo só é atualizada na renderização; o inimigo pode ter se movido desde então
+            enemy.mesh.updateMatrixWorld(true);
+            
+            enemy.hitZones.forEach(({ mesh, zone }) => {
+                meshes.push(mesh);
+                owners.set(mesh, { enemy, zone });
+            });
+        });
+        
+        this.raycaster.set(origin, direction);
+        this.raycaster.far = maxDistance;
+        
+        const [first] = this.raycaster.intersectObjects(meshes, false);
+        if (!first) return null;
+        
+        return { ...owners.get(first.object), distance: first.distance, point: first.point };
+    }
+    
+    /**
+     * Desenha o rastro de um tiro instantâneo, que some após WEAPON.TRACER_TIME
+     * @param {THREE.Vector3} from - Ponta da arma
+     * @param {THREE.Vector3} to - Ponto de impacto ou fim do alcance
+     */
+    createTracerEffect(from, to) {
+        if (!this.scene) return;
+        
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([from, to]),
+            new THREE.LineBasicMaterial({ color: 0xffee88, transparent: true, opacity: 0.8 })
+        );
+        this.scene.add(line);
+        
+        const duration = WEAPON.TRACER_TIME * 1000;
+        const startTime = performance.now();
+        
+        const animate = () => {
+            const progress = Math.min(1, (performance.now() - startTime) / duration);
+            line.material.opacity = 0.8 * (1 - progress);
+            
+            if (progress < 1) {
+                requestFrame(animate);
+            } else {
+                this.scene.remove(line);
+                line.geometry.dispose();
+                line.material.dispose();
+            }
+        };
+        
+        requestFrame(animate);
+    }
+    
+    /**
+     * Explode um foguete, causando dano em área aos inimigos próximos
+     * O dano cai linearmente do centro (splashDamage) até a borda (splashRadius)
+     * @param {Bullet} projectile - Foguete que explodiu
+     * @param {Enemy|null} directHit - Inimigo atingido diretamente (não recebe dano em área)
+     * @param {Array} hitEnemies - Lista de inimigos atingidos, completada no lugar
+     */
+    explode(projectile, directHit, hitEnemies) {
+        const center = projectile.position;
+        const radius = projectile.splashRadius;
+        
+        this.getEnemiesNear(center, radius).forEach(enemy => {
+            if (enemy === directHit || enemy.health <= 0 || enemy.state === 'dead') return;
+            
+            const distance = center.distanceTo(enemy.position);
+            if (distance > radius) return;
+            
+            const damage = Math.round(projectile.splashDamage * (1 - distance / radius));
+            if (damage <= 0) return;
+            
+            if (enemy.takeDamage(damage)) {
+                this.reportKill(enemy);
+            }
+            
+            if (!hitEnemies.includes(enemy)) {
+                hitEnemies.push(enemy);
+            }
+        });
+        
+        console.log(`Explosão em (${center.x.toFixed(1)}, ${center.y.toFixed(1)}, ${center.z.toFixed(1)})`);
+        
+        this.createExplosionEffect(center, radius);
+        
+        this.emit(GAME_EVENTS.EXPLOSION, { position: center.clone(), radius });
+    }
+    
+    /**
+     * Cria uma esfera luminosa que se expande e some no ponto da explosão
+     * @param {THREE.Vector3} position - Centro da explosão
+     * @param {number} radius - Raio final da esfera
+     */
+    createExplosionEffect(position, radius) {
+        if (!this.scene) return;
+        
+        const sphere = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 16, 12),
+            new THREE.MeshBasicMaterial({ color: 0xff8822, transparent: true, opacity: 0.8 })
+        );
+        sphere.position.copy(position);
+        sphere.scale.setScalar(0.1);
+        this.scene.add(sphere);
+        
+        const duration = 400;
+        const startTime = performance.now();
+        
+        const animate = () => {
+            const progress = Math.min(1, (performance.now() - startTime) / duration);
+            
+            sphere.scale.setScalar(0.1 + radius * progress);
+            sphere.material.opacity = 0.8 * (1 - progress);
+            
+            if (progress < 1) {
+                requestFrame(animate);
+            } else {
+                this.scene.remove(sphere);
+                sphere.geometry.dispose();
+                sphere.material.dispose();
+            }
+        };
+        
+        requestFrame(animate);
+    }
+    
     /**
      * Verifica colisões entre inimigos e o jogador
      * @returns {Array} - Inimigos que estão colidindo com o jogador
      */
     checkPlayerCollisions() {
         const collisions = [];
+        const box = this.player.boundingBox;
         
-        this.enemies.forEach(enemy => {
+        this.enemyGrid.queryBox(box.min.x, box.min.z, box.max.x, box.max.z).forEach(enemy => {
             // Pula inimigos mortos
             if (enemy.state === 'dead') return;
             
@@ -527,16 +1076,19 @@ export class EnemyManager {
             console.log("Forçando spawn de sentinela na posição:", position);
             
             // Cria o inimigo do tipo basic (sentinela)
-            const enemy = new Enemy(position, 'basic');
+            const enemy = new Enemy(position, 'basic', this.random);
+            this.applyDifficulty(enemy);
             
             // Define a referência da cena para o inimigo
             if (this.scene) {
                 enemy.setScene(this.scene);
             }
+            this.attachToWorld(enemy);
             
             // Adiciona à cena e à lista
             this.scene.add(enemy.mesh);
             this.enemies.push(enemy);
+            this.updateEnemyCell(enemy);
             
             console.log("Sentinela criada com sucesso!");
             return enemy;
@@ -545,54 +1097,4 @@ export class EnemyManager {
             return null;
         }
     }
-    
-    /**
-     * Atualiza apenas uma porção dos inimigos para distribuir o processamento
-     * @param {number} deltaTime - Tempo desde o último frame em segundos
-     * @param {number} startPct - Percentual inicial de inimigos para atualizar (0-1)
-     * @param {number} endPct - Percentual final de inimigos para atualizar (0-1)
-     */
-    updatePartial(deltaTime, startPct = 0, endPct = 1) {
-        // Verifica condições de segurança
-        if (!this.enemies || this.enemies.length === 0) {
-            return;
-        }
-        
-        // Segurança: não tenta atualizar se o player não está disponível
-        if (!this.player) {
-            console.warn("EnemyManager: Tentativa de atualizar inimigos sem referência ao player");
-            return;
-        }
-        
-        const totalEnemies = this.enemies.length;
-        
-        // Garante que os índices estão dentro dos limites válidos
-        let startIdx = Math.floor(startPct * totalEnemies);
-        let endIdx = Math.floor(endPct * totalEnemies);
-        
-        // Segurança: validação de limites
-        startIdx = Math.max(0, Math.min(startIdx, totalEnemies - 1));
-        endIdx = Math.max(startIdx + 1, Math.min(endIdx, totalEnemies));
-        
-        // Atualiza apenas a porção especificada dos inimigos
-        for (let i = startIdx; i < endIdx; i++) {
-            const enemy = this.enemies[i];
-            if (enemy) {
-                try {
-                    // Passa o player como segundo parâmetro
-                    enemy.update(deltaTime, this.player);
-                } catch (error) {
-                    console.error(`Erro ao atualizar inimigo ${i}:`, error);
-                }
-            }
-        }
-        
-        // Verifica colisões apenas a cada X frames para otimizar
-        if (this.frameCounter === undefined) this.frameCounter = 0;
-        this.frameCounter++;
-        
-        if (this.frameCounter % 3 === 0) {
-            this.checkEnemyBulletCollisions();
-        }
-    }
-} 
\ No newline at end of file
+}
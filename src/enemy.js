@@ -3,21 +3,34 @@
  * Implementa o comportamento e IA dos inimigos usando uma máquina de estados finitos
  */
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.157.0/build/three.module.js';
-import { ENEMY } from './config.js';
+import { ENEMY, NAVIGATION, TACTICS } from './config.js';
 import { Bullet } from './bullet.js';
+import { Random } from './random.js';
+
+// Disparo de cada tipo: chance por ataque, imprecisão, limite de projéteis ativos (desempenho) e multiplicador de dano
+const PROJECTILES = {
+    basic: { chance: 0.05, accuracy: 0.05, maxBullets: 1, damageMultiplier: 1 },
+    medium: { chance: 0.03, accuracy: 0.1, maxBullets: 2, damageMultiplier: 1 },
+    heavy: { chance: 0.02, accuracy: 0.05, maxBullets: 2, damageMultiplier: 1.5 }, // Mais dano, menos frequente
+    boss: { chance: 0.1, accuracy: 0.05, maxBullets: 4, damageMultiplier: 1 }
+};
 
 export class Enemy {
     /**
      * Cria um novo inimigo
      * @param {THREE.Vector3} position - Posição inicial do inimigo
      * @param {string} type - Tipo do inimigo ('basic', 'medium', 'heavy')
+     * @param {Random} random - Gerador da simulação (o do EnemyManager, para partidas reproduzíveis)
      */
-    constructor(position, type = 'basic') {
+    constructor(position, type = 'basic', random = new Random()) {
         // Tipo de inimigo (basic, medium, heavy, boss)
         this.type = type;
         
+        // Sorteios de patrulha, cobertura e tiro
+        this.random = random;
+        
         // Identificação para debug e logs
-        this.id = Math.floor(Math.random() * 1000000);
+        this.id = Math.floor(this.random.next() * 1000000);
         
         // Flag para sentinelas - para facilitar verificações
         this.isSentinel = (type === 'basic');
@@ -37,15 +50,56 @@ export class Enemy {
         // Raio de detecção do jogador
         this.detectionRange = ENEMY.DETECTION_RADIUS[type.toUpperCase()] || ENEMY.DETECTION_RADIUS.BASIC;
         
-        // Projéteis disparados pelo inimigo
+        // Divide a imprecisão dos tiros (definido pela dificuldade)
+        this.accuracyMultiplier = 1;
+        
+        // Percepção: cone de visão, última posição conhecida do jogador e alerta aos aliados
+        this.viewAngle = THREE.MathUtils.degToRad(ENEMY.VIEW_ANGLE[type.toUpperCase()] || ENEMY.VIEW_ANGLE.BASIC);
+        this.canSeePlayer = false;
+        this.lastKnownPosition = new THREE.Vector3();
+        this.perceptionTimer = this.random.next() * ENEMY.PERCEPTION.INTERVAL; // Espalha os raycasts entre os frames
+        this.lostSightTimer = 0;
+        this.searchTimer = 0;
+        this.alertCooldown = 0;
+        this.pendingAlert = false; // Lido e limpo pelo EnemyManager, que avisa os aliados próximos
+        
+        // Projéteis disparados pelo inimigo (os mais antigos são descartados acima do limite)
         this.bullets = [];
+        this.maxActiveBullets = 3;
         
-        // Estado do inimigo (idle, chasing, attacking, dead)
+        // Estado do inimigo (idle, chasing, attacking, searching, dead)
         this.state = 'idle';
         
+        // Onda que criou o inimigo (definida pelo EnemyManager; null para inimigos de missões)
+        this.waveNumber = null;
+        
         // Referência para a cena (será definida pelo EnemyManager)
         this.scene = null;
         
+        // Grade usada para contornar obstáculos e geometria que bloqueia a visão (definidas pelo EnemyManager)
+        this.navigationGrid = null;
+        this.collisionWorld = null;
+        this.coverSystem = null;
+        
+        // Tática dos inimigos de longo alcance: papel no esquadrão, cobertura e fase (moving, hiding, peeking)
+        this.usesCover = TACTICS.COVER_TYPES.includes(type);
+        this.tactic = {
+            role: 'suppress',
+            flankDirection: null,
+            cover: null,
+            phase: 'moving',
+            timer: 0,
+            checkTimer: 0,
+            peekPosition: null
+        };
+        this.tacticalTarget = new THREE.Vector3();
+        
+        // Caminho atual: pontos de passagem até o alvo e alvo usado para calculá-lo
+        this.path = [];
+        this.pathGoal = new THREE.Vector3();
+        this.repathTimer = 0;
+        this.pathUnreachable = false; // Último cálculo não achou caminho: fica parado até o próximo
+        
         // Cria a representação visual do inimigo
         this.mesh = this.createMesh();
         
@@ -114,6 +168,23 @@ export class Enemy {
         this.mesh.castShadow = true;
         this.mesh.receiveShadow = true;
         
+        // Cabeça sobre o corpo (zona de acerto com dano extra)
+        const bodySize = geometry.parameters.height;
+        this.headSize = bodySize * 0.35;
+        this.head = new THREE.Mesh(
+            new THREE.BoxGeometry(this.headSize, this.headSize, this.headSize),
+            new THREE.MeshPhongMaterial({ color: material.color.clone().multiplyScalar(0.6), emissive: 0x332200 })
+        );
+        this.head.position.y = (bodySize + this.headSize) / 2;
+        this.head.castShadow = true;
+        this.mesh.add(this.head);
+        
+        // Partes testadas pelos tiros instantâneos (zona = chave de WEAPON.HIT_ZONES)
+        this.hitZones = [
+            { mesh: this.mesh, zone: 'body' },
+            { mesh: this.head, zone: 'head' }
+        ];
+        
         // Adiciona a barra de saúde acima do inimigo
         this.createHealthBar();
         
@@ -124,10 +195,10 @@ export class Enemy {
      * Cria uma barra de saúde acima do inimigo
      */
     createHealthBar() {
-        // Altura adicional dependendo do tipo de inimigo
-        const heightOffset = this.type === 'boss' ? 2.0 : 
+        // Altura adicional dependendo do tipo de inimigo (acima da cabeça)
+        const heightOffset = (this.type === 'boss' ? 2.0 : 
                              this.type === 'heavy' ? 1.2 : 
-                             this.type === 'medium' ? 1.0 : 0.8;
+                             this.type === 'medium' ? 1.0 : 0.8) + this.headSize;
         
         // Cria um container para a barra de saúde
         this.healthBarContainer = new THREE.Mesh(
@@ -162,6 +233,60 @@ export class Enemy {
         this.scene = scene;
     }
     
+    /**
+     * Define a grade de navegação usada para calcular caminhos
+     * @param {NavigationGrid} navigationGrid - Grade do SceneManager
+     */
+    setNavigationGrid(navigationGrid) {
+        this.navigationGrid = navigationGrid;
+        this.path = [];
+        this.pathUnreachable = false;
+    }
+    
+    /**
+     * Define a geometria usada nos testes de linha de visão
+     * @param {CollisionWorld} collisionWorld - Mundo de colisão do SceneManager
+     */
+    setCollisionWorld(collisionWorld) {
+        this.collisionWorld = collisionWorld;
+    }
+    
+    /**
+     * Define os pontos de cobertura usados pelos tipos de longo alcance
+     * @param {CoverSystem} coverSystem - Pontos de cobertura do SceneManager
+     */
+    setCoverSystem(coverSystem) {
+        this.coverSystem = coverSystem;
+    }
+    
+    /**
+     * Define o papel no esquadrão (distribuído pelo EnemyManager)
+     * Um inimigo recuando mantém o recuo até morrer
+     * @param {string} role - 'suppress', 'flank' ou 'retreat'
+     * @param {THREE.Vector3|null} flankDirection - Direção preferida, a partir do jogador, para flanquear
+     */
+    setTacticalRole(role, flankDirection = null) {
+        const tactic = this.tactic;
+        if (tactic.role === 'retreat') return;
+        
+        tactic.flankDirection = flankDirection;
+        if (tactic.role !== role) {
+            tactic.role = role;
+            this.leaveCover();
+        }
+    }
+    
+    /**
+     * Libera a cobertura atual; a próxima será escolhida na próxima atualização tática
+     */
+    leaveCover() {
+        if (this.coverSystem) {
+            this.coverSystem.release(this);
+        }
+        this.tactic.cover = null;
+        this.tactic.phase = 'moving';
+    }
+    
     /**
      * Atualiza o estado e comportamento do inimigo
      * @param {number} deltaTime - Tempo desde o último frame em segundos
@@ -177,6 +302,11 @@ export class Enemy {
             this.stateTimer -= deltaTime;
         }
         
+        // Visão do jogador (pode mudar o estado antes da máquina de estados)
+        if (this.state !== 'dead') {
+            this.updatePerception(deltaTime, player);
+        }
+        
         // Máquina de estados
         switch (this.state) {
             case 'idle':
@@ -191,6 +321,10 @@ export class Enemy {
                 this.updateAttackingState(deltaTime, player);
                 break;
                 
+            case 'searching':
+                this.updateSearchingState(deltaTime);
+                break;
+                
             case 'dead':
                 this.updateDeadState(deltaTime);
                 break;
@@ -218,9 +352,9 @@ export class Enemy {
         }
         
         // Limita o número de projéteis por inimigo
-        if (this.bullets.length > 3) {
+        if (this.bullets.length > this.maxActiveBullets) {
             // Remove os mais antigos e recicla
-            const toRemove = this.bullets.length - 3;
+            const toRemove = this.bullets.length - this.maxActiveBullets;
             for (let i = 0; i < toRemove; i++) {
                 const bullet = this.bullets[i];
                 if (bullet && bullet.addedToScene && this.scene) {
@@ -270,34 +404,44 @@ export class Enemy {
      * @param {Object} player - Referência ao jogador
      */
     updateIdleState(deltaTime, player) {
-        // Verifica se detectou o jogador
-        const distanceToPlayer = this.position.distanceTo(player.position);
-        
-        if (distanceToPlayer < this.detectionRange) {
-            // Detectou o jogador, começa a perseguir
-            this.state = 'chasing';
-            return;
-        }
+        // A detecção do jogador é feita em updatePerception
         
         // Comportamento de movimentação lenta ou patrulha
         if (this.stateTimer <= 0) {
             // Escolhe um novo ponto aleatório próximo para "patrulhar"
-            const randomOffset = new THREE.Vector3(
-                (Math.random() - 0.5) * 10,
-                0,
-                (Math.random() - 0.5) * 10
-            );
+            // Algumas tentativas para não escolher um ponto dentro de um obstáculo ou fora do mapa
+            const grid = this.navigationGrid;
+            let found = false;
+            for (let attempt = 0; attempt < 5; attempt++) {
+                const randomOffset = new THREE.Vector3(
+                    this.random.range(-5, 5),
+                    0,
+                    this.random.range(-5, 5)
+                );
+                
+                this.targetPosition.copy(this.position).add(randomOffset);
+                if (!grid || grid.isWalkable(this.targetPosition)) {
+                    found = true;
+                    break;
+                }
+            }
             
-            this.targetPosition.copy(this.position).add(randomOffset);
-            this.stateTimer = 3 + Math.random() * 2; // 3-5 segundos até mudar de direção
+            // Nenhum ponto livre por perto: vai para a célula livre mais próxima, ou fica parado
+            if (!found) {
+                const { column, row } = grid.toCell(this.position.x, this.position.z);
+                const index = grid.findNearestWalkable(column, row);
+                this.targetPosition.copy(index === -1 ? this.position : grid.cellCenter(index, this.position.y));
+            }
+            
+            this.repathTimer = 0;
+            this.stateTimer = this.random.range(3, 5); // 3-5 segundos até mudar de direção
         }
         
         // Move em direção ao ponto alvo com velocidade reduzida
-        this.direction.subVectors(this.targetPosition, this.position).normalize();
-        this.velocity.copy(this.direction).multiplyScalar(this.speed * 0.3 * deltaTime);
-        
-        // Atualiza a posição
-        this.position.add(this.velocity);
+        if (!this.moveTowards(this.targetPosition, this.speed * 0.3, deltaTime)) {
+            // Ponto inalcançável: escolhe outro no próximo frame
+            this.stateTimer = 0;
+        }
         
         // Faz o inimigo olhar na direção do movimento
         if (this.velocity.length() > 0.01) {
@@ -311,32 +455,87 @@ export class Enemy {
      * @param {Object} player - Referência ao jogador
      */
     updateChasingState(deltaTime, player) {
-        // Calcula a distância até o jogador
-        const distanceToPlayer = this.position.distanceTo(player.position);
-        
-        // Se o jogador estiver fora do alcance de detecção, volta a ficar idle
-        if (distanceToPlayer > this.detectionRange * 1.5) {
-            this.state = 'idle';
-            this.stateTimer = 1;
+        // Perdeu o jogador de vista por tempo demais: vai procurá-lo onde foi visto por último
+        if (!this.canSeePlayer && this.lostSightTimer >= ENEMY.PERCEPTION.LOSE_SIGHT_TIME) {
+            this.state = 'searching';
+            this.searchTimer = ENEMY.PERCEPTION.SEARCH_TIME;
             return;
         }
         
-        // Se estiver dentro do alcance de ataque, muda para o estado de ataque
-        if (distanceToPlayer <= this.attackRange) {
+        // Se estiver dentro do alcance de ataque e vendo o jogador, muda para o estado de ataque
+        if (this.canSeePlayer && this.position.distanceTo(player.position) <= this.attackRange) {
             this.state = 'attacking';
             this.attackTimer = 0; // Permite atacar imediatamente
             return;
         }
         
-        // Persegue o jogador
-        this.direction.subVectors(player.position, this.position).normalize();
-        this.velocity.copy(this.direction).multiplyScalar(this.speed * deltaTime);
+        // Persegue o jogador (ou a última posição em que foi visto), contornando obstáculos
+        const target = this.canSeePlayer ? player.position : this.lastKnownPosition;
+        this.moveTowards(target, this.speed, deltaTime);
         
-        // Atualiza a posição
+        // Olha para o alvo em linha reta, ou para o próximo ponto do caminho
+        if (this.path.length === 0) {
+            this.mesh.lookAt(target);
+        } else if (this.velocity.length() > 0.001) {
+            this.mesh.lookAt(this.mesh.position.clone().add(this.direction));
+        }
+    }
+    
+    /**
+     * Move o inimigo em direção a um alvo
+     * Vai em linha reta se nada estiver no caminho; caso contrário segue um caminho da
+     * grade de navegação, recalculado a cada NAVIGATION.REPATH_INTERVAL ou quando o alvo se afasta
+     * @param {THREE.Vector3} target - Posição alvo
+     * @param {number} speed - Velocidade em unidades por segundo
+     * @param {number} deltaTime - Tempo desde o último frame
+     * @returns {boolean} - Falso se não existe caminho até o alvo
+     */
+    moveTowards(target, speed, deltaTime) {
+        const grid = this.navigationGrid;
+        let waypoint = target;
+        
+        if (grid) {
+            this.repathTimer -= deltaTime;
+            
+            // A escolha entre linha reta e caminho só muda no recálculo, para não alternar a cada frame
+            if (this.repathTimer <= 0 || this.pathGoal.distanceTo(target) > NAVIGATION.REPATH_DISTANCE) {
+                this.repathTimer = NAVIGATION.REPATH_INTERVAL;
+                this.pathGoal.copy(target);
+                this.path = grid.hasLineOfSight(this.position, target) ? [] : grid.findPath(this.position, target);
+                this.pathUnreachable = !this.path;
+                
+                if (!this.path) {
+                    this.path = [];
+                }
+            }
+            
+            // Sem caminho no último cálculo: não anda em linha reta até o alvo
+            if (this.pathUnreachable) {
+                this.velocity.set(0, 0, 0);
+                return false;
+            }
+            
+            // Descarta os pontos já alcançados (distância no plano XZ)
+            while (this.path.length > 1 &&
+                   Math.hypot(this.path[0].x - this.position.x, this.path[0].z - this.position.z) < NAVIGATION.WAYPOINT_RADIUS) {
+                this.path.shift();
+            }
+            
+            if (this.path.length > 0) {
+                waypoint = this.path[0];
+            }
+        }
+        
+        this.direction.subVectors(waypoint, this.position).normalize();
+        this.velocity.copy(this.direction).multiplyScalar(speed * deltaTime);
+        
+        // Atualiza a posição, sem sair da área da grade
         this.position.add(this.velocity);
+        if (grid) {
+            grid.clampToGrid(this.position);
+        }
         
-        // Faz o inimigo olhar para o jogador
-        this.mesh.lookAt(player.position);
+        return true;
     }
     
     /**
@@ -345,11 +544,26 @@ export class Enemy {
      * @param {Object} player - Referência ao jogador
      */
     updateAttackingState(deltaTime, player) {
+        // Tipos de longo alcance lutam a partir de coberturas
+        if (this.usesCover && this.coverSystem) {
+            this.updateTacticalState(deltaTime, player);
+            return;
+        }
+        
+        this.updateStandingAttack(player);
+    }
+    
+    /**
+     * Ataque parado: encara o jogador e atira sempre que o intervalo permitir
+     * @param {Object} player - Referência ao jogador
+     */
+    updateStandingAttack(player) {
         // Calcula a distância até o jogador
         const distanceToPlayer = this.position.distanceTo(player.position);
         
-        // Se o jogador estiver fora do alcance de ataque, volta a perseguir
-        if (distanceToPlayer > this.attackRange * 1.2) {
+        // Se o jogador estiver fora do alcance de ataque ou escondido, volta a perseguir
+        if (distanceToPlayer > this.attackRange * 1.2 || !this.canSeePlayer) {
+            this.leaveCover();
             this.state = 'chasing';
             return;
         }
@@ -361,20 +575,262 @@ export class Enemy {
         if (this.attackTimer <= 0) {
             this.attack(player);
             this.attackTimer = this.attackCooldown;
+            this.flashAttack();
+        }
+    }
+    
+    /**
+     * Ataque tático: vai para uma cobertura escondida do jogador, espera, sai para o lado
+     * para atirar e volta. Supressores atiram com mais frequência, flanqueadores escolhem
+     * coberturas em outro ângulo e inimigos feridos recuam para longe
+     * @param {number} deltaTime - Tempo desde o último frame
+     * @param {Object} player - Referência ao jogador
+     */
+    updateTacticalState(deltaTime, player) {
+        const tactic = this.tactic;
+        
+        // Espiou e não viu o jogador por muito tempo (ou ele está longe demais): volta a persegui-lo
+        if ((tactic.phase === 'peeking' && this.lostSightTimer > TACTICS.LOSE_SIGHT_TIME) ||
+            this.position.distanceTo(this.lastKnownPosition) > this.attackRange * 1.5) {
+            this.leaveCover();
+            this.state = 'chasing';
+            return;
+        }
+        
+        // Vida baixa: recua para uma cobertura longe do jogador
+        if (tactic.role !== 'retreat' && this.health / this.maxHealth < TACTICS.RETREAT_HEALTH) {
+            this.setTacticalRole('retreat');
+        }
+        
+        // Escolhe uma cobertura, ou troca quando a atual deixou de esconder do jogador
+        tactic.checkTimer -= deltaTime;
+        if (!tactic.cover || (tactic.checkTimer <= 0 &&
+            !this.coverSystem.isHidden(tactic.cover.position, this.lastKnownPosition))) {
+            tactic.cover = this.coverSystem.findCover(this, this.lastKnownPosition, tactic.role, tactic.flankDirection);
             
-            // Efeito visual de ataque
-            const originalColor = this.mesh.material.color.clone();
-            this.mesh.material.color.set(0xffff00); // Flash amarelo ao atacar
-            
-            // Restaura a cor original após um breve momento
-            setTimeout(() => {
-                if (this.mesh && this.mesh.material) {
-                    this.mesh.material.color.copy(originalColor);
+            // Sem cobertura longe o bastante para recuar: qualquer cobertura escondida serve
+            if (!tactic.cover && tactic.role === 'retreat') {
+                tactic.cover = this.coverSystem.findCover(this, this.lastKnownPosition, 'suppress');
+            }
+            tactic.phase = 'moving';
+        }
+        if (tactic.checkTimer <= 0) {
+            tactic.checkTimer = TACTICS.COVER_CHECK_INTERVAL;
+        }
+        
+        // Nenhuma cobertura útil por perto: luta parado
+        if (!tactic.cover) {
+            this.updateStandingAttack(player);
+            return;
+        }
+        
+        switch (tactic.phase) {
+            case 'moving':
+                // Indo para a cobertura (ou voltando de uma espiada)
+                if (!this.moveToPoint(tactic.cover.position, deltaTime, tactic.role === 'retreat' ? 1.2 : 1)) {
+                    tactic.phase = 'hiding';
+                    tactic.timer = TACTICS.HIDE_TIME * this.random.range(0.5, 1.5) * (tactic.role === 'retreat' ? 1.5 : 1);
+                }
+                break;
+                
+            case 'hiding':
+                this.faceTowards(this.lastKnownPosition);
+                tactic.timer -= deltaTime;
+                
+                if (tactic.timer <= 0) {
+                    tactic.peekPosition = this.coverSystem.findPeekPosition(tactic.cover, this.lastKnownPosition);
+                    
+                    if (tactic.peekPosition) {
+                        tactic.phase = 'peeking';
+                        tactic.timer = TACTICS.PEEK_TIME;
+                    } else {
+                        // Não há como atirar daqui: sai da cobertura e se aproxima do jogador
+                        this.leaveCover();
+                        this.state = 'chasing';
+                    }
+                }
+                break;
+                
+            case 'peeking': {
+                // O tempo exposto só conta depois de chegar ao lado da cobertura
+                const isStepping = this.moveToPoint(tactic.peekPosition, deltaTime);
+                this.faceTowards(player.position);
+                
+                if (this.canSeePlayer && this.attackTimer <= 0) {
+                    this.fireProjectile(player.position);
+                    this.flashAttack();
+                    this.attackTimer = this.attackCooldown * (tactic.role === 'suppress' ? TACTICS.SUPPRESS_FIRE_RATE : 1);
+                }
+                
+                if (!isStepping) {
+                    tactic.timer -= deltaTime;
+                }
+                if (tactic.timer <= 0) {
+                    tactic.phase = 'moving';
                 }
-            }, 100);
+                break;
+            }
         }
     }
     
+    /**
+     * Anda até um ponto no chão mantendo a altura atual
+     * @param {THREE.Vector3} point - Destino
+     * @param {number} deltaTime - Tempo desde o último frame
+     * @param {number} speedMultiplier - Multiplicador da velocidade
+     * @returns {boolean} - Verdadeiro enquanto ainda está a caminho
+     */
+    moveToPoint(point, deltaTime, speedMultiplier = 1) {
+        if (Math.hypot(point.x - this.position.x, point.z - this.position.z) < NAVIGATION.WAYPOINT_RADIUS) {
+            return false;
+        }
+        
+        this.tacticalTarget.set(point.x, this.position.y, point.z);
+        if (!this.moveTowards(this.tacticalTarget, this.speed * speedMultiplier, deltaTime)) {
+            return false;
+        }
+        
+        if (this.velocity.length() > 0.001) {
+            this.mesh.lookAt(this.mesh.position.clone().add(this.direction));
+        }
+        return true;
+    }
+    
+    /**
+     * Gira o inimigo para uma posição sem inclinar (só no plano XZ)
+     * @param {THREE.Vector3} target - Posição a encarar
+     */
+    faceTowards(target) {
+        this.mesh.lookAt(target.x, this.mesh.position.y, target.z);
+    }
+    
+    /**
+     * Pisca o inimigo em amarelo ao atacar
+     */
+    flashAttack() {
+        const originalColor = this.mesh.material.color.clone();
+        this.mesh.material.color.set(0xffff00); // Flash amarelo ao atacar
+        
+        // Restaura a cor original após um breve momento
+        setTimeout(() => {
+            if (this.mesh && this.mesh.material) {
+                this.mesh.material.color.copy(originalColor);
+            }
+        }, 100);
+    }
+    
+    /**
+     * Atualiza o estado de busca: vai até a última posição conhecida do jogador e olha em volta
+     * @param {number} deltaTime - Tempo desde o último frame
+     */
+    updateSearchingState(deltaTime) {
+        const dx = this.lastKnownPosition.x - this.position.x;
+        const dz = this.lastKnownPosition.z - this.position.z;
+        
+        if (Math.sqrt(dx * dx + dz * dz) > ENEMY.PERCEPTION.CLOSE_RANGE * 0.5) {
+            if (this.moveTowards(this.lastKnownPosition, this.speed * ENEMY.PERCEPTION.SEARCH_SPEED, deltaTime)) {
+                if (this.velocity.length() > 0.001) {
+                    this.mesh.lookAt(this.mesh.position.clone().add(this.direction));
+                }
+                return;
+            }
+        }
+        
+        // Chegou (ou não há caminho): gira olhando em volta até desistir
+        this.mesh.rotation.y += deltaTime * 1.5;
+        this.searchTimer -= deltaTime;
+        
+        if (this.searchTimer <= 0) {
+            this.state = 'idle';
+            this.stateTimer = 0;
+        }
+    }
+    
+    /**
+     * Atualiza o que o inimigo sabe sobre o jogador
+     * A visão é verificada a cada ENEMY.PERCEPTION.INTERVAL segundos (o raycast é o custo principal)
+     * @param {number} deltaTime - Tempo desde o último frame
+     * @param {Object} player - Referência ao jogador
+     */
+    updatePerception(deltaTime, player) {
+        if (this.alertCooldown > 0) {
+            this.alertCooldown -= deltaTime;
+        }
+        
+        this.perceptionTimer -= deltaTime;
+        if (this.perceptionTimer <= 0) {
+            this.perceptionTimer = ENEMY.PERCEPTION.INTERVAL;
+            this.canSeePlayer = this.checkVisibility(player);
+        }
+        
+        if (!this.canSeePlayer) {
+            this.lostSightTimer += deltaTime;
+            return;
+        }
+        
+        this.lostSightTimer = 0;
+        this.lastKnownPosition.copy(player.position);
+        
+        // Acabou de avistar o jogador
+        if (this.state === 'idle' || this.state === 'searching') {
+            this.state = 'chasing';
+            this.path = [];
+            this.repathTimer = 0;
+            
+            if (this.alertCooldown <= 0) {
+                this.pendingAlert = true;
+                this.alertCooldown = ENEMY.PERCEPTION.ALERT_COOLDOWN;
+            }
+        }
+    }
+    
+    /**
+     * Verifica se o jogador está visível: dentro do alcance, do cone de visão e sem geometria no meio
+     * Inimigos que já perseguem o jogador o acompanham fora do cone e um pouco além do alcance
+     * @param {Object} player - Referência ao jogador
+     * @returns {boolean}
+     */
+    checkVisibility(player) {
+        const isAware = this.state === 'chasing' || this.state === 'attacking';
+        const range = isAware ? this.detectionRange * 1.5 : this.detectionRange;
+        
+        const toPlayer = new THREE.Vector3().subVectors(player.position, this.position);
+        const distance = toPlayer.length();
+        if (distance > range) return false;
+        
+        // Cone de visão (no plano XZ), ignorado a curta distância
+        if (!isAware && distance > ENEMY.PERCEPTION.CLOSE_RANGE) {
+            const facing = this.mesh.getWorldDirection(new THREE.Vector3());
+            facing.y = 0;
+            toPlayer.y = 0;
+            
+            if (facing.lengthSq() > 0 && toPlayer.lengthSq() > 0 &&
+                facing.angleTo(toPlayer) > this.viewAngle / 2) {
+                return false;
+            }
+        }
+        
+        return !this.collisionWorld || this.collisionWorld.hasLineOfSight(this.position, player.position);
+    }
+    
+    /**
+     * Vai investigar uma posição (ruído ouvido ou alerta de um aliado)
+     * Inimigos que já veem o jogador ignoram
+     * @param {THREE.Vector3} position - Posição a investigar
+     */
+    investigate(position) {
+        if (this.state === 'dead' || this.canSeePlayer) return;
+        
+        this.lastKnownPosition.copy(position);
+        this.repathTimer = 0;
+        
+        // Quem está perseguindo só atualiza o destino até perder o jogador de vez
+        if (this.state === 'chasing' || this.state === 'attacking') return;
+        
+        this.state = 'searching';
+        this.searchTimer = ENEMY.PERCEPTION.SEARCH_TIME;
+    }
+    
     /**
      * Atualiza o estado de morte
      * @param {number} deltaTime - Tempo desde o último frame
@@ -392,6 +848,8 @@ export class Enemy {
         if (this.mesh.material.opacity > 0) {
             this.mesh.material.opacity -= deltaTime / 2;
             this.mesh.material.transparent = true;
+            this.head.material.opacity = this.mesh.material.opacity;
+            this.head.material.transparent = true;
         }
         
         // Atualiza o timer de morte
@@ -400,175 +858,78 @@ export class Enemy {
     
     /**
      * Inimigo ataca o jogador
+     * Cada tipo tem uma chance de disparar quando o intervalo de ataque termina
      * @param {Object} player - Objeto do jogador
      */
     attack(player) {
-        // Diferentes tipos de ataques baseados no tipo de inimigo
-        switch (this.type) {
-            case 'boss':
-                // Ataque de projétil com mais frequência e dano
-                if (Math.random() < 0.1) { // 10% de chance a cada frame (reduzido para melhorar desempenho)
-                    // Limite de projéteis ativos para o chefe (para performance)
-                    if (!this.bullets || this.bullets.length < 4) {
-                        // Cria um projétil em direção ao jogador
-                        const direction = new THREE.Vector3()
-                            .subVectors(player.position, this.position)
-                            .normalize();
-                        
-                        // Adiciona um pouco de imprecisão
-                        direction.x += (Math.random() - 0.5) * 0.05;
-                        direction.y += (Math.random() - 0.5) * 0.05;
-                        direction.z += (Math.random() - 0.5) * 0.05;
-                        direction.normalize();
-                        
-                        // Posição inicial do projétil
-                        const bulletPosition = this.position.clone().add(new THREE.Vector3(0, 1.5, 0));
-                        
-                        // Garantir que bullets existe
-                        if (!this.bullets) {
-                            this.bullets = [];
-                        }
-                        
-                        // Usa o sistema de pool para obter um projétil
-                        const bullet = Bullet.get(bulletPosition, direction, false);
-                        bullet.damage = this.damage;
-                        
-                        // Adiciona à lista de projéteis do inimigo
-                        this.bullets.push(bullet);
-                        
-                        // Adiciona à cena, se disponível
-                        if (this.scene) {
-                            bullet.addToScene(this.scene);
-                        }
-                    }
-                }
-                break;
-                
-            case 'medium':
-                // Ataque de projétil ocasional
-                if (Math.random() < 0.03) { // 3% de chance a cada frame (reduzido para melhorar desempenho)
-                    // Limite de projéteis ativos para inimigos médios
-                    if (!this.bullets || this.bullets.length < 2) {
-                        // Cria um projétil em direção ao jogador
-                        const direction = new THREE.Vector3()
-                            .subVectors(player.position, this.position)
-                            .normalize();
-                        
-                        // Adiciona um pouco de imprecisão
-                        const accuracy = 0.1;
-                        direction.x += (Math.random() - 0.5) * accuracy;
-                        direction.y += (Math.random() - 0.5) * accuracy;
-                        direction.z += (Math.random() - 0.5) * accuracy;
-                        direction.normalize();
-                        
-                        // Posição inicial do projétil
-                        const bulletPosition = this.position.clone().add(new THREE.Vector3(0, 1.5, 0));
-                        
-                        // Garantir que bullets existe
-                        if (!this.bullets) {
-                            this.bullets = [];
-                        }
-                        
-                        // Limita total de projéteis por inimigo para melhorar desempenho
-                        if (this.bullets.length < 2) {
-                            // Usa o sistema de pool para obter um projétil
-                            const bullet = Bullet.get(bulletPosition, direction, false);
-                            bullet.damage = this.damage;
-                            
-                            // Adiciona à lista de projéteis do inimigo
-                            this.bullets.push(bullet);
-                            
-                            // Adiciona à cena, se disponível
-                            if (this.scene) {
-                                bullet.addToScene(this.scene);
-                            }
-                        }
-                    }
-                }
-                break;
-                
-            case 'heavy':
-                // Ataque de projétil com mais dano, mas menos frequente
-                if (Math.random() < 0.02) { // 2% de chance a cada frame (reduzido para melhorar desempenho)
-                    // Limite de projéteis ativos para inimigos pesados
-                    if (!this.bullets || this.bullets.length < 2) {
-                        // Cria um projétil em direção ao jogador
-                        const direction = new THREE.Vector3()
-                            .subVectors(player.position, this.position)
-                            .normalize();
-                        
-                        // Adiciona um pouco de imprecisão
-                        const accuracy = 0.05;
-                        direction.x += (Math.random() - 0.5) * accuracy;
-                        direction.y += (Math.random() - 0.5) * accuracy;
-                        direction.z += (Math.random() - 0.5) * accuracy;
-                        direction.normalize();
-                        
-                        // Posição inicial do projétil
-                        const bulletPosition = this.position.clone().add(new THREE.Vector3(0, 1.5, 0));
-                        
-                        // Garantir que bullets existe
-                        if (!this.bullets) {
-                            this.bullets = [];
-                        }
-                        
-                        // Usa o sistema de pool para obter um projétil
-                        const bullet = Bullet.get(bulletPosition, direction, false);
-                        bullet.damage = this.damage * 1.5; // Mais dano para inimigos pesados
-                        
-                        // Adiciona à lista de projéteis do inimigo
-                        this.bullets.push(bullet);
-                        
-                        // Adiciona à cena, se disponível
-                        if (this.scene) {
-                            bullet.addToScene(this.scene);
-                        }
-                    }
-                }
-                break;
-                
-            default: // basic
-                // Ataque de projétil básico
-                if (Math.random() < 0.05) { // 5% de chance a cada frame (reduzido para melhorar desempenho)
-                    // Limite básico de projéteis
-                    if (!this.bullets || this.bullets.length < 1) {
-                        // Cria um projétil em direção ao jogador
-                        const direction = new THREE.Vector3()
-                            .subVectors(player.position, this.position)
-                            .normalize();
-                        
-                        // Adiciona um pouco de imprecisão
-                        const accuracy = this.type === 'medium' ? 0.1 : 0.05;
-                        direction.x += (Math.random() - 0.5) * accuracy;
-                        direction.y += (Math.random() - 0.5) * accuracy;
-                        direction.z += (Math.random() - 0.5) * accuracy;
-                        direction.normalize();
-                        
-                        // Posição inicial do projétil
-                        const bulletPosition = this.position.clone().add(new THREE.Vector3(0, 1.5, 0));
-                        
-                        // Garantir que bullets existe
-                        if (!this.bullets) {
-                            this.bullets = [];
-                        }
-                        
-                        // Limita total de projéteis por inimigo para melhorar desempenho
-                        if (this.bullets.length < 1) {
-                            // Usa o sistema de pool para obter um projétil
-                            const bullet = Bullet.get(bulletPosition, direction, false);
-                            bullet.damage = this.damage;
-                            
-                            // Adiciona à lista de projéteis do inimigo
-                            this.bullets.push(bullet);
-                            
-                            // Adiciona à cena, se disponível
-                            if (this.scene) {
-                                bullet.addToScene(this.scene);
-                            }
-                        }
-                    }
-                }
+        const projectile = PROJECTILES[this.type] || PROJECTILES.basic;
+        
+        if (this.random.next() < projectile.chance) {
+            this.fireProjectile(player.position, projectile);
+        }
+    }
+    
+    /**
+     * Dispara um projétil contra um alvo
+     * @param {THREE.Vector3} target - Posição mirada
+     * @param {Object} projectile - Parâmetros do tipo (ver PROJECTILES)
+     * @returns {boolean} - Se o projétil foi disparado
+     */
+    fireProjectile(target, projectile = PROJECTILES[this.type] || PROJECTILES.basic) {
+        // Garantir que bullets existe
+        if (!this.bullets) {
+            this.bullets = [];
+        }
+        
+        // Limita total de projéteis por inimigo para melhorar desempenho
+        if (this.bullets.length >= projectile.maxBullets) return false;
+        
+        // Cria um projétil em direção ao alvo, com um pouco de imprecisão
+        const direction = new THREE.Vector3().subVectors(target, this.position).normalize();
+        const inaccuracy = projectile.accuracy / this.accuracyMultiplier;
+        direction.x += this.random.range(-0.5, 0.5) * inaccuracy;
+        direction.y += this.random.range(-0.5, 0.5) * inaccuracy;
+        direction.z += this.random.range(-0.5, 0.5) * inaccuracy;
+        direction.normalize();
+        
+        // Posição inicial do projétil
+        const bulletPosition = this.position.clone().add(new THREE.Vector3(0, 1.5, 0));
+        
+        // Usa o sistema de pool para obter um projétil
+        const bullet = Bullet.get(bulletPosition, direction, false);
+        bullet.damage = this.damage * projectile.damageMultiplier;
+        
+        // Adiciona à lista de projéteis do inimigo
+        this.bullets.push(bullet);
+        
+        // Adiciona à cena, se disponível
+        if (this.scene) {
+            bullet.addToScene(this.scene);
         }
+        
+        return true;
+    }
+    
+    /**
+     * Aplica os fatores da dificuldade aos atributos do inimigo recém-criado
+     * @param {Object} factors - Fatores de SettingsManager.getDifficulty()
+     */
+    applyDifficulty(factors) {
+        this.health *= factors.enemyHealth;
+        this.maxHealth *= factors.enemyHealth;
+        this.damage *= factors.enemyDamage;
+        this.attackCooldown *= factors.attackCooldown;
+        this.detectionRange *= factors.detectionRadius;
+        this.accuracyMultiplier = factors.enemyAccuracy;
+    }
+    
+    /**
+     * Multiplicador do dano de um projétil que acertou o inimigo (o chefe tem pontos fracos)
+     * @param {Bullet} projectile - Projétil que acertou
+     * @returns {number}
+     */
+    getDamageMultiplier(projectile) {
+        return 1;
     }
     
     /**
@@ -612,10 +973,12 @@ export class Enemy {
     die() {
         this.state = 'dead';
         this.health = 0;
+        this.leaveCover();
         
         // Muda a cor para cinza
         if (this.mesh && this.mesh.material) {
             this.mesh.material.color.set(0x666666);
+            this.head.material.color.set(0x444444);
         }
     }
     
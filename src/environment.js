@@ -0,0 +1,40 @@
+/**
+ * Acesso ao navegador pelos módulos da simulação
+ * Fora do navegador (Node, ver HeadlessGame) não há DOM nem quadros de animação: as consultas
+ * a elementos devolvem null, as animações visuais não rodam e o armazenamento fica em memória
+ */
+
+// Se o código está rodando em um navegador (window e document disponíveis)
+export const IS_BROWSER = typeof window !== 'undefined' && typeof document !== 'undefined';
+
+// Armazenamento usado fora do navegador, com a mesma interface do localStorage
+const memoryStorage = new Map();
+
+/**
+ * Armazenamento persistente (localStorage no navegador, memória no Node)
+ */
+export const storage = IS_BROWSER ? window.localStorage : {
+    getItem: key => (memoryStorage.has(key) ? memoryStorage.get(key) : null),
+    setItem: (key, value) => memoryStorage.set(key, String(value)),
+    removeItem: key => memoryStorage.delete(key)
+};
+
+/**
+ * Elemento da página pelo id
+ * @param {string} id - Id do elemento
+ * @returns {HTMLElement|null} - null se não existir ou fora do navegador
+ */
+export function getElement(id) {
+    return IS_BROWSER ? document.getElementById(id) : null;
+}
+
+/**
+ * Agenda um passo de uma animação visual para o próximo quadro
+ * Fora do navegador a animação não continua (nada é renderizado)
+ * @param {Function} callback - Passo da animação
+ */
+export function requestFrame(callback) {
+    if (IS_BROWSER) {
+        requestAnimationFrame(callback);
+    }
+}
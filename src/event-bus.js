@@ -0,0 +1,148 @@
+/**
+ * Barramento de eventos do jogo
+ * Os módulos da simulação publicam o que aconteceu (inimigo eliminado, tiro, dano, missão
+ * concluída...) e a interface, o áudio, as missões e a rede reagem sem referências diretas
+ * entre eles. O Game (ou o HeadlessGame) cria um barramento por partida e o entrega a cada
+ * módulo com setEventBus
+ */
+
+/**
+ * Eventos conhecidos (nome -> string publicada), com o conteúdo de cada um
+ * Publicar ou assinar um nome fora desta lista é um erro
+ */
+export const GAME_EVENTS = Object.freeze({
+    // Combate
+    ENEMY_KILLED: 'enemyKilled',            // { enemy, type, position }
+    PLAYER_DAMAGED: 'playerDamaged',        // { amount, health }
+    PLAYER_NOISE: 'playerNoise',            // { position, radius } - tiros e passos correndo
+    WEAPON_FIRED: 'weaponFired',            // { weapon, position, directions } - uma direção por projétil
+    WEAPON_EMPTY: 'weaponEmpty',            // { weapon } - gatilho com o carregador vazio
+    WEAPON_SWITCHED: 'weaponSwitched',      // { weapon }
+    RELOAD_STARTED: 'reloadStarted',        // { weapon }
+    EXPLOSION: 'explosion',                 // { position, radius }
+    PICKUP_COLLECTED: 'pickupCollected',    // { type, message }
+
+    // Ondas e chefe
+    WAVE_STARTED: 'waveStarted',            // { number, enemies }
+    WAVE_COMPLETED: 'waveCompleted',        // { number, delay } - delay até a próxima onda
+    BOSS_SPAWNED: 'bossSpawned',            // { boss }
+    BOSS_PHASE_CHANGED: 'bossPhaseChanged', // { boss, phase } - fase a partir de 1
+
+    // Missões
+    MISSION_STARTED: 'missionStarted',      // { mission }
+    MISSION_COMPLETED: 'missionCompleted',  // { mission }
+    MISSION_FAILED: 'missionFailed',        // { mission, reason }
+    LEVEL_COMPLETED: 'levelCompleted',      // { level }
+
+    // Multiplayer
+    CONNECT_REQUESTED: 'connectRequested',  // { serverUrl, playerName } - pedido da tela multiplayer
+    DISCONNECT_REQUESTED: 'disconnectRequested', // {}
+    NETWORK_CONNECTED: 'networkConnected',  // { serverUrl, latency }
+    NETWORK_CONNECTION_FAILED: 'networkConnectionFailed', // { message }
+    NETWORK_DISCONNECTED: 'networkDisconnected', // { reason, reconnect } - reconnect: tentar de novo
+    NETWORK_ERROR: 'networkError',          // { message, fromServer }
+    NETWORK_LATENCY: 'networkLatency',      // { latency }
+    PLAYER_JOINED: 'playerJoined',          // { id, player } - RemotePlayer criado
+    PLAYER_LEFT: 'playerLeft',              // { id, name }
+    PLAYER_UPDATED: 'playerUpdated',        // { id, data, timestamp } - estado recebido do servidor e horário do snapshot
+    PLAYER_HIT: 'playerHit',                // { targetId, attackerId, amount, health, zone, local, fromLocal } - local: o alvo é este jogador
+    PLAYER_KILLED: 'playerKilled',          // { targetId, targetName, killerId, killerName, local, fromLocal }
+    PLAYER_RESPAWNED: 'playerRespawned',    // { targetId, health, local } - jogador eliminado voltou ao jogo
+    PLAYERS_LIST_CHANGED: 'playersListChanged' // { players } - { id, name, latency, isLocal }
+});
+
+const KNOWN_EVENTS = new Set(Object.values(GAME_EVENTS));
+
+export class EventBus {
+    constructor() {
+        // Nome do evento -> funções assinantes, na ordem em que assinaram
+        this.handlers = new Map();
+    }
+
+    /**
+     * Garante que o nome é um dos GAME_EVENTS (pega erros de digitação)
+     * @param {string} type - Nome do evento
+     * @throws {Error} - Se o evento não existe
+     */
+    checkType(type) {
+        if (!KNOWN_EVENTS.has(type)) {
+            throw new Error(`EventBus: evento desconhecido "${type}"`);
+        }
+    }
+
+    /**
+     * Assina um evento
+     * @param {string} type - Nome do evento (um dos GAME_EVENTS)
+     * @param {Function} handler - Recebe o conteúdo do evento
+     * @returns {Function} - Cancela a assinatura
+     */
+    on(type, handler) {
+        this.checkType(type);
+
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+        }
+        this.handlers.get(type).push(handler);
+
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Assina um evento só para a próxima publicação
+     * @param {string} type - Nome do evento
+     * @param {Function} handler - Recebe o conteúdo do evento
+     * @returns {Function} - Cancela a assinatura
+     */
+    once(type, handler) {
+        const off = this.on(type, payload => {
+            off();
+            handler(payload);
+        });
+
+        return off;
+    }
+
+    /**
+     * Cancela uma assinatura
+     * @param {string} type - Nome do evento
+     * @param {Function} handler - Função passada ao on
+     */
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    /**
+     * Publica um evento para os assinantes, na hora e na ordem das assinaturas
+     * O erro de um assinante é registrado e não impede os outros nem quem publicou
+     * @param {string} type - Nome do evento (um dos GAME_EVENTS)
+     * @param {Object} payload - Conteúdo do evento
+     */
+    emit(type, payload = {}) {
+        this.checkType(type);
+
+        const handlers = this.handlers.get(type);
+        if (!handlers || handlers.length === 0) return;
+
+        // Cópia: assinantes podem cancelar a assinatura durante a publicação
+        [...handlers].forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Erro em um assinante do evento "${type}":`, error);
+            }
+        });
+    }
+
+    /**
+     * Remove todas as assinaturas
+     */
+    clear() {
+        this.handlers.clear();
+    }
+}
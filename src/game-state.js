@@ -2,9 +2,11 @@
  * Classe responsável por gerenciar o estado global do jogo
  * Controla transições entre menus, pontuação, progresso das ondas e outros dados globais
  */
+import { getElement, storage } from './environment.js';
+
 export class GameState {
     constructor() {
-        // Estado atual do jogo (menu, playing, paused, gameover)
+        // Estado atual do jogo (menu, playing, paused, gameover, mission-failed)
         this.state = 'menu';
         
         // Pontuação e estatísticas
@@ -18,36 +20,48 @@ export class GameState {
         this.enemiesSpawned = 0;
         this.totalEnemiesInWave = 0;
         
+        // Dificuldade da campanha em andamento ({ name, factors }, definida pelo Game)
+        this.difficulty = null;
+        
+        // Relógio da simulação: segundos e passos desde o início da partida, semente do gerador
+        // e ações agendadas ({ time, callback }, em ordem de execução)
+        this.time = 0;
+        this.tick = 0;
+        this.seed = null;
+        this.timers = [];
+        
         // Flags de status
         this.isPaused = false;
         this.isGameOver = false;
         
         // Referências a elementos da UI
         this.uiElements = {
-            scoreValue: document.getElementById('score-value'),
-            waveValue: document.getElementById('wave-value'),
-            healthValue: document.getElementById('health-value'),
-            ammoCount: document.getElementById('ammo-count'),
-            finalScoreValue: document.getElementById('final-score-value')
+            scoreValue: getElement('score-value'),
+            waveValue: getElement('wave-value'),
+            healthValue: getElement('health-value'),
+            ammoCount: getElement('ammo-count'),
+            finalScoreValue: getElement('final-score-value')
         };
         
         // Elementos de tela
         this.screens = {
-            startScreen: document.getElementById('startScreen'),
-            pauseScreen: document.getElementById('pauseScreen'),
-            gameoverScreen: document.getElementById('gameoverScreen'),
-            mobileTutorialScreen: document.getElementById('mobileTutorialScreen'),
-            multiplayerScreen: document.getElementById('multiplayerScreen')
+            startScreen: getElement('startScreen'),
+            pauseScreen: getElement('pauseScreen'),
+            gameoverScreen: getElement('gameoverScreen'),
+            missionFailedScreen: getElement('missionFailedScreen'),
+            settingsScreen: getElement('settingsScreen'),
+            mobileTutorialScreen: getElement('mobileTutorialScreen'),
+            multiplayerScreen: getElement('multiplayerScreen')
         };
     }
     
     /**
      * Muda o estado do jogo e atualiza a interface
-     * @param {string} newState - Novo estado ('menu', 'playing', 'paused', 'gameover', 'tutorial-mobile')
+     * @param {string} newState - Novo estado ('menu', 'playing', 'paused', 'gameover', 'mission-failed', 'settings', 'tutorial-mobile')
      */
     setState(newState) {
         // Verifica que o estado é válido
-        if (!['menu', 'playing', 'paused', 'gameover', 'tutorial-mobile'].includes(newState)) {
+        if (!['menu', 'playing', 'paused', 'gameover', 'mission-failed', 'settings', 'tutorial-mobile'].includes(newState)) {
             console.error(`Estado inválido: ${newState}`);
             return;
         }
@@ -83,6 +97,16 @@ export class GameState {
                     this.uiElements.finalScoreValue.textContent = this.score;
                 }
                 break;
+            case 'mission-failed':
+                if (this.screens.missionFailedScreen) {
+                    this.screens.missionFailedScreen.style.display = 'flex';
+                }
+                break;
+            case 'settings':
+                if (this.screens.settingsScreen) {
+                    this.screens.settingsScreen.style.display = 'flex';
+                }
+                break;
             case 'tutorial-mobile':
                 if (this.screens.mobileTutorialScreen) {
                     this.screens.mobileTutorialScreen.style.display = 'flex';
@@ -136,6 +160,20 @@ export class GameState {
         }
     }
     
+    /**
+     * Define a pontuação e as eliminações (usado ao restaurar um checkpoint)
+     * @param {number} score - Pontuação
+     * @param {number} kills - Número de eliminações
+     */
+    setScore(score, kills = this.kills) {
+        this.score = score;
+        this.kills = kills;
+        
+        if (this.uiElements.scoreValue) {
+            this.uiElements.scoreValue.textContent = this.score;
+        }
+    }
+    
     /**
      * Contabiliza uma eliminação de inimigo
      * @param {string} enemyType - Tipo do inimigo eliminado
@@ -202,12 +240,64 @@ export class GameState {
         }
     }
     
+    /**
+     * Reinicia o relógio da simulação para uma nova partida
+     * @param {number} seed - Semente do gerador da partida
+     */
+    resetClock(seed) {
+        this.time = 0;
+        this.tick = 0;
+        this.seed = seed;
+        this.timers = [];
+    }
+    
+    /**
+     * Avança o relógio um passo da simulação e executa as ações que venceram
+     * @param {number} deltaTime - Duração do passo em segundos
+     */
+    advanceClock(deltaTime) {
+        this.time += deltaTime;
+        this.tick++;
+        
+        while (this.timers.length > 0 && this.timers[0].time <= this.time) {
+            this.timers.shift().callback();
+        }
+    }
+    
+    /**
+     * Agenda uma ação no relógio da simulação
+     * Ao contrário do setTimeout, congela com a pausa e acontece sempre no mesmo passo
+     * @param {number} delay - Segundos de jogo até a ação
+     * @param {Function} callback - Ação
+     * @returns {Object} - Ação agendada (para cancelTimer)
+     */
+    schedule(delay, callback) {
+        const timer = { time: this.time + delay, callback };
+        
+        // Ações com o mesmo horário executam na ordem em que foram agendadas
+        const index = this.timers.findIndex(other => other.time > timer.time);
+        this.timers.splice(index === -1 ? this.timers.length : index, 0, timer);
+        
+        return timer;
+    }
+    
+    /**
+     * Cancela uma ação agendada
+     * @param {Object} timer - Retorno de schedule
+     */
+    cancelTimer(timer) {
+        const index = this.timers.indexOf(timer);
+        if (index !== -1) {
+            this.timers.splice(index, 1);
+        }
+    }
+    
     /**
      * Carrega a pontuação máxima do armazenamento local
      * @returns {number} - Pontuação máxima
      */
     loadHighScore() {
-        const savedHighScore = localStorage.getItem('starstrike_high_score');
+        const savedHighScore = storage.getItem('starstrike_high_score');
         return savedHighScore ? parseInt(savedHighScore, 10) : 0;
     }
     
@@ -215,7 +305,7 @@ export class GameState {
      * Salva a pontuação máxima no armazenamento local
      */
     saveHighScore() {
-        localStorage.setItem('starstrike_high_score', this.highScore.toString());
+        storage.setItem('starstrike_high_score', this.highScore.toString());
     }
     
     /**
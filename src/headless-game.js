@@ -0,0 +1,173 @@
+/**
+ * Starstrike: Operação Zero - Modo headless
+ *
+ * Monta a simulação do jogo (GameState, Player, EnemyManager, MissionManager, itens e
+ * projéteis) sobre o mapa do SceneManager, sem renderizador, DOM ou áudio, para rodar no
+ * Node: testes automatizados e simulações reproduzíveis. Cada tick é o mesmo Simulation.step
+ * do Game.tick no navegador; as entradas do jogador são definidas direto no inputManager.
+ *
+ * No Node, o Three.js da CDN é resolvido pelo hook de server/register.js:
+ *     node --import ./server/register.js script.js
+ */
+
+import { GAME } from './config.js';
+import { GameState } from './game-state.js';
+import { InputManager } from './input-manager.js';
+import { SceneManager } from './scene-manager.js';
+import { Player } from './player.js';
+import { Bullet } from './bullet.js';
+import { EnemyManager } from './enemy-manager.js';
+import { PickupManager } from './pickup-manager.js';
+import { MissionManager } from './mission-manager.js';
+import { Random } from './random.js';
+import { Simulation } from './simulation.js';
+import { EventBus, GAME_EVENTS } from './event-bus.js';
+
+export class HeadlessGame {
+    /**
+     * @param {Object} options - Opções da simulação
+     * @param {number} options.seed - Semente do gerador (padrão: GAME.RNG_SEED ou uma nova)
+     */
+    constructor({ seed = GAME.RNG_SEED !== null ? GAME.RNG_SEED : Random.createSeed() } = {}) {
+        this.seed = seed;
+        this.gameState = new GameState();
+        this.events = new EventBus();
+        this.inputManager = new InputManager();
+
+        // Mapa, colisão, navegação e cobertura (o SceneManager funciona sem renderizador)
+        this.sceneManager = new SceneManager(null);
+        this.scene = this.sceneManager.scene;
+        this.camera = this.sceneManager.camera;
+
+        this.player = new Player(this.camera, this.inputManager);
+        this.player.setCollisionWorld(this.sceneManager.collisionWorld);
+        Bullet.setCollisionWorld(this.sceneManager.collisionWorld);
+
+        this.enemyManager = new EnemyManager(this.scene, this.player, this.gameState);
+        this.enemyManager.setNavigationGrid(this.sceneManager.navigationGrid);
+        this.enemyManager.setCollisionWorld(this.sceneManager.collisionWorld);
+        this.enemyManager.setCoverSystem(this.sceneManager.coverSystem);
+
+        this.pickupManager = new PickupManager(this.scene, this.player);
+
+        // Sem interface: mensagens e tutoriais das missões são ignorados
+        this.missionManager = new MissionManager(this.gameState, this.player, null);
+        this.missionManager.setSceneManager(this.sceneManager);
+        this.missionManager.setEnemyManager(this.enemyManager);
+
+        // Mesmo passo fixo do Game
+        this.simulation = new Simulation({
+            gameState: this.gameState,
+            scene: this.scene,
+            player: this.player,
+            enemyManager: this.enemyManager,
+            pickupManager: this.pickupManager,
+            missionManager: this.missionManager
+        });
+
+        // Mesmo barramento do Game, sem interface, áudio nem rede assinando
+        [this.player, this.enemyManager, this.pickupManager, this.missionManager, this.simulation]
+            .forEach(module => module.setEventBus(this.events));
+        this.events.on(GAME_EVENTS.MISSION_FAILED, ({ mission, reason }) => this.onMissionFailed(mission, reason));
+
+        this.gameState.player = this.player;
+        this.isMultiplayer = false;
+
+        // Última missão que falhou ({ mission, reason }), lida pelos testes
+        this.failure = null;
+    }
+
+    /**
+     * Começa uma campanha na fase indicada
+     * @param {Object} levelData - Conteúdo de um arquivo de fase (assets/levels)
+     * @param {Object} options - Opções da campanha
+     * @param {Object|null} options.waves - Conteúdo do arquivo de ondas (null = ondas geradas)
+     * @param {Object|null} options.difficulty - Fatores de dificuldade (null = jogo como no config.js)
+     * @param {boolean} options.startWaves - Se a primeira onda começa (false = só os inimigos das missões)
+     */
+    startCampaign(levelData, { waves = null, difficulty = null, startWaves = true } = {}) {
+        this.gameState.resetScore();
+        this.player.reset();
+        this.enemyManager.reset();
+        this.pickupManager.reset();
+        this.failure = null;
+
+        this.gameState.resetClock(this.seed);
+        this.enemyManager.setSeed(this.seed);
+        this.pickupManager.setSeed(this.seed);
+        this.player.setSeed(this.seed);
+        this.enemyManager.setDifficulty(difficulty);
+        this.player.setDifficulty(difficulty);
+
+        if (waves) {
+            this.enemyManager.setWaveDefinitions(waves, 'headless');
+        }
+
+        this.missionManager.loadLevel(levelData, 'headless');
+
+        if (startWaves) {
+            this.enemyManager.startNextWave();
+        }
+
+        this.gameState.setState('playing');
+    }
+
+    /**
+     * Avança a simulação um passo fixo (Simulation.step, como no Game.tick)
+     * @param {number} deltaTime - Duração do passo em segundos
+     * @returns {Object|null} - Acertos do passo (null se a partida não está em andamento)
+     */
+    tick(deltaTime = 1 / GAME.TICK_RATE) {
+        if (this.gameState.state !== 'playing') return null;
+
+        const result = this.simulation.step(deltaTime);
+        if (result.playerKilled) {
+            this.gameOver();
+        }
+
+        // No navegador a renderização atualiza as matrizes usadas pelos raios dos tiros
+        this.scene.updateMatrixWorld();
+
+        return result;
+    }
+
+    /**
+     * Roda a simulação por um tempo de jogo (para antes se a partida terminar)
+     * @param {number} seconds - Segundos de jogo
+     * @returns {number} - Passos executados
+     */
+    run(seconds) {
+        const ticks = Math.round(seconds * GAME.TICK_RATE);
+
+        for (let i = 0; i < ticks; i++) {
+            if (this.gameState.state !== 'playing') return i;
+            this.tick();
+        }
+
+        return ticks;
+    }
+
+    /**
+     * Encerra a partida (jogador morto)
+     */
+    gameOver() {
+        this.gameState.setState('gameover');
+    }
+
+    /**
+     * Chamado quando o MissionManager publica a falha da missão atual
+     * @param {Object} mission - Missão que falhou
+     * @param {string} reason - Motivo da falha
+     */
+    onMissionFailed(mission, reason) {
+        this.failure = { mission: mission.id, reason };
+        this.gameState.setState('mission-failed');
+    }
+
+    /**
+     * Cancela as assinaturas do barramento (o jogo não recebe mais eventos)
+     */
+    dispose() {
+        this.events.clear();
+    }
+}
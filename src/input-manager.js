@@ -1,12 +1,33 @@
 /**
  * Gerenciador de entrada responsável por capturar e processar as interações do usuário
  * Lida com entrada de teclado, mouse, e opcionalmente gamepad
+ * O jogo consulta ações ('forward', 'fire', 'pause'...) em vez de teclas; cada ação tem até
+ * CONTROLS.MAX_BINDINGS_PER_ACTION entradas, que o jogador pode trocar, exportar e importar
  */
+import { PLAYER, CONTROLS } from './config.js';
+import { IS_BROWSER } from './environment.js';
+
+// Entradas válidas: botões do mouse, roda do mouse ou um event.code de teclado
+const INPUT_PATTERN = /^(Mouse[0-4]|WheelUp|WheelDown|[A-Z][A-Za-z0-9]*)$/;
+
 export class InputManager {
     constructor() {
-        // Estado das teclas
+        // Estado das entradas pressionadas (teclas por event.code e botões do mouse como 'Mouse0'...)
         this.keys = {};
         
+        // Entradas de cada ação (cópia de CONTROLS.BINDINGS, alterada pelas configurações)
+        this.bindings = this.copyBindings(CONTROLS.BINDINGS);
+        
+        // Funções chamadas quando uma ação é acionada (ver onAction)
+        this.actionListeners = {};
+        
+        // Captura da próxima entrada para redefinir uma ação (ver captureNextInput)
+        this.inputCapture = null;
+        
+        // Sensibilidade e inversão do eixo vertical da câmera
+        this.lookSensitivity = PLAYER.LOOK_SENSITIVITY;
+        this.invertY = false;
+        
         // Estado do mouse
         this.mouse = {
             x: 0,
@@ -34,8 +55,18 @@ export class InputManager {
             reloading: false
         };
         
+        // Pedido de troca de arma pendente: { slot } (ações weapon_N) ou { step } (próxima/anterior, botão móvel)
+        this.weaponSwitchRequest = null;
+        
         // Detecta se é um dispositivo móvel
-        this.isMobileDevice = this.detectMobile();
+        this.isMobileDevice = IS_BROWSER && this.detectMobile();
+        
+        // Flag para verificar se o ponteiro está bloqueado
+        this.isPointerLocked = false;
+        
+        // Fora do navegador (HeadlessGame) as entradas são definidas direto em keys (por event.code)
+        // ou pelos métodos dos controles virtuais (setShootingState, setReloadingState...)
+        if (!IS_BROWSER) return;
         
         // Registra os eventos de teclado
         document.addEventListener('keydown', this.onKeyDown.bind(this));
@@ -45,6 +76,7 @@ export class InputManager {
         document.addEventListener('mousemove', this.onMouseMove.bind(this));
         document.addEventListener('mousedown', this.onMouseDown.bind(this));
         document.addEventListener('mouseup', this.onMouseUp.bind(this));
+        document.addEventListener('wheel', this.onMouseWheel.bind(this), { passive: true });
         
         // Previne o comportamento padrão do contexto de menu com o botão direito
         document.addEventListener('contextmenu', (e) => e.preventDefault());
@@ -52,9 +84,6 @@ export class InputManager {
         // Eventos de bloqueio de ponteiro (para FPS)
         document.addEventListener('pointerlockchange', this.onPointerLockChange.bind(this));
         document.addEventListener('pointerlockerror', this.onPointerLockError.bind(this));
-        
-        // Flag para verificar se o ponteiro está bloqueado
-        this.isPointerLocked = false;
     }
     
     /**
@@ -73,6 +102,11 @@ export class InputManager {
     onKeyDown(event) {
         // Registra a tecla como pressionada
         this.keys[event.code] = true;
+        
+        // Repetições automáticas da tecla segurada não acionam ações de novo
+        if (!event.repeat) {
+            this.onInputPressed(event.code, event);
+        }
     }
     
     /**
@@ -104,11 +138,29 @@ export class InputManager {
         }
     }
     
+    /**
+     * Evento disparado quando a roda do mouse é girada
+     * @param {WheelEvent} event - Evento da roda
+     */
+    onMouseWheel(event) {
+        if (event.deltaY === 0) return;
+        
+        const input = event.deltaY > 0 ? 'WheelDown' : 'WheelUp';
+        
+        // Fora do jogo (ponteiro livre) a roda só rola os menus, exceto ao redefinir controles
+        if (!this.isPointerLocked && !this.inputCapture) return;
+        
+        this.onInputPressed(input, event);
+    }
+    
     /**
      * Evento disparado quando um botão do mouse é pressionado
      * @param {MouseEvent} event - Evento do mouse
      */
     onMouseDown(event) {
+        this.keys[`Mouse${event.button}`] = true;
+        this.onInputPressed(`Mouse${event.button}`, event);
+        
         switch (event.button) {
             case 0: // Botão esquerdo
                 this.mouse.buttons.left = true;
@@ -127,6 +179,8 @@ export class InputManager {
      * @param {MouseEvent} event - Evento do mouse
      */
     onMouseUp(event) {
+        this.keys[`Mouse${event.button}`] = false;
+        
         switch (event.button) {
             case 0: // Botão esquerdo
                 this.mouse.buttons.left = false;
@@ -140,6 +194,75 @@ export class InputManager {
         }
     }
     
+    /**
+     * Trata uma entrada recém-pressionada: entrega à captura em andamento ou aciona as ações ligadas a ela
+     * @param {string} input - Entrada ('KeyW', 'Mouse0', 'WheelUp'...)
+     * @param {Event} event - Evento de origem
+     */
+    onInputPressed(input, event) {
+        if (this.inputCapture) {
+            const capture = this.inputCapture;
+            this.inputCapture = null;
+            
+            if (event.cancelable) event.preventDefault();
+            capture(input === 'Escape' ? null : input);
+            return;
+        }
+        
+        const actions = this.getActionsForInput(input);
+        
+        // Durante o jogo, entradas com ação não executam o comportamento padrão do navegador (ex.: Tab)
+        if (actions.length > 0 && this.isPointerLocked && event.cancelable) {
+            event.preventDefault();
+        }
+        
+        actions.forEach(action => this.triggerAction(action));
+    }
+    
+    /**
+     * Aciona uma ação: trocas de arma viram pedidos pendentes e os ouvintes registrados são chamados
+     * @param {string} action - Ação acionada
+     */
+    triggerAction(action) {
+        const weaponSlot = /^weapon_(\d+)$/.exec(action);
+        if (weaponSlot) {
+            this.weaponSwitchRequest = { slot: Number(weaponSlot[1]) - 1 };
+        } else if (action === 'next_weapon') {
+            this.weaponSwitchRequest = { step: 1 };
+        } else if (action === 'previous_weapon') {
+            this.weaponSwitchRequest = { step: -1 };
+        }
+        
+        (this.actionListeners[action] || []).forEach(callback => callback(action));
+    }
+    
+    /**
+     * Registra uma função chamada sempre que a ação é acionada
+     * @param {string} action - Ação ('pause', 'reload'...)
+     * @param {Function} callback - Função chamada com o nome da ação
+     */
+    onAction(action, callback) {
+        if (!this.actionListeners[action]) {
+            this.actionListeners[action] = [];
+        }
+        this.actionListeners[action].push(callback);
+    }
+    
+    /**
+     * Entrega a próxima entrada pressionada (tecla, botão ou roda do mouse) em vez de acionar ações
+     * @param {Function} callback - Recebe a entrada, ou null se o jogador cancelou com Esc
+     */
+    captureNextInput(callback) {
+        this.inputCapture = callback;
+    }
+    
+    /**
+     * Cancela uma captura de entrada em andamento, sem chamar a função registrada
+     */
+    cancelInputCapture() {
+        this.inputCapture = null;
+    }
+    
     /**
      * Evento disparado quando o estado do bloqueio do ponteiro muda
      */
@@ -164,6 +287,211 @@ export class InputManager {
         return this.keys[keyCode] === true;
     }
     
+    /**
+     * Copia um mapa de entradas (as listas não são compartilhadas com a origem)
+     * @param {Object} bindings - Mapa ação -> lista de entradas
+     * @returns {Object} - Cópia do mapa
+     */
+    copyBindings(bindings) {
+        const copy = {};
+        Object.keys(bindings).forEach(action => {
+            copy[action] = [...bindings[action]];
+        });
+        return copy;
+    }
+    
+    /**
+     * Retorna uma cópia das entradas atuais de todas as ações
+     * @returns {Object} - Mapa ação -> lista de entradas
+     */
+    getBindings() {
+        return this.copyBindings(this.bindings);
+    }
+    
+    /**
+     * Substitui as entradas das ações informadas (ações ausentes ou desconhecidas são ignoradas)
+     * @param {Object} bindings - Mapa ação -> lista de entradas
+     */
+    setBindings(bindings) {
+        Object.keys(bindings).forEach(action => {
+            if (this.bindings[action] && Array.isArray(bindings[action])) {
+                this.bindings[action] = bindings[action].slice(0, CONTROLS.MAX_BINDINGS_PER_ACTION);
+            }
+        });
+    }
+    
+    /**
+     * Volta todas as ações para as entradas de CONTROLS.BINDINGS
+     */
+    resetBindings() {
+        this.bindings = this.copyBindings(CONTROLS.BINDINGS);
+    }
+    
+    /**
+     * Verifica se o texto é uma entrada reconhecida
+     * @param {string} input - Entrada a verificar
+     * @returns {boolean}
+     */
+    isValidInput(input) {
+        return typeof input === 'string' && INPUT_PATTERN.test(input);
+    }
+    
+    /**
+     * Lista as ações ligadas a uma entrada
+     * @param {string} input - Entrada ('KeyW', 'Mouse0'...)
+     * @param {Object} bindings - Mapa a consultar (padrão: entradas atuais)
+     * @returns {string[]} - Ações que usam a entrada
+     */
+    getActionsForInput(input, bindings = this.bindings) {
+        return Object.keys(bindings).filter(action => bindings[action].includes(input));
+    }
+    
+    /**
+     * Liga uma entrada a uma ação na posição indicada (0 = principal, 1 = alternativa)
+     * Uma entrada só pode ter uma ação: ela é removida das ações que já a usavam
+     * @param {string} action - Ação a redefinir
+     * @param {string} input - Nova entrada
+     * @param {number} index - Posição da entrada na ação
+     * @returns {string[]} - Ações em conflito que perderam a entrada
+     */
+    bindInput(action, input, index = 0) {
+        if (!this.bindings[action]) {
+            throw new Error(`InputManager: ação desconhecida "${action}"`);
+        }
+        if (!this.isValidInput(input)) {
+            throw new Error(`InputManager: entrada inválida "${input}"`);
+        }
+        
+        const conflicts = this.getActionsForInput(input).filter(other => other !== action);
+        conflicts.forEach(other => {
+            this.bindings[other] = this.bindings[other].filter(existing => existing !== input);
+        });
+        
+        // Sem buracos na lista: uma posição além do fim vira a última entrada
+        const current = this.bindings[action].filter(existing => existing !== input);
+        const position = Math.min(index, current.length, CONTROLS.MAX_BINDINGS_PER_ACTION - 1);
+        current[position] = input;
+        this.bindings[action] = current.slice(0, CONTROLS.MAX_BINDINGS_PER_ACTION);
+        
+        return conflicts;
+    }
+    
+    /**
+     * Remove a entrada de uma ação na posição indicada
+     * @param {string} action - Ação
+     * @param {number} index - Posição da entrada
+     */
+    clearInput(action, index) {
+        if (!this.bindings[action]) return;
+        
+        this.bindings[action] = this.bindings[action].filter((_, i) => i !== index);
+    }
+    
+    /**
+     * Procura entradas usadas por mais de uma ação
+     * @param {Object} bindings - Mapa a verificar (padrão: entradas atuais)
+     * @returns {Array<Object>} - Lista de { input, actions }
+     */
+    findConflicts(bindings = this.bindings) {
+        const usage = {};
+        
+        Object.keys(bindings).forEach(action => {
+            bindings[action].forEach(input => {
+                usage[input] = usage[input] || [];
+                usage[input].push(action);
+            });
+        });
+        
+        return Object.keys(usage)
+            .filter(input => usage[input].length > 1)
+            .map(input => ({ input, actions: usage[input] }));
+    }
+    
+    /**
+     * Gera um perfil de controles em JSON para o jogador guardar ou compartilhar
+     * @param {string} name - Nome do perfil
+     * @returns {string} - JSON do perfil
+     */
+    exportProfile(name = 'Personalizado') {
+        return JSON.stringify({
+            version: CONTROLS.PROFILE_VERSION,
+            name,
+            bindings: this.bindings
+        }, null, 2);
+    }
+    
+    /**
+     * Lê e aplica um perfil gerado por exportProfile
+     * Ações ausentes no perfil mantêm as entradas padrão; o perfil é recusado se tiver
+     * ações ou entradas desconhecidas ou entradas repetidas entre ações
+     * @param {string} json - Conteúdo do perfil
+     * @returns {string} - Nome do perfil importado
+     * @throws {Error} - Com a descrição do problema, se o perfil for inválido
+     */
+    importProfile(json) {
+        let profile;
+        try {
+            profile = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Perfil de controles não é um JSON válido (${error.message})`);
+        }
+        
+        if (!profile || typeof profile !== 'object' || !profile.bindings || typeof profile.bindings !== 'object') {
+            throw new Error('Perfil de controles sem o campo "bindings"');
+        }
+        if (profile.version !== CONTROLS.PROFILE_VERSION) {
+            throw new Error(`Versão de perfil ${JSON.stringify(profile.version)} não suportada (esperado ${CONTROLS.PROFILE_VERSION})`);
+        }
+        
+        const bindings = this.copyBindings(CONTROLS.BINDINGS);
+        
+        Object.keys(profile.bindings).forEach(action => {
+            const inputs = profile.bindings[action];
+            
+            if (!bindings[action]) {
+                throw new Error(`Ação desconhecida no perfil: "${action}"`);
+            }
+            if (!Array.isArray(inputs) || inputs.length > CONTROLS.MAX_BINDINGS_PER_ACTION) {
+                throw new Error(`"${action}": informe uma lista com até ${CONTROLS.MAX_BINDINGS_PER_ACTION} entradas`);
+            }
+            
+            const invalid = inputs.find(input => !this.isValidInput(input));
+            if (invalid !== undefined) {
+                throw new Error(`"${action}": entrada inválida ${JSON.stringify(invalid)}`);
+            }
+            
+            bindings[action] = [...inputs];
+        });
+        
+        const conflicts = this.findConflicts(bindings);
+        if (conflicts.length > 0) {
+            const details = conflicts.map(({ input, actions }) => `${input} (${actions.join(', ')})`).join('; ');
+            throw new Error(`Entradas usadas por mais de uma ação: ${details}`);
+        }
+        
+        this.bindings = bindings;
+        return typeof profile.name === 'string' ? profile.name : 'Importado';
+    }
+    
+    /**
+     * Verifica se alguma entrada da ação está pressionada
+     * @param {string} action - Ação a verificar
+     * @returns {boolean}
+     */
+    isActionPressed(action) {
+        return this.isAnyKeyPressed(this.bindings[action] || []);
+    }
+    
+    /**
+     * Define a sensibilidade da câmera e a inversão do eixo vertical
+     * @param {number} sensitivity - Sensibilidade (PLAYER.LOOK_SENSITIVITY por padrão)
+     * @param {boolean} invertY - Se mover o mouse para cima deve olhar para baixo
+     */
+    setLookSettings(sensitivity, invertY) {
+        this.lookSensitivity = sensitivity;
+        this.invertY = invertY;
+    }
+    
     /**
      * Verifica se qualquer das teclas especificadas está pressionada
      * @param {string[]} keyCodes - Array de códigos de tecla a verificar
@@ -209,6 +537,13 @@ export class InputManager {
         this.joystick.reloading = state;
     }
     
+    /**
+     * Solicita a troca para a próxima arma (botão virtual dos controles móveis)
+     */
+    requestNextWeapon() {
+        this.weaponSwitchRequest = { step: 1 };
+    }
+    
     /**
      * Obtém o vetor de movimento horizontal baseado nas teclas pressionadas ou joystick virtual
      * @returns {Object} - Objeto com componentes x e z do movimento
@@ -223,19 +558,19 @@ export class InputManager {
         // Inicializa o vetor de movimento
         const movement = { x: 0, z: 0 };
         
-        // Teclas W/S - movimento para frente/trás (eixo Z)
-        if (this.isKeyPressed('KeyW') || this.isKeyPressed('ArrowUp')) {
+        // Frente/trás (eixo Z)
+        if (this.isActionPressed('forward')) {
             movement.z = -1; // Movimento para frente
         }
-        if (this.isKeyPressed('KeyS') || this.isKeyPressed('ArrowDown')) {
+        if (this.isActionPressed('backward')) {
             movement.z = 1; // Movimento para trás
         }
         
-        // Teclas A/D - movimento para esquerda/direita (eixo X)
-        if (this.isKeyPressed('KeyA') || this.isKeyPressed('ArrowLeft')) {
+        // Esquerda/direita (eixo X)
+        if (this.isActionPressed('left')) {
             movement.x = -1; // Movimento para esquerda
         }
-        if (this.isKeyPressed('KeyD') || this.isKeyPressed('ArrowRight')) {
+        if (this.isActionPressed('right')) {
             movement.x = 1; // Movimento para direita
         }
         
@@ -251,10 +586,18 @@ export class InputManager {
     
     /**
      * Verifica se o jogador está tentando pular
-     * @returns {boolean} - Verdadeiro se a tecla de pulo estiver pressionada
+     * @returns {boolean} - Verdadeiro se uma tecla da ação de pulo estiver pressionada
      */
     isJumping() {
-        return this.isKeyPressed('Space');
+        return this.isActionPressed('jump');
+    }
+    
+    /**
+     * Verifica se o jogador está tentando agachar
+     * @returns {boolean} - Verdadeiro se a tecla de agachar estiver pressionada
+     */
+    isCrouching() {
+        return this.isActionPressed('crouch');
     }
     
     /**
@@ -262,7 +605,7 @@ export class InputManager {
      * @returns {boolean} - Verdadeiro se a tecla de corrida estiver pressionada
      */
     isRunning() {
-        return this.isKeyPressed('ShiftLeft') || this.isKeyPressed('ShiftRight');
+        return this.isActionPressed('sprint');
     }
     
     /**
@@ -270,7 +613,7 @@ export class InputManager {
      * @returns {boolean} - Verdadeiro se a tecla de recarga estiver pressionada ou o botão virtual correspondente
      */
     isReloading() {
-        return this.isKeyPressed('KeyR') || this.joystick.reloading;
+        return this.isActionPressed('reload') || this.joystick.reloading;
     }
     
     /**
@@ -278,7 +621,17 @@ export class InputManager {
      * @returns {boolean} - Verdadeiro se o botão de disparo estiver pressionado (mouse ou toque)
      */
     isShooting() {
-        return this.mouse.buttons.left || this.joystick.shooting;
+        return this.isActionPressed('fire') || this.joystick.shooting;
+    }
+    
+    /**
+     * Retorna e limpa o pedido de troca de arma pendente
+     * @returns {Object|null} - { slot } para uma arma específica, { step } para a próxima/anterior, ou null
+     */
+    consumeWeaponSwitch() {
+        const request = this.weaponSwitchRequest;
+        this.weaponSwitchRequest = null;
+        return request;
     }
     
     /**
@@ -289,7 +642,7 @@ export class InputManager {
         // Retorna o movimento acumulado e reseta para o próximo frame
         const rotation = {
             x: this.mouseAccumulatedMovement.x,
-            y: this.mouseAccumulatedMovement.y
+            y: this.invertY ? -this.mouseAccumulatedMovement.y : this.mouseAccumulatedMovement.y
         };
         
         // Reseta o movimento acumulado
@@ -0,0 +1,399 @@
+/**
+ * Validação do formato de arquivo de fase (assets/levels/levelN.json) e do arquivo de ondas
+ * (assets/waves/waves.json)
+ * Confere a estrutura antes que o MissionManager ou o EnemyManager usem os dados, reunindo todos
+ * os problemas encontrados em mensagens com o caminho do campo (ex.: "missions[2].radius")
+ */
+
+// Versões dos formatos suportadas por este código
+export const LEVEL_FORMAT_VERSION = 1;
+export const WAVES_FORMAT_VERSION = 1;
+
+const MISSION_TYPES = ['kill', 'reach', 'defend'];
+const ENEMY_TYPES = ['basic', 'medium', 'heavy', 'boss'];
+const STRUCTURE_TYPES = ['terminal', 'extraction', 'tower'];
+
+// Campos permitidos em cada objeto (campos desconhecidos geralmente são erros de digitação)
+const LEVEL_KEYS = ['version', 'number', 'title', 'description', 'spawnPoints', 'structures', 'missions'];
+const STRUCTURE_KEYS = ['id', 'type', 'position'];
+const MISSION_KEYS = [
+    'id', 'title', 'description', 'type', 'target', 'count', 'structure', 'targetLocation',
+    'radius', 'duration', 'waves', 'objectiveHealth', 'leaveTimeLimit', 'timeLimit', 'enemies',
+    'reward', 'markerColor', 'tutorial', 'highlightTargets', 'respawnTargets'
+];
+const ENEMY_GROUP_KEYS = ['type', 'count', 'position', 'spread'];
+const REWARD_KEYS = ['score', 'ammo', 'health'];
+const TUTORIAL_KEYS = ['type', 'delay'];
+const WAVES_KEYS = ['version', 'endless', 'waves'];
+const WAVE_KEYS = ['delay', 'modifiers', 'groups'];
+const WAVE_GROUP_KEYS = ['type', 'count', 'delay', 'interval', 'spawnPoints'];
+const MODIFIER_KEYS = ['health', 'damage', 'speed'];
+
+/**
+ * Erro lançado quando um arquivo de fase não passa na validação
+ */
+export class LevelValidationError extends Error {
+    /**
+     * @param {string} source - Origem dos dados (caminho do arquivo)
+     * @param {string[]} errors - Lista de problemas encontrados
+     */
+    constructor(source, errors) {
+        super(`Fase inválida (${source}):\n- ${errors.join('\n- ')}`);
+        this.name = 'LevelValidationError';
+        this.source = source;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Valida os dados de uma fase
+ * @param {Object} data - Conteúdo do arquivo JSON já convertido em objeto
+ * @returns {string[]} - Lista de erros (vazia se a fase é válida)
+ */
+export function validateLevel(data) {
+    const errors = [];
+
+    if (!isObject(data)) {
+        return ['a fase deve ser um objeto JSON'];
+    }
+
+    checkKeys(data, LEVEL_KEYS, '', errors);
+
+    if (data.version !== LEVEL_FORMAT_VERSION) {
+        errors.push(`version: esperado ${LEVEL_FORMAT_VERSION}, recebido ${JSON.stringify(data.version)}`);
+    }
+
+    if (!Number.isInteger(data.number) || data.number < 1) {
+        errors.push('number: deve ser um inteiro maior que zero');
+    }
+
+    checkString(data.title, 'title', errors);
+
+    if (data.description !== undefined) {
+        checkString(data.description, 'description', errors);
+    }
+
+    // Pontos de spawn dos inimigos
+    if (!Array.isArray(data.spawnPoints) || data.spawnPoints.length === 0) {
+        errors.push('spawnPoints: deve ser uma lista com pelo menos um ponto');
+    } else {
+        data.spawnPoints.forEach((point, i) => checkVector(point, `spawnPoints[${i}]`, errors));
+    }
+
+    // Estruturas de objetivo (terminal, extração, torres)
+    const structureIds = new Set();
+
+    if (data.structures !== undefined) {
+        if (!Array.isArray(data.structures)) {
+            errors.push('structures: deve ser uma lista');
+        } else {
+            data.structures.forEach((structure, i) => {
+                const path = `structures[${i}]`;
+
+                if (!isObject(structure)) {
+                    errors.push(`${path}: deve ser um objeto`);
+                    return;
+                }
+
+                checkKeys(structure, STRUCTURE_KEYS, path, errors);
+                checkUniqueId(structure.id, structureIds, path, errors);
+                checkOneOf(structure.type, STRUCTURE_TYPES, `${path}.type`, errors);
+                checkVector(structure.position, `${path}.position`, errors);
+            });
+        }
+    }
+
+    // Missões
+    if (!Array.isArray(data.missions) || data.missions.length === 0) {
+        errors.push('missions: deve ser uma lista com pelo menos uma missão');
+    } else {
+        const missionIds = new Set();
+        data.missions.forEach((mission, i) => {
+            validateMission(mission, `missions[${i}]`, missionIds, structureIds, errors);
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Valida uma missão
+ * @param {Object} mission - Definição da missão
+ * @param {string} path - Caminho da missão no arquivo
+ * @param {Set<string>} missionIds - Ids já usados por outras missões
+ * @param {Set<string>} structureIds - Ids das estruturas declaradas na fase
+ * @param {string[]} errors - Lista de erros (completada no lugar)
+ */
+function validateMission(mission, path, missionIds, structureIds, errors) {
+    if (!isObject(mission)) {
+        errors.push(`${path}: deve ser um objeto`);
+        return;
+    }
+
+    checkKeys(mission, MISSION_KEYS, path, errors);
+    checkUniqueId(mission.id, missionIds, path, errors);
+    checkString(mission.title, `${path}.title`, errors);
+    checkString(mission.description, `${path}.description`, errors);
+    checkOneOf(mission.type, MISSION_TYPES, `${path}.type`, errors);
+
+    switch (mission.type) {
+        case 'kill':
+            checkOneOf(mission.target, ENEMY_TYPES, `${path}.target`, errors);
+            checkPositiveInteger(mission.count, `${path}.count`, errors);
+
+            // Destaque periódico e reposição dos alvos (segundos)
+            if (mission.highlightTargets !== undefined) {
+                checkPositiveNumber(mission.highlightTargets, `${path}.highlightTargets`, errors);
+            }
+            if (mission.respawnTargets !== undefined) {
+                checkPositiveNumber(mission.respawnTargets, `${path}.respawnTargets`, errors);
+            }
+            break;
+
+        case 'reach':
+        case 'defend':
+            // O alvo é uma estrutura declarada ou uma posição explícita (exatamente um dos dois)
+            if ((mission.structure === undefined) === (mission.targetLocation === undefined)) {
+                errors.push(`${path}: informe "structure" ou "targetLocation" (apenas um)`);
+            } else if (mission.structure !== undefined && !structureIds.has(mission.structure)) {
+                errors.push(`${path}.structure: estrutura "${mission.structure}" não declarada em structures`);
+            } else if (mission.targetLocation !== undefined) {
+                checkVector(mission.targetLocation, `${path}.targetLocation`, errors);
+            }
+
+            checkPositiveNumber(mission.radius, `${path}.radius`, errors);
+
+            if (mission.type === 'defend') {
+                checkPositiveNumber(mission.duration, `${path}.duration`, errors);
+
+                if (mission.waves !== undefined) {
+                    checkPositiveInteger(mission.waves, `${path}.waves`, errors);
+                }
+                if (mission.objectiveHealth !== undefined) {
+                    checkPositiveNumber(mission.objectiveHealth, `${path}.objectiveHealth`, errors);
+                }
+                if (mission.leaveTimeLimit !== undefined) {
+                    checkPositiveNumber(mission.leaveTimeLimit, `${path}.leaveTimeLimit`, errors);
+                }
+            }
+            break;
+    }
+
+    if (mission.timeLimit !== undefined) {
+        checkPositiveNumber(mission.timeLimit, `${path}.timeLimit`, errors);
+    }
+
+    // Composição de inimigos criados quando a missão começa
+    if (mission.enemies !== undefined) {
+        if (!Array.isArray(mission.enemies)) {
+            errors.push(`${path}.enemies: deve ser uma lista`);
+        } else {
+            mission.enemies.forEach((group, i) => {
+                const groupPath = `${path}.enemies[${i}]`;
+
+                if (!isObject(group)) {
+                    errors.push(`${groupPath}: deve ser um objeto`);
+                    return;
+                }
+
+                checkKeys(group, ENEMY_GROUP_KEYS, groupPath, errors);
+                checkOneOf(group.type, ENEMY_TYPES, `${groupPath}.type`, errors);
+                checkPositiveInteger(group.count, `${groupPath}.count`, errors);
+
+                if (group.position !== undefined) {
+                    checkVector(group.position, `${groupPath}.position`, errors);
+                }
+                if (group.spread !== undefined && !(isNumber(group.spread) && group.spread >= 0)) {
+                    errors.push(`${groupPath}.spread: deve ser um número maior ou igual a zero`);
+                }
+            });
+        }
+    }
+
+    if (mission.reward !== undefined) {
+        if (!isObject(mission.reward)) {
+            errors.push(`${path}.reward: deve ser um objeto`);
+        } else {
+            checkKeys(mission.reward, REWARD_KEYS, `${path}.reward`, errors);
+            REWARD_KEYS.forEach(key => {
+                const value = mission.reward[key];
+                if (value !== undefined && !(isNumber(value) && value >= 0)) {
+                    errors.push(`${path}.reward.${key}: deve ser um número maior ou igual a zero`);
+                }
+            });
+        }
+    }
+
+    // Tutorial mostrado depois de "delay" segundos (tipos do UIManager.showTutorial)
+    if (mission.tutorial !== undefined) {
+        if (!isObject(mission.tutorial)) {
+            errors.push(`${path}.tutorial: deve ser um objeto`);
+        } else {
+            checkKeys(mission.tutorial, TUTORIAL_KEYS, `${path}.tutorial`, errors);
+            checkString(mission.tutorial.type, `${path}.tutorial.type`, errors);
+
+            if (mission.tutorial.delay !== undefined) {
+                checkNonNegativeNumber(mission.tutorial.delay, `${path}.tutorial.delay`, errors);
+            }
+        }
+    }
+
+    if (mission.markerColor !== undefined &&
+        !(typeof mission.markerColor === 'string' && /^#[0-9a-fA-F]{6}$/.test(mission.markerColor))) {
+        errors.push(`${path}.markerColor: deve ser uma cor no formato "#rrggbb"`);
+    }
+}
+
+/**
+ * Valida o arquivo de ondas
+ * Os índices em "spawnPoints" se referem aos pontos de spawn da fase carregada e são
+ * conferidos só ao criar os inimigos
+ * @param {Object} data - Conteúdo do arquivo JSON já convertido em objeto
+ * @returns {string[]} - Lista de erros (vazia se o arquivo é válido)
+ */
+export function validateWaves(data) {
+    const errors = [];
+
+    if (!isObject(data)) {
+        return ['o arquivo de ondas deve ser um objeto JSON'];
+    }
+
+    checkKeys(data, WAVES_KEYS, '', errors);
+
+    if (data.version !== WAVES_FORMAT_VERSION) {
+        errors.push(`version: esperado ${WAVES_FORMAT_VERSION}, recebido ${JSON.stringify(data.version)}`);
+    }
+
+    if (data.endless !== undefined && typeof data.endless !== 'boolean') {
+        errors.push('endless: deve ser true ou false');
+    }
+
+    if (!Array.isArray(data.waves) || data.waves.length === 0) {
+        errors.push('waves: deve ser uma lista com pelo menos uma onda');
+        return errors;
+    }
+
+    data.waves.forEach((wave, i) => {
+        const path = `waves[${i}]`;
+
+        if (!isObject(wave)) {
+            errors.push(`${path}: deve ser um objeto`);
+            return;
+        }
+
+        checkKeys(wave, WAVE_KEYS, path, errors);
+
+        if (wave.delay !== undefined) {
+            checkNonNegativeNumber(wave.delay, `${path}.delay`, errors);
+        }
+
+        // Multiplicadores de vida, dano e velocidade dos inimigos da onda
+        if (wave.modifiers !== undefined) {
+            if (!isObject(wave.modifiers)) {
+                errors.push(`${path}.modifiers: deve ser um objeto`);
+            } else {
+                checkKeys(wave.modifiers, MODIFIER_KEYS, `${path}.modifiers`, errors);
+                MODIFIER_KEYS.forEach(key => {
+                    if (wave.modifiers[key] !== undefined) {
+                        checkPositiveNumber(wave.modifiers[key], `${path}.modifiers.${key}`, errors);
+                    }
+                });
+            }
+        }
+
+        if (!Array.isArray(wave.groups) || wave.groups.length === 0) {
+            errors.push(`${path}.groups: deve ser uma lista com pelo menos um grupo`);
+            return;
+        }
+
+        wave.groups.forEach((group, j) => {
+            const groupPath = `${path}.groups[${j}]`;
+
+            if (!isObject(group)) {
+                errors.push(`${groupPath}: deve ser um objeto`);
+                return;
+            }
+
+            checkKeys(group, WAVE_GROUP_KEYS, groupPath, errors);
+            checkOneOf(group.type, ENEMY_TYPES, `${groupPath}.type`, errors);
+            checkPositiveInteger(group.count, `${groupPath}.count`, errors);
+
+            if (group.delay !== undefined) {
+                checkNonNegativeNumber(group.delay, `${groupPath}.delay`, errors);
+            }
+            if (group.interval !== undefined) {
+                checkNonNegativeNumber(group.interval, `${groupPath}.interval`, errors);
+            }
+            if (group.spawnPoints !== undefined &&
+                !(Array.isArray(group.spawnPoints) && group.spawnPoints.length > 0 &&
+                    group.spawnPoints.every(index => Number.isInteger(index) && index >= 0))) {
+                errors.push(`${groupPath}.spawnPoints: deve ser uma lista de índices (inteiros a partir de 0) dos pontos de spawn da fase`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function checkKeys(object, allowed, path, errors) {
+    Object.keys(object).forEach(key => {
+        if (!allowed.includes(key)) {
+            errors.push(`${path ? `${path}.` : ''}${key}: campo desconhecido`);
+        }
+    });
+}
+
+function checkString(value, path, errors) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        errors.push(`${path}: deve ser um texto não vazio`);
+    }
+}
+
+function checkOneOf(value, options, path, errors) {
+    if (!options.includes(value)) {
+        errors.push(`${path}: valor ${JSON.stringify(value)} inválido (use ${options.join(', ')})`);
+    }
+}
+
+function checkPositiveNumber(value, path, errors) {
+    if (!isNumber(value) || value <= 0) {
+        errors.push(`${path}: deve ser um número maior que zero`);
+    }
+}
+
+function checkNonNegativeNumber(value, path, errors) {
+    if (!isNumber(value) || value < 0) {
+        errors.push(`${path}: deve ser um número maior ou igual a zero`);
+    }
+}
+
+function checkPositiveInteger(value, path, errors) {
+    if (!Number.isInteger(value) || value <= 0) {
+        errors.push(`${path}: deve ser um inteiro maior que zero`);
+    }
+}
+
+function checkUniqueId(id, usedIds, path, errors) {
+    if (typeof id !== 'string' || id.trim() === '') {
+        errors.push(`${path}.id: deve ser um texto não vazio`);
+    } else if (usedIds.has(id)) {
+        errors.push(`${path}.id: id "${id}" repetido`);
+    } else {
+        usedIds.add(id);
+    }
+}
+
+function checkVector(value, path, errors) {
+    if (!isObject(value) || !isNumber(value.x) || !isNumber(value.z) ||
+        (value.y !== undefined && !isNumber(value.y))) {
+        errors.push(`${path}: deve ser uma posição { "x": número, "y": número (opcional), "z": número }`);
+    }
+}
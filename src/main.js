@@ -11,13 +11,20 @@ import { GameState } from './game-state.js';
 import { InputManager } from './input-manager.js';
 import { SceneManager } from './scene-manager.js';
 import { Player } from './player.js';
+import { Bullet } from './bullet.js';
 import { EnemyManager } from './enemy-manager.js';
+import { PickupManager } from './pickup-manager.js';
 import { AudioManager } from './audio-manager.js';
 import { UIManager } from './ui-manager.js';
 import { MissionManager } from './mission-manager.js';
+import { SaveManager } from './save-manager.js';
+import { SettingsManager } from './settings-manager.js';
 import { MobileControls } from './mobile-controls.js';
 import { NetworkManager } from './network-manager.js';
 import { RemotePlayer } from './remote-player.js';
+import { Random } from './random.js';
+import { Simulation } from './simulation.js';
+import { EventBus, GAME_EVENTS } from './event-bus.js';
 
 /**
  * Classe principal que gerencia o jogo
@@ -31,6 +38,13 @@ class Game {
         this.lastTime = 0;
         this.gameState = new GameState();
         
+        // Barramento de eventos: os módulos publicam e assinam por ele, sem se referenciarem
+        this.events = new EventBus();
+        
+        // Tempo real ainda não simulado (menor que um passo) e posições dos objetos antes do último passo
+        this.accumulator = 0;
+        this.renderState = new Map();
+        
         // Inicializa o gerenciador de entrada
         this.inputManager = new InputManager();
         console.log("InputManager inicializado");
@@ -61,11 +75,22 @@ class Game {
         
         // Inicializa o jogador e gerenciador de inimigos
         this.player = new Player(this.camera, this.inputManager);
+        this.player.setCollisionWorld(this.sceneManager.collisionWorld);
+        Bullet.setCollisionWorld(this.sceneManager.collisionWorld);
         this.enemyManager = new EnemyManager(
             this.scene, 
             this.player, 
             this.gameState
         );
+        this.enemyManager.setNavigationGrid(this.sceneManager.navigationGrid);
+        this.enemyManager.setCollisionWorld(this.sceneManager.collisionWorld);
+        this.enemyManager.setCoverSystem(this.sceneManager.coverSystem);
+        
+        // Ondas roteirizadas (até carregarem, as ondas são geradas)
+        this.enemyManager.loadWaves();
+        
+        // Itens coletáveis e power-ups
+        this.pickupManager = new PickupManager(this.scene, this.player);
         
         // O jogador não tem um mesh principal para adicionar à cena
         // Ele usa a câmera como seu "corpo" e adiciona a arma diretamente à câmera
@@ -77,6 +102,48 @@ class Game {
             this.uiManager
         );
         
+        this.missionManager.setSceneManager(this.sceneManager);
+        this.missionManager.setEnemyManager(this.enemyManager);
+        
+        // Passo fixo da simulação, o mesmo do HeadlessGame
+        this.simulation = new Simulation({
+            gameState: this.gameState,
+            scene: this.scene,
+            player: this.player,
+            enemyManager: this.enemyManager,
+            pickupManager: this.pickupManager,
+            missionManager: this.missionManager
+        });
+        
+        // Conecta os módulos ao barramento de eventos
+        [this.player, this.enemyManager, this.pickupManager, this.missionManager, this.simulation,
+            this.audioManager, this.uiManager]
+            .forEach(module => module.setEventBus(this.events));
+        this.setupGameEvents();
+        
+        // Jogos salvos e salvamento automático
+        this.saveManager = new SaveManager(
+            this.gameState,
+            this.player,
+            this.missionManager
+        );
+        
+        // Preferências do jogador (aplicadas na entrada, na câmera e no áudio)
+        this.settingsManager = new SettingsManager(
+            this.inputManager,
+            this.sceneManager,
+            this.audioManager
+        );
+        
+        // Estado para o qual a tela de configurações volta ('menu' ou 'paused')
+        this.settingsReturnState = 'menu';
+        
+        // Ação e posição aguardando uma nova entrada na tela de configurações ({ action, index })
+        this.pendingRebind = null;
+        
+        // Placar (TAB) aberto no frame anterior
+        this.scoreboardVisible = false;
+        
         // Salvar referência ao jogador no gameState
         this.gameState.player = this.player;
         
@@ -89,6 +156,8 @@ class Game {
         
         // Inicia na tela de título
         this.gameState.setState('menu');
+        this.refreshSaveSlots();
+        this.refreshDifficulty();
         
         // Tempo do último frame
         this.lastFrameTime = 0;
@@ -118,6 +187,54 @@ class Game {
         console.log("Jogo inicializado");
     }
     
+    /**
+     * Assina os eventos do barramento que o próprio Game trata
+     * (falha de missão, pedidos da tela multiplayer e jogadores remotos)
+     */
+    setupGameEvents() {
+        this.events.on(GAME_EVENTS.MISSION_FAILED, ({ mission, reason }) => this.onMissionFailed(mission, reason));
+        
+        // Tela multiplayer
+        this.events.on(GAME_EVENTS.CONNECT_REQUESTED, ({ serverUrl, playerName }) => {
+            this.connectToMultiplayerServer(serverUrl, playerName)
+                .then(() => {
+                    // Inicia o jogo se já não estiver jogando
+                    if (this.gameState.state !== 'playing') {
+                        this.startGame();
+                    }
+                })
+                .catch(() => {}); // A falha já foi publicada
+        });
+        this.events.on(GAME_EVENTS.DISCONNECT_REQUESTED, () => {
+            if (this.isMultiplayer) {
+                this.disconnectFromMultiplayerServer();
+            }
+        });
+        
+        // Jogadores remotos
+        this.events.on(GAME_EVENTS.PLAYER_UPDATED, ({ id, data, timestamp }) => this._updateRemotePlayer(id, data, timestamp));
+        this.events.on(GAME_EVENTS.PLAYER_LEFT, ({ id }) => this._removeRemotePlayer(id));
+        
+        // Conexão perdida: limpa os jogadores remotos e, se pedido, tenta reconectar
+        this.events.on(GAME_EVENTS.NETWORK_DISCONNECTED, ({ reason, reconnect }) => {
+            console.log(`Game: Desconectado do servidor: ${reason}`);
+            this._removeAllRemotePlayers();
+            this.isMultiplayer = false;
+            
+            const serverUrl = this.networkManager?.serverUrl;
+            if (!reconnect || !serverUrl) return;
+            
+            // Aguarda 2 segundos antes de tentar reconectar
+            setTimeout(() => {
+                this.uiManager.showMessage("Tentando reconectar...", 3000, "info");
+                this.connectToMultiplayerServer(serverUrl, this.networkManager.playerName)
+                    .catch(err => {
+                        console.error("Falha na reconexão automática:", err);
+                    });
+            }, 2000);
+        });
+    }
+    
     /**
      * Configura os ouvintes de eventos para interações do usuário
      */
@@ -135,6 +252,47 @@ class Game {
             console.error("Botão 'start-button' não encontrado no DOM");
         }
         
+        // Botão continuar (jogo salvo no slot selecionado)
+        const continueButton = document.getElementById('continue-button');
+        if (continueButton) {
+            continueButton.addEventListener('click', () => {
+                this.continueGame();
+            });
+        }
+        
+        // Seleção do slot de salvamento
+        const saveSlotSelect = document.getElementById('save-slot-select');
+        if (saveSlotSelect) {
+            saveSlotSelect.addEventListener('change', (e) => {
+                this.saveManager.setActiveSlot(parseInt(e.target.value, 10));
+                this.refreshSaveSlots();
+            });
+        }
+        
+        // Dificuldade das próximas campanhas
+        const difficultySelect = document.getElementById('difficulty-select');
+        if (difficultySelect) {
+            difficultySelect.addEventListener('change', (e) => {
+                this.settingsManager.setDifficulty(e.target.value);
+                this.refreshDifficulty();
+            });
+        }
+        
+        // Fatores da dificuldade personalizada (controles criados pelo UIManager)
+        const customDifficulty = document.getElementById('custom-difficulty');
+        if (customDifficulty) {
+            customDifficulty.addEventListener('input', (e) => {
+                const factor = e.target.dataset.factor;
+                if (!factor) return;
+                
+                this.settingsManager.setCustomDifficulty(factor, parseFloat(e.target.value));
+                this.refreshDifficulty();
+            });
+        }
+        
+        // Tela de configurações
+        this.setupSettingsListeners();
+        
         // Botão retomar (pausa)
         const resumeButton = document.getElementById('resume-button');
         if (resumeButton) {
@@ -174,10 +332,25 @@ class Game {
             });
         }
         
-        // Tecla ESC para pausar
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.gameState.state === 'playing') {
-                console.log("Tecla ESC pressionada - pausando jogo");
+        // Botões da tela de missão falhou
+        const checkpointButton = document.getElementById('checkpoint-button');
+        if (checkpointButton) {
+            checkpointButton.addEventListener('click', () => {
+                this.restartFromCheckpoint();
+            });
+        }
+        
+        const missionFailedMenuButton = document.getElementById('mission-failed-menu-button');
+        if (missionFailedMenuButton) {
+            missionFailedMenuButton.addEventListener('click', () => {
+                this.returnToMenu();
+            });
+        }
+        
+        // Ação de pausar (ESC ou P por padrão, redefinível nas configurações)
+        this.inputManager.onAction('pause', () => {
+            if (this.gameState.state === 'playing') {
+                console.log("Ação de pausa acionada - pausando jogo");
                 this.pauseGame();
             }
         });
@@ -185,6 +358,205 @@ class Game {
         console.log("Eventos configurados");
     }
     
+    /**
+     * Configura os botões e controles da tela de configurações
+     */
+    setupSettingsListeners() {
+        ['settings-button', 'pause-settings-button'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => {
+                    this.openSettings();
+                });
+            }
+        });
+        
+        const backButton = document.getElementById('settings-back-button');
+        if (backButton) {
+            backButton.addEventListener('click', () => {
+                this.closeSettings();
+            });
+        }
+        
+        const resetButton = document.getElementById('settings-reset-button');
+        if (resetButton) {
+            resetButton.addEventListener('click', () => {
+                this.cancelRebind();
+                this.settingsManager.resetToDefaults();
+                this.uiManager.updateSettingsScreen(this.settingsManager.settings);
+                this.uiManager.setBindingsStatus('');
+            });
+        }
+        
+        // Cada controle altera uma configuração, aplicada na hora
+        const controls = [
+            { id: 'setting-sensitivity', key: 'sensitivity', read: el => parseFloat(el.value) },
+            { id: 'setting-invert-y', key: 'invertY', read: el => el.checked },
+            { id: 'setting-fov', key: 'fov', read: el => parseInt(el.value, 10) },
+            { id: 'setting-music-volume', key: 'musicVolume', read: el => parseFloat(el.value) },
+            { id: 'setting-sfx-volume', key: 'sfxVolume', read: el => parseFloat(el.value) },
+            { id: 'setting-graphics-quality', key: 'graphicsQuality', read: el => el.value }
+        ];
+        
+        controls.forEach(({ id, key, read }) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            
+            const eventName = element.type === 'range' ? 'input' : 'change';
+            element.addEventListener(eventName, () => {
+                this.settingsManager.set(key, read(element));
+                this.uiManager.updateSettingsScreen(this.settingsManager.settings);
+            });
+        });
+        
+        // Botões de controle são recriados a cada atualização, então o clique é tratado no contêiner
+        const keyBindings = document.getElementById('key-bindings');
+        if (keyBindings) {
+            keyBindings.addEventListener('click', (e) => {
+                const { action, index } = e.target.dataset || {};
+                if (action && !this.pendingRebind) {
+                    this.beginRebind(action, parseInt(index, 10));
+                }
+            });
+        }
+        
+        // Perfis de controles (arquivo JSON)
+        const exportButton = document.getElementById('bindings-export-button');
+        if (exportButton) {
+            exportButton.addEventListener('click', () => {
+                this.exportBindings();
+            });
+        }
+        
+        const importButton = document.getElementById('bindings-import-button');
+        const importFile = document.getElementById('bindings-import-file');
+        if (importButton && importFile) {
+            importButton.addEventListener('click', () => {
+                importFile.value = '';
+                importFile.click();
+            });
+            importFile.addEventListener('change', () => {
+                if (importFile.files.length > 0) {
+                    this.importBindings(importFile.files[0]);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Abre a tela de configurações a partir do menu principal ou da pausa
+     */
+    openSettings() {
+        this.settingsReturnState = this.gameState.state === 'paused' ? 'paused' : 'menu';
+        this.gameState.setState('settings');
+        this.uiManager.updateSettingsScreen(this.settingsManager.settings);
+    }
+    
+    /**
+     * Fecha a tela de configurações e volta à tela de origem
+     */
+    closeSettings() {
+        this.cancelRebind();
+        this.uiManager.setBindingsStatus('');
+        this.gameState.setState(this.settingsReturnState);
+    }
+    
+    /**
+     * Aguarda a próxima entrada (tecla, botão ou roda do mouse) para a ação na posição indicada
+     * @param {string} action - Ação a redefinir
+     * @param {number} index - Posição da entrada (0 = principal, 1 = alternativa)
+     */
+    beginRebind(action, index) {
+        this.pendingRebind = { action, index };
+        this.uiManager.renderBindings(this.settingsManager.settings.bindings, this.pendingRebind);
+        this.uiManager.setBindingsStatus('');
+        
+        // O clique que iniciou a captura já terminou; a próxima entrada vai para a captura
+        this.inputManager.captureNextInput(input => {
+            this.pendingRebind = null;
+            
+            if (input === 'Backspace') {
+                this.settingsManager.clearInput(action, index);
+            } else if (input) {
+                const conflicts = this.settingsManager.bindInput(action, input, index);
+                if (conflicts.length > 0) {
+                    const names = conflicts.map(other => this.uiManager.getActionLabel(other)).join(', ');
+                    this.uiManager.setBindingsStatus(
+                        `${this.uiManager.formatKeyCode(input)} estava em uso por: ${names}. A entrada foi removida de lá.`
+                    );
+                }
+            }
+            
+            this.uiManager.renderBindings(this.settingsManager.settings.bindings);
+            
+            // O clique do mouse que foi capturado não deve acionar o botão sob o cursor
+            if (input && input.startsWith('Mouse')) {
+                this.suppressNextClick();
+            }
+        });
+    }
+    
+    /**
+     * Cancela a espera por uma nova entrada, se houver
+     */
+    cancelRebind() {
+        if (!this.pendingRebind) return;
+        
+        this.inputManager.cancelInputCapture();
+        this.pendingRebind = null;
+        this.uiManager.renderBindings(this.settingsManager.settings.bindings);
+    }
+    
+    /**
+     * Ignora o próximo clique (o que completa um botão do mouse capturado para um controle)
+     */
+    suppressNextClick() {
+        const swallow = (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+        };
+        
+        document.addEventListener('click', swallow, true);
+        
+        // O clique acontece logo após soltar o botão; depois disso os cliques voltam ao normal
+        document.addEventListener('mouseup', () => {
+            setTimeout(() => document.removeEventListener('click', swallow, true), 0);
+        }, { once: true });
+    }
+    
+    /**
+     * Baixa os controles atuais como um arquivo de perfil JSON
+     */
+    exportBindings() {
+        const json = this.inputManager.exportProfile();
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'starstrike-controles.json';
+        link.click();
+        
+        URL.revokeObjectURL(url);
+        this.uiManager.setBindingsStatus('Perfil de controles exportado.');
+    }
+    
+    /**
+     * Lê um arquivo de perfil de controles e aplica se for válido
+     * @param {File} file - Arquivo escolhido pelo jogador
+     */
+    importBindings(file) {
+        file.text()
+            .then(json => {
+                const name = this.settingsManager.importBindings(json);
+                this.uiManager.renderBindings(this.settingsManager.settings.bindings);
+                this.uiManager.setBindingsStatus(`Perfil "${name}" importado.`);
+            })
+            .catch(error => {
+                console.error("Erro ao importar perfil de controles:", error);
+                this.uiManager.setBindingsStatus(error.message, true);
+            });
+    }
+    
     /**
      * Inicia o jogo
      * @param {boolean} forceRestart - Se deve forçar o reinício mesmo se já estiver rodando
@@ -207,6 +579,7 @@ class Game {
         // Em multiplayer, queremos preservar o estado do jogador
         if (!this.isMultiplayer || forceRestart) {
             this.gameState.resetScore();
+            this.resetSimulation();
             
             // Reseta o jogador
             this.player.reset();
@@ -214,8 +587,15 @@ class Game {
             // Reseta o gerenciador de inimigos
             this.enemyManager.reset();
             
+            // Recoloca os itens do mapa
+            this.pickupManager.reset();
+            
+            // Aplica a dificuldade escolhida na tela inicial
+            this.applyDifficulty(this.settingsManager.getDifficulty());
+            
             // Carrega as missões da fase 1
             this.missionManager.loadMissions(1);
+            this.saveManager.resetTimer();
             
             // Inicializa a primeira onda
             this.enemyManager.startNextWave();
@@ -277,6 +657,102 @@ class Game {
         console.log("Jogo iniciado!");
     }
     
+    /**
+     * Continua o jogo salvo no slot selecionado
+     */
+    continueGame() {
+        const save = this.saveManager.load(this.saveManager.activeSlot);
+        if (!save) {
+            this.uiManager.showMessage('Nenhum jogo salvo neste slot.', 3000, 'warning');
+            this.refreshSaveSlots();
+            return;
+        }
+        
+        console.log(`Continuando jogo do slot ${this.saveManager.activeSlot}`);
+        
+        if (this.audioManager && typeof this.audioManager.unlockAudio === 'function') {
+            this.audioManager.unlockAudio();
+        }
+        
+        this.enemyManager.reset();
+        this.pickupManager.reset();
+        this.resetSimulation();
+        
+        // A campanha continua na dificuldade em que foi salva
+        const difficulty = save.difficulty;
+        this.applyDifficulty({
+            name: difficulty.name,
+            factors: difficulty.factors || this.settingsManager.getPresetFactors(difficulty.name)
+        });
+        
+        // Jogador e pontuação são restaurados antes da fase para entrarem no checkpoint da missão
+        this.player.reset();
+        this.player.applySnapshot(save.player);
+        this.gameState.resetScore();
+        this.gameState.setScore(save.score, save.kills);
+        
+        // startNextWave avança a onda, então parte da anterior à salva
+        this.gameState.currentWave = Math.max(0, save.wave - 1);
+        
+        this.missionManager.loadMissions(save.level, save.mission.index).then(loaded => {
+            if (!loaded) return;
+            
+            this.missionManager.restoreProgress(save.mission);
+            this.enemyManager.startNextWave();
+            this.saveManager.resetTimer();
+            
+            this.gameState.setState('playing');
+            this.lockMouse();
+            this.uiManager.showMessage(`Jogo carregado: ${save.missionTitle}`, 3000, 'success');
+        });
+    }
+    
+    /**
+     * Aplica uma dificuldade à campanha que está começando
+     * @param {Object} difficulty - { name, factors } (ver SettingsManager.getDifficulty)
+     */
+    applyDifficulty(difficulty) {
+        this.gameState.difficulty = difficulty;
+        this.enemyManager.setDifficulty(difficulty.factors);
+        this.player.setDifficulty(difficulty.factors);
+        
+        console.log(`Dificuldade: ${difficulty.name}`);
+    }
+    
+    /**
+     * Começa uma partida nova da simulação: relógio zerado, ações agendadas descartadas
+     * e gerador reiniciado com GAME.RNG_SEED ou, se ela for null, com uma semente nova
+     */
+    resetSimulation() {
+        const seed = GAME.RNG_SEED !== null ? GAME.RNG_SEED : Random.createSeed();
+        
+        this.gameState.resetClock(seed);
+        this.enemyManager.setSeed(seed);
+        this.pickupManager.setSeed(seed);
+        this.player.setSeed(seed);
+        this.accumulator = 0;
+        this.renderState.clear();
+        
+        console.log(`Simulação iniciada com a semente ${seed}`);
+    }
+    
+    /**
+     * Mostra a dificuldade salva nas configurações na tela inicial
+     */
+    refreshDifficulty() {
+        const settings = this.settingsManager.settings;
+        this.uiManager.updateDifficulty(settings.difficulty, settings.customDifficulty);
+    }
+    
+    /**
+     * Atualiza os slots de salvamento e o botão "Continuar" da tela inicial
+     */
+    refreshSaveSlots() {
+        if (this.uiManager && this.saveManager) {
+            this.uiManager.updateSaveSlots(this.saveManager.listSlots(), this.saveManager.activeSlot);
+        }
+    }
+    
     /**
      * Bloqueia o ponteiro do mouse para controle da câmera
      */
@@ -341,7 +817,9 @@ class Game {
         this.gameState.setState('playing');
         this.player.reset();
         this.enemyManager.reset();
+        this.pickupManager.reset();
         this.gameState.resetScore();
+        this.resetSimulation();
         this.enemyManager.startNextWave();
         document.body.requestPointerLock();
         
@@ -362,6 +840,7 @@ class Game {
         console.log("Retornando ao menu");
         this.gameState.setState('menu');
         document.exitPointerLock();
+        this.refreshSaveSlots();
     }
     
     /**
@@ -379,6 +858,55 @@ class Game {
         }
     }
     
+    /**
+     * Chamado quando o MissionManager publica a falha da missão atual
+     * @param {Object} mission - Missão que falhou
+     * @param {string} reason - Motivo da falha
+     */
+    onMissionFailed(mission, reason) {
+        console.log(`Missão falhou: ${mission.id} (${reason})`);
+        this.gameState.setState('mission-failed');
+        document.exitPointerLock();
+        
+        if (this.uiManager) {
+            this.uiManager.updateMissionFailedScreen({
+                title: mission.title,
+                reason: this.missionManager.getFailureMessage(reason),
+                attempts: this.missionManager.getFailureCount(mission.id)
+            });
+        }
+    }
+    
+    /**
+     * Recomeça a missão que falhou a partir do checkpoint salvo no seu início
+     */
+    restartFromCheckpoint() {
+        const checkpoint = this.missionManager.checkpoint;
+        if (!checkpoint) {
+            this.restartGame();
+            return;
+        }
+        
+        console.log(`Recomeçando do checkpoint (missão ${checkpoint.missionIndex + 1})`);
+        
+        // Limpa o mapa e restaura o jogador e a pontuação do início da missão
+        this.enemyManager.reset();
+        this.pickupManager.reset();
+        this.player.reset();
+        this.player.applySnapshot(checkpoint.player);
+        this.gameState.setScore(checkpoint.score, checkpoint.kills);
+        this.resetSimulation();
+        
+        // Volta à onda em que a missão começou
+        this.gameState.currentWave = checkpoint.wave;
+        
+        this.missionManager.restartFromCheckpoint();
+        this.enemyManager.startNextWave();
+        
+        this.gameState.setState('playing');
+        this.lockMouse();
+    }
+    
     /**
      * Adaptação às mudanças de tamanho da janela
      */
@@ -394,85 +922,39 @@ class Game {
     
     /**
      * Loop principal do jogo
+     * A simulação avança em passos fixos de 1 / GAME.TICK_RATE segundos (ver tick), quantos couberem
+     * no tempo real decorrido; a renderização interpola entre os dois últimos passos
      * @param {number} time - Timestamp do quadro atual
      */
     gameLoop(time) {
         if (!this.isRunning) return;
         
-        // Calcula delta time
-        const deltaTime = (time - this.lastTime) / 1000;
+        // Tempo real do quadro, limitado para não simular de uma vez o tempo em que a aba ficou em segundo plano
+        const frameTime = Math.min((time - this.lastTime) / 1000, GAME.MAX_FRAME_TIME);
         this.lastTime = time;
         
-        // Limita o deltaTime para evitar comportamentos estranhos quando a aba está em segundo plano
-        const cappedDeltaTime = Math.min(deltaTime, 0.1);
-        
         // Incrementa o contador de frames
         this.frameCounter = (this.frameCounter || 0) + 1;
         
+        const step = 1 / GAME.TICK_RATE;
+        
         // Atualiza o jogo apenas se não estiver pausado
         if (this.gameState.state === 'playing') {
-            // Atualiza a física e movimentos do jogador
-            if (this.player) {
-                this.player.update(cappedDeltaTime);
-            }
-            
-            // Atualiza os inimigos
-            if (this.enemyManager) {
-                this.enemyManager.update(cappedDeltaTime);
-            }
-            
-            // Atualiza projéteis do jogador
-            this.updatePlayerBullets();
+            this.accumulator += frameTime;
             
-            // Verifica colisões
-            this.checkCollisions();
-            
-            // Atualiza jogadores remotos a cada 3 frames para economizar CPU
-            if (this.isMultiplayer && this.frameCounter % 3 === 0) {
-                for (const remotePlayer of this.remotePlayers.values()) {
-                    if (remotePlayer && typeof remotePlayer.update === 'function') {
-                        remotePlayer.update(cappedDeltaTime * 3); // Compensamos o deltaTime
-                    }
-                }
-                
-                // Log apenas ocasionalmente (a cada ~10 segundos)
-                if (this.frameCounter % 600 === 0) {
-                    console.log(`Jogadores remotos conectados: ${this.remotePlayers.size}`);
-                }
-            }
-            
-            // Envia atualizações de rede a cada 200ms (5 vezes por segundo)
-            if (this.isMultiplayer && this.networkManager && this.networkManager.connected) {
-                this.networkUpdateTimer = (this.networkUpdateTimer || 0) + cappedDeltaTime;
-                if (this.networkUpdateTimer >= 0.2) { // 200ms
-                    this.networkUpdateTimer = 0;
-                    
-                    // Envia atualização de posição para o servidor
-                    if (this.player) {
-                        this.networkManager.sendPlayerUpdate(
-                            this.player.position,
-                            this.player.velocity,
-                            this.player.rotation
-                        );
-                    }
-                }
-            }
-            
-            // Atualiza rede (multiplayer)
-            if (this.isMultiplayer && this.networkManager) {
-                this.networkManager.update(cappedDeltaTime);
-                
-                // Atualiza jogadores remotos
-                this.remotePlayers.forEach(player => {
-                    player.update(cappedDeltaTime);
-                });
-                
-                // A cada 5 segundos, verificar a visibilidade dos jogadores remotos
-                if (this.frameCounter % 300 === 0) {
-                    this._checkRemotePlayersVisibility();
-                }
+            // Para no meio se o passo encerrar a partida (game over, missão falhou)
+            while (this.accumulator >= step && this.gameState.state === 'playing') {
+                this.captureRenderState();
+                this.tick(step);
+                this.accumulator -= step;
             }
+        } else {
+            this.accumulator = 0;
         }
+        
+        // Fração do próximo passo já decorrida; fora do jogo mostra o último passo
+        const alpha = this.gameState.state === 'playing' ? this.accumulator / step : 1;
+        this.applyRenderInterpolation(alpha);
 
         // Verifica se a cena e a câmera estão definidas antes de renderizar
         if (this.renderer && this.sceneManager && this.sceneManager.scene && this.sceneManager.camera) {
@@ -485,10 +967,18 @@ class Game {
         } else {
             console.warn("Não foi possível renderizar: renderer, cena ou câmera não está disponível");
         }
+        
+        // A simulação continua das posições do último passo, não das interpoladas
+        this.restoreRenderState();
 
         // Atualiza o UI
         if (this.uiManager) {
             this.uiManager.update();
+            this.updateScoreboard();
+            
+            // Barra de vida do chefe
+            const boss = this.enemyManager ? this.enemyManager.getBoss() : null;
+            this.uiManager.setBossBar(boss ? boss.getStatus() : null);
         }
         
         // Continua o loop
@@ -496,101 +986,149 @@ class Game {
     }
     
     /**
-     * Atualiza e gerencia os projéteis do jogador
+     * Avança a simulação um passo fixo
+     * Tudo que afeta a partida roda aqui (e no relógio do GameState), nunca por quadro ou setTimeout
+     * @param {number} deltaTime - Duração do passo em segundos (1 / GAME.TICK_RATE)
      */
-    updatePlayerBullets() {
-        try {
-            // Adiciona novos projéteis à cena (limitando para melhorar performance)
-            const newBullets = this.player.bullets.filter(bullet => !bullet.addedToScene);
-            
-            // Limita o número máximo de projéteis ativos
-            if (this.player.bullets.length > 10) {
-                // Remove os mais antigos se exceder o limite
-                const toRemove = this.player.bullets.length - 10;
-                for (let i = 0; i < toRemove; i++) {
-                    if (this.player.bullets[i].addedToScene) {
-                        this.sceneManager.scene.remove(this.player.bullets[i].mesh);
-                    }
-                }
-                this.player.bullets = this.player.bullets.slice(toRemove);
+    tick(deltaTime) {
+        // Jogador, inimigos, itens, missões, acertos e relógio (o mesmo passo do HeadlessGame)
+        this.showStepFeedback(this.simulation.step(deltaTime));
+        
+        // Salvamento automático da campanha (não se aplica ao multiplayer)
+        if (this.saveManager && !this.isMultiplayer) {
+            this.saveManager.update(deltaTime);
+        }
+        
+        if (!this.isMultiplayer) return;
+        
+        const tick = this.gameState.tick;
+        
+        // Atualiza jogadores remotos
+        for (const remotePlayer of this.remotePlayers.values()) {
+            if (remotePlayer && typeof remotePlayer.update === 'function') {
+                remotePlayer.update(deltaTime, this.camera);
             }
-            
-            newBullets.forEach(bullet => {
-                this.sceneManager.scene.add(bullet.mesh);
-                bullet.addedToScene = true;
-            });
-            
-            // Remove projéteis que colidiram ou saíram do alcance
-            this.player.bullets = this.player.bullets.filter(bullet => {
-                // Se o projétil deve ser removido
-                if (bullet.hasCollided || bullet.distance > bullet.maxDistance) {
-                    if (bullet.mesh.parent) {
-                        this.sceneManager.scene.remove(bullet.mesh);
-                    }
-                    return false; // Remove o projétil da lista
-                }
-                return true; // Mantém o projétil na lista
-            });
-        } catch (error) {
-            console.error("Erro ao atualizar projéteis:", error);
+        }
+        
+        // Log apenas ocasionalmente (a cada ~10 segundos)
+        if (tick % (GAME.TICK_RATE * 10) === 0) {
+            console.log(`Jogadores remotos conectados: ${this.remotePlayers.size}`);
+        }
+        
+        if (!this.networkManager) return;
+        
+        // Input deste passo: enviado ao servidor em lotes e refeito na reconciliação
+        if (this.player) {
+            this.networkManager.recordInput(this.player.lastInput);
+        }
+        
+        // Atualiza rede (multiplayer)
+        this.networkManager.update(deltaTime);
+        
+        // A cada 5 segundos, verificar a visibilidade dos jogadores remotos
+        if (tick % (GAME.TICK_RATE * 5) === 0) {
+            this._checkRemotePlayersVisibility();
         }
     }
     
     /**
-     * Verifica colisões entre entidades do jogo
+     * Objetos cuja posição é interpolada entre os passos na renderização
+     * @returns {Array<THREE.Object3D>}
      */
-    checkCollisions() {
-        try {
-            // Verifica colisões de projéteis do jogador com inimigos
-            const bulletCollisions = this.enemyManager.checkProjectileCollisions(this.player.bullets);
-            
-            // Registra eliminações para as missões
-            if (bulletCollisions.length > 0) {
-                bulletCollisions.forEach(enemy => {
-                    if (enemy.health <= 0) {
-                        console.log(`Inimigo eliminado do tipo: ${enemy.type}`);
-                        
-                        // Inimigo foi eliminado
-                        this.missionManager.updateMissionProgress({
-                            enemyType: enemy.type
-                        });
-                        
-                        // Se for um sentinela (basic), verifica se estamos na missão 1
-                        if (enemy.type === 'basic' && 
-                            this.missionManager.currentMission && 
-                            this.missionManager.currentMission.id === "level1_mission1") {
-                            
-                            // Força o spawn de um novo sentinela para garantir que há sempre alvos
-                            setTimeout(() => {
-                                const spawnPoint = this.enemyManager.getRandomSpawnPoint();
-                                this.enemyManager.spawnBasic(spawnPoint);
-                            }, 5000); // Depois de 5 segundos
-                        }
-                    }
-                });
-            }
-            
-            // Verifica colisões dos projéteis dos inimigos com o jogador
-            const enemyBulletHits = this.enemyManager.checkEnemyBulletCollisions();
-            if (enemyBulletHits > 0) {
-                console.log(`O jogador foi atingido por ${enemyBulletHits} projéteis inimigos`);
+    getInterpolatedObjects() {
+        const objects = [this.camera];
+        
+        this.player.bullets.forEach(bullet => objects.push(bullet.mesh));
+        this.enemyManager.enemies.forEach(enemy => {
+            objects.push(enemy.mesh);
+            enemy.bullets.forEach(bullet => objects.push(bullet.mesh));
+        });
+        
+        return objects;
+    }
+    
+    /**
+     * Guarda as posições dos objetos antes de um passo da simulação
+     */
+    captureRenderState() {
+        const previous = this.renderState;
+        this.renderState = new Map();
+        
+        this.getInterpolatedObjects().forEach(object => {
+            const state = previous.get(object) || { previous: new THREE.Vector3(), current: new THREE.Vector3() };
+            state.previous.copy(object.position);
+            this.renderState.set(object, state);
+        });
+    }
+    
+    /**
+     * Posiciona os objetos entre o passo anterior e o último para renderizar
+     * Objetos criados no último passo aparecem onde estão
+     * @param {number} alpha - Fração entre o passo anterior (0) e o último (1)
+     */
+    applyRenderInterpolation(alpha) {
+        this.renderState.forEach((state, object) => {
+            state.current.copy(object.position);
+            object.position.lerpVectors(state.previous, state.current, alpha);
+        });
+    }
+    
+    /**
+     * Devolve aos objetos as posições do último passo depois da renderização
+     */
+    restoreRenderState() {
+        this.renderState.forEach((state, object) => {
+            object.position.copy(state.current);
+        });
+    }
+    
+    /**
+     * Mostra o placar enquanto a ação 'scoreboard' (TAB por padrão) estiver pressionada
+     */
+    updateScoreboard() {
+        const visible = this.gameState.state === 'playing' && this.inputManager.isActionPressed('scoreboard');
+        
+        if (!visible) {
+            if (this.scoreboardVisible) {
+                this.uiManager.setScoreboardVisible(false);
+                this.scoreboardVisible = false;
             }
-            
-            // Verifica colisões do jogador com inimigos (corpo a corpo)
-            const playerCollisions = this.enemyManager.checkPlayerCollisions();
-            
-            // Processa dano do jogador se houver colisões com inimigos
-            playerCollisions.forEach(enemy => {
-                if (this.player.takeDamage(enemy.damage * 0.5)) {
-                    // Se o jogador morreu
-                    this.gameOver();
-                }
-                
-                // Mostra efeito visual de dano
-                this.uiManager.showDamageSplash(new THREE.Vector3().subVectors(enemy.position, this.player.position));
-            });
-        } catch (error) {
-            console.error("Erro ao verificar colisões:", error);
+            return;
+        }
+        
+        // Reconstrói as linhas ao abrir e depois a cada 15 frames
+        if (this.scoreboardVisible && this.frameCounter % 15 !== 0) return;
+        this.scoreboardVisible = true;
+        
+        const rows = [{ name: 'Você', score: this.gameState.score, kills: this.gameState.kills }];
+        
+        // O servidor ainda não envia pontuação dos outros jogadores
+        this.remotePlayers.forEach((remotePlayer, id) => {
+            rows.push({ name: `Jogador ${id}`, score: '-', kills: '-' });
+        });
+        
+        this.uiManager.setScoreboardVisible(true, rows);
+    }
+    
+    /**
+     * Mostra na interface os acertos de um passo da simulação e encerra o jogo se o jogador morreu
+     * @param {Object} result - Resultado do Simulation.step
+     */
+    showStepFeedback({ hits, hitscanHits, contacts, playerKilled }) {
+        // Marcador de acerto na mira (eliminação > tiro na cabeça > acerto)
+        if (hits.length > 0) {
+            const kind = hits.some(enemy => enemy.health <= 0) ? 'kill' :
+                hitscanHits.some(hit => hit.zone === 'head') ? 'head' : 'hit';
+            this.uiManager.showHitMarker(kind);
+        }
+        
+        // Efeito visual do dano corpo a corpo
+        contacts.forEach(enemy => {
+            this.uiManager.showDamageSplash(new THREE.Vector3().subVectors(enemy.position, this.player.position));
+        });
+        
+        if (playerKilled) {
+            this.gameOver();
         }
     }
     
@@ -601,10 +1139,7 @@ class Game {
             if (this.networkManager && this.networkManager.connected && this.networkManager.serverUrl === serverUrl) {
                 console.log(`Game: Já está conectado ao servidor ${serverUrl}`);
                 
-                if (this.uiManager) {
-                    this.uiManager.showMessage("Já está conectado ao servidor!", 3000, "info");
-                }
-                
+                this.events.emit(GAME_EVENTS.NETWORK_CONNECTED, { serverUrl, latency: this.networkManager.latency });
                 return Promise.resolve(true);
             }
             
@@ -638,36 +1173,13 @@ class Game {
                 .then(() => {
                     console.log("Game: Conectado com sucesso ao servidor multiplayer");
                     
-                    // Configura callbacks de rede
-                    this._setupNetworkCallbacks();
-                    
-                    // Atualiza a UI
-                    if (this.uiManager) {
-                        this.uiManager.showMessage("Conectado ao servidor multiplayer!", 3000, "success");
-                        this.uiManager.updateConnectionStatus("Conectado");
-                        
-                        // Verifica se o método updateNetworkStatus existe
-                        if (typeof this.uiManager.updateNetworkStatus === 'function') {
-                            this.uiManager.updateNetworkStatus(true, this.networkManager.latency);
-                        }
-                    }
-                    
+                    this.events.emit(GAME_EVENTS.NETWORK_CONNECTED, { serverUrl, latency: this.networkManager.latency });
                     return true;
                 })
                 .catch(error => {
                     console.error("Game: Erro ao conectar ao servidor multiplayer:", error);
                     
-                    // Atualiza a UI
-                    if (this.uiManager) {
-                        this.uiManager.showMessage("Falha ao conectar ao servidor: " + error.message, 5000, "error");
-                        this.uiManager.updateConnectionStatus("Falha na conexão");
-                        
-                        // Verifica se o método updateNetworkStatus existe
-                        if (typeof this.uiManager.updateNetworkStatus === 'function') {
-                            this.uiManager.updateNetworkStatus(false);
-                        }
-                    }
-                    
+                    this.events.emit(GAME_EVENTS.NETWORK_CONNECTION_FAILED, { message: error.message || String(error) });
                     return Promise.reject(error);
                 });
         } catch (error) {
@@ -692,14 +1204,13 @@ class Game {
             // Cria o gerenciador de rede se ainda não existir
             if (!this.networkManager) {
                 this.networkManager = new NetworkManager(this.gameState, this.player);
+                this.networkManager.setScene(this.scene);
+                this.networkManager.setEventBus(this.events);
             }
             
             // Adiciona referência à cena no player para remover projéteis
             this.player.scene = this.scene;
             
-            // Configura o temporizador de atualização da rede
-            this.networkUpdateTimer = 0;
-            
             // Inicializa o mapa de jogadores remotos se ainda não existir
             if (!this.remotePlayers) {
                 this.remotePlayers = new Map();
@@ -742,7 +1253,6 @@ class Game {
             
             // Reseta flags e estado
             this.isMultiplayer = false;
-            this.networkUpdateTimer = 0;
             
             // Se o jogo estava em modo multiplayer, mas não estava jogando,
             // redefine o estado do jogo para o menu
@@ -775,52 +1285,35 @@ class Game {
         }
     }
     
-    // Configura callbacks para eventos de rede
-    _setupNetworkCallbacks() {
-        if (!this.networkManager) return;
+    // Atualiza um jogador remoto com o estado recebido do servidor (cria se ainda não existe)
+    _updateRemotePlayer(id, playerData, timestamp) {
+        const remotePlayer = this.remotePlayers.get(id);
         
-        // Quando um jogador se conecta
-        this.networkManager.onPlayerJoined = (playerData) => {
-            console.log(`Game: Novo jogador conectado [${playerData.id}]`);
-            this._createRemotePlayer(playerData.id, playerData);
-            
-            // Notifica o jogador via UI
-            this.uiManager.showMessage(`Jogador ${playerData.id} entrou no jogo`, 3000, "info");
-        };
+        // Verificar se o objeto remotePlayer é válido
+        if (remotePlayer && typeof remotePlayer.updateFromNetworkData === 'function') {
+            remotePlayer.updateFromNetworkData(playerData, timestamp);
+            return;
+        }
         
-        // Quando um jogador se desconecta
-        this.networkManager.onPlayerLeft = (playerData) => {
-            console.log(`Game: Jogador desconectado [${playerData.id}]`);
-            this._removeRemotePlayer(playerData.id);
-            
-            // Notifica o jogador via UI
-            this.uiManager.showMessage(`Jogador ${playerData.id} saiu do jogo`, 3000, "info");
-        };
+        if (remotePlayer) {
+            console.warn(`Jogador remoto [${id}] inválido, recriando`);
+            this.remotePlayers.delete(id);
+        }
         
-        // Quando a conexão com o servidor é perdida
-        this.networkManager.onDisconnect = (reason) => {
-            console.log(`Game: Desconectado do servidor: ${reason}`);
-            
-            // Notifica o jogador via UI
-            this.uiManager.showMessage(`Desconectado do servidor: ${reason}`, 5000, "error");
-            
-            // Remove todos os jogadores remotos
-            this._removeAllRemotePlayers();
-            
-            // Reseta flags
-            this.isMultiplayer = false;
-        };
+        if (!this._createRemotePlayer(id, playerData, timestamp)) {
+            console.error(`Falha ao criar jogador remoto [${id}]`);
+        }
     }
     
-    // Cria um jogador remoto
-    _createRemotePlayer(id, playerData) {
+    // Cria um jogador remoto (timestamp: horário do snapshot no servidor, se veio de um)
+    _createRemotePlayer(id, playerData, timestamp = null) {
         try {
             // Verifica se já existe um jogador com este ID
             if (this.remotePlayers.has(id)) {
                 console.warn(`Game: Jogador remoto [${id}] já existe. Atualizando...`);
                 // Atualiza os dados do jogador existente
                 const existingPlayer = this.remotePlayers.get(id);
-                existingPlayer.updateFromNetworkData(playerData);
+                existingPlayer.updateFromNetworkData(playerData, timestamp);
                 return existingPlayer;
             }
             
@@ -850,18 +1343,12 @@ class Game {
                 console.log(`Game: Posição do jogador local: (${this.player.position.x.toFixed(2)}, ${this.player.position.y.toFixed(2)}, ${this.player.position.z.toFixed(2)})`);
             }
             
-            // Adiciona um deslocamento para garantir que o jogador remoto seja visível
-            // Isso é apenas para debug, em produção deve-se usar a posição real
-            playerData.position.x += 5; // Desloca 5 unidades no eixo X
-            playerData.position.z += 5; // Desloca 5 unidades no eixo Z
-            
-            console.log(`Game: Posição ajustada para jogador remoto [${id}]: (${playerData.position.x.toFixed(2)}, ${playerData.position.y.toFixed(2)}, ${playerData.position.z.toFixed(2)})`);
-            
             // Cria um novo jogador remoto
             const remotePlayer = new RemotePlayer(
                 id, 
                 playerData, 
-                this.scene
+                this.scene,
+                timestamp
             );
             
             // Adiciona ao mapa de jogadores remotos
@@ -869,11 +1356,6 @@ class Game {
             
             console.log(`Game: Jogador remoto [${id}] criado com sucesso`);
             
-            // Notifica o usuário
-            if (this.uiManager) {
-                this.uiManager.showMessage(`Jogador ${remotePlayer.name || id} entrou no jogo!`, 'success');
-            }
-            
             return remotePlayer;
         } catch (error) {
             console.error(`Erro ao criar jogador remoto [${id}]:`, error);
@@ -928,19 +1410,6 @@ class Game {
         }
     }
     
-    // Sobrescrever método shoot para enviar informações ao servidor
-    shoot() {
-        // Código original de tiro...
-        
-        // Envia informação de tiro ao servidor se estiver no modo multiplayer
-        if (this.isMultiplayer && this.networkManager) {
-            const position = this.player.getBulletSpawnPosition();
-            const direction = this.player.getBulletDirection();
-            
-            this.networkManager.sendShoot(position, direction);
-        }
-    }
-    
     // Adicionar método para mostrar estatísticas de rede na UI
     showNetworkStats() {
         if (!this.isMultiplayer || !this.networkManager) {
@@ -948,8 +1417,19 @@ class Game {
             return;
         }
         
+        // Buffers de interpolação dos jogadores remotos: pior jitter, profundidade média
+        // (snapshots à frente do tempo mostrado) e quantos estão sendo extrapolados
+        const buffers = [...this.remotePlayers.values()]
+            .filter(remotePlayer => typeof remotePlayer.getNetworkStats === 'function')
+            .map(remotePlayer => remotePlayer.getNetworkStats());
+        const averageDepth = buffers.length > 0 ?
+            buffers.reduce((total, buffer) => total + buffer.depth, 0) / buffers.length : 0;
+        
         const stats = {
             latency: this.networkManager.latency + "ms",
+            jitter: Math.max(0, ...buffers.map(buffer => buffer.jitter)) + "ms",
+            bufferDepth: averageDepth.toFixed(1),
+            extrapolating: buffers.filter(buffer => buffer.extrapolating).length,
             connectedPlayers: this.remotePlayers.size + 1, // +1 para incluir o jogador local
             playerId: this.networkManager.playerId
         };
@@ -958,7 +1438,8 @@ class Game {
         
         // Exibe na UI
         this.uiManager.showMessage(
-            `Latência: ${stats.latency} | Jogadores: ${stats.connectedPlayers} | ID: ${stats.playerId}`,
+            `Latência: ${stats.latency} | Jitter: ${stats.jitter} | Buffer: ${stats.bufferDepth} | ` +
+            `Extrapolando: ${stats.extrapolating} | Jogadores: ${stats.connectedPlayers} | ID: ${stats.playerId}`,
             5000,
             "info"
         );
@@ -3,7 +3,20 @@
  * Responsável por criar, rastrear e atualizar o progresso das missões
  */
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.157.0/build/three.module.js';
-import { GAME } from './config.js';
+import { GAME, MISSION } from './config.js';
+import { validateLevel, LevelValidationError } from './level-validator.js';
+import { getElement, requestFrame } from './environment.js';
+import { GAME_EVENTS } from './event-bus.js';
+
+// Cor padrão dos marcadores de objetivo (missões sem markerColor)
+const DEFAULT_MARKER_COLOR = 0xffff00;
+
+// Motivos de falha de missão e o texto exibido na tela de missão falhou
+const FAILURE_MESSAGES = {
+    time_expired: 'O tempo acabou.',
+    left_zone: 'Você abandonou a área de defesa por tempo demais.',
+    objective_destroyed: 'O objetivo defendido foi destruído.'
+};
 
 export class MissionManager {
     /**
@@ -16,6 +29,13 @@ export class MissionManager {
         this.player = player;
         this.uiManager = uiManager;
         
+        // Cena (estruturas e marcadores) e inimigos das missões (definidos pelo Game)
+        this.sceneManager = null;
+        this.enemyManager = null;
+        
+        // Barramento de eventos da partida (definido pelo Game via setEventBus)
+        this.events = null;
+        
         // Missões disponíveis
         this.missions = [];
         
@@ -25,131 +45,198 @@ export class MissionManager {
         // Estado das missões concluídas
         this.completedMissions = [];
         
+        // Histórico de falhas ({ id, reason, time }) e tentativas falhas por missão
+        this.failedMissions = [];
+        this.failureCounts = {};
+        
+        // Estado salvo no início da missão atual, usado para recomeçar após uma falha
+        this.checkpoint = null;
+        
+        // Tempo contínuo fora da área de uma missão de defesa
+        this.outsideZoneTime = 0;
+        
         console.log("MissionManager inicializado");
     }
     
     /**
-     * Carrega as missões da fase atual
+     * Define a cena onde ficam as estruturas e os marcadores de objetivo
+     * @param {SceneManager} sceneManager - Gerenciador da cena
+     */
+    setSceneManager(sceneManager) {
+        this.sceneManager = sceneManager;
+    }
+    
+    /**
+     * Define o gerenciador que cria os inimigos das missões e recebe os pontos de spawn da fase
+     * @param {EnemyManager} enemyManager - Gerenciador de inimigos
+     */
+    setEnemyManager(enemyManager) {
+        this.enemyManager = enemyManager;
+    }
+    
+    /**
+     * Define o barramento da partida: as eliminações contam para as missões de eliminação
+     * e o início, a conclusão e a falha das missões são publicados
+     * @param {EventBus} events - Barramento da partida
+     */
+    setEventBus(events) {
+        this.events = events;
+        events.on(GAME_EVENTS.ENEMY_KILLED, ({ type }) => this.updateMissionProgress({ enemyType: type }));
+    }
+    
+    /**
+     * Publica um evento no barramento, se houver um
+     * @param {string} type - Nome do evento (GAME_EVENTS)
+     * @param {Object} payload - Conteúdo do evento
+     */
+    emit(type, payload) {
+        if (this.events) {
+            this.events.emit(type, payload);
+        }
+    }
+    
+    /**
+     * Carrega as missões da fase a partir de GAME.LEVELS_PATH/levelN.json
      * @param {number} level - Número da fase
+     * @param {number} startIndex - Missão inicial (maior que zero ao continuar um jogo salvo)
+     * @returns {Promise<boolean>} - Resolve com verdadeiro se a fase foi carregada
      */
-    loadMissions(level) {
-        // Limpa missões anteriores
-        this.missions = [];
-        this.currentMission = null;
+    loadMissions(level, startIndex = 0) {
+        const url = `${GAME.LEVELS_PATH}/level${level}.json`;
         
-        console.log(`Carregando missões da fase ${level}`);
+        console.log(`Carregando missões da fase ${level} (${url})`);
         
-        switch(level) {
-            case 1:
-                this.loadLevel1Missions();
-                break;
-            case 2:
-                // Implementar no futuro
-                console.log("Fase 2 ainda não implementada");
-                break;
-            default:
-                console.warn(`Fase ${level} não encontrada`);
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Fase ${level} não encontrada (${url}: HTTP ${response.status})`);
+                }
+                
+                return response.json().catch(error => {
+                    throw new Error(`JSON inválido em ${url}: ${error.message}`);
+                });
+            })
+            .then(data => {
+                this.loadLevel(data, url, startIndex);
+                return true;
+            })
+            .catch(error => {
+                console.error(`Erro ao carregar a fase ${level}:`, error.message);
+                
+                if (this.uiManager) {
+                    this.uiManager.showMessage(`Erro ao carregar a fase ${level}. Veja o console para detalhes.`, 8000, 'error');
+                }
+                return false;
+            });
+    }
+    
+    /**
+     * Valida e aplica os dados de uma fase: missões, pontos de spawn e estruturas de objetivo
+     * @param {Object} data - Conteúdo do arquivo da fase
+     * @param {string} source - Origem dos dados, usada nas mensagens de erro
+     * @param {number} startIndex - Índice da missão inicial
+     * @throws {LevelValidationError} - Se os dados não seguem o formato de fase
+     */
+    loadLevel(data, source = 'fase', startIndex = 0) {
+        const errors = validateLevel(data);
+        if (errors.length > 0) {
+            throw new LevelValidationError(source, errors);
         }
         
-        // Define a primeira missão como atual
-        if (this.missions.length > 0) {
-            this.setCurrentMission(0);
+        // Limpa missões anteriores
+        this.clearLevel();
+        
+        // Posições das estruturas, usadas como alvo das missões "reach" e "defend"
+        const structures = {};
+        (data.structures || []).forEach(structure => {
+            structures[structure.id] = structure;
+        });
+        
+        // Definições guardadas para recriar missões ao recomeçar do checkpoint
+        this.levelData = data;
+        this.structures = structures;
+        
+        this.missions = data.missions.map(definition => this.createMission(definition, structures));
+        this.currentLevel = {
+            number: data.number,
+            title: data.title,
+            description: data.description || ''
+        };
+        
+        // Estruturas e pontos de spawn pertencem à cena e ao gerenciador de inimigos
+        if (this.sceneManager) {
+            this.sceneManager.buildLevelStructures(data.structures || []);
         }
+        if (this.enemyManager) {
+            this.enemyManager.setSpawnPoints(data.spawnPoints);
+        }
+        
+        console.log(`Fase ${data.number} "${data.title}" carregada com ${this.missions.length} missões`);
+        
+        // Define a missão inicial (a primeira, exceto ao continuar um jogo salvo)
+        this.setCurrentMission(startIndex < this.missions.length ? startIndex : 0);
         
         // Cria marcadores visuais para os objetivos
         this.createObjectiveMarkers();
     }
     
     /**
-     * Carrega as missões da primeira fase
-     */
-    loadLevel1Missions() {
-        const fase1 = {
-            title: "Infiltração na Base Nebulosa",
-            description: "Infiltre-se na instalação periférica da Corporação Nebulosa e desative suas operações.",
-            missions: [
-                {
-                    id: "level1_mission1",
-                    title: "Eliminar Sentinelas",
-                    description: "Elimine 10 sentinelas (inimigos básicos de cor AZUL) para garantir acesso à instalação",
-                    type: "kill",
-                    target: "basic",
-                    count: 10,
-                    progress: 0,
-                    completed: false,
-                    reward: {
-                        score: 500,
-                        ammo: 30
-                    }
-                },
-                {
-                    id: "level1_mission2",
-                    title: "Localizar Terminal",
-                    description: "Encontre o terminal de acesso ao centro de comando",
-                    type: "reach",
-                    targetLocation: {x: 20, y: 0, z: 20},
-                    radius: 3,
-                    completed: false,
-                    reward: {
-                        score: 300
-                    }
-                },
-                {
-                    id: "level1_mission3",
-                    title: "Defender Terminal",
-                    description: "Defenda o terminal enquanto os dados são baixados",
-                    type: "defend",
-                    targetLocation: {x: 20, y: 0, z: 20},
-                    radius: 10,
-                    duration: 60, // segundos
-                    timeRemaining: 60,
-                    waves: 3,
-                    completed: false,
-                    reward: {
-                        score: 1000,
-                        ammo: 60
-                    }
-                },
-                {
-                    id: "level1_mission4",
-                    title: "Eliminar Comandante",
-                    description: "Elimine o comandante da instalação",
-                    type: "kill",
-                    target: "boss",
-                    count: 1,
-                    progress: 0,
-                    completed: false,
-                    reward: {
-                        score: 2000,
-                        health: 100
-                    }
-                },
-                {
-                    id: "level1_mission5",
-                    title: "Escapar da Instalação",
-                    description: "Chegue à zona de extração antes que a instalação seja destruída",
-                    type: "reach",
-                    targetLocation: {x: 0, y: 0, z: -30},
-                    radius: 5,
-                    timeLimit: 120, // segundos
-                    timeRemaining: 120,
-                    completed: false,
-                    reward: {
-                        score: 1500
-                    }
-                }
-            ]
-        };
+     * Cria o estado de execução de uma missão a partir da sua definição no arquivo da fase
+     * @param {Object} definition - Definição da missão
+     * @param {Object} structures - Estruturas da fase indexadas pelo id
+     * @returns {Object} - Missão com progresso, tempo restante e alvo resolvidos
+     */
+    createMission(definition, structures) {
+        // Cópia profunda: recarregar a fase recomeça as missões do zero
+        const mission = JSON.parse(JSON.stringify(definition));
+        mission.completed = false;
         
-        // Adiciona as missões à lista
-        this.missions = fase1.missions;
-        this.currentLevel = {
-            number: 1,
-            title: fase1.title,
-            description: fase1.description
-        };
+        if (mission.type === 'kill') {
+            mission.progress = 0;
+        }
+        
+        if (mission.structure) {
+            const { x, y = 0, z } = structures[mission.structure].position;
+            mission.targetLocation = { x, y, z };
+        }
+        
+        if (mission.type === 'defend') {
+            mission.timeRemaining = mission.duration;
+            
+            if (mission.objectiveHealth) {
+                mission.objectiveHealthRemaining = mission.objectiveHealth;
+            }
+        } else if (mission.timeLimit) {
+            mission.timeRemaining = mission.timeLimit;
+        }
+        
+        return mission;
+    }
+    
+    /**
+     * Remove as missões, marcadores e intervalos da fase carregada
+     */
+    clearLevel() {
+        this.missions = [];
+        this.currentMission = null;
+        this.completedMissions = [];
+        this.failedMissions = [];
+        this.failureCounts = {};
+        this.checkpoint = null;
         
-        console.log(`Fase 1 "${fase1.title}" carregada com ${this.missions.length} missões`);
+        if (this.targetHighlightInterval) {
+            clearInterval(this.targetHighlightInterval);
+            this.targetHighlightInterval = null;
+        }
+        
+        if (this.markers) {
+            this.markers.forEach(marker => {
+                if (marker.mesh.parent) {
+                    marker.mesh.parent.remove(marker.mesh);
+                }
+            });
+            this.markers = [];
+        }
     }
     
     /**
@@ -159,6 +246,18 @@ export class MissionManager {
     setCurrentMission(index) {
         if (index >= 0 && index < this.missions.length) {
             this.currentMission = this.missions[index];
+            this.outsideZoneTime = 0;
+            
+            // Checkpoint: uma falha recomeça a partir deste ponto
+            this.saveCheckpoint(index);
+            
+            // Mostra apenas o marcador da missão atual
+            this.updateMarkersVisibility();
+            
+            // Cria os inimigos definidos para a missão
+            this.spawnMissionEnemies(this.currentMission);
+            
+            this.emit(GAME_EVENTS.MISSION_STARTED, { mission: this.currentMission });
             
             // Atualiza a UI com a missão atual
             if (this.uiManager) {
@@ -169,35 +268,21 @@ export class MissionManager {
                 );
                 this.updateMissionUI();
                 
-                // Mostra tutorial específico para a primeira missão (sentinelas)
-                if (this.currentMission.id === "level1_mission1") {
-                    // Pequena espera para não sobrepor as mensagens
+                // Tutorial da missão, com uma pequena espera para não sobrepor as mensagens
+                const tutorial = this.currentMission.tutorial;
+                if (tutorial) {
                     setTimeout(() => {
-                        this.uiManager.showTutorial('sentinelas');
-                        
-                        // Destaca os sentinelas visualmente para facilitar identificação
-                        this.highlightSentinels();
-                        
-                        // Força a criação de alguns sentinelas para garantir que a missão possa ser completada
-                        this.forceSpawnSentinels(3);
-                        
-                        // Também programa uma verificação periódica para destacar novos sentinelas
-                        this.sentinelHighlightInterval = setInterval(() => {
-                            this.highlightSentinels();
-                        }, 5000); // A cada 5 segundos verifica novos sentinelas
-                    }, 6000);
+                        this.uiManager.showTutorial(tutorial.type);
+                    }, (tutorial.delay ?? 6) * 1000);
                 }
-                // Tutorial para a segunda missão (terminal)
-                else if (this.currentMission.id === "level1_mission2") {
-                    setTimeout(() => {
-                        this.uiManager.showTutorial('terminal');
-                    }, 6000);
-                }
-                // Tutorial para a quarta missão (boss)
-                else if (this.currentMission.id === "level1_mission4") {
-                    setTimeout(() => {
-                        this.uiManager.showTutorial('boss');
-                    }, 6000);
+                
+                // Destaca os alvos da missão e, periodicamente, os que forem criados depois
+                if (this.currentMission.highlightTargets) {
+                    const target = this.currentMission.target;
+                    this.highlightTargets(target);
+                    this.targetHighlightInterval = setInterval(() => {
+                        this.highlightTargets(target);
+                    }, this.currentMission.highlightTargets * 1000);
                 }
             }
             
@@ -216,21 +301,13 @@ export class MissionManager {
         const currentIndex = this.missions.findIndex(m => m.id === this.currentMission.id);
         
         // Limpa intervalos da missão anterior
-        if (this.sentinelHighlightInterval) {
-            clearInterval(this.sentinelHighlightInterval);
-            this.sentinelHighlightInterval = null;
+        if (this.targetHighlightInterval) {
+            clearInterval(this.targetHighlightInterval);
+            this.targetHighlightInterval = null;
         }
         
         // Tenta definir a próxima missão
         if (currentIndex < this.missions.length - 1) {
-            const nextMission = this.missions[currentIndex + 1];
-            
-            // Verifica se a próxima missão é a de derrotar o boss
-            if (nextMission.id === "level1_mission4") {
-                // Cria o boss para a missão
-                this.spawnBossForMission();
-            }
-            
             return this.setCurrentMission(currentIndex + 1);
         } else {
             console.log("Todas as missões da fase foram concluídas!");
@@ -240,32 +317,49 @@ export class MissionManager {
     }
     
     /**
-     * Cria o boss para a missão de derrotar o comandante
+     * Cria os grupos de inimigos da composição da missão (campo "enemies")
+     * Grupos sem posição usam os pontos de spawn da fase; "spread" espalha os inimigos
+     * aleatoriamente num quadrado de lado 2 * spread ao redor da posição
+     * @param {Object} mission - Missão que está começando
      */
-    spawnBossForMission() {
+    spawnMissionEnemies(mission) {
+        if (!mission.enemies || mission.enemies.length === 0) return;
+        
+        const enemyManager = this.enemyManager;
+        
         // Verifica se o enemyManager está disponível
-        if (window.game && window.game.enemyManager) {
-            // Cria o boss em uma posição próxima ao terminal
-            const bossPosition = new THREE.Vector3(
-                this.missions[2].targetLocation.x + 10, // Um pouco afastado do terminal
-                0,
-                this.missions[2].targetLocation.z + 10
-            );
-            
-            // Spawn do boss
-            window.game.enemyManager.spawnBoss(bossPosition);
-            
-            // Mensagem ao jogador
-            if (window.game.uiManager) {
-                window.game.uiManager.showMessage(
-                    "Comandante inimigo detectado! Elimine-o para obter os dados estratégicos.",
-                    6000,
-                    'warning'
-                );
-            }
-        } else {
-            console.error("EnemyManager não disponível para criar o boss!");
+        if (!enemyManager) {
+            console.error("EnemyManager não disponível para criar os inimigos da missão!");
+            return;
         }
+        
+        mission.enemies.forEach(group => {
+            for (let i = 0; i < group.count; i++) {
+                let position;
+                
+                if (group.position) {
+                    const spread = group.spread || 0;
+                    position = new THREE.Vector3(
+                        group.position.x + enemyManager.random.range(-spread, spread),
+                        group.position.y || 0,
+                        group.position.z + enemyManager.random.range(-spread, spread)
+                    );
+                } else {
+                    position = enemyManager.getRandomSpawnPoint();
+                }
+                
+                // Sentinelas e chefes ignoram o limite de inimigos para que a missão possa ser concluída
+                if (group.type === 'basic') {
+                    enemyManager.spawnBasic(position);
+                } else if (group.type === 'boss') {
+                    enemyManager.spawnBoss(position);
+                } else {
+                    enemyManager.spawnEnemy(group.type, position);
+                }
+            }
+        });
+        
+        console.log(`Inimigos da missão ${mission.id} criados`);
     }
     
     /**
@@ -288,6 +382,8 @@ export class MissionManager {
             // Aqui poderíamos avançar para a próxima fase
             console.log(`Fase ${this.currentLevel.number} concluída!`);
         }
+        
+        this.emit(GAME_EVENTS.LEVEL_COMPLETED, { level: this.currentLevel });
     }
     
     /**
@@ -295,7 +391,7 @@ export class MissionManager {
      * @param {Object} updateData - Dados para atualização (depende do tipo de missão)
      */
     updateMissionProgress(updateData) {
-        if (!this.currentMission) return;
+        if (!this.isMissionActive()) return;
         
         switch (this.currentMission.type) {
             case 'kill':
@@ -303,11 +399,16 @@ export class MissionManager {
                 break;
                 
             case 'reach':
-                this.updateReachMission(updateData);
-                break;
-                
             case 'defend':
-                this.updateDefendMission(updateData);
+                // Estas missões dependem da posição do jogador e são atualizadas em update();
+                // eventos de eliminação não as afetam
+                if (!updateData.playerPosition) return;
+                
+                if (this.currentMission.type === 'reach') {
+                    this.updateReachMission(updateData);
+                } else {
+                    this.updateDefendMission(updateData);
+                }
                 break;
                 
             default:
@@ -375,44 +476,250 @@ export class MissionManager {
      */
     updateDefendMission(data) {
         const { deltaTime, playerPosition } = data;
+        const mission = this.currentMission;
+        
+        // Inimigos perto do objetivo o danificam mesmo com o jogador fora da área
+        if (this.damageDefendedObjective(deltaTime)) return;
         
         // Verifica se o jogador está dentro da área de defesa
-        const targetLocation = this.currentMission.targetLocation;
+        const targetLocation = mission.targetLocation;
         const dx = targetLocation.x - playerPosition.x;
         const dz = targetLocation.z - playerPosition.z;
         const distance = Math.sqrt(dx * dx + dz * dz);
         
-        // Se o jogador sair da área, a missão falha
-        if (distance > this.currentMission.radius) {
-            if (this.uiManager) {
-                this.uiManager.showMessage(
-                    "Você deixou a área de defesa! Retorne imediatamente.",
-                    3000,
-                    'warning'
-                );
+        // Fora da área o tempo não corre; ficar fora tempo demais faz a missão falhar
+        if (distance > mission.radius) {
+            const limit = mission.leaveTimeLimit || MISSION.LEAVE_ZONE_TIME;
+            const previousTime = this.outsideZoneTime;
+            this.outsideZoneTime += deltaTime;
+            
+            if (this.outsideZoneTime >= limit) {
+                this.failMission('left_zone');
+                return;
+            }
+            
+            // Avisa uma vez por segundo com a contagem regressiva
+            if (Math.floor(previousTime) !== Math.floor(this.outsideZoneTime) || previousTime === 0) {
+                if (this.uiManager) {
+                    this.uiManager.showMessage(
+                        `Você deixou a área de defesa! Retorne em ${Math.ceil(limit - this.outsideZoneTime)}s.`,
+                        1000,
+                        'warning'
+                    );
+                }
             }
             return;
         }
         
+        this.outsideZoneTime = 0;
+        
         // Reduz o tempo restante
-        this.currentMission.timeRemaining -= deltaTime;
+        mission.timeRemaining -= deltaTime;
         
         // Atualiza a UI a cada segundo inteiro
-        if (Math.floor(this.currentMission.timeRemaining) < Math.floor(this.currentMission.timeRemaining + deltaTime)) {
+        if (Math.floor(mission.timeRemaining) < Math.floor(mission.timeRemaining + deltaTime)) {
             this.updateMissionUI();
         }
         
         // Verifica se o tempo acabou
-        if (this.currentMission.timeRemaining <= 0) {
+        if (mission.timeRemaining <= 0) {
             this.completeMission();
         }
     }
     
+    /**
+     * Aplica o dano dos inimigos próximos ao objetivo de uma missão de defesa
+     * Só vale para missões com objectiveHealth; sem ele o objetivo é indestrutível
+     * @param {number} deltaTime - Tempo desde o último frame
+     * @returns {boolean} - Verdadeiro se o objetivo foi destruído (missão falhou)
+     */
+    damageDefendedObjective(deltaTime) {
+        const mission = this.currentMission;
+        if (!mission.objectiveHealth || !this.enemyManager) return false;
+        
+        const target = mission.targetLocation;
+        const previousHealth = mission.objectiveHealthRemaining;
+        
+        this.enemyManager.enemies.forEach(enemy => {
+            if (enemy.health <= 0 || enemy.state === 'dead') return;
+            
+            const dx = enemy.position.x - target.x;
+            const dz = enemy.position.z - target.z;
+            
+            if (dx * dx + dz * dz <= MISSION.OBJECTIVE_ATTACK_RANGE * MISSION.OBJECTIVE_ATTACK_RANGE) {
+                mission.objectiveHealthRemaining -= enemy.damage * MISSION.OBJECTIVE_DAMAGE_RATE * deltaTime;
+            }
+        });
+        
+        if (mission.objectiveHealthRemaining <= 0) {
+            mission.objectiveHealthRemaining = 0;
+            this.failMission('objective_destroyed');
+            return true;
+        }
+        
+        // Alerta ao cruzar cada quarto da integridade
+        const quarter = mission.objectiveHealth / 4;
+        if (Math.ceil(mission.objectiveHealthRemaining / quarter) < Math.ceil(previousHealth / quarter)) {
+            if (this.uiManager) {
+                this.uiManager.showMessage(
+                    `Objetivo sob ataque! Integridade: ${this.getObjectiveIntegrity(mission)}%`,
+                    2000,
+                    'warning'
+                );
+            }
+            this.updateMissionUI();
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Retorna a integridade do objetivo defendido em porcentagem
+     * @param {Object} mission - Missão de defesa
+     * @returns {number} - Integridade de 0 a 100
+     */
+    getObjectiveIntegrity(mission) {
+        return Math.ceil((mission.objectiveHealthRemaining / mission.objectiveHealth) * 100);
+    }
+    
+    /**
+     * Verifica se a missão atual ainda está em andamento (nem concluída nem falha)
+     * @returns {boolean}
+     */
+    isMissionActive() {
+        return !!this.currentMission && !this.currentMission.completed && !this.currentMission.failed;
+    }
+    
+    /**
+     * Captura o progresso da missão atual (para jogos salvos)
+     * @returns {Object} - Índice, missões concluídas e contadores da missão atual
+     */
+    getProgress() {
+        const mission = this.currentMission;
+        
+        return {
+            index: this.missions.indexOf(mission),
+            completedMissions: [...this.completedMissions],
+            progress: mission.progress,
+            timeRemaining: mission.timeRemaining,
+            objectiveHealthRemaining: mission.objectiveHealthRemaining
+        };
+    }
+    
+    /**
+     * Restaura o progresso capturado por getProgress na missão atual
+     * A fase deve ter sido carregada começando pela missão salva (loadMissions com startIndex)
+     * @param {Object} state - Progresso salvo
+     */
+    restoreProgress(state) {
+        const mission = this.currentMission;
+        if (!mission || this.missions.indexOf(mission) !== state.index) return;
+        
+        this.completedMissions = [...state.completedMissions];
+        this.missions.slice(0, state.index).forEach(previous => {
+            previous.completed = true;
+        });
+        
+        // Só restaura contadores que existem no tipo da missão atual
+        ['progress', 'timeRemaining', 'objectiveHealthRemaining'].forEach(key => {
+            if (mission[key] !== undefined && typeof state[key] === 'number') {
+                mission[key] = state[key];
+            }
+        });
+        
+        // O checkpoint da missão passa a incluir as missões já concluídas
+        this.saveCheckpoint(state.index);
+        this.updateMissionUI();
+    }
+    
+    /**
+     * Marca a missão atual como falha, registra a falha e avisa o jogo
+     * @param {string} reason - Motivo ('time_expired', 'left_zone', 'objective_destroyed')
+     */
+    failMission(reason) {
+        if (!this.isMissionActive()) return;
+        
+        const mission = this.currentMission;
+        mission.failed = true;
+        mission.failureReason = reason;
+        
+        this.failedMissions.push({ id: mission.id, reason, time: Date.now() });
+        this.failureCounts[mission.id] = (this.failureCounts[mission.id] || 0) + 1;
+        
+        console.log(`Missão falhou: ${mission.title} (${reason}, tentativa ${this.failureCounts[mission.id]})`);
+        
+        // O Game mostra a tela de missão falhou
+        this.emit(GAME_EVENTS.MISSION_FAILED, { mission, reason });
+    }
+    
+    /**
+     * Retorna o texto explicativo de um motivo de falha
+     * @param {string} reason - Motivo da falha
+     * @returns {string}
+     */
+    getFailureMessage(reason) {
+        return FAILURE_MESSAGES[reason] || 'A missão não pôde ser concluída.';
+    }
+    
+    /**
+     * Retorna quantas vezes uma missão já falhou
+     * @param {string} missionId - Id da missão
+     * @returns {number}
+     */
+    getFailureCount(missionId) {
+        return this.failureCounts[missionId] || 0;
+    }
+    
+    /**
+     * Guarda o estado do jogo no início de uma missão
+     * @param {number} missionIndex - Índice da missão que está começando
+     */
+    saveCheckpoint(missionIndex) {
+        // Onda anterior à que recomeça (startNextWave avança uma): a que está em andamento
+        // é refeita; entre ondas, a próxima começa
+        const currentWave = this.gameState ? this.gameState.currentWave : 0;
+        const waveInProgress = !!(this.enemyManager && this.enemyManager.wave);
+        
+        this.checkpoint = {
+            missionIndex,
+            score: this.gameState ? this.gameState.score : 0,
+            kills: this.gameState ? this.gameState.kills : 0,
+            wave: waveInProgress ? Math.max(0, currentWave - 1) : currentWave,
+            completedMissions: [...this.completedMissions],
+            player: this.player && typeof this.player.getSnapshot === 'function' ? this.player.getSnapshot() : null
+        };
+    }
+    
+    /**
+     * Recomeça a missão do checkpoint com o progresso zerado
+     * O Game restaura jogador e pontuação (checkpoint.player e checkpoint.score) antes de chamar
+     * @returns {boolean} - Verdadeiro se havia um checkpoint
+     */
+    restartFromCheckpoint() {
+        if (!this.checkpoint || !this.levelData) return false;
+        
+        const index = this.checkpoint.missionIndex;
+        
+        // Recria a missão que falhou e as seguintes a partir das definições da fase
+        for (let i = index; i < this.missions.length; i++) {
+            this.missions[i] = this.createMission(this.levelData.missions[i], this.structures);
+        }
+        this.completedMissions = [...this.checkpoint.completedMissions];
+        
+        if (this.targetHighlightInterval) {
+            clearInterval(this.targetHighlightInterval);
+            this.targetHighlightInterval = null;
+        }
+        
+        console.log(`Recomeçando do checkpoint: missão ${index + 1}`);
+        return this.setCurrentMission(index);
+    }
+    
     /**
      * Marca a missão atual como concluída
      */
     completeMission() {
-        if (!this.currentMission) return;
+        if (!this.isMissionActive()) return;
         
         this.currentMission.completed = true;
         this.completedMissions.push(this.currentMission.id);
@@ -431,10 +738,12 @@ export class MissionManager {
         
         console.log(`Missão concluída: ${this.currentMission.title}`);
         
-        // Avança para a próxima missão
-        setTimeout(() => {
+        this.emit(GAME_EVENTS.MISSION_COMPLETED, { mission: this.currentMission });
+        
+        // Avança para a próxima missão (no relógio do jogo, que congela com a pausa)
+        this.gameState.schedule(2, () => {
             this.advanceToNextMission();
-        }, 2000);
+        });
     }
     
     /**
@@ -491,16 +800,20 @@ export class MissionManager {
                 break;
                 
             case 'defend':
-            case 'reach':
-                if (this.currentMission.timeRemaining) {
-                    const seconds = Math.ceil(this.currentMission.timeRemaining);
-                    missionText += ` (${seconds}s)`;
+                if (this.currentMission.objectiveHealth) {
+                    missionText += ` [Integridade: ${this.getObjectiveIntegrity(this.currentMission)}%]`;
                 }
                 break;
         }
         
+        // Missões com tempo (defesa e timeLimit) mostram a contagem regressiva
+        if (this.currentMission.timeRemaining) {
+            const seconds = Math.ceil(this.currentMission.timeRemaining);
+            missionText += ` (${seconds}s)`;
+        }
+        
         // Atualiza o elemento de missão na UI
-        const missionElement = document.getElementById('mission-text');
+        const missionElement = getElement('mission-text');
         if (missionElement) {
             missionElement.textContent = missionText;
         }
@@ -511,7 +824,23 @@ export class MissionManager {
      * @param {number} deltaTime - Tempo desde o último frame
      */
     update(deltaTime) {
-        if (!this.currentMission || !this.player) return;
+        if (!this.isMissionActive() || !this.player) return;
+        
+        // Limite de tempo (as missões de defesa usam timeRemaining como duração)
+        if (this.currentMission.type !== 'defend' && this.currentMission.timeRemaining !== undefined) {
+            const previousTime = this.currentMission.timeRemaining;
+            this.currentMission.timeRemaining -= deltaTime;
+            
+            if (this.currentMission.timeRemaining <= 0) {
+                this.currentMission.timeRemaining = 0;
+                this.failMission('time_expired');
+                return;
+            }
+            
+            if (Math.floor(this.currentMission.timeRemaining) < Math.floor(previousTime)) {
+                this.updateMissionUI();
+            }
+        }
         
         // Atualiza o progresso baseado no tipo de missão
         const playerPosition = this.player.position;
@@ -596,12 +925,12 @@ export class MissionManager {
         this.markers = [];
         
         // Verifica se a SceneManager está disponível
-        if (!window.game || !window.game.sceneManager || !window.game.sceneManager.scene) {
+        if (!this.sceneManager || !this.sceneManager.scene) {
             console.error("SceneManager não disponível para criar marcadores!");
             return;
         }
         
-        const scene = window.game.sceneManager.scene;
+        const scene = this.sceneManager.scene;
         console.log("SceneManager disponível, scene:", !!scene);
         
         // Verificando se temos missões carregadas
@@ -619,7 +948,7 @@ export class MissionManager {
                 
                 try {
                     // Cria um marcador para a localização alvo
-                    const marker = this.createMarker(mission.targetLocation, mission.id);
+                    const marker = this.createMarker(mission.targetLocation, mission.markerColor);
                     
                     // Adiciona à cena e à lista de marcadores
                     scene.add(marker);
@@ -643,19 +972,11 @@ export class MissionManager {
     /**
      * Cria um marcador visual 3D
      * @param {Object} location - Localização {x, y, z}
-     * @param {string} id - Identificador do marcador
+     * @param {string} markerColor - Cor da missão no formato "#rrggbb" (amarelo se não informada)
      * @returns {THREE.Object3D} - O objeto 3D do marcador
      */
-    createMarker(location, id) {
-        // Cores diferentes conforme o tipo de missão
-        let color;
-        if (id === 'level1_mission2') {
-            color = 0x00ffff; // Azul ciano para o terminal
-        } else if (id === 'level1_mission5') {
-            color = 0x00ff00; // Verde para extração
-        } else {
-            color = 0xffff00; // Amarelo para outros objetivos
-        }
+    createMarker(location, markerColor) {
+        const color = markerColor ? new THREE.Color(markerColor) : DEFAULT_MARKER_COLOR;
         
         // Cria um grupo para o marcador
         const markerGroup = new THREE.Group();
@@ -726,20 +1047,21 @@ export class MissionManager {
     }
     
     /**
-     * Adiciona efeito visual de silhueta aos sentinelas para facilitar a identificação
+     * Adiciona efeito visual de silhueta aos alvos da missão para facilitar a identificação
+     * @param {string} type - Tipo de inimigo destacado (ex.: 'basic' para os sentinelas)
      */
-    highlightSentinels() {
+    highlightTargets(type) {
         // Verifica se o enemyManager está disponível
-        if (!window.game || !window.game.enemyManager) {
-            console.error("EnemyManager não disponível para destacar sentinelas!");
+        if (!this.enemyManager) {
+            console.error("EnemyManager não disponível para destacar os alvos!");
             return;
         }
         
-        // Percorre a lista de inimigos para encontrar os sentinelas (tipo basic)
-        console.log("Destacando sentinelas para facilitar identificação");
+        // Percorre a lista de inimigos para encontrar os alvos
+        console.log(`Destacando inimigos do tipo ${type} para facilitar identificação`);
         
-        window.game.enemyManager.enemies.forEach(enemy => {
-            if (enemy.type === 'basic' && enemy.mesh) {
+        this.enemyManager.enemies.forEach(enemy => {
+            if (enemy.type === type && enemy.mesh) {
                 try {
                     // Adiciona um outline (borda) ao redor do inimigo, se já não tiver
                     if (!enemy.outlineAdded) {
@@ -762,7 +1084,7 @@ export class MissionManager {
                             const scale = 1.1 + Math.sin(time * 3) * 0.05;
                             outline.scale.set(scale, scale, scale);
                             
-                            requestAnimationFrame(pulsateOutline);
+                            requestFrame(pulsateOutline);
                         };
                         pulsateOutline();
                         
@@ -770,33 +1092,9 @@ export class MissionManager {
                         enemy.outlineAdded = true;
                     }
                 } catch (error) {
-                    console.error("Erro ao adicionar outline ao sentinela:", error);
+                    console.error("Erro ao adicionar outline ao alvo:", error);
                 }
             }
         });
     }
-    
-    /**
-     * Força a criação de alguns sentinelas para garantir que a missão possa ser completada
-     * @param {number} count - Número de sentinelas a serem criados
-     */
-    forceSpawnSentinels(count) {
-        // Verifica se o enemyManager está disponível
-        if (!window.game || !window.game.enemyManager) {
-            console.error("EnemyManager não disponível para criar sentinelas!");
-            return;
-        }
-        
-        // Cria os sentinelas
-        for (let i = 0; i < count; i++) {
-            const position = new THREE.Vector3(
-                Math.random() * 40 - 20, // Posição aleatória entre -20 e 20
-                0,
-                Math.random() * 40 - 20 // Posição aleatória entre -20 e 20
-            );
-            
-            // Spawn do sentinela
-            window.game.enemyManager.spawnBasic(position);
-        }
-    }
-} 
\ No newline at end of file
+}
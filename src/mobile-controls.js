@@ -36,7 +36,8 @@ export class MobileControls {
         // Estado dos botões
         this.buttons = {
             shoot: { active: false, element: null },
-            reload: { active: false, element: null }
+            reload: { active: false, element: null },
+            weapon: { active: false, element: null }
         };
         
         // Detecta se é dispositivo móvel
@@ -99,11 +100,15 @@ export class MobileControls {
         // Botão de recarga
         this.buttons.reload.element = this.createButton('reload-button', 'Recarregar');
         
+        // Botão de troca de arma
+        this.buttons.weapon.element = this.createButton('weapon-button', 'Trocar');
+        
         // Adiciona todos os elementos ao container
         this.container.appendChild(this.leftJoystick.element);
         this.container.appendChild(this.rightJoystick.element);
         this.container.appendChild(this.buttons.shoot.element);
         this.container.appendChild(this.buttons.reload.element);
+        this.container.appendChild(this.buttons.weapon.element);
         
         // Adiciona folha de estilo para controles móveis
         this.addStyles();
@@ -241,6 +246,12 @@ export class MobileControls {
                 background-color: rgba(0, 255, 0, 0.3);
             }
             
+            #weapon-button {
+                bottom: 220px;
+                right: 30px;
+                background-color: rgba(0, 120, 255, 0.3);
+            }
+            
             .mobile-button.active {
                 background-color: rgba(255, 255, 255, 0.5);
             }
@@ -272,6 +283,11 @@ export class MobileControls {
             this.inputManager.setReloadingState(false);
         });
         
+        // Evento para o botão de troca de arma (uma troca por toque)
+        this.setupButtonEvents(this.buttons.weapon, () => {
+            this.inputManager.requestNextWeapon();
+        });
+        
         // Previne o comportamento padrão de toques na tela
         document.addEventListener('touchmove', (e) => e.preventDefault(), { passive: false });
     }
@@ -0,0 +1,395 @@
+/**
+ * Grade de navegação dos inimigos
+ * Discretiza o mapa do CollisionWorld em células livres ou bloqueadas (obstáculos inflados pelo
+ * raio do agente) e calcula caminhos com A*, suavizados por linha de visão entre as células
+ */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.157.0/build/three.module.js';
+import { NAVIGATION } from './config.js';
+
+// Vizinhos em 8 direções: deslocamento em X e Z e custo do passo
+const NEIGHBORS = [
+    { dx: 1, dz: 0, cost: 1 },
+    { dx: -1, dz: 0, cost: 1 },
+    { dx: 0, dz: 1, cost: 1 },
+    { dx: 0, dz: -1, cost: 1 },
+    { dx: 1, dz: 1, cost: Math.SQRT2 },
+    { dx: 1, dz: -1, cost: Math.SQRT2 },
+    { dx: -1, dz: 1, cost: Math.SQRT2 },
+    { dx: -1, dz: -1, cost: Math.SQRT2 }
+];
+
+/**
+ * Fila de prioridade mínima (heap binário) de índices de células ordenados por custo
+ */
+class NodeHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(node, priority) {
+        const items = this.items;
+        items.push({ node, priority });
+
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+
+                if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+
+        return top.node;
+    }
+}
+
+export class NavigationGrid {
+    /**
+     * @param {CollisionWorld} collisionWorld - Geometria estática usada para marcar as células bloqueadas
+     * @param {number} cellSize - Tamanho de cada célula em metros
+     */
+    constructor(collisionWorld, cellSize = NAVIGATION.CELL_SIZE) {
+        this.collisionWorld = collisionWorld;
+        this.cellSize = cellSize;
+
+        const bounds = collisionWorld.bounds;
+        this.originX = bounds.minX;
+        this.originZ = bounds.minZ;
+        this.columns = Math.ceil((bounds.maxX - bounds.minX) / cellSize);
+        this.rows = Math.ceil((bounds.maxZ - bounds.minZ) / cellSize);
+
+        // 1 = célula bloqueada
+        this.blocked = new Uint8Array(this.columns * this.rows);
+
+        this.bake();
+    }
+
+    /**
+     * Recalcula as células bloqueadas a partir dos colisores atuais
+     * Deve ser chamado sempre que a geometria estática mudar (ex.: estruturas de uma nova fase)
+     */
+    bake() {
+        this.blocked.fill(0);
+
+        const radius = NAVIGATION.AGENT_RADIUS;
+        let blockedCount = 0;
+
+        this.collisionWorld.colliders.forEach(box => {
+            // Caixas baixas podem ser subidas e caixas acima da cabeça não atrapalham
+            if (box.max.y <= NAVIGATION.STEP_HEIGHT || box.min.y >= NAVIGATION.AGENT_HEIGHT) return;
+
+            const minColumn = Math.max(0, Math.floor((box.min.x - radius - this.originX) / this.cellSize));
+            const maxColumn = Math.min(this.columns - 1, Math.floor((box.max.x + radius - this.originX) / this.cellSize));
+            const minRow = Math.max(0, Math.floor((box.min.z - radius - this.originZ) / this.cellSize));
+            const maxRow = Math.min(this.rows - 1, Math.floor((box.max.z + radius - this.originZ) / this.cellSize));
+
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let column = minColumn; column <= maxColumn; column++) {
+                    const index = row * this.columns + column;
+                    if (this.blocked[index]) continue;
+
+                    // Bloqueia se o centro da célula fica a menos de um raio do agente da caixa
+                    const x = this.originX + (column + 0.5) * this.cellSize;
+                    const z = this.originZ + (row + 0.5) * this.cellSize;
+                    const dx = x - Math.max(box.min.x, Math.min(x, box.max.x));
+                    const dz = z - Math.max(box.min.z, Math.min(z, box.max.z));
+
+                    if (dx * dx + dz * dz < radius * radius) {
+                        this.blocked[index] = 1;
+                        blockedCount++;
+                    }
+                }
+            }
+        });
+
+        console.log(`NavigationGrid: ${this.columns}x${this.rows} células, ${blockedCount} bloqueadas`);
+    }
+
+    /**
+     * Converte uma posição do mundo para a célula que a contém
+     * @param {number} x - Posição em X
+     * @param {number} z - Posição em Z
+     * @returns {Object} - { column, row } (limitados à grade)
+     */
+    toCell(x, z) {
+        return {
+            column: Math.max(0, Math.min(this.columns - 1, Math.floor((x - this.originX) / this.cellSize))),
+            row: Math.max(0, Math.min(this.rows - 1, Math.floor((z - this.originZ) / this.cellSize)))
+        };
+    }
+
+    /**
+     * Verifica se uma célula existe e está livre
+     * @param {number} column - Coluna
+     * @param {number} row - Linha
+     * @returns {boolean}
+     */
+    isWalkableCell(column, row) {
+        return column >= 0 && column < this.columns && row >= 0 && row < this.rows &&
+            this.blocked[row * this.columns + column] === 0;
+    }
+
+    /**
+     * Verifica se um inimigo pode ficar na posição
+     * @param {THREE.Vector3} position - Posição no mundo
+     * @returns {boolean}
+     */
+    isWalkable(position) {
+        if (!this.contains(position)) return false;
+
+        const { column, row } = this.toCell(position.x, position.z);
+        return this.isWalkableCell(column, row);
+    }
+
+    /**
+     * Verifica se uma posição está dentro da área coberta pela grade
+     * @param {THREE.Vector3} position - Posição no mundo
+     * @returns {boolean}
+     */
+    contains(position) {
+        return position.x >= this.originX && position.x < this.originX + this.columns * this.cellSize &&
+            position.z >= this.originZ && position.z < this.originZ + this.rows * this.cellSize;
+    }
+
+    /**
+     * Traz uma posição de volta para dentro da grade, a um raio de agente da borda
+     * @param {THREE.Vector3} position - Posição no mundo (modificada no lugar)
+     */
+    clampToGrid(position) {
+        const radius = NAVIGATION.AGENT_RADIUS;
+        position.x = Math.max(this.originX + radius, Math.min(this.originX + this.columns * this.cellSize - radius, position.x));
+        position.z = Math.max(this.originZ + radius, Math.min(this.originZ + this.rows * this.cellSize - radius, position.z));
+    }
+
+    /**
+     * Procura a célula livre mais próxima, em anéis crescentes ao redor da célula dada
+     * @param {number} column - Coluna inicial
+     * @param {number} row - Linha inicial
+     * @returns {number} - Índice da célula livre, ou -1 se não houver nenhuma em NAVIGATION.MAX_SNAP_CELLS
+     */
+    findNearestWalkable(column, row) {
+        if (this.isWalkableCell(column, row)) return row * this.columns + column;
+
+        for (let ring = 1; ring <= NAVIGATION.MAX_SNAP_CELLS; ring++) {
+            let best = -1;
+            let bestDistance = Infinity;
+
+            for (let dz = -ring; dz <= ring; dz++) {
+                for (let dx = -ring; dx <= ring; dx++) {
+                    // Só as bordas do anel
+                    if (Math.abs(dx) !== ring && Math.abs(dz) !== ring) continue;
+
+                    const distance = dx * dx + dz * dz;
+                    if (distance < bestDistance && this.isWalkableCell(column + dx, row + dz)) {
+                        best = (row + dz) * this.columns + column + dx;
+                        bestDistance = distance;
+                    }
+                }
+            }
+
+            if (best !== -1) return best;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Verifica se o segmento entre duas posições passa apenas por células livres
+     * @param {THREE.Vector3} from - Início
+     * @param {THREE.Vector3} to - Fim
+     * @returns {boolean}
+     */
+    hasLineOfSight(from, to) {
+        // Fora da grade não há células para conferir (a grade é convexa: basta olhar as pontas)
+        if (!this.contains(from) || !this.contains(to)) return false;
+
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+
+        // Amostras a cada quarto de célula: não pula quinas de células bloqueadas
+        const steps = Math.max(1, Math.ceil(Math.sqrt(dx * dx + dz * dz) / (this.cellSize * 0.25)));
+
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const { column, row } = this.toCell(from.x + dx * t, from.z + dz * t);
+            if (!this.isWalkableCell(column, row)) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Calcula um caminho entre duas posições
+     * @param {THREE.Vector3} start - Posição de partida
+     * @param {THREE.Vector3} goal - Destino (se estiver bloqueado, usa a célula livre mais próxima)
+     * @returns {THREE.Vector3[]|null} - Pontos de passagem suavizados (sem o início), ou null se não há caminho
+     */
+    findPath(start, goal) {
+        const startCell = this.toCell(start.x, start.z);
+        const goalCell = this.toCell(goal.x, goal.z);
+
+        const startIndex = this.findNearestWalkable(startCell.column, startCell.row);
+        const goalIndex = this.findNearestWalkable(goalCell.column, goalCell.row);
+        if (startIndex === -1 || goalIndex === -1) return null;
+
+        const cells = this.search(startIndex, goalIndex);
+        if (!cells) return null;
+
+        // A célula de partida só entra no caminho quando o início estava bloqueado e foi deslocado
+        if (cells.length > 1 && startIndex === startCell.row * this.columns + startCell.column) {
+            cells.shift();
+        }
+
+        // Centros das células; o último ponto é o destino exato quando ele está livre
+        const points = cells.map(index => this.cellCenter(index, start.y));
+        if (goalIndex === goalCell.row * this.columns + goalCell.column) {
+            points[points.length - 1] = new THREE.Vector3(goal.x, start.y, goal.z);
+        }
+
+        return this.smoothPath(start, points);
+    }
+
+    /**
+     * Busca A* sobre a grade (8 direções, sem cortar quinas bloqueadas)
+     * @param {number} startIndex - Célula inicial
+     * @param {number} goalIndex - Célula de destino
+     * @returns {number[]|null} - Células do caminho, do início ao destino
+     */
+    search(startIndex, goalIndex) {
+        const columns = this.columns;
+        const goalColumn = goalIndex % columns;
+        const goalRow = Math.floor(goalIndex / columns);
+
+        // Distância octil: admissível para movimento em 8 direções
+        const heuristic = (column, row) => {
+            const dx = Math.abs(column - goalColumn);
+            const dz = Math.abs(row - goalRow);
+            return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+        };
+
+        const cost = new Map([[startIndex, 0]]);
+        const cameFrom = new Map();
+        const closed = new Set();
+        const open = new NodeHeap();
+        open.push(startIndex, heuristic(startIndex % columns, Math.floor(startIndex / columns)));
+
+        while (open.size > 0) {
+            const current = open.pop();
+
+            if (current === goalIndex) {
+                const path = [current];
+                for (let node = current; cameFrom.has(node);) {
+                    node = cameFrom.get(node);
+                    path.unshift(node);
+                }
+                return path;
+            }
+
+            if (closed.has(current)) continue;
+            closed.add(current);
+
+            // Evita travar o frame procurando um destino inalcançável em um mapa grande
+            if (closed.size > NAVIGATION.MAX_SEARCH_NODES) break;
+
+            const column = current % columns;
+            const row = Math.floor(current / columns);
+
+            for (const { dx, dz, cost: stepCost } of NEIGHBORS) {
+                const nextColumn = column + dx;
+                const nextRow = row + dz;
+                if (!this.isWalkableCell(nextColumn, nextRow)) continue;
+
+                // Diagonal só se as duas células ortogonais estiverem livres
+                if (dx !== 0 && dz !== 0 &&
+                    (!this.isWalkableCell(column + dx, row) || !this.isWalkableCell(column, row + dz))) {
+                    continue;
+                }
+
+                const next = nextRow * columns + nextColumn;
+                if (closed.has(next)) continue;
+
+                const nextCost = cost.get(current) + stepCost;
+                if (nextCost < (cost.has(next) ? cost.get(next) : Infinity)) {
+                    cost.set(next, nextCost);
+                    cameFrom.set(next, current);
+                    open.push(next, nextCost + heuristic(nextColumn, nextRow));
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Remove pontos intermediários desnecessários: de cada ponto, pula direto para o
+     * ponto mais distante que ainda está em linha de visão
+     * @param {THREE.Vector3} start - Posição de partida
+     * @param {THREE.Vector3[]} points - Pontos do caminho na grade
+     * @returns {THREE.Vector3[]} - Pontos restantes
+     */
+    smoothPath(start, points) {
+        const smoothed = [];
+        let anchor = start;
+        let i = 0;
+
+        while (i < points.length) {
+            let farthest = i;
+            for (let j = points.length - 1; j > i; j--) {
+                if (this.hasLineOfSight(anchor, points[j])) {
+                    farthest = j;
+                    break;
+                }
+            }
+
+            smoothed.push(points[farthest]);
+            anchor = points[farthest];
+            i = farthest + 1;
+        }
+
+        return smoothed;
+    }
+
+    /**
+     * Retorna o centro de uma célula
+     * @param {number} index - Índice da célula
+     * @param {number} y - Altura usada no ponto
+     * @returns {THREE.Vector3}
+     */
+    cellCenter(index, y = 0) {
+        const column = index % this.columns;
+        const row = Math.floor(index / this.columns);
+
+        return new THREE.Vector3(
+            this.originX + (column + 0.5) * this.cellSize,
+            y,
+            this.originZ + (row + 0.5) * this.cellSize
+        );
+    }
+}
@@ -2,7 +2,9 @@
  * Gerenciador de rede para conexões multiplayer
  * Responsável pela comunicação entre cliente e servidor via WebSockets
  */
-import { PLAYER } from './config.js';
+import { PLAYER, NETWORK } from './config.js';
+import { GAME_EVENTS } from './event-bus.js';
+import { copyMovementState, stepMovement } from './player-movement.js';
 
 export class NetworkManager {
     /**
@@ -28,20 +30,92 @@ export class NetworkManager {
         this.remotePlayers = new Map(); // id -> playerObject
         this.remoteProjectiles = new Map(); // id -> projectileObject
         
-        // Input prediction
-        this.pendingInputs = [];
+        // Predição do movimento local
+        this.pendingInputs = [];        // Inputs aplicados localmente e ainda não confirmados pelo servidor
+        this.outgoingInputs = [];       // Inputs ainda não enviados (vão em lotes a NETWORK.UPDATE_RATE)
         this.sequenceNumber = 0;
+        this.serverState = null;        // Último estado do jogador local recebido, reconciliado no próximo passo
+        this.correction = { x: 0, z: 0 }; // Erro de predição ainda a corrigir aos poucos
+        this.inputTimer = 0;
         
         // Timestamp para cálculo de latência
         this.lastPingTime = 0;
         this.pingInterval = null;
         
         // UI update
-        this.uiUpdateTimer = null;
+        this.uiUpdateTimer = 0;
+        
+        // Cena onde os jogadores remotos são criados e barramento da partida (definidos pelo Game)
+        this.scene = null;
+        this.events = null;
         
         console.log("NetworkManager: Inicializado");
     }
     
+    /**
+     * Define a cena onde os jogadores remotos são criados
+     * @param {THREE.Scene} scene - Cena do jogo
+     */
+    setScene(scene) {
+        this.scene = scene;
+    }
+    
+    /**
+     * Define o barramento da partida: os tiros, recargas e o tiro rápido coletado pelo jogador
+     * local são enviados ao servidor e a conexão, a latência e os jogadores remotos são publicados
+     * @param {EventBus} events - Barramento da partida
+     */
+    setEventBus(events) {
+        this.events = events;
+        
+        events.on(GAME_EVENTS.WEAPON_FIRED, ({ weapon, position, directions }) => {
+            this.sendShoot(position, directions, weapon.id);
+        });
+        events.on(GAME_EVENTS.RELOAD_STARTED, ({ weapon }) => this.sendReload(weapon.id));
+        events.on(GAME_EVENTS.PICKUP_COLLECTED, ({ type }) => {
+            // Só o tiro rápido muda o que o servidor aceita (a cadência dos tiros)
+            if (type === 'rapid_fire') {
+                this.sendPickup(type);
+            }
+        });
+    }
+    
+    /**
+     * Publica um evento no barramento, se houver um
+     * @private
+     * @param {string} type - Nome do evento (GAME_EVENTS)
+     * @param {Object} payload - Conteúdo do evento
+     */
+    _emit(type, payload) {
+        if (this.events) {
+            this.events.emit(type, payload);
+        }
+    }
+    
+    /**
+     * Lista de jogadores exibida na interface (o local primeiro)
+     * @returns {Array} - { id, name, latency, isLocal } de cada jogador
+     */
+    getPlayersList() {
+        const playersList = [{
+            id: this.playerId || 'local',
+            name: this.playerName || 'Você',
+            latency: this.latency,
+            isLocal: true
+        }];
+        
+        this.remotePlayers.forEach((player, id) => {
+            playersList.push({
+                id,
+                name: player.name || `Jogador ${id}`,
+                latency: player.latency || 0, // Sem informação de latência de outros jogadores
+                isLocal: false
+            });
+        });
+        
+        return playersList;
+    }
+    
     /**
      * Conecta ao servidor multiplayer
      * @param {string} serverUrl - URL do servidor WebSocket
@@ -138,68 +212,155 @@ export class NetworkManager {
     }
     
     /**
-     * Envia movimento do jogador para o servidor
-     * @param {THREE.Vector3} position - Posição do jogador
-     * @param {THREE.Vector3} velocity - Velocidade do jogador
-     * @param {THREE.Euler} rotation - Rotação da câmera
+     * Guarda o input de um passo do jogador local para o próximo lote e para a reconciliação
+     * @param {Object|null} input - Player.lastInput (null quando o jogador está eliminado)
      */
-    sendPlayerUpdate(position, velocity, rotation) {
-        if (!this.connected || !this.socket) return;
-        
-        const input = {
-            position: {
-                x: position.x,
-                y: position.y,
-                z: position.z
-            },
-            velocity: {
-                x: velocity.x,
-                y: velocity.y,
-                z: velocity.z
-            },
-            rotation: {
-                x: rotation.x,
-                y: rotation.y,
-                z: rotation.z
-            },
-            sequence: this.sequenceNumber++
-        };
+    recordInput(input) {
+        if (!this.connected || !input) return;
         
-        // Armazena para client prediction
+        input.sequence = this.sequenceNumber++;
         this.pendingInputs.push(input);
+        this.outgoingInputs.push(input);
         
-        // Limita o tamanho da lista
-        if (this.pendingInputs.length > 60) {
+        // Servidor sem responder: os inputs mais antigos deixam de ser refeitos
+        if (this.pendingInputs.length > NETWORK.PREDICTION.MAX_PENDING) {
             this.pendingInputs.shift();
         }
+    }
+    
+    /**
+     * Envia ao servidor os inputs acumulados desde o último lote
+     */
+    sendInputs() {
+        if (!this.connected || !this.socket || this.outgoingInputs.length === 0) return;
         
-        // Envia ao servidor
-        this._sendMessage('input', input);
+        this._sendMessage('input', { inputs: this.outgoingInputs });
+        this.outgoingInputs = [];
     }
     
     /**
-     * Envia informação de tiro para o servidor
-     * @param {THREE.Vector3} position - Posição inicial do projétil
-     * @param {THREE.Vector3} direction - Direção do projétil
+     * Corrige a predição com o estado autoritativo do jogador local
+     * Parte da posição do servidor, refaz os inputs que ele ainda não confirmou e corrige
+     * a diferença para a posição atual aos poucos (ou de uma vez, se for grande)
+     * @param {Object} serverState - Estado do jogador no snapshot {position, sequence, movement, ...}
      */
-    sendShoot(position, direction) {
+    reconcile(serverState) {
+        if (!this.player || !serverState || !serverState.position) return;
+        
+        // Inputs confirmados já estão na posição do servidor
+        if (Number.isInteger(serverState.sequence)) {
+            while (this.pendingInputs.length > 0 && this.pendingInputs[0].sequence <= serverState.sequence) {
+                this.pendingInputs.shift();
+            }
+        }
+        
+        // Parte do estado do servidor e refaz cada input pendente com o mesmo movimento e colisões
+        const predicted = copyMovementState(this.player);
+        predicted.position = { ...serverState.position };
+        Object.assign(predicted, serverState.movement);
+        this.pendingInputs.forEach(input => {
+            stepMovement(predicted, input, this.player.collisionWorld);
+        });
+        
+        const position = this.player.position;
+        const error = {
+            x: predicted.position.x - position.x,
+            y: predicted.position.y - position.y,
+            z: predicted.position.z - position.z
+        };
+        
+        // Erro grande (volta após ser eliminado, input recusado): vai direto
+        const distance = Math.sqrt(error.x * error.x + error.y * error.y + error.z * error.z);
+        if (distance > NETWORK.PREDICTION.SNAP_DISTANCE) {
+            console.log(`NetworkManager: Posição local corrigida pelo servidor (erro de ${distance.toFixed(2)} unidades)`);
+            this.player.applyMovementState(predicted);
+            this.correction = { x: 0, z: 0 };
+            return;
+        }
+        
+        // Erro pequeno: só na horizontal (a altura segue as colisões locais), substitui o anterior
+        // porque a posição atual já inclui o que foi corrigido
+        const horizontal = Math.sqrt(error.x * error.x + error.z * error.z);
+        this.correction = horizontal > NETWORK.PREDICTION.EPSILON ? { x: error.x, z: error.z } : { x: 0, z: 0 };
+    }
+    
+    /**
+     * Aplica parte do erro de predição pendente (NETWORK.PREDICTION.CORRECTION_RATE por segundo)
+     * @param {number} deltaTime - Duração do passo em segundos
+     */
+    applyCorrection(deltaTime) {
+        if (!this.player || (this.correction.x === 0 && this.correction.z === 0)) return;
+        
+        const fraction = Math.min(1, NETWORK.PREDICTION.CORRECTION_RATE * deltaTime);
+        const step = { x: this.correction.x * fraction, z: this.correction.z * fraction };
+        this.player.nudge(step);
+        
+        this.correction.x -= step.x;
+        this.correction.z -= step.z;
+        if (Math.sqrt(this.correction.x ** 2 + this.correction.z ** 2) < NETWORK.PREDICTION.EPSILON) {
+            this.correction = { x: 0, z: 0 };
+        }
+    }
+    
+    /**
+     * Descarta os inputs e correções da conexão anterior
+     */
+    resetPrediction() {
+        this.pendingInputs = [];
+        this.outgoingInputs = [];
+        this.sequenceNumber = 0;
+        this.serverState = null;
+        this.correction = { x: 0, z: 0 };
+        this.inputTimer = 0;
+    }
+    
+    /**
+     * Envia um disparo para o servidor, que decide os acertos em outros jogadores
+     * A latência vai junto para o servidor avaliar os alvos onde o jogador os via
+     * @param {THREE.Vector3} position - Posição inicial dos projéteis
+     * @param {Array<THREE.Vector3>} directions - Direção de cada projétil (chumbos da espingarda)
+     * @param {string} weapon - Id da arma ('pistol', 'rifle', 'shotgun', 'rocket_launcher')
+     */
+    sendShoot(position, directions, weapon) {
         if (!this.connected || !this.socket) return;
         
         this._sendMessage('action', {
             action: 'shoot',
+            weapon,
+            latency: this.latency,
             position: {
                 x: position.x,
                 y: position.y,
                 z: position.z
             },
-            direction: {
+            directions: directions.map(direction => ({
                 x: direction.x,
                 y: direction.y,
                 z: direction.z
-            }
+            }))
         });
     }
     
+    /**
+     * Avisa o servidor do início de uma recarga (ele não aceita tiros da arma até ela terminar)
+     * @param {string} weapon - Id da arma
+     */
+    sendReload(weapon) {
+        if (!this.connected || !this.socket) return;
+        
+        this._sendMessage('action', { action: 'reload', weapon });
+    }
+    
+    /**
+     * Avisa o servidor da coleta de um item que ele valida (tiro rápido)
+     * @param {string} type - Tipo do item
+     */
+    sendPickup(type) {
+        if (!this.connected || !this.socket) return;
+        
+        this._sendMessage('action', { action: 'pickup', type });
+    }
+    
     /**
      * Envia ping para medir latência
      */
@@ -246,11 +407,14 @@ export class NetworkManager {
         
         // Atualizar cada jogador remoto
         Object.entries(update.players).forEach(([playerId, playerData]) => {
-            // Ignorar nosso próprio jogador
-            if (playerId === this.playerId) return;
+            // Nosso próprio jogador: reconciliado no próximo passo da simulação
+            if (playerId === this.playerId) {
+                this.serverState = playerData;
+                return;
+            }
             
             // Atualizar o jogador remoto
-            this.updateRemotePlayer(playerId, playerData);
+            this.updateRemotePlayer(playerId, playerData, update.timestamp);
             
             if (shouldLog) {
                 console.log(`Atualizando jogador remoto: ${playerId} na posição: ${JSON.stringify(playerData.position)}`);
@@ -272,8 +436,9 @@ export class NetworkManager {
      * Atualiza um jogador remoto ou cria se não existir
      * @param {string} playerId - ID do jogador
      * @param {Object} playerData - Dados do jogador
+     * @param {number} timestamp - Horário do snapshot no servidor (ms)
      */
-    updateRemotePlayer(playerId, playerData) {
+    updateRemotePlayer(playerId, playerData, timestamp) {
         try {
             // Ignorar nosso próprio jogador
             if (playerId === this.playerId) {
@@ -286,29 +451,8 @@ export class NetworkManager {
                 return;
             }
             
-            // Verificar se o jogador remoto já existe
-            if (window.game.remotePlayers.has(playerId)) {
-                // Jogador existente - atualiza
-                const remotePlayer = window.game.remotePlayers.get(playerId);
-                
-                // Verificar se o objeto remotePlayer é válido
-                if (remotePlayer && typeof remotePlayer.updateFromNetworkData === 'function') {
-                    remotePlayer.updateFromNetworkData(playerData);
-                } else {
-                    console.warn(`Jogador remoto [${playerId}] inválido, recriando`);
-                    window.game.remotePlayers.delete(playerId);
-                    window.game._createRemotePlayer(playerId, playerData);
-                }
-            } else {
-                // Novo jogador - cria
-                console.log(`Criando novo jogador remoto [${playerId}]`);
-                const newPlayer = window.game._createRemotePlayer(playerId, playerData);
-                
-                // Verificar se o jogador foi criado com sucesso
-                if (!newPlayer) {
-                    console.error(`Falha ao criar jogador remoto [${playerId}]`);
-                }
-            }
+            // O Game cria ou atualiza o RemotePlayer correspondente
+            this._emit(GAME_EVENTS.PLAYER_UPDATED, { id: playerId, data: playerData, timestamp });
         } catch (error) {
             console.error(`Erro ao atualizar jogador remoto [${playerId}]:`, error);
         }
@@ -321,52 +465,24 @@ export class NetworkManager {
     update(deltaTime) {
         if (!this.connected) return;
         
-        // Atualiza a posição do jogador no servidor em intervalos
-        if (this.player && this.updateTimer <= 0) {
-            this.sendPlayerUpdate(
-                this.player.position,
-                this.player.velocity,
-                this.player.rotation
-            );
-            
-            // Redefine o temporizador (10 atualizações por segundo)
-            this.updateTimer = 0.1;
-            
-            // Atualiza a lista de jogadores na UI a cada segundo
-            if (window.game && window.game.uiManager) {
-                // Apenas atualiza a cada segundo aproximadamente
-                if (!this.uiUpdateTimer || this.uiUpdateTimer <= 0) {
-                    const playersList = [];
-                    
-                    // Adiciona o jogador local
-                    playersList.push({
-                        id: this.playerId || 'local',
-                        name: 'Você',
-                        latency: this.latency,
-                        isLocal: true
-                    });
-                    
-                    // Adiciona jogadores remotos
-                    this.remotePlayers.forEach((player, id) => {
-                        playersList.push({
-                            id,
-                            name: player.name || `Jogador ${id}`,
-                            latency: 0, // Sem informação de latência de outros jogadores
-                            isLocal: false
-                        });
-                    });
-                    
-                    // Atualiza a UI
-                    window.game.uiManager.updatePlayersList(playersList);
-                    
-                    // Redefine o timer (atualizar a cada segundo)
-                    this.uiUpdateTimer = 1.0;
-                } else {
-                    this.uiUpdateTimer -= deltaTime;
-                }
-            }
-        } else {
-            this.updateTimer -= deltaTime;
+        // Predição: corrige pelo último estado recebido e envia os inputs em lotes
+        if (this.serverState) {
+            this.reconcile(this.serverState);
+            this.serverState = null;
+        }
+        this.applyCorrection(deltaTime);
+        
+        this.inputTimer -= deltaTime;
+        if (this.inputTimer <= 0) {
+            this.sendInputs();
+            this.inputTimer += 1 / NETWORK.UPDATE_RATE;
+        }
+        
+        // Atualiza a lista de jogadores na UI a cada segundo
+        this.uiUpdateTimer -= deltaTime;
+        if (this.uiUpdateTimer <= 0) {
+            this._emit(GAME_EVENTS.PLAYERS_LIST_CHANGED, { players: this.getPlayersList() });
+            this.uiUpdateTimer = 1.0;
         }
         
         // Atualiza projéteis remotos
@@ -401,6 +517,9 @@ export class NetworkManager {
         this.lastPingTime = null;
         this.latency = 0;
         
+        // Nova conexão: o servidor conta as sequências de input do zero
+        this.resetPrediction();
+        
         // Envia autenticação
         this._sendMessage('auth', {
             playerId: this.playerId,
@@ -439,19 +558,7 @@ export class NetworkManager {
         
         // Notifica apenas se estava conectado anteriormente
         if (wasConnected) {
-            // Notifica o jogo
-            if (this.onDisconnect) {
-                this.onDisconnect(reason);
-            }
-            
-            // Atualiza a UI
-            if (window.game && window.game.uiManager) {
-                window.game.uiManager.showMessage(`Desconectado do servidor: ${reason}`, 5000, "warning");
-                
-                if (typeof window.game.uiManager.updateNetworkStatus === 'function') {
-                    window.game.uiManager.updateNetworkStatus(false);
-                }
-            }
+            this._emit(GAME_EVENTS.NETWORK_DISCONNECTED, { reason, reconnect: false });
         }
     }
     
@@ -490,9 +597,7 @@ export class NetworkManager {
         }
         
         // Notifica o jogo sobre o erro
-        if (window.game && window.game.uiManager) {
-            window.game.uiManager.showMessage(`Erro de rede: ${errorMessage}`, 5000, "error");
-        }
+        this._emit(GAME_EVENTS.NETWORK_ERROR, { message: errorMessage, fromServer: false });
         
         // Tenta fechar a conexão se ainda estiver aberta
         if (this.socket && this.socket.readyState !== WebSocket.CLOSED) {
@@ -575,8 +680,7 @@ export class NetworkManager {
         
         console.log(`NetworkManager: Criando jogador remoto [${id}] com dados:`, JSON.stringify(data));
         
-        // Obtém a referência da cena através da janela global
-        const scene = window.game?.sceneManager?.scene;
+        const scene = this.scene;
         if (!scene) {
             console.error("NetworkManager: Cena não disponível. Impossível criar jogador remoto.");
             return;
@@ -594,35 +698,9 @@ export class NetworkManager {
             // Adiciona ao mapa de jogadores remotos
             this.remotePlayers.set(id, remotePlayer);
             
-            // Notifica a criação de um novo jogador
-            if (this.onPlayerJoined) {
-                this.onPlayerJoined(remotePlayer);
-            }
-            
-            // Atualiza a UI para mostrar o novo jogador
-            if (window.game && window.game.uiManager) {
-                window.game.uiManager.showMessage(`Jogador ${id} entrou no jogo`, 3000, "info");
-                
-                // Força atualização da lista de jogadores
-                const playersList = [];
-                playersList.push({
-                    id: this.playerId || 'local',
-                    name: 'Você',
-                    latency: this.latency,
-                    isLocal: true
-                });
-                
-                this.remotePlayers.forEach((player, playerId) => {
-                    playersList.push({
-                        id: playerId,
-                        name: player.name || `Jogador ${playerId}`,
-                        latency: 0,
-                        isLocal: false
-                    });
-                });
-                
-                window.game.uiManager.updatePlayersList(playersList);
-            }
+            // Notifica a criação de um novo jogador e atualiza a lista de jogadores
+            this._emit(GAME_EVENTS.PLAYER_JOINED, { id, player: remotePlayer });
+            this._emit(GAME_EVENTS.PLAYERS_LIST_CHANGED, { players: this.getPlayersList() });
             
             console.log(`NetworkManager: Jogador remoto [${id}] criado com sucesso!`);
         } catch (error) {
@@ -641,7 +719,7 @@ export class NetworkManager {
             this.remoteProjectiles = new Map();
         }
         
-        // Verifica se o projétil já existe
+        // Só projéteis já conhecidos são atualizados: o cliente não cria projéteis remotos
         if (this.remoteProjectiles.has(id)) {
             // Atualiza o projétil existente
             const projectile = this.remoteProjectiles.get(id);
@@ -653,56 +731,6 @@ export class NetworkManager {
                     data.position.z
                 );
             }
-        } else {
-            // Cria um novo projétil se window.game estiver disponível
-            if (window.game && window.game.scene) {
-                // Usa a classe Bullet se disponível
-                if (window.game.createRemoteProjectile) {
-                    const projectile = window.game.createRemoteProjectile(data);
-                    if (projectile) {
-                        this.remoteProjectiles.set(id, projectile);
-                    }
-                }
-            }
-        }
-    }
-    
-    /**
-     * Implementação da reconciliação de estado do jogador local
-     * @private
-     * @param {Object} serverState - Estado do jogador no servidor
-     */
-    _reconcilePlayerState(serverState) {
-        // Apenas para o jogador local
-        if (!this.player) return;
-        
-        // Se não houver dados de posição, não faz nada
-        if (!serverState || !serverState.position) return;
-        
-        // A cada ~5 segundos (ou aproximadamente 2% das atualizações),
-        // fazemos um log da distância entre a posição local e a do servidor
-        if (Math.random() < 0.02) {
-            const localPos = this.player.position;
-            const serverPos = serverState.position;
-            
-            const dx = localPos.x - serverPos.x;
-            const dy = localPos.y - serverPos.y;
-            const dz = localPos.z - serverPos.z;
-            
-            const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
-            
-            console.log(`Diferença entre posição local e servidor: ${distance.toFixed(2)} unidades`);
-            
-            // Se a distância for significativa (mais de 2 unidades), 
-            // podemos aplicar uma pequena correção
-            if (distance > 2) {
-                console.log(`Corrigindo posição local para mais próxima do servidor`);
-                
-                // Correção suave - move 10% na direção do servidor
-                this.player.position.x += (serverPos.x - localPos.x) * 0.1;
-                this.player.position.y += (serverPos.y - localPos.y) * 0.1;
-                this.player.position.z += (serverPos.z - localPos.z) * 0.1;
-            }
         }
     }
     
@@ -808,34 +836,8 @@ export class NetworkManager {
         this._clearPingInterval();
         this._clearConnectionTimeout();
         
-        // Notifica o usuário
-        if (window.game && window.game.uiManager) {
-            window.game.uiManager.showMessage("Conexão perdida com o servidor - timeout", 5000, "error");
-            
-            if (typeof window.game.uiManager.updateNetworkStatus === 'function') {
-                window.game.uiManager.updateNetworkStatus(false);
-            }
-        }
-        
-        // Notifica o jogo
-        if (this.onDisconnect) {
-            this.onDisconnect("timeout");
-        }
-        
-        // Tenta reconectar automaticamente
-        if (this.serverUrl && window.game) {
-            // Aguarda 2 segundos antes de tentar reconectar
-            setTimeout(() => {
-                if (window.game && window.game.uiManager) {
-                    window.game.uiManager.showMessage("Tentando reconectar...", 3000, "info");
-                }
-                
-                window.game.connectToMultiplayerServer(this.serverUrl, this.playerName)
-                    .catch(err => {
-                        console.error("Falha na reconexão automática:", err);
-                    });
-            }, 2000);
-        }
+        // Notifica o jogo, que tenta reconectar
+        this._emit(GAME_EVENTS.NETWORK_DISCONNECTED, { reason: 'timeout', reconnect: true });
     }
 
     /**
@@ -899,37 +901,22 @@ export class NetworkManager {
                         this.lastPingTime = null;
                         
                         // Atualizar contador de ping na UI
-                        if (window.game && window.game.uiManager && 
-                            typeof window.game.uiManager.updateNetworkStatus === 'function') {
-                            window.game.uiManager.updateNetworkStatus(true, this.latency);
-                        }
+                        this._emit(GAME_EVENTS.NETWORK_LATENCY, { latency });
                     }
                     break;
                     
                 case 'playerJoined':
                     console.log(`EVENTO: Jogador entrou: ${data.playerName || 'desconhecido'} (${data.playerId})`);
                     
-                    // Atualizar o UI com mensagem sobre novo jogador
-                    if (window.game && window.game.uiManager) {
-                        window.game.uiManager.showMessage(`Jogador ${data.playerName || data.playerId} entrou no jogo!`, 3000, 'success');
-                    }
-                    
-                    // Solicitar lista atualizada de jogadores
+                    // A lista atualizada cria o jogador remoto (e publica a entrada)
                     this.requestPlayersList();
                     break;
                     
                 case 'playerLeft':
                     console.log(`EVENTO: Jogador saiu: ${data.playerId}`);
                     
-                    // Remover jogador da cena
+                    // Remover jogador da cena (publica a saída)
                     if (this.remotePlayers && this.remotePlayers.has(data.playerId)) {
-                        // Notificar no UI
-                        const player = this.remotePlayers.get(data.playerId);
-                        if (window.game && window.game.uiManager) {
-                            window.game.uiManager.showMessage(`Jogador ${player.name || data.playerId} saiu do jogo`, 3000, 'warning');
-                        }
-                        
-                        // Remover o jogador remoto
                         this._removeRemotePlayer(data.playerId);
                     }
                     
@@ -947,11 +934,86 @@ export class NetworkManager {
                     }
                     break;
                     
+                case 'playerDamaged':
+                    // Dano validado pelo servidor (tiros entre jogadores): só a quantidade vale para
+                    // o jogador local, que desconta da própria vida com escudo e dificuldade (a vida
+                    // do servidor não conhece os danos e curas locais)
+                    if (data.playerId === this.playerId) {
+                        this.player.takeDamage(data.amount);
+                    } else if (this.remotePlayers.has(data.playerId)) {
+                        this.remotePlayers.get(data.playerId).setHealth(data.health);
+                    }
+                    
+                    this._emit(GAME_EVENTS.PLAYER_HIT, {
+                        targetId: data.playerId,
+                        attackerId: data.attackerId,
+                        amount: data.amount,
+                        health: data.health,
+                        zone: data.zone,
+                        local: data.playerId === this.playerId,
+                        fromLocal: data.attackerId === this.playerId
+                    });
+                    break;
+                    
+                case 'playerKilled':
+                    console.log(`EVENTO: ${data.killerName} eliminou ${data.playerName}`);
+                    
+                    // O servidor decide as eliminações entre jogadores: o jogador local fica parado
+                    // até o servidor trazê-lo de volta (playerRespawned), mesmo com vida sobrando aqui
+                    if (data.playerId === this.playerId && this.player.health > 0) {
+                        this.player.health = 0;
+                        if (this.player.updateHealthUI) {
+                            this.player.updateHealthUI();
+                        }
+                    }
+                    
+                    this._emit(GAME_EVENTS.PLAYER_KILLED, {
+                        targetId: data.playerId,
+                        targetName: data.playerName,
+                        killerId: data.killerId,
+                        killerName: data.killerName,
+                        local: data.playerId === this.playerId,
+                        fromLocal: data.killerId === this.playerId
+                    });
+                    break;
+                    
+                case 'playerRespawned':
+                    // Volta com a vida cheia no ponto inicial; os inputs de antes não valem mais
+                    if (data.playerId === this.playerId) {
+                        this.player.respawn(data.position, data.health);
+                        this.resetPrediction();
+                    } else if (this.remotePlayers.has(data.playerId)) {
+                        this.remotePlayers.get(data.playerId).setHealth(data.health);
+                    }
+                    
+                    this._emit(GAME_EVENTS.PLAYER_RESPAWNED, {
+                        targetId: data.playerId,
+                        health: data.health,
+                        local: data.playerId === this.playerId
+                    });
+                    break;
+                    
+                case 'shotRejected': {
+                    // Tiro descartado pelo servidor: a munição gasta volta ao carregador
+                    console.warn(`Tiro recusado pelo servidor: ${data.reason}`);
+                    const weapon = this.player && this.player.weapons.find(candidate => candidate.id === data.weapon);
+                    if (weapon) {
+                        weapon.refundShot();
+                    }
+                    break;
+                }
+                    
+                case 'pickupRejected':
+                    // Coleta que o servidor não reconheceu: o efeito não vale no multiplayer
+                    console.warn(`Coleta recusada pelo servidor: ${data.item}`);
+                    if (this.player) {
+                        this.player.removeEffect(data.item);
+                    }
+                    break;
+                    
                 case 'error':
                     console.error('Erro do servidor:', data.message);
-                    if (window.game && window.game.uiManager) {
-                        window.game.uiManager.showMessage(`Erro do servidor: ${data.message}`, 5000, 'error');
-                    }
+                    this._emit(GAME_EVENTS.NETWORK_ERROR, { message: data.message, fromServer: true });
                     break;
                     
                 default:
@@ -1024,33 +1086,7 @@ export class NetworkManager {
      * @private
      */
     _updatePlayersUI() {
-        if (window.game && window.game.uiManager) {
-            const playersList = [];
-            
-            // Adiciona o jogador local
-            playersList.push({
-                id: this.playerId || 'local',
-                name: this.playerName || 'Você',
-                latency: this.latency,
-                isLocal: true
-            });
-            
-            // Adiciona jogadores remotos
-            if (this.remotePlayers) {
-                this.remotePlayers.forEach((player, id) => {
-                    playersList.push({
-                        id,
-                        name: player.name || `Jogador ${id}`,
-                        latency: player.latency || 0,
-                        isLocal: false
-                    });
-                });
-            }
-            
-            if (typeof window.game.uiManager.updatePlayersList === 'function') {
-                window.game.uiManager.updatePlayersList(playersList);
-            }
-        }
+        this._emit(GAME_EVENTS.PLAYERS_LIST_CHANGED, { players: this.getPlayersList() });
     }
 
     /**
@@ -1093,9 +1129,7 @@ export class NetworkManager {
         console.log(`NetworkManager: Jogador remoto removido [${id}]`);
         
         // Notifica a saída do jogador
-        if (this.onPlayerLeft) {
-            this.onPlayerLeft({id});
-        }
+        this._emit(GAME_EVENTS.PLAYER_LEFT, { id, name: remotePlayer.name });
     }
 
     /**
@@ -0,0 +1,220 @@
+/**
+ * Gerenciador de itens coletáveis e power-ups
+ * Posiciona itens fixos no mapa, cria itens deixados por inimigos e aplica os efeitos no jogador
+ */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.157.0/build/three.module.js';
+import { ITEM, PLAYER, SPATIAL } from './config.js';
+import { Pickup } from './pickup.js';
+import { SpatialGrid } from './spatial-grid.js';
+import { GAME_EVENTS } from './event-bus.js';
+import { Random } from './random.js';
+
+// Peso de cada tipo de item no sorteio de itens deixados por inimigos
+const DROP_WEIGHTS = {
+    health_pack: 0.35,
+    ammo_pack: 0.4,
+    shield: 0.15,
+    rapid_fire: 0.1
+};
+
+export class PickupManager {
+    /**
+     * @param {THREE.Scene} scene - Cena onde os itens serão adicionados
+     * @param {Object} player - Referência ao jogador que coleta os itens
+     */
+    constructor(scene, player) {
+        this.scene = scene;
+        this.player = player;
+
+        // Itens ativos (fixos e deixados por inimigos) e a grade usada para achar os próximos do jogador
+        this.pickups = [];
+        this.grid = new SpatialGrid(SPATIAL.DYNAMIC_CELL_SIZE);
+
+        // Gerador dos drops (semente definida pelo Game a cada partida via setSeed)
+        this.random = new Random();
+
+        // Barramento de eventos da partida (definido pelo Game via setEventBus)
+        this.events = null;
+
+        this.spawnPlacedPickups();
+
+        console.log("PickupManager inicializado");
+    }
+
+    /**
+     * Define o barramento da partida: inimigos eliminados podem deixar itens
+     * e as coletas são publicadas para a interface e o áudio
+     * @param {EventBus} events - Barramento da partida
+     */
+    setEventBus(events) {
+        this.events = events;
+        events.on(GAME_EVENTS.ENEMY_KILLED, ({ position }) => this.trySpawnDrop(position));
+    }
+
+    /**
+     * Reinicia o gerador dos drops (a mesma semente reproduz a mesma partida)
+     * @param {number} seed - Semente
+     */
+    setSeed(seed) {
+        this.random.setSeed(seed);
+    }
+
+    /**
+     * Cria os itens nos locais fixos do mapa
+     */
+    spawnPlacedPickups() {
+        ITEM.PLACEMENTS.forEach(({ type, position }) => {
+            this.addPickup(new Pickup(type, new THREE.Vector3(position.x, 0, position.z), { respawns: true }));
+        });
+    }
+
+    /**
+     * Adiciona um item à cena e à lista de itens ativos
+     * @param {Pickup} pickup - Item a adicionar
+     * @returns {Pickup} - O item adicionado
+     */
+    addPickup(pickup) {
+        this.pickups.push(pickup);
+        this.grid.insert(pickup, pickup.position.x, pickup.position.z);
+
+        if (this.scene) {
+            this.scene.add(pickup.mesh);
+        }
+
+        return pickup;
+    }
+
+    /**
+     * Sorteia se um inimigo derrotado deixa um item na posição em que morreu
+     * @param {THREE.Vector3} position - Posição do inimigo
+     * @returns {Pickup|null} - O item criado ou null se nada foi deixado
+     */
+    trySpawnDrop(position) {
+        if (this.random.next() >= ITEM.DROP_CHANCE) return null;
+
+        return this.spawnDrop(this.rollDropType(), position);
+    }
+
+    /**
+     * Cria um item temporário (não reaparece e expira após ITEM.DROP_LIFETIME)
+     * @param {string} type - Tipo do item
+     * @param {THREE.Vector3} position - Posição do item
+     * @returns {Pickup} - O item criado
+     */
+    spawnDrop(type, position) {
+        return this.addPickup(new Pickup(type, position, {
+            respawns: false,
+            lifetime: ITEM.DROP_LIFETIME
+        }));
+    }
+
+    /**
+     * Sorteia o tipo de item usando DROP_WEIGHTS
+     * @returns {string} - Tipo do item sorteado
+     */
+    rollDropType() {
+        const types = Object.keys(DROP_WEIGHTS);
+        const total = types.reduce((sum, type) => sum + DROP_WEIGHTS[type], 0);
+        let roll = this.random.next() * total;
+
+        for (const type of types) {
+            roll -= DROP_WEIGHTS[type];
+            if (roll <= 0) return type;
+        }
+
+        return types[types.length - 1];
+    }
+
+    /**
+     * Atualiza os itens e verifica coletas pelo jogador
+     * @param {number} deltaTime - Tempo desde o último frame em segundos
+     */
+    update(deltaTime) {
+        for (let i = this.pickups.length - 1; i >= 0; i--) {
+            const pickup = this.pickups[i];
+            pickup.update(deltaTime);
+
+            // Itens expirados ou já coletados que não reaparecem saem da cena
+            if (pickup.expired) {
+                if (this.scene) {
+                    this.scene.remove(pickup.mesh);
+                }
+                this.pickups.splice(i, 1);
+                this.grid.remove(pickup);
+            }
+        }
+
+        if (!this.player || this.player.health <= 0) return;
+
+        // Só os itens nas células ao redor do jogador podem estar ao alcance
+        const position = this.player.position;
+        const height = this.player.currentHeight || PLAYER.HEIGHT;
+
+        this.grid.queryRadius(position.x, position.z, ITEM.PICKUP_RADIUS).forEach(pickup => {
+            if (pickup.isInRange(position, height) && this.applyPickup(pickup)) {
+                pickup.collect();
+            }
+        });
+    }
+
+    /**
+     * Aplica o efeito de um item no jogador
+     * @param {Pickup} pickup - Item coletado
+     * @returns {boolean} - Verdadeiro se o item foi consumido
+     */
+    applyPickup(pickup) {
+        let message;
+
+        switch (pickup.type) {
+            case 'health_pack':
+                // Não desperdiça o item com a saúde cheia
+                if (this.player.health >= PLAYER.HEALTH) return false;
+                this.player.heal(ITEM.HEALTH_PACK.HEAL_AMOUNT);
+                message = `+${ITEM.HEALTH_PACK.HEAL_AMOUNT} SAÚDE`;
+                break;
+
+            case 'ammo_pack':
+                // A munição vai para a arma em mãos
+                if (this.player.currentWeapon.isReserveFull()) return false;
+                this.player.addAmmo(ITEM.AMMO_PACK.AMMO_AMOUNT);
+                message = `+${ITEM.AMMO_PACK.AMMO_AMOUNT} MUNIÇÃO`;
+                break;
+
+            case 'shield':
+                this.player.applyEffect('shield', ITEM.SHIELD.DURATION);
+                message = 'ESCUDO ATIVADO';
+                break;
+
+            case 'rapid_fire':
+                this.player.applyEffect('rapid_fire', ITEM.RAPID_FIRE.DURATION);
+                message = 'TIRO RÁPIDO ATIVADO';
+                break;
+
+            default:
+                return false;
+        }
+
+        console.log(`Item coletado: ${pickup.type}`);
+
+        if (this.events) {
+            this.events.emit(GAME_EVENTS.PICKUP_COLLECTED, { type: pickup.type, message });
+        }
+
+        return true;
+    }
+
+    /**
+     * Remove todos os itens e recria os itens fixos do mapa
+     */
+    reset() {
+        this.pickups.forEach(pickup => {
+            if (this.scene) {
+                this.scene.remove(pickup.mesh);
+            }
+        });
+        this.pickups = [];
+        this.grid.clear();
+
+        this.spawnPlacedPickups();
+    }
+}
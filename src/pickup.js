@@ -0,0 +1,197 @@
+/**
+ * Classe que representa um item coletável no mapa (saúde, escudo, munição, tiro rápido)
+ * Cuida da aparência, animação e dos timers de reaparecimento/expiração
+ */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.157.0/build/three.module.js';
+import { ITEM } from './config.js';
+
+export class Pickup {
+    /**
+     * Cria um novo item coletável
+     * @param {string} type - Tipo do item ('health_pack', 'shield', 'ammo_pack', 'rapid_fire')
+     * @param {THREE.Vector3} position - Posição do item no chão
+     * @param {Object} options - Opções do item
+     * @param {boolean} options.respawns - Se reaparece após ser coletado (itens posicionados no mapa)
+     * @param {number} options.lifetime - Tempo até desaparecer, em segundos (itens deixados por inimigos)
+     */
+    constructor(type, position, options = {}) {
+        this.type = type;
+        this.config = ITEM[type.toUpperCase()];
+
+        if (!this.config) {
+            throw new Error(`Pickup: tipo de item desconhecido "${type}"`);
+        }
+
+        this.position = position.clone();
+        this.position.y = 0;
+
+        // Comportamento após coleta
+        this.respawns = options.respawns ?? true;
+        this.lifetime = options.lifetime ?? null;
+
+        // Estado
+        this.active = true;
+        this.expired = false;
+        this.respawnTimer = 0;
+        this.animationTime = Math.random() * Math.PI * 2;
+
+        // Representação visual
+        this.mesh = this.createMesh();
+        this.mesh.position.set(this.position.x, 1, this.position.z);
+    }
+
+    /**
+     * Cria a geometria 3D do item baseado no tipo
+     * @returns {THREE.Group} - Grupo com a representação do item
+     */
+    createMesh() {
+        const group = new THREE.Group();
+
+        switch (this.type) {
+            case 'health_pack': {
+                // Cruz verde
+                const material = new THREE.MeshPhongMaterial({
+                    color: 0x33ff66,
+                    emissive: 0x116622,
+                    emissiveIntensity: 0.8
+                });
+                group.add(new THREE.Mesh(new THREE.BoxGeometry(0.7, 0.2, 0.2), material));
+                group.add(new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.7, 0.2), material));
+                break;
+            }
+
+            case 'shield':
+                // Octaedro azul translúcido
+                group.add(new THREE.Mesh(
+                    new THREE.OctahedronGeometry(0.4),
+                    new THREE.MeshPhongMaterial({
+                        color: 0x33aaff,
+                        emissive: 0x114488,
+                        emissiveIntensity: 0.8,
+                        transparent: true,
+                        opacity: 0.85
+                    })
+                ));
+                break;
+
+            case 'ammo_pack':
+                // Caixa de munição amarela
+                group.add(new THREE.Mesh(
+                    new THREE.BoxGeometry(0.6, 0.35, 0.35),
+                    new THREE.MeshPhongMaterial({
+                        color: 0xffcc00,
+                        emissive: 0x664400,
+                        emissiveIntensity: 0.6
+                    })
+                ));
+                break;
+
+            case 'rapid_fire':
+                // Cone laranja apontando para cima
+                group.add(new THREE.Mesh(
+                    new THREE.ConeGeometry(0.3, 0.7, 6),
+                    new THREE.MeshPhongMaterial({
+                        color: 0xff6600,
+                        emissive: 0x882200,
+                        emissiveIntensity: 0.8
+                    })
+                ));
+                break;
+        }
+
+        group.traverse(child => {
+            if (child.isMesh) child.castShadow = true;
+        });
+
+        return group;
+    }
+
+    /**
+     * Atualiza animação e timers do item
+     * @param {number} deltaTime - Tempo desde o último frame em segundos
+     */
+    update(deltaTime) {
+        if (this.expired) return;
+
+        if (!this.active) {
+            // Conta o tempo até reaparecer
+            if (this.respawns) {
+                this.respawnTimer -= deltaTime;
+
+                if (this.respawnTimer <= 0) {
+                    this.respawn();
+                }
+            }
+            return;
+        }
+
+        // Itens deixados por inimigos desaparecem depois de um tempo
+        if (this.lifetime !== null) {
+            this.lifetime -= deltaTime;
+
+            if (this.lifetime <= 0) {
+                this.expire();
+                return;
+            }
+
+            // Pisca nos últimos 3 segundos para avisar o jogador
+            this.mesh.visible = this.lifetime > 3 || Math.floor(this.lifetime * 8) % 2 === 0;
+        }
+
+        // Gira e flutua
+        this.animationTime += deltaTime;
+        this.mesh.rotation.y += deltaTime * 2;
+        this.mesh.position.y = 1 + Math.sin(this.animationTime * 3) * 0.15;
+    }
+
+    /**
+     * Verifica se uma posição está perto o suficiente para coletar o item
+     * @param {THREE.Vector3} position - Posição do jogador (altura dos olhos)
+     * @param {number} height - Altura do jogador
+     * @returns {boolean} - Verdadeiro se o item pode ser coletado
+     */
+    isInRange(position, height) {
+        if (!this.active || this.expired) return false;
+
+        const dx = position.x - this.position.x;
+        const dz = position.z - this.position.z;
+
+        // A posição do jogador está na altura dos olhos; os pés ficam "height" abaixo
+        const feetY = position.y - height;
+        if (feetY > this.position.y + 1.5 || position.y < this.position.y) return false;
+
+        return dx * dx + dz * dz <= ITEM.PICKUP_RADIUS * ITEM.PICKUP_RADIUS;
+    }
+
+    /**
+     * Marca o item como coletado e inicia o timer de reaparecimento
+     */
+    collect() {
+        this.active = false;
+        this.mesh.visible = false;
+
+        if (this.respawns) {
+            this.respawnTimer = this.config.RESPAWN_TIME;
+        } else {
+            this.expired = true;
+        }
+    }
+
+    /**
+     * Torna o item disponível novamente
+     */
+    respawn() {
+        this.active = true;
+        this.respawnTimer = 0;
+        this.mesh.visible = true;
+    }
+
+    /**
+     * Remove definitivamente o item (expirado)
+     */
+    expire() {
+        this.active = false;
+        this.expired = true;
+        this.mesh.visible = false;
+    }
+}
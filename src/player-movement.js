@@ -0,0 +1,187 @@
+/**
+ * Movimento do jogador em um passo: agachar, correr, pular, colisões e gravidade
+ * O mesmo código move o Player local, refaz os inputs não confirmados na reconciliação
+ * (NetworkManager) e aplica os inputs recebidos pelo servidor, para que os três cheguem
+ * à mesma posição
+ */
+import { PLAYER } from './config.js';
+
+/**
+ * Estado de movimento de um jogador em pé e no chão
+ * @param {Object} position - Posição dos olhos {x, y, z}
+ * @returns {Object} - { position, verticalVelocity, isGrounded, isCrouching, currentHeight }
+ */
+export function createMovementState(position) {
+    return {
+        position: { x: position.x, y: position.y, z: position.z },
+        verticalVelocity: 0,
+        isGrounded: true,
+        isCrouching: false,
+        currentHeight: PLAYER.HEIGHT
+    };
+}
+
+/**
+ * Cópia do estado de movimento de um corpo (Player ou jogador do servidor)
+ * @param {Object} body - Corpo com position, verticalVelocity, isGrounded, isCrouching e currentHeight
+ * @returns {Object} - Estado no formato de createMovementState
+ */
+export function copyMovementState(body) {
+    return {
+        position: { x: body.position.x, y: body.position.y, z: body.position.z },
+        verticalVelocity: body.verticalVelocity,
+        isGrounded: body.isGrounded,
+        isCrouching: body.isCrouching,
+        currentHeight: body.currentHeight
+    };
+}
+
+/**
+ * Avança um corpo por um input
+ * A posição fica na altura dos olhos; a cápsula (PLAYER.RADIUS x altura atual) parte dos pés.
+ * @param {Object} body - Corpo no formato de createMovementState (modificado no lugar; a
+ *                        posição pode ser um THREE.Vector3)
+ * @param {Object} input - Teclas do passo { dt, move: direção {x, z} no mundo com comprimento
+ *                         até 1, sprint, crouch, jump }
+ * @param {CollisionWorld|null} collisionWorld - Geometria do mapa (null = sem colisões nem gravidade)
+ * @returns {Object} - { displacement: deslocamento horizontal pedido {x, y, z}, running, jumped }
+ */
+export function stepMovement(body, input, collisionWorld) {
+    const { dt, move } = input;
+
+    // Agachar/levantar ajusta a altura antes de mover
+    updateCrouch(body, input.crouch, dt, collisionWorld);
+
+    // Agachado é mais lento e não permite correr
+    const running = !body.isCrouching && !!input.sprint;
+    let speed = PLAYER.SPEED;
+    if (body.isCrouching) {
+        speed *= PLAYER.CROUCH_SPEED_MULTIPLIER;
+    } else if (running) {
+        speed *= PLAYER.SPRINT_MULTIPLIER;
+    }
+
+    // Pulo: apenas com os pés no chão e em pé
+    const jumped = body.isGrounded && !body.isCrouching && !!input.jump;
+    if (jumped) {
+        body.verticalVelocity = PLAYER.JUMP_FORCE;
+        body.isGrounded = false;
+    }
+
+    // Direção com no máximo comprimento 1
+    const length = Math.max(Math.sqrt(move.x * move.x + move.z * move.z), 1);
+    const displacement = {
+        x: move.x / length * speed * dt,
+        y: 0,
+        z: move.z / length * speed * dt
+    };
+
+    if (!collisionWorld) {
+        body.position.x += displacement.x;
+        body.position.z += displacement.z;
+        return { displacement, running, jumped };
+    }
+
+    const feet = {
+        x: body.position.x,
+        y: body.position.y - body.currentHeight,
+        z: body.position.z
+    };
+
+    // Degraus só são subidos automaticamente com os pés no chão
+    const stepHeight = body.isGrounded ? PLAYER.STEP_HEIGHT : 0;
+    collisionWorld.moveCapsule(feet, displacement, PLAYER.RADIUS, body.currentHeight, stepHeight);
+
+    updateVerticalMovement(body, feet, dt, collisionWorld);
+
+    body.position.x = feet.x;
+    body.position.y = feet.y + body.currentHeight;
+    body.position.z = feet.z;
+
+    return { displacement, running, jumped };
+}
+
+/**
+ * Verifica se há espaço acima do corpo agachado para ficar em pé
+ * @param {Object} body - Corpo no formato de createMovementState
+ * @param {CollisionWorld|null} collisionWorld - Geometria do mapa
+ * @returns {boolean} - Verdadeiro se pode levantar
+ */
+function canStandUp(body, collisionWorld) {
+    if (!collisionWorld) return true;
+
+    const feetY = body.position.y - body.currentHeight;
+    const ceiling = collisionWorld.getCeilingHeight(
+        body.position.x, body.position.z, PLAYER.RADIUS, body.position.y - 0.001
+    );
+
+    return ceiling >= feetY + PLAYER.HEIGHT;
+}
+
+/**
+ * Atualiza o estado de agachamento e a altura do corpo
+ * @param {Object} body - Corpo no formato de createMovementState
+ * @param {boolean} crouch - Tecla de agachar pressionada
+ * @param {number} dt - Duração do passo em segundos
+ * @param {CollisionWorld|null} collisionWorld - Geometria do mapa
+ */
+function updateCrouch(body, crouch, dt, collisionWorld) {
+    if (crouch) {
+        body.isCrouching = true;
+    } else if (body.isCrouching && canStandUp(body, collisionWorld)) {
+        body.isCrouching = false;
+    }
+
+    const targetHeight = body.isCrouching ? PLAYER.CROUCH_HEIGHT : PLAYER.HEIGHT;
+    if (body.currentHeight === targetHeight) return;
+
+    // Transição suave mantendo os pés no lugar
+    const feetY = body.position.y - body.currentHeight;
+    const step = PLAYER.CROUCH_TRANSITION_SPEED * dt;
+
+    body.currentHeight = targetHeight > body.currentHeight ?
+        Math.min(targetHeight, body.currentHeight + step) :
+        Math.max(targetHeight, body.currentHeight - step);
+
+    body.position.y = feetY + body.currentHeight;
+}
+
+/**
+ * Aplica gravidade, colisão com o teto e detecção de chão
+ * @param {Object} body - Corpo no formato de createMovementState
+ * @param {Object} feet - Posição dos pés {x, y, z} (modificada no lugar)
+ * @param {number} dt - Duração do passo em segundos
+ * @param {CollisionWorld} collisionWorld - Geometria do mapa
+ */
+function updateVerticalMovement(body, feet, dt, collisionWorld) {
+    const previousY = feet.y;
+
+    body.verticalVelocity -= PLAYER.GRAVITY * dt;
+    feet.y += body.verticalVelocity * dt;
+
+    // Cabeça bate no teto durante a subida
+    if (body.verticalVelocity > 0) {
+        const ceiling = collisionWorld.getCeilingHeight(
+            feet.x, feet.z, PLAYER.RADIUS, previousY + body.currentHeight
+        );
+
+        if (feet.y + body.currentHeight > ceiling) {
+            feet.y = ceiling - body.currentHeight;
+            body.verticalVelocity = 0;
+        }
+    }
+
+    // Superfície mais alta que já estava abaixo dos pés
+    const ground = collisionWorld.getGroundHeight(feet.x, feet.z, PLAYER.RADIUS, previousY + 0.001);
+
+    // No chão, desce degraus pequenos colado à superfície em vez de "cair"
+    const snapDistance = body.isGrounded && body.verticalVelocity <= 0 ? PLAYER.STEP_HEIGHT : 0;
+
+    if (feet.y <= ground + snapDistance) {
+        feet.y = ground;
+        body.verticalVelocity = 0;
+        body.isGrounded = true;
+    } else {
+        body.isGrounded = false;
+    }
+}
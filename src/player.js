@@ -3,8 +3,13 @@
  * Gerencia a movimentação, arma, saúde e interações do jogador
  */
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.157.0/build/three.module.js';
-import { PLAYER, WEAPON } from './config.js';
+import { PLAYER, WEAPON, ITEM, ENEMY } from './config.js';
 import { Bullet } from './bullet.js';
+import { Weapon } from './weapon.js';
+import { requestFrame } from './environment.js';
+import { GAME_EVENTS } from './event-bus.js';
+import { Random } from './random.js';
+import { stepMovement } from './player-movement.js';
 
 export class Player {
     constructor(camera, inputManager) {
@@ -17,26 +22,58 @@ export class Player {
         
         // Atributos do jogador
         this.health = PLAYER.HEALTH;
-        this.position = new THREE.Vector3(0, PLAYER.HEIGHT, 0);
+        this.damageTakenMultiplier = 1; // Definido pela dificuldade da campanha
+        this.position = new THREE.Vector3(PLAYER.SPAWN_POSITION.x, PLAYER.HEIGHT, PLAYER.SPAWN_POSITION.z);
         this.velocity = new THREE.Vector3(0, 0, 0);
         this.rotation = new THREE.Euler(0, 0, 0, 'YXZ');
         
+        // Geometria estática do mapa (definida pelo Game via setCollisionWorld)
+        this.collisionWorld = null;
+        
+        // Gerador do espalhamento dos tiros (semente definida pelo Game a cada partida via setSeed)
+        this.random = new Random();
+        
+        // Barramento de eventos da partida (definido pelo Game via setEventBus)
+        this.events = null;
+        this.feetPosition = new THREE.Vector3();
+        
+        // Movimento vertical (pulo, queda e agachamento)
+        this.verticalVelocity = 0;
+        this.isGrounded = true;
+        this.isCrouching = false;
+        this.currentHeight = PLAYER.HEIGHT;
+        
+        // Tempo até o próximo passo audível pelos inimigos (só ao correr)
+        this.footstepTimer = 0;
+        
+        // Input do último passo (teclas e rotação), lido pelo NetworkManager no multiplayer
+        this.lastInput = null;
+        
         // Para detecção de colisão
         this.boundingBox = new THREE.Box3(
             new THREE.Vector3(-PLAYER.RADIUS, 0, -PLAYER.RADIUS),
             new THREE.Vector3(PLAYER.RADIUS, PLAYER.HEIGHT, PLAYER.RADIUS)
         );
         
-        // Atributos da arma
-        this.ammo = WEAPON.MAGAZINE_SIZE;
-        this.reserveAmmo = WEAPON.MAX_AMMO;
+        // Inventário de armas (cada arma guarda a própria munição)
+        this.weapons = WEAPON.INVENTORY.map(id => new Weapon(id));
+        this.currentWeaponIndex = WEAPON.STARTING_WEAPON;
         this.fireTimer = 0;
         this.isReloading = false;
         this.reloadTimer = 0;
         
+        // Gatilho segurado no frame anterior (armas semiautomáticas exigem soltar)
+        this.triggerHeld = false;
+        
         // Lista de projéteis ativos
         this.bullets = [];
         
+        // Tiros instantâneos disparados neste frame (resolvidos pelo EnemyManager nas colisões)
+        this.shots = [];
+        
+        // Power-ups ativos: efeito -> { remaining, duration } em segundos
+        this.activeEffects = {};
+        
         // Configura a arma
         this.setupWeapon();
         
@@ -55,9 +92,9 @@ export class Player {
      * Configura a arma
      */
     setupWeapon() {
-        // Configuração de atributos iniciais da arma
-        this.ammo = WEAPON.MAGAZINE_SIZE;
-        this.reserveAmmo = WEAPON.MAX_AMMO;
+        // Configuração de atributos iniciais das armas
+        this.weapons.forEach(weapon => weapon.refill());
+        this.currentWeaponIndex = WEAPON.STARTING_WEAPON;
         this.fireTimer = 0;
         this.isReloading = false;
         this.reloadTimer = 0;
@@ -67,47 +104,45 @@ export class Player {
     }
     
     /**
-     * Cria o modelo 3D da arma em primeira pessoa
+     * Arma atualmente empunhada
+     * @returns {Weapon}
+     */
+    get currentWeapon() {
+        return this.weapons[this.currentWeaponIndex];
+    }
+    
+    /**
+     * Munição no carregador da arma atual
+     * @returns {number}
+     */
+    get ammo() {
+        return this.currentWeapon.ammo;
+    }
+    
+    set ammo(value) {
+        this.currentWeapon.ammo = value;
+    }
+    
+    /**
+     * Munição na reserva da arma atual
+     * @returns {number}
+     */
+    get reserveAmmo() {
+        return this.currentWeapon.reserveAmmo;
+    }
+    
+    set reserveAmmo(value) {
+        this.currentWeapon.reserveAmmo = value;
+    }
+    
+    /**
+     * Cria o modelo 3D da arma atual em primeira pessoa
      */
     createWeaponModel() {
-        // Grupo para a arma (será filho da câmera)
-        this.weaponGroup = new THREE.Group();
-        
-        console.log("Criando modelo de arma em primeira pessoa");
+        // Grupo para a arma (será filho da câmera), montado a partir da definição da arma
+        this.weaponGroup = this.currentWeapon.createModel();
         
-        // Modelo simples de uma pistola usando geometrias básicas
-        // Corpo principal da arma - AUMENTANDO O TAMANHO
-        const gunBody = new THREE.Mesh(
-            new THREE.BoxGeometry(0.2, 0.3, 0.8),
-            new THREE.MeshPhongMaterial({ color: 0x222222, shininess: 30 })
-        );
-        gunBody.position.set(0, -0.3, 0);
-        this.weaponGroup.add(gunBody);
-        
-        // Cano da arma - AUMENTANDO O TAMANHO
-        const barrel = new THREE.Mesh(
-            new THREE.CylinderGeometry(0.05, 0.05, 0.6, 8),
-            new THREE.MeshPhongMaterial({ color: 0x111111, shininess: 50 })
-        );
-        barrel.rotation.x = Math.PI / 2;
-        barrel.position.set(0, -0.2, 0.5);
-        this.weaponGroup.add(barrel);
-        
-        // Empunhadura - AUMENTANDO O TAMANHO
-        const handle = new THREE.Mesh(
-            new THREE.BoxGeometry(0.15, 0.4, 0.2),
-            new THREE.MeshPhongMaterial({ color: 0x333333, shininess: 20 })
-        );
-        handle.position.set(0, -0.5, 0);
-        this.weaponGroup.add(handle);
-        
-        // Mira
-        const sight = new THREE.Mesh(
-            new THREE.BoxGeometry(0.04, 0.04, 0.04),
-            new THREE.MeshPhongMaterial({ color: 0xff0000 })
-        );
-        sight.position.set(0, -0.1, 0.35);
-        this.weaponGroup.add(sight);
+        console.log(`Criando modelo de arma em primeira pessoa: ${this.currentWeapon.name}`);
         
         // Posiciona a arma na câmera - REPOSICIONANDO
         this.weaponGroup.position.set(0.3, -0.4, -0.8);
@@ -118,11 +153,57 @@ export class Player {
         console.log("Arma criada e adicionada à câmera:", !!this.weaponGroup);
     }
     
+    /**
+     * Troca para outra arma do inventário
+     * Cancela a recarga em andamento e aplica o tempo de saque (WEAPON.SWITCH_TIME)
+     * @param {number} index - Índice da arma em this.weapons
+     * @returns {boolean} - Verdadeiro se a arma foi trocada
+     */
+    switchWeapon(index) {
+        if (index < 0 || index >= this.weapons.length || index === this.currentWeaponIndex) {
+            return false;
+        }
+        
+        this.currentWeaponIndex = index;
+        this.isReloading = false;
+        this.reloadTimer = 0;
+        this.fireTimer = WEAPON.SWITCH_TIME;
+        this.recoilAnimation = null;
+        
+        // Substitui o modelo em primeira pessoa
+        if (this.weaponGroup && this.camera) {
+            this.camera.remove(this.weaponGroup);
+            this.weaponGroup = null;
+            this.muzzleFlash = null;
+        }
+        if (this.camera) {
+            this.createWeaponModel();
+        }
+        
+        this.emit(GAME_EVENTS.WEAPON_SWITCHED, { weapon: this.currentWeapon });
+        
+        console.log(`Arma selecionada: ${this.currentWeapon.name}`);
+        return true;
+    }
+    
+    /**
+     * Troca para a arma seguinte ou anterior do inventário (com volta ao início)
+     * @param {number} step - 1 para a próxima, -1 para a anterior
+     * @returns {boolean} - Verdadeiro se a arma foi trocada
+     */
+    cycleWeapon(step) {
+        const count = this.weapons.length;
+        return this.switchWeapon((this.currentWeaponIndex + step + count) % count);
+    }
+    
     /**
      * Atualiza o estado do jogador
      * @param {number} deltaTime - Tempo desde o último frame em segundos
      */
     update(deltaTime) {
+        // Input deste passo (preenchido por updateMovement)
+        this.lastInput = null;
+        
         // Atualiza baseado no estado atual
         if (this.health <= 0) {
             return; // Jogador morto, não atualiza
@@ -134,6 +215,9 @@ export class Player {
         // Atualiza movimentação baseada no teclado
         this.updateMovement(deltaTime);
         
+        // Atualiza os power-ups ativos
+        this.updateEffects(deltaTime);
+        
         // Atualiza estado da arma (recarga, tiro, etc)
         this.updateWeapon(deltaTime);
         
@@ -155,11 +239,11 @@ export class Player {
         const rotation = this.inputManager.getCameraRotation();
         
         // Aplica a rotação vertical (pitch) com limites para evitar virar de cabeça para baixo
-        this.rotation.x -= rotation.y * PLAYER.LOOK_SENSITIVITY * deltaTime;
+        this.rotation.x -= rotation.y * this.inputManager.lookSensitivity * deltaTime;
         this.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.rotation.x));
         
         // Aplica a rotação horizontal (yaw)
-        this.rotation.y -= rotation.x * PLAYER.LOOK_SENSITIVITY * deltaTime;
+        this.rotation.y -= rotation.x * this.inputManager.lookSensitivity * deltaTime;
         
         // Aplica as rotações à câmera
         this.camera.rotation.copy(this.rotation);
@@ -179,11 +263,6 @@ export class Player {
             console.log("Vetor de movimento:", movement);
         }
         
-        // Determina a velocidade baseada em se está correndo ou não
-        const speed = this.inputManager.isRunning() ?
-            PLAYER.SPEED * PLAYER.SPRINT_MULTIPLIER :
-            PLAYER.SPEED;
-        
         // Vetor de direção inicial
         const direction = new THREE.Vector3();
         
@@ -214,11 +293,29 @@ export class Player {
             direction.normalize();
         }
         
-        // Calcula o movimento final
-        this.velocity.copy(direction).multiplyScalar(speed * deltaTime);
+        // Teclas do passo: o mesmo input é enviado ao servidor e refeito na reconciliação
+        const input = {
+            dt: deltaTime,
+            move: { x: direction.x, z: direction.z },
+            sprint: this.inputManager.isRunning(),
+            crouch: this.inputManager.isCrouching(),
+            jump: this.inputManager.isJumping()
+        };
+        
+        // Move respeitando paredes, obstáculos e limites do mapa, com pulo, agachamento e gravidade
+        const { displacement, running } = stepMovement(this, input, this.collisionWorld);
+        this.velocity.set(displacement.x, 0, displacement.z);
         
-        // Atualiza a posição
-        this.position.add(this.velocity);
+        // Input do passo para a predição no multiplayer, com a rotação para os outros jogadores
+        this.lastInput = { ...input, rotation: { x: this.rotation.x, y: this.rotation.y } };
+        
+        // Passos correndo fazem barulho; andar e agachar são silenciosos
+        const isSprinting = direction.lengthSq() > 0 && this.isGrounded && running;
+        this.footstepTimer -= deltaTime;
+        if (isSprinting && this.footstepTimer <= 0) {
+            this.footstepTimer = ENEMY.PERCEPTION.FOOTSTEP_INTERVAL;
+            this.makeNoise(ENEMY.PERCEPTION.FOOTSTEP_RADIUS);
+        }
         
         // Log esporádico da nova posição
         if (shouldLog) {
@@ -227,17 +324,137 @@ export class Player {
         
         // Atualiza a posição da câmera
         this.camera.position.x = this.position.x;
+        this.camera.position.y = this.position.y;
         this.camera.position.z = this.position.z;
         
         // Atualiza o bounding box para colisões
         this.updateBoundingBox();
     }
     
+    /**
+     * Define a geometria estática usada nas colisões do jogador
+     * @param {CollisionWorld} collisionWorld - Mundo de colisão do SceneManager
+     */
+    setCollisionWorld(collisionWorld) {
+        this.collisionWorld = collisionWorld;
+    }
+    
+    /**
+     * Reinicia o gerador do espalhamento dos tiros (a mesma semente reproduz a mesma partida)
+     * @param {number} seed - Semente
+     */
+    setSeed(seed) {
+        this.random.setSeed(seed);
+    }
+    
+    /**
+     * Define o barramento onde o jogador publica tiros, recargas, trocas de arma, dano e ruídos
+     * @param {EventBus} events - Barramento da partida
+     */
+    setEventBus(events) {
+        this.events = events;
+    }
+    
+    /**
+     * Publica um evento no barramento, se houver um
+     * @param {string} type - Nome do evento (GAME_EVENTS)
+     * @param {Object} payload - Conteúdo do evento
+     */
+    emit(type, payload) {
+        if (this.events) {
+            this.events.emit(type, payload);
+        }
+    }
+    
+    /**
+     * Aplica a dificuldade da campanha ao dano recebido pelo jogador
+     * @param {Object|null} factors - Fatores de SettingsManager.getDifficulty() (null = dano sem multiplicador)
+     */
+    setDifficulty(factors) {
+        this.damageTakenMultiplier = factors ? factors.damageTaken : 1;
+    }
+    
+    /**
+     * Desloca o jogador na horizontal, com colisões mas sem gravidade (correção da predição)
+     * @param {Object} offset - Deslocamento {x, z}
+     */
+    nudge(offset) {
+        if (this.collisionWorld) {
+            const feet = this.feetPosition.set(
+                this.position.x,
+                this.position.y - this.currentHeight,
+                this.position.z
+            );
+            this.collisionWorld.moveCapsule(feet, offset, PLAYER.RADIUS, this.currentHeight, 0);
+            this.position.set(feet.x, feet.y + this.currentHeight, feet.z);
+        } else {
+            this.position.x += offset.x;
+            this.position.z += offset.z;
+        }
+        
+        this.camera.position.copy(this.position);
+        this.updateBoundingBox();
+    }
+    
+    /**
+     * Coloca o jogador direto em uma posição (volta após ser eliminado ou erro grande de predição)
+     * @param {Object} position - Posição dos olhos {x, y, z}
+     */
+    teleport(position) {
+        this.position.set(position.x, position.y, position.z);
+        this.verticalVelocity = 0;
+        this.camera.position.copy(this.position);
+        this.updateBoundingBox();
+    }
+    
+    /**
+     * Assume um estado de movimento calculado fora do jogador (reconciliação com o servidor)
+     * @param {Object} state - Estado no formato de createMovementState (player-movement.js)
+     */
+    applyMovementState(state) {
+        this.teleport(state.position);
+        this.verticalVelocity = state.verticalVelocity;
+        this.isGrounded = state.isGrounded;
+        this.isCrouching = state.isCrouching;
+        this.currentHeight = state.currentHeight;
+    }
+    
+    /**
+     * Traz o jogador de volta depois de ser eliminado no multiplayer: vida e munição restauradas,
+     * sem efeitos, recarga ou agachamento pendentes
+     * @param {Object} position - Posição dos olhos {x, y, z} definida pelo servidor
+     * @param {number} health - Vida informada pelo servidor
+     */
+    respawn(position, health = PLAYER.HEALTH) {
+        this.health = health;
+        this.velocity.set(0, 0, 0);
+        this.isGrounded = true;
+        this.isCrouching = false;
+        this.currentHeight = PLAYER.HEIGHT;
+        this.weapons.forEach(weapon => weapon.refill());
+        this.triggerHeld = false;
+        this.isReloading = false;
+        this.reloadTimer = 0;
+        this.activeEffects = {};
+        
+        this.teleport(position);
+    }
+    
     /**
      * Atualiza o status da arma e gerencia disparos
      * @param {number} deltaTime - Tempo desde o último frame em segundos
      */
     updateWeapon(deltaTime) {
+        // Troca de arma (teclas numéricas, roda do mouse ou botão móvel)
+        const switchRequest = this.inputManager.consumeWeaponSwitch();
+        if (switchRequest) {
+            if (switchRequest.slot !== undefined) {
+                this.switchWeapon(switchRequest.slot);
+            } else {
+                this.cycleWeapon(switchRequest.step);
+            }
+        }
+        
         // Atualiza temporizador de disparo
         if (this.fireTimer > 0) {
             this.fireTimer -= deltaTime;
@@ -256,18 +473,23 @@ export class Player {
         }
         
         // Inicia recarga se pressionar R e tiver munição na reserva
-        if (this.inputManager.isReloading() && !this.isReloading && this.ammo < WEAPON.MAGAZINE_SIZE && this.reserveAmmo > 0) {
+        if (this.inputManager.isReloading() && !this.isReloading && this.currentWeapon.canReload()) {
             this.startReloading();
             return;
         }
         
+        // Armas semiautomáticas só disparam de novo depois de soltar o gatilho
+        const triggerPressed = this.inputManager.isShooting();
+        const canPull = this.currentWeapon.config.AUTOMATIC || !this.triggerHeld;
+        this.triggerHeld = triggerPressed;
+        
         // Verifica se o jogador está tentando disparar
-        if (this.inputManager.isShooting()) {
+        if (triggerPressed && canPull) {
             if (this.fireTimer <= 0 && this.ammo > 0) {
                 this.shoot();
             } else if (this.fireTimer <= 0 && this.ammo <= 0) {
-                // Toca o som de arma vazia
-                this.playEmptySound();
+                // Clique de arma vazia
+                this.emit(GAME_EVENTS.WEAPON_EMPTY, { weapon: this.currentWeapon });
                 // Adiciona um pequeno delay para não tocar o som continuamente
                 this.fireTimer = 0.25;
             }
@@ -282,9 +504,9 @@ export class Player {
         if (!this.bullets || this.bullets.length === 0) return;
         
         // Limita o número de projéteis ativos para melhorar desempenho
-        if (this.bullets.length > 10) {
+        if (this.bullets.length > WEAPON.MAX_PLAYER_BULLETS) {
             // Remove os projéteis mais antigos
-            const toRemove = this.bullets.length - 10;
+            const toRemove = this.bullets.length - WEAPON.MAX_PLAYER_BULLETS;
             for (let i = 0; i < toRemove; i++) {
                 const oldBullet = this.bullets[i];
                 if (oldBullet.addedToScene && this.scene) {
@@ -328,7 +550,7 @@ export class Player {
     shoot() {
         // Verifica se pode atirar (munição, recarregando, cooldown)
         if (this.ammo <= 0) {
-            this.playEmptySound();
+            this.emit(GAME_EVENTS.WEAPON_EMPTY, { weapon: this.currentWeapon });
             
             // Auto-recarrega quando a munição acaba
             if (!this.isReloading && this.reserveAmmo > 0) {
@@ -350,26 +572,50 @@ export class Player {
         this.ammo--;
         
         // Define o timer para impedir tiros rápidos demais
-        this.fireTimer = WEAPON.FIRE_RATE;
+        this.fireTimer = this.getFireRate();
         
-        // Reproduz som de tiro
-        this.playShootSound();
+        // Avisa os inimigos que podem ouvir o tiro
+        this.makeNoise(ENEMY.PERCEPTION.GUNSHOT_RADIUS);
         
-        // Dispara o projétil
+        // Dispara os projéteis (a espingarda dispara vários chumbos de uma vez)
+        const config = this.currentWeapon.config;
         const position = this.getBulletSpawnPosition();
-        const direction = this.getBulletDirection();
+        const directions = [];
         
-        // Cria um novo projétil do pool
-        const bullet = Bullet.get(position, direction, true);
+        if (!this.bullets) this.bullets = [];
         
-        // Se a referência da cena estiver disponível, adiciona à cena
-        if (this.scene) {
-            bullet.addToScene(this.scene);
+        for (let i = 0; i < config.PELLETS; i++) {
+            const direction = this.applySpread(this.getBulletDirection(), config.SPREAD);
+            directions.push(direction);
+            
+            // Armas de tiro instantâneo: o raio parte dos olhos, o rastro parte da arma
+            if (config.PROJECTILE === 'hitscan') {
+                this.shots.push({
+                    origin: this.camera.position.clone(),
+                    direction,
+                    muzzle: position,
+                    damage: config.DAMAGE,
+                    range: config.RANGE,
+                    falloffStart: config.FALLOFF_START
+                });
+                continue;
+            }
+            
+            // Cria um novo projétil do pool com os atributos da arma
+            const bullet = Bullet.get(position, direction, true);
+            bullet.applyWeapon(config);
+            
+            // Se a referência da cena estiver disponível, adiciona à cena
+            if (this.scene) {
+                bullet.addToScene(this.scene);
+            }
+            
+            // Adiciona à lista de projéteis ativos
+            this.bullets.push(bullet);
         }
         
-        // Adiciona à lista de projéteis ativos
-        if (!this.bullets) this.bullets = [];
-        this.bullets.push(bullet);
+        // Som do tiro e envio ao servidor multiplayer ficam com os assinantes
+        this.emit(GAME_EVENTS.WEAPON_FIRED, { weapon: this.currentWeapon, position, directions });
         
         // Inicia animação de recuo
         this.startRecoilAnimation();
@@ -377,11 +623,6 @@ export class Player {
         // Cria o efeito visual de disparo
         this.createMuzzleFlash();
         
-        // Notifica o servidor multiplayer (se o jogo estiver em modo multiplayer)
-        if (window.game && window.game.isMultiplayer && window.game.networkManager) {
-            window.game.networkManager.sendShoot(position, direction);
-        }
-        
         return true;
     }
     
@@ -389,11 +630,17 @@ export class Player {
      * Inicia a animação de recuo da arma
      */
     startRecoilAnimation() {
+        const recoil = this.currentWeapon.config.RECOIL;
+        
         this.recoilAnimation = {
             active: true,
             time: 0,
-            duration: 0.1
+            duration: 0.1,
+            amount: recoil
         };
+        
+        // Levanta a mira proporcionalmente ao recuo da arma
+        this.rotation.x = Math.min(Math.PI / 2, this.rotation.x + recoil * 0.3);
     }
     
     /**
@@ -429,6 +676,22 @@ export class Player {
         return direction;
     }
     
+    /**
+     * Desvia aleatoriamente uma direção dentro do espalhamento da arma
+     * @param {THREE.Vector3} direction - Direção normalizada (modificada no lugar)
+     * @param {number} spread - Desvio máximo em cada eixo
+     * @returns {THREE.Vector3} - A direção desviada e normalizada
+     */
+    applySpread(direction, spread) {
+        if (spread <= 0) return direction;
+        
+        direction.x += this.random.range(-1, 1) * spread;
+        direction.y += this.random.range(-1, 1) * spread;
+        direction.z += this.random.range(-1, 1) * spread;
+        
+        return direction.normalize();
+    }
+    
     /**
      * Cria um efeito de flash na ponta da arma ao disparar
      */
@@ -478,18 +741,17 @@ export class Player {
      */
     startReloading() {
         // Não recarregar se já estiver com o carregador cheio ou não tiver munição na reserva
-        if (this.ammo === WEAPON.MAGAZINE_SIZE || this.reserveAmmo <= 0 || this.isReloading) {
+        if (!this.currentWeapon.canReload() || this.isReloading) {
             return;
         }
         
         this.isReloading = true;
-        this.reloadTimer = WEAPON.RELOAD_TIME;
+        this.reloadTimer = this.currentWeapon.config.RELOAD_TIME;
         
         // Inicia animação de recarga
         this.startReloadAnimation();
         
-        // Tocar som de recarga
-        this.playReloadSound();
+        this.emit(GAME_EVENTS.RELOAD_STARTED, { weapon: this.currentWeapon });
     }
     
     /**
@@ -511,9 +773,15 @@ export class Player {
             z: this.weaponGroup.rotation.z
         };
         
+        const weaponGroup = this.weaponGroup;
+        const reloadTime = this.currentWeapon.config.RELOAD_TIME;
+        
         // Animação de recarga - rotação para baixo e depois volta
         const reloadAnimation = () => {
-            const progress = 1 - (this.reloadTimer / WEAPON.RELOAD_TIME);
+            // Interrompe se a arma foi trocada durante a recarga
+            if (this.weaponGroup !== weaponGroup) return;
+            
+            const progress = 1 - (this.reloadTimer / reloadTime);
             
             // Fase 1: rotação para baixo/lado (0-25%)
             if (progress < 0.25) {
@@ -538,7 +806,7 @@ export class Player {
             
             // Continuar a animação se ainda estiver recarregando
             if (this.isReloading) {
-                requestAnimationFrame(reloadAnimation);
+                requestFrame(reloadAnimation);
             } else {
                 // Restaura a posição original
                 this.weaponGroup.rotation.z = originalRotation.z;
@@ -548,22 +816,15 @@ export class Player {
         };
         
         // Inicia a animação
-        requestAnimationFrame(reloadAnimation);
+        requestFrame(reloadAnimation);
     }
     
     /**
      * Finaliza o processo de recarga
      */
     finishReloading() {
-        // Calcula quanto de munição precisamos
-        const needAmmo = WEAPON.MAGAZINE_SIZE - this.ammo;
-        
-        // Verifica quanto podemos tirar da reserva
-        const takeFromReserve = Math.min(needAmmo, this.reserveAmmo);
-        
-        // Atualiza a munição
-        this.ammo += takeFromReserve;
-        this.reserveAmmo -= takeFromReserve;
+        // Transfere da reserva para o carregador da arma atual
+        this.currentWeapon.reload();
         
         // Reseta flags
         this.isReloading = false;
@@ -576,17 +837,20 @@ export class Player {
      * @returns {boolean} - Verdadeiro se o jogador morreu
      */
     takeDamage(amount) {
-        const oldHealth = this.health;
+        amount *= this.damageTakenMultiplier;
+        
+        // O escudo absorve parte do dano
+        if (this.hasEffect('shield')) {
+            amount *= 1 - ITEM.SHIELD.DAMAGE_REDUCTION;
+        }
+        
         this.health = Math.max(0, this.health - amount);
         
         // Mostra efeito visual de dano
         this.showDamageEffect();
         
-        // Reproduz som de dano
-        if (amount > 0) {
-            // Som de dano leve ou pesado dependendo da quantidade
-            this.playHurtSound(amount > 20);
-        }
+        // Flash vermelho na interface e som de dano
+        this.emit(GAME_EVENTS.PLAYER_DAMAGED, { amount, health: this.health });
         
         // Atualiza UI de saúde
         if (this.updateHealthUI) {
@@ -598,14 +862,9 @@ export class Player {
     }
     
     /**
-     * Aplica efeito visual quando o jogador recebe dano
+     * Sacode a câmera quando o jogador recebe dano
      */
     showDamageEffect() {
-        // Aplica um flash vermelho na tela - implementado na UI
-        if (window.game && window.game.uiManager) {
-            window.game.uiManager.showDamageSplash();
-        }
-        
         // Shake de câmera
         if (this.camera) {
             const originalPosition = this.camera.position.clone();
@@ -636,64 +895,64 @@ export class Player {
     }
     
     /**
-     * Toca o som de disparo
+     * Emite um ruído na posição do jogador, que atrai os inimigos dentro do raio
+     * @param {number} radius - Distância em que o ruído é ouvido
      */
-    playShootSound() {
-        // Tenta obter o AudioManager do objeto game global ou do jogo diretamente
-        let audioManager = null;
-        
-        if (window.game && window.game.audioManager) {
-            audioManager = window.game.audioManager;
-            console.log("Usando AudioManager do window.game");
-        } else {
-            console.warn('AudioManager não disponível via window.game');
-        }
-        
-        if (audioManager) {
-            audioManager.play('shoot');
-        } else {
-            console.error('AudioManager não encontrado para tocar som de tiro');
-        }
+    makeNoise(radius) {
+        this.emit(GAME_EVENTS.PLAYER_NOISE, { position: this.position.clone(), radius });
     }
     
     /**
-     * Toca o som de recarga
+     * Ativa (ou renova) um power-up temporário
+     * @param {string} effect - Nome do efeito ('shield', 'rapid_fire')
+     * @param {number} duration - Duração em segundos
      */
-    playReloadSound() {
-        // Tenta obter o AudioManager do objeto game global ou do jogo diretamente
-        let audioManager = null;
-        
-        if (window.game && window.game.audioManager) {
-            audioManager = window.game.audioManager;
-        }
-        
-        if (audioManager) {
-            audioManager.play('reload');
-        } else {
-            console.warn('AudioManager não disponível para tocar som de recarga');
-        }
+    applyEffect(effect, duration) {
+        this.activeEffects[effect] = { remaining: duration, duration };
     }
     
     /**
-     * Reproduz som quando o jogador é ferido
-     * @param {boolean} heavy - Se o dano é pesado (true) ou leve (false)
+     * Encerra um power-up antes do tempo (coleta recusada pelo servidor no multiplayer)
+     * @param {string} effect - Nome do efeito
      */
-    playHurtSound(heavy = false) {
-        // Tenta obter o AudioManager do objeto game global ou do jogo diretamente
-        let audioManager = null;
-        
-        if (window.game && window.game.audioManager) {
-            audioManager = window.game.audioManager;
-        }
+    removeEffect(effect) {
+        delete this.activeEffects[effect];
+    }
+    
+    /**
+     * Verifica se um power-up está ativo
+     * @param {string} effect - Nome do efeito
+     * @returns {boolean} - Verdadeiro se o efeito está ativo
+     */
+    hasEffect(effect) {
+        return !!this.activeEffects[effect];
+    }
+    
+    /**
+     * Decrementa a duração dos power-ups e remove os que expiraram
+     * @param {number} deltaTime - Tempo desde o último frame em segundos
+     */
+    updateEffects(deltaTime) {
+        Object.keys(this.activeEffects).forEach(effect => {
+            this.activeEffects[effect].remaining -= deltaTime;
+            
+            if (this.activeEffects[effect].remaining <= 0) {
+                delete this.activeEffects[effect];
+            }
+        });
+    }
+    
+    /**
+     * Retorna o intervalo entre disparos considerando o tiro rápido
+     * @returns {number} - Segundos entre cada tiro
+     */
+    getFireRate() {
+        const fireRate = this.currentWeapon.config.FIRE_RATE;
         
-        if (audioManager) {
-            // Usar o som de explosão temporariamente para dano pesado
-            const soundId = heavy ? 'explosion' : 'shoot';
-            const volume = heavy ? 0.8 : 0.3;
-            audioManager.play(soundId, volume);
-        } else {
-            console.warn('AudioManager não disponível para tocar som de dano');
+        if (this.hasEffect('rapid_fire')) {
+            return fireRate / ITEM.RAPID_FIRE.FIRE_RATE_MULTIPLIER;
         }
+        return fireRate;
     }
     
     /**
@@ -705,26 +964,29 @@ export class Player {
     }
     
     /**
-     * Adiciona munição à reserva do jogador
+     * Adiciona munição à reserva da arma atual
      * @param {number} amount - Quantidade de munição a adicionar
      */
     addAmmo(amount) {
-        this.reserveAmmo = Math.min(WEAPON.MAX_AMMO, this.reserveAmmo + amount);
+        this.currentWeapon.addAmmo(amount);
     }
     
     /**
      * Atualiza a caixa de colisão do jogador
      */
     updateBoundingBox() {
+        // A posição está na altura dos olhos: a caixa vai dos pés até a altura atual (menor agachado)
+        const feetY = this.position.y - this.currentHeight;
+        
         this.boundingBox.min.set(
             this.position.x - PLAYER.RADIUS,
-            this.position.y,
+            feetY,
             this.position.z - PLAYER.RADIUS
         );
         
         this.boundingBox.max.set(
             this.position.x + PLAYER.RADIUS,
-            this.position.y + PLAYER.HEIGHT,
+            feetY + this.currentHeight,
             this.position.z + PLAYER.RADIUS
         );
     }
@@ -737,17 +999,24 @@ export class Player {
         
         // Restaura atributos básicos
         this.health = PLAYER.HEALTH;
-        this.position.set(0, PLAYER.HEIGHT, 0);
+        this.position.set(PLAYER.SPAWN_POSITION.x, PLAYER.HEIGHT, PLAYER.SPAWN_POSITION.z);
         this.velocity.set(0, 0, 0);
         this.rotation.set(0, 0, 0, 'YXZ');
-        this.ammo = WEAPON.MAGAZINE_SIZE;
-        this.reserveAmmo = WEAPON.MAX_AMMO;
+        this.verticalVelocity = 0;
+        this.isGrounded = true;
+        this.isCrouching = false;
+        this.currentHeight = PLAYER.HEIGHT;
+        this.weapons.forEach(weapon => weapon.refill());
+        this.currentWeaponIndex = WEAPON.STARTING_WEAPON;
+        this.triggerHeld = false;
         this.fireTimer = 0;
         this.isReloading = false;
         this.reloadTimer = 0;
+        this.activeEffects = {};
         
         // Limpa a lista de projéteis
         this.bullets = [];
+        this.shots = [];
         
         // Limpa animações
         this.recoilAnimation = null;
@@ -776,6 +1045,64 @@ export class Player {
         console.log("Jogador reiniciado na posição:", this.position);
     }
     
+    /**
+     * Captura o estado persistente do jogador (checkpoints e jogos salvos)
+     * @returns {Object} - Saúde, posição, rotação e munição de cada arma
+     */
+    getSnapshot() {
+        return {
+            health: this.health,
+            position: { x: this.position.x, y: this.position.y, z: this.position.z },
+            rotation: { x: this.rotation.x, y: this.rotation.y },
+            currentWeaponIndex: this.currentWeaponIndex,
+            weapons: this.weapons.map(weapon => ({
+                id: weapon.id,
+                ammo: weapon.ammo,
+                reserveAmmo: weapon.reserveAmmo
+            }))
+        };
+    }
+    
+    /**
+     * Restaura um estado capturado por getSnapshot
+     * Deve ser chamado após reset(), que limpa efeitos, recarga e animações
+     * @param {Object} snapshot - Estado do jogador
+     */
+    applySnapshot(snapshot) {
+        if (!snapshot) return;
+        
+        this.health = Math.min(snapshot.health, PLAYER.HEALTH);
+        this.position.set(snapshot.position.x, snapshot.position.y, snapshot.position.z);
+        this.rotation.set(snapshot.rotation.x, snapshot.rotation.y, 0, 'YXZ');
+        
+        // Munição por id: armas fora do inventário atual são ignoradas
+        snapshot.weapons.forEach(saved => {
+            const weapon = this.weapons.find(w => w.id === saved.id);
+            if (weapon) {
+                weapon.ammo = Math.min(saved.ammo, weapon.config.MAGAZINE_SIZE);
+                weapon.reserveAmmo = Math.min(saved.reserveAmmo, weapon.config.MAX_AMMO);
+            }
+        });
+        
+        if (snapshot.currentWeaponIndex >= 0 && snapshot.currentWeaponIndex < this.weapons.length) {
+            this.currentWeaponIndex = snapshot.currentWeaponIndex;
+        }
+        
+        if (this.camera) {
+            this.camera.position.copy(this.position);
+            this.camera.rotation.copy(this.rotation);
+            
+            // Recria o modelo da arma selecionada
+            if (this.weaponGroup) {
+                this.camera.remove(this.weaponGroup);
+                this.weaponGroup = null;
+            }
+            this.createWeaponModel();
+        }
+        
+        this.updateBoundingBox();
+    }
+    
     /**
      * Garante que a arma seja exibida na tela
      */
@@ -801,24 +1128,6 @@ export class Player {
         }, 1000);
     }
     
-    /**
-     * Toca o som de arma vazia (sem munição)
-     */
-    playEmptySound() {
-        // Tenta obter o AudioManager do objeto game global ou do jogo diretamente
-        let audioManager = null;
-        
-        if (window.game && window.game.audioManager) {
-            audioManager = window.game.audioManager;
-        }
-        
-        if (audioManager) {
-            audioManager.play('empty');
-        } else {
-            console.warn('AudioManager não disponível para tocar som de arma vazia');
-        }
-    }
-    
     /**
      * Anima o modelo da arma durante o movimento e ações
      * @param {number} deltaTime - Tempo desde o último frame
@@ -0,0 +1,62 @@
+/**
+ * Gerador de números pseudoaleatórios com semente (mulberry32)
+ * Substitui o Math.random na simulação para que a mesma semente reproduza a mesma partida
+ */
+export class Random {
+    /**
+     * @param {number} seed - Semente inicial (padrão: uma semente nova a cada instância)
+     */
+    constructor(seed = Random.createSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Cria uma semente nova para partidas que não pedem uma específica
+     * @returns {number} - Inteiro de 32 bits sem sinal
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Reinicia a sequência a partir de uma semente
+     * @param {number} seed - Semente (convertida para inteiro de 32 bits)
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Próximo número da sequência
+     * @returns {number} - Valor em [0, 1), como o Math.random
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Número em um intervalo
+     * @param {number} min - Mínimo (incluído)
+     * @param {number} max - Máximo (excluído)
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Elemento sorteado de uma lista
+     * @param {Array} items - Lista não vazia
+     * @returns {*}
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+}
@@ -3,6 +3,7 @@
  */
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.157.0/build/three.module.js';
 import { PLAYER } from './config.js';
+import { SnapshotBuffer } from './snapshot-buffer.js';
 
 // Variável para armazenar o modelo base que será clonado para todos os jogadores
 let baseModelCache = null;
@@ -15,8 +16,9 @@ export class RemotePlayer {
      * @param {string} id - ID único do jogador
      * @param {Object} initialData - Dados iniciais do jogador
      * @param {THREE.Scene} scene - Cena onde o jogador será renderizado
+     * @param {number|null} timestamp - Horário do snapshot dos dados iniciais no servidor (ms)
      */
-    constructor(id, initialData, scene) {
+    constructor(id, initialData, scene, timestamp = null) {
         // Identificação
         this.id = id;
         
@@ -27,12 +29,10 @@ export class RemotePlayer {
         this.position = new THREE.Vector3();
         this.rotation = new THREE.Euler(0, 0, 0, 'YXZ');
         this.health = PLAYER.HEALTH;
-        this.lastUpdateTime = Date.now();
+        this.lastUpdateTime = null;
         
-        // Para interpolação
-        this.targetPosition = new THREE.Vector3();
-        this.previousPosition = new THREE.Vector3();
-        this.lerpFactor = 0.2; // Fator de suavização
+        // Snapshots recebidos, mostrados NETWORK.INTERPOLATION.DELAY no passado
+        this.snapshots = new SnapshotBuffer();
         
         // Representação visual
         this.mesh = null;
@@ -45,7 +45,7 @@ export class RemotePlayer {
         );
         
         // Inicializa com os dados recebidos
-        this.updateFromNetworkData(initialData);
+        this.updateFromNetworkData(initialData, timestamp);
         
         // Cria a representação visual
         this.createMesh();
@@ -245,9 +245,12 @@ export class RemotePlayer {
     
     /**
      * Atualiza o jogador com base nos dados da rede
+     * Posição e rotação entram no buffer de snapshots; sem horário (lista de jogadores) só
+     * posicionam um jogador que ainda não recebeu nenhum snapshot
      * @param {Object} data - Dados recebidos da rede
+     * @param {number|null} timestamp - Horário do snapshot no servidor (ms)
      */
-    updateFromNetworkData(data) {
+    updateFromNetworkData(data, timestamp = null) {
         try {
             if (!data) {
                 console.warn(`RemotePlayer: Dados de rede inválidos para jogador [${this.id}]`);
@@ -262,55 +265,31 @@ export class RemotePlayer {
                 console.log(`RemotePlayer: Atualizando jogador [${this.id}] com dados:`, JSON.stringify(data));
             }
             
-            // Salva posição anterior para interpolação
-            this.previousPosition.copy(this.position);
-            
-            // Atualiza posição alvo para interpolação
             if (data.position) {
                 // Certificar-se de que os valores são numéricos válidos
-                const x = Number(data.position.x) || 0;
-                const y = Number(data.position.y) || 1.8; // Altura padrão se inválido
-                const z = Number(data.position.z) || 0;
-                
-                this.targetPosition.set(x, y, z);
-                
-                if (shouldLog) {
-                    console.log(`RemotePlayer: Nova posição alvo para jogador [${this.id}]: (${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)})`);
-                }
+                const position = {
+                    x: Number(data.position.x) || 0,
+                    y: Number(data.position.y) || PLAYER.HEIGHT, // Altura padrão se inválido
+                    z: Number(data.position.z) || 0
+                };
+                const rotation = {
+                    x: Number(data.rotation?.x) || 0,
+                    y: Number(data.rotation?.y) || 0
+                };
                 
-                // Se a distância for muito grande, teleporta em vez de interpolar
-                const distanceToTarget = this.position.distanceTo(this.targetPosition);
-                if (distanceToTarget > 10 || initialUpdate) {
-                    console.log(`RemotePlayer: TELEPORTE do jogador [${this.id}] de (${this.position.x.toFixed(1)}, ${this.position.y.toFixed(1)}, ${this.position.z.toFixed(1)}) para (${this.targetPosition.x.toFixed(1)}, ${this.targetPosition.y.toFixed(1)}, ${this.targetPosition.z.toFixed(1)})`);
-                    this.position.copy(this.targetPosition);
+                // Primeiros dados: o jogador aparece direto onde está
+                if (this.snapshots.isEmpty()) {
+                    this.position.set(position.x, position.y, position.z);
+                    this.rotation.set(rotation.x, rotation.y, 0);
                     
-                    // Atualiza o mesh também se existir
                     if (this.mesh) {
                         this.mesh.position.copy(this.position);
-                        
-                        if (shouldLog) {
-                            console.log(`RemotePlayer: Mesh do jogador [${this.id}] teleportado para (${this.position.x.toFixed(2)}, ${this.position.y.toFixed(2)}, ${this.position.z.toFixed(2)})`);
-                        }
+                        this.mesh.rotation.y = this.rotation.y;
                     }
                 }
-            }
-            
-            // Atualiza rotação diretamente
-            if (data.rotation) {
-                // Certificar-se de que os valores são numéricos válidos
-                const x = Number(data.rotation.x) || 0;
-                const y = Number(data.rotation.y) || 0;
-                const z = Number(data.rotation.z) || 0;
                 
-                this.rotation.set(x, y, z);
-                
-                // Atualiza a rotação do mesh se existir
-                if (this.mesh) {
-                    this.mesh.rotation.y = this.rotation.y;
-                    
-                    if (shouldLog) {
-                        console.log(`RemotePlayer: Rotação atualizada para jogador [${this.id}]: (${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)})`);
-                    }
+                if (Number.isFinite(timestamp)) {
+                    this.snapshots.push(timestamp, position, rotation);
                 }
             }
             
@@ -321,8 +300,7 @@ export class RemotePlayer {
             
             // Atualiza saúde se disponível
             if (data.health !== undefined) {
-                this.health = data.health;
-                this.updateHealthBar();
+                this.setHealth(data.health);
             }
             
             // Verifica se o mesh existe e está na cena
@@ -341,6 +319,15 @@ export class RemotePlayer {
         }
     }
     
+    /**
+     * Define a vida informada pelo servidor (snapshot ou dano confirmado) e atualiza a barra
+     * @param {number} health - Vida atual
+     */
+    setHealth(health) {
+        this.health = health;
+        this.updateHealthBar();
+    }
+    
     /**
      * Atualiza a aparência da barra de vida
      */
@@ -364,8 +351,10 @@ export class RemotePlayer {
     /**
      * Atualiza o estado do jogador remoto (chamado a cada frame)
      * @param {number} deltaTime - Tempo desde o último frame
+     * @param {THREE.Camera|null} camera - Câmera do jogador local, para a barra de vida olhar para ela
+     * @param {number} now - Horário local (ms)
      */
-    update(deltaTime) {
+    update(deltaTime, camera = null, now = Date.now()) {
         try {
             // Para evitar logs excessivos, só logar ocasionalmente
             const shouldLog = Math.random() < 0.01; // 1% das atualizações
@@ -383,8 +372,12 @@ export class RemotePlayer {
                 this.scene.add(this.mesh);
             }
             
-            // Interpolação suave da posição
-            this.position.lerp(this.targetPosition, this.lerpFactor);
+            // Posição e rotação no tempo mostrado (interpoladas ou extrapoladas)
+            const state = this.snapshots.sample(now);
+            if (state) {
+                this.position.set(state.position.x, state.position.y, state.position.z);
+                this.rotation.set(state.rotation.x, state.rotation.y, 0);
+            }
             
             // Atualiza posição do mesh
             if (this.mesh) {
@@ -400,18 +393,22 @@ export class RemotePlayer {
             }
             
             // A barra de saúde sempre olha para o jogador
-            if (this.healthBarContainer) {
-                // Obtém a câmera do jogo (se disponível através de window.game)
-                const camera = window.game?.camera;
-                if (camera) {
-                    this.healthBarContainer.lookAt(camera.position);
-                }
+            if (this.healthBarContainer && camera) {
+                this.healthBarContainer.lookAt(camera.position);
             }
         } catch (error) {
             console.error(`RemotePlayer: Erro ao atualizar jogador [${this.id}]:`, error);
         }
     }
     
+    /**
+     * Estatísticas do buffer de snapshots (jitter, profundidade e extrapolação)
+     * @returns {Object} - Ver SnapshotBuffer.getStats
+     */
+    getNetworkStats() {
+        return this.snapshots.getStats();
+    }
+    
     /**
      * Remove o jogador da cena
      */
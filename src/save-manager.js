@@ -0,0 +1,240 @@
+/**
+ * Gerenciador de jogos salvos
+ * Guarda snapshots da campanha no localStorage em GAME.SAVE_SLOTS slots e salva
+ * automaticamente o slot ativo a cada GAME.SAVE_INTERVAL segundos de jogo
+ */
+import { GAME } from './config.js';
+
+// Versão do formato gravado por este código
+export const SAVE_FORMAT_VERSION = 2;
+
+const SAVE_KEY_PREFIX = 'starstrike_save_';
+const ACTIVE_SLOT_KEY = 'starstrike_save_active_slot';
+
+// Migrações do formato: MIGRATIONS[n] recebe dados da versão n e devolve dados da versão n + 1.
+// Ao mudar o formato, incremente SAVE_FORMAT_VERSION e adicione aqui a conversão da versão anterior.
+const MIGRATIONS = {
+    // v2: dificuldade da campanha; os jogos anteriores eram todos no nível padrão (fatores do preset)
+    1: data => ({ ...data, version: 2, difficulty: { name: 'soldier', factors: null } })
+};
+
+export class SaveManager {
+    /**
+     * @param {GameState} gameState - Estado global (pontuação, eliminações, onda)
+     * @param {Player} player - Jogador (saúde, munição, posição)
+     * @param {MissionManager} missionManager - Fase e progresso das missões
+     */
+    constructor(gameState, player, missionManager) {
+        this.gameState = gameState;
+        this.player = player;
+        this.missionManager = missionManager;
+
+        // Slot usado pelo "Continuar" e pelo salvamento automático
+        const savedSlot = parseInt(localStorage.getItem(ACTIVE_SLOT_KEY), 10);
+        this.activeSlot = this.isValidSlot(savedSlot) ? savedSlot : 1;
+
+        // Tempo de jogo desde o último salvamento automático
+        this.autosaveTimer = 0;
+
+        console.log("SaveManager inicializado");
+    }
+
+    /**
+     * Verifica se o número do slot existe
+     * @param {number} slot - Número do slot (1 a GAME.SAVE_SLOTS)
+     * @returns {boolean}
+     */
+    isValidSlot(slot) {
+        return Number.isInteger(slot) && slot >= 1 && slot <= GAME.SAVE_SLOTS;
+    }
+
+    /**
+     * Define o slot ativo e lembra a escolha
+     * @param {number} slot - Número do slot
+     */
+    setActiveSlot(slot) {
+        if (!this.isValidSlot(slot)) return;
+
+        this.activeSlot = slot;
+        localStorage.setItem(ACTIVE_SLOT_KEY, slot.toString());
+    }
+
+    /**
+     * Captura o estado atual da campanha
+     * @returns {Object|null} - Dados do jogo salvo, ou null se não há fase carregada
+     */
+    createSnapshot() {
+        const missionManager = this.missionManager;
+        if (!missionManager.currentLevel || !missionManager.currentMission) return null;
+
+        return {
+            version: SAVE_FORMAT_VERSION,
+            savedAt: Date.now(),
+            level: missionManager.currentLevel.number,
+            mission: missionManager.getProgress(),
+            missionTitle: missionManager.currentMission.title,
+            score: this.gameState.score,
+            kills: this.gameState.kills,
+            wave: this.gameState.currentWave,
+            difficulty: this.gameState.difficulty,
+            player: this.player.getSnapshot()
+        };
+    }
+
+    /**
+     * Salva o estado atual em um slot
+     * @param {number} slot - Número do slot (padrão: slot ativo)
+     * @returns {boolean} - Verdadeiro se o jogo foi salvo
+     */
+    save(slot = this.activeSlot) {
+        const snapshot = this.createSnapshot();
+        if (!snapshot || !this.isValidSlot(slot)) return false;
+
+        try {
+            localStorage.setItem(SAVE_KEY_PREFIX + slot, JSON.stringify(snapshot));
+        } catch (error) {
+            // Armazenamento cheio ou bloqueado: o jogo continua sem salvar
+            console.error(`Erro ao salvar no slot ${slot}:`, error);
+            return false;
+        }
+
+        this.autosaveTimer = 0;
+        console.log(`Jogo salvo no slot ${slot} (fase ${snapshot.level}, missão ${snapshot.mission.index + 1})`);
+        return true;
+    }
+
+    /**
+     * Lê um jogo salvo, convertendo formatos antigos para o atual
+     * @param {number} slot - Número do slot
+     * @returns {Object|null} - Dados do jogo salvo, ou null se o slot está vazio ou ilegível
+     */
+    load(slot) {
+        if (!this.isValidSlot(slot)) return null;
+
+        const raw = localStorage.getItem(SAVE_KEY_PREFIX + slot);
+        if (!raw) return null;
+
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            console.warn(`Slot ${slot}: jogo salvo corrompido (${error.message})`);
+            return null;
+        }
+
+        data = this.migrate(data, slot);
+
+        if (!data || !this.isValidSave(data)) {
+            console.warn(`Slot ${slot}: jogo salvo inválido ou incompatível, ignorado`);
+            return null;
+        }
+
+        return data;
+    }
+
+    /**
+     * Aplica as migrações até SAVE_FORMAT_VERSION
+     * @param {Object} data - Dados lidos do armazenamento
+     * @param {number} slot - Slot de origem (para as mensagens)
+     * @returns {Object|null} - Dados no formato atual, ou null se a versão não é suportada
+     */
+    migrate(data, slot) {
+        if (!data || !Number.isInteger(data.version)) return null;
+
+        // Jogos salvos por uma versão mais nova do jogo não são lidos
+        if (data.version > SAVE_FORMAT_VERSION) {
+            console.warn(`Slot ${slot}: formato ${data.version} é mais novo que o suportado (${SAVE_FORMAT_VERSION})`);
+            return null;
+        }
+
+        while (data.version < SAVE_FORMAT_VERSION) {
+            const migration = MIGRATIONS[data.version];
+            if (!migration) {
+                console.warn(`Slot ${slot}: sem migração a partir da versão ${data.version}`);
+                return null;
+            }
+
+            data = migration(data);
+            console.log(`Slot ${slot}: jogo salvo migrado para a versão ${data.version}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Confere os campos usados ao continuar o jogo
+     * Os fatores da dificuldade podem faltar (null): o Game usa os do preset pelo nome
+     * @param {Object} data - Dados no formato atual
+     * @returns {boolean}
+     */
+    isValidSave(data) {
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const difficulty = data.difficulty;
+
+        return Number.isInteger(data.level) && data.level >= 1 &&
+            !!data.mission && Number.isInteger(data.mission.index) && data.mission.index >= 0 &&
+            Array.isArray(data.mission.completedMissions) &&
+            isNumber(data.score) && isNumber(data.kills) && Number.isInteger(data.wave) &&
+            !!data.player && isNumber(data.player.health) && !!data.player.position &&
+            Array.isArray(data.player.weapons) &&
+            !!difficulty && typeof difficulty.name === 'string' &&
+            (difficulty.factors === null ||
+                (typeof difficulty.factors === 'object' && Object.values(difficulty.factors).every(isNumber)));
+    }
+
+    /**
+     * Verifica se um slot tem um jogo salvo legível
+     * @param {number} slot - Número do slot
+     * @returns {boolean}
+     */
+    hasSave(slot = this.activeSlot) {
+        return this.load(slot) !== null;
+    }
+
+    /**
+     * Resume o conteúdo de todos os slots (para o menu)
+     * @returns {Array<Object>} - { slot, save } com save null para slots vazios
+     */
+    listSlots() {
+        const slots = [];
+
+        for (let slot = 1; slot <= GAME.SAVE_SLOTS; slot++) {
+            slots.push({ slot, save: this.load(slot) });
+        }
+
+        return slots;
+    }
+
+    /**
+     * Apaga o jogo salvo de um slot
+     * @param {number} slot - Número do slot
+     */
+    deleteSave(slot) {
+        if (!this.isValidSlot(slot)) return;
+
+        localStorage.removeItem(SAVE_KEY_PREFIX + slot);
+        console.log(`Slot ${slot} apagado`);
+    }
+
+    /**
+     * Conta o tempo de jogo e salva automaticamente no slot ativo
+     * Só salva com uma missão em andamento, para não gravar o intervalo entre missões ou uma falha
+     * @param {number} deltaTime - Tempo desde o último frame
+     */
+    update(deltaTime) {
+        this.autosaveTimer += deltaTime;
+
+        if (this.autosaveTimer >= GAME.SAVE_INTERVAL && this.missionManager.isMissionActive()) {
+            // Zera antes de salvar para não repetir a tentativa a cada frame se o armazenamento falhar
+            this.autosaveTimer = 0;
+            this.save();
+        }
+    }
+
+    /**
+     * Reinicia a contagem do salvamento automático (início de partida)
+     */
+    resetTimer() {
+        this.autosaveTimer = 0;
+    }
+}
@@ -3,7 +3,12 @@
  * Responsável por câmera, iluminação, objetos de cena e renderização
  */
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.157.0/build/three.module.js';
-import { GAME } from './config.js';
+import { GAME, GRAPHICS } from './config.js';
+import { CollisionWorld } from './collision-world.js';
+import { NavigationGrid } from './navigation-grid.js';
+import { CoverSystem } from './cover-system.js';
+import { Random } from './random.js';
+import { IS_BROWSER, requestFrame } from './environment.js';
 
 export class SceneManager {
     constructor(renderer) {
@@ -17,7 +22,7 @@ export class SceneManager {
         // Cria a câmera
         this.camera = new THREE.PerspectiveCamera(
             GAME.FOV,
-            window.innerWidth / window.innerHeight,
+            IS_BROWSER ? window.innerWidth / window.innerHeight : 16 / 9,
             GAME.NEAR_PLANE,
             GAME.FAR_PLANE
         );
@@ -27,12 +32,19 @@ export class SceneManager {
         // Flag para debug
         this.debugMode = GAME.DEBUG_MODE;
         
+        // Geometria estática usada para colisões (chão de 100x100 centrado na origem)
+        this.collisionWorld = new CollisionWorld(50);
+        
         // Configuração de iluminação
         this.setupLighting();
         
         // Cria o chão e objetos da cena
         this.createEnvironment();
         
+        // Grade de navegação e pontos de cobertura dos inimigos, gerados a partir dos colisores do mapa
+        this.navigationGrid = new NavigationGrid(this.collisionWorld);
+        this.coverSystem = new CoverSystem(this.collisionWorld, this.navigationGrid);
+        
         console.log("SceneManager: Cena inicializada com sucesso!");
     }
     
@@ -152,6 +164,7 @@ export class SceneManager {
             wall.castShadow = true;
             wall.receiveShadow = true;
             this.scene.add(wall);
+            this.collisionWorld.addObject(wall);
             return wall;
         };
         
@@ -164,26 +177,16 @@ export class SceneManager {
         // Parede lateral direita
         createWall(1, 5, 50, 25, 2.5, 0);
         
-        // Terminal - objetivo da missão 2
-        const terminalPosition = this.createTerminal(
-            new THREE.Vector3(20, 0, 20)
-        );
-        
-        // Plataforma de extração - objetivo da missão 5
-        this.createExtractionPoint(
-            new THREE.Vector3(0, 0, -30)
-        );
-        
-        // Adiciona várias torres de comunicação pela base
-        this.createCommunicationTower(new THREE.Vector3(-15, 0, -15));
-        this.createCommunicationTower(new THREE.Vector3(15, 0, -15));
-        this.createCommunicationTower(new THREE.Vector3(-15, 0, 15));
+        // Terminal, extração e torres vêm do arquivo da fase (buildLevelStructures)
         
-        // Containers e caixas
+        // Containers e caixas, sorteados com GAME.MAP_SEED: colisores e grade de navegação são
+        // os mesmos em toda partida
+        const random = new Random(GAME.MAP_SEED);
+        this.containers = [];
         for (let i = 0; i < 10; i++) {
-            const size = 1 + Math.random() * 2;
-            const x = (Math.random() - 0.5) * 40;
-            const z = (Math.random() - 0.5) * 40;
+            const size = random.range(1, 3);
+            const x = random.range(-20, 20);
+            const z = random.range(-20, 20);
             
             if (Math.abs(x) < 5 && Math.abs(z) < 5) continue; // Evita colocar no centro
             
@@ -191,7 +194,7 @@ export class SceneManager {
             const container = new THREE.Mesh(
                 containerGeometry, 
                 new THREE.MeshStandardMaterial({ 
-                    color: Math.random() > 0.5 ? 0x555555 : 0x333399, 
+                    color: random.next() > 0.5 ? 0x555555 : 0x333399, 
                     roughness: 0.9 
                 })
             );
@@ -200,13 +203,61 @@ export class SceneManager {
             container.castShadow = true;
             container.receiveShadow = true;
             this.scene.add(container);
+            this.containers.push(container);
+            this.collisionWorld.addObject(container);
+        }
+    }
+    
+    /**
+     * Cria as estruturas de objetivo declaradas no arquivo da fase
+     * Remove as estruturas da fase anterior (e seus colisores) antes de criar as novas
+     * @param {Array} structures - Lista de { id, type, position } do arquivo da fase
+     */
+    buildLevelStructures(structures) {
+        if (this.levelStructures) {
+            this.levelStructures.forEach(object => {
+                this.scene.remove(object);
+                this.collisionWorld.removeObject(object);
+            });
         }
+        this.levelStructures = [];
+        
+        structures.forEach(structure => {
+            const position = new THREE.Vector3(structure.position.x, structure.position.y || 0, structure.position.z);
+            let object;
+            
+            switch (structure.type) {
+                case 'terminal':
+                    object = this.createTerminal(position);
+                    break;
+                case 'extraction':
+                    object = this.createExtractionPoint(position);
+                    break;
+                case 'tower':
+                    object = this.createCommunicationTower(position);
+                    break;
+                default:
+                    console.warn(`Tipo de estrutura desconhecido: ${structure.type}`);
+                    return;
+            }
+            
+            object.name = structure.id;
+            this.levelStructures.push(object);
+        });
+        
+        // As estruturas mudam os obstáculos: os inimigos precisam contorná-las
+        if (this.navigationGrid) {
+            this.navigationGrid.bake();
+            this.coverSystem.bake();
+        }
+        
+        console.log(`${this.levelStructures.length} estruturas da fase criadas`);
     }
     
     /**
-     * Cria um terminal (objetivo da missão 2)
+     * Cria um terminal (objetivo de missões de alcançar/defender)
      * @param {THREE.Vector3} position - Posição do terminal
-     * @returns {THREE.Vector3} - Posição exata do terminal criado
+     * @returns {THREE.Group} - Grupo do terminal criado
      */
     createTerminal(position) {
         // Grupo para o terminal
@@ -259,36 +310,46 @@ export class SceneManager {
         // Adiciona o terminal à cena
         this.scene.add(terminalGroup);
         
-        // Anima a luz do terminal
+        // Base e suporte bloqueiam a passagem (a tela inclinada fica acima da cabeça)
+        this.collisionWorld.addObject(base);
+        this.collisionWorld.addObject(support);
+        
+        // Anima a luz do terminal (até ser removido da cena)
         const animate = () => {
+            if (!terminalGroup.parent) return;
+            
             const intensity = 0.5 + Math.sin(Date.now() * 0.005) * 0.3;
             light.intensity = intensity;
             screenMaterial.emissiveIntensity = intensity * 0.5;
             
-            requestAnimationFrame(animate);
+            requestFrame(animate);
         };
         animate();
         
-        return position;
+        return terminalGroup;
     }
     
     /**
      * Cria o ponto de extração para a missão final
      * @param {THREE.Vector3} position - Posição do ponto de extração
+     * @returns {THREE.Group} - Grupo do ponto de extração criado
      */
     createExtractionPoint(position) {
-        // Plataforma de extração
-        const platformGeometry = new THREE.CylinderGeometry(5, 5, 0.5, 32);
+        // Grupo para a plataforma, marcações e luzes
+        const extractionGroup = new THREE.Group();
+        extractionGroup.position.copy(position);
+        
+        // Plataforma de extração (baixa o suficiente para subir sem pular - PLAYER.STEP_HEIGHT)
+        const platformGeometry = new THREE.CylinderGeometry(5, 5, 0.3, 32);
         const platformMaterial = new THREE.MeshStandardMaterial({
             color: 0x333333,
             roughness: 0.7,
             metalness: 0.3
         });
         const platform = new THREE.Mesh(platformGeometry, platformMaterial);
-        platform.position.copy(position);
-        platform.position.y = 0.25;
+        platform.position.y = 0.15;
         platform.receiveShadow = true;
-        this.scene.add(platform);
+        extractionGroup.add(platform);
         
         // Marcações na plataforma
         const markingsGeometry = new THREE.RingGeometry(4, 4.5, 32);
@@ -299,16 +360,18 @@ export class SceneManager {
             side: THREE.DoubleSide
         });
         const markings = new THREE.Mesh(markingsGeometry, markingsMaterial);
-        markings.position.copy(position);
-        markings.position.y = 0.51;
+        markings.position.y = 0.31;
         markings.rotation.x = -Math.PI / 2;
-        this.scene.add(markings);
+        extractionGroup.add(markings);
+        
+        this.scene.add(extractionGroup);
+        this.collisionWorld.addObject(platform);
         
         // Luzes ao redor da plataforma
         for (let i = 0; i < 8; i++) {
             const angle = (i / 8) * Math.PI * 2;
-            const x = position.x + Math.cos(angle) * 4.5;
-            const z = position.z + Math.sin(angle) * 4.5;
+            const x = Math.cos(angle) * 4.5;
+            const z = Math.sin(angle) * 4.5;
             
             const lightGeometry = new THREE.SphereGeometry(0.2, 16, 16);
             const lightMaterial = new THREE.MeshStandardMaterial({
@@ -317,16 +380,18 @@ export class SceneManager {
                 emissiveIntensity: 1
             });
             const light = new THREE.Mesh(lightGeometry, lightMaterial);
-            light.position.set(x, 0.7, z);
-            this.scene.add(light);
+            light.position.set(x, 0.5, z);
+            extractionGroup.add(light);
             
             // Luz pontual
             const pointLight = new THREE.PointLight(0x00ff00, 1, 5);
-            pointLight.position.set(x, 0.7, z);
-            this.scene.add(pointLight);
+            pointLight.position.set(x, 0.5, z);
+            extractionGroup.add(pointLight);
             
-            // Anima as luzes
+            // Anima as luzes (até a plataforma ser removida da cena)
             const animate = () => {
+                if (!extractionGroup.parent) return;
+                
                 const time = Date.now() * 0.001;
                 const phase = (i / 8) * Math.PI * 2;
                 const intensity = 0.5 + 0.5 * Math.sin(time * 2 + phase);
@@ -334,15 +399,18 @@ export class SceneManager {
                 pointLight.intensity = intensity;
                 lightMaterial.emissiveIntensity = intensity;
                 
-                requestAnimationFrame(animate);
+                requestFrame(animate);
             };
             animate();
         }
+        
+        return extractionGroup;
     }
     
     /**
      * Cria uma torre de comunicação
      * @param {THREE.Vector3} position - Posição da torre
+     * @returns {THREE.Group} - Grupo da torre criada
      */
     createCommunicationTower(position) {
         // Grupo para a torre
@@ -407,18 +475,24 @@ export class SceneManager {
         
         // Adiciona a torre à cena
         this.scene.add(towerGroup);
+        this.collisionWorld.addObject(base);
+        this.collisionWorld.addObject(support);
         
-        // Anima a luz de aviso
+        // Anima a luz de aviso (até a torre ser removida da cena)
         const animate = () => {
+            if (!towerGroup.parent) return;
+            
             const time = Date.now() * 0.001;
             const blink = time % 1 > 0.5 ? 1 : 0.2;
             
             pointLight.intensity = blink;
             lightMaterial.emissiveIntensity = blink;
             
-            requestAnimationFrame(animate);
+            requestFrame(animate);
         };
         animate();
+        
+        return towerGroup;
     }
     
     /**
@@ -454,6 +528,7 @@ export class SceneManager {
             // Adiciona o obstáculo à cena e ao array para referência futura
             this.scene.add(obstacle);
             this.obstacles.push(obstacle);
+            this.collisionWorld.addObject(obstacle);
         });
     }
     
@@ -544,6 +619,56 @@ export class SceneManager {
         this.fpsCounter = (this.fpsCounter || 0) + 1;
     }
     
+    /**
+     * Altera o campo de visão da câmera
+     * @param {number} fov - Campo de visão vertical em graus
+     */
+    setFOV(fov) {
+        this.camera.fov = fov;
+        this.camera.updateProjectionMatrix();
+    }
+    
+    /**
+     * Aplica um nível de qualidade gráfica (resolução e sombras)
+     * @param {string} quality - 'low', 'medium' ou 'high' (ver GRAPHICS.QUALITY)
+     */
+    setGraphicsQuality(quality) {
+        const preset = GRAPHICS.QUALITY[quality.toUpperCase()];
+        if (!preset) {
+            console.warn(`SceneManager: qualidade gráfica desconhecida "${quality}"`);
+            return;
+        }
+        
+        if (this.renderer) {
+            this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, preset.MAX_PIXEL_RATIO));
+            this.renderer.shadowMap.enabled = preset.SHADOWS;
+        }
+        
+        this.directionalLight.castShadow = preset.SHADOWS;
+        
+        // O mapa de sombras é recriado com o novo tamanho na próxima renderização
+        const shadow = this.directionalLight.shadow;
+        if (shadow.mapSize.width !== preset.SHADOW_MAP_SIZE) {
+            shadow.mapSize.set(preset.SHADOW_MAP_SIZE, preset.SHADOW_MAP_SIZE);
+            if (shadow.map) {
+                shadow.map.dispose();
+                shadow.map = null;
+            }
+        }
+        
+        // Os shaders dos materiais mudam quando as sombras são ligadas ou desligadas
+        this.scene.traverse(object => {
+            if (object.material) {
+                const materials = Array.isArray(object.material) ? object.material : [object.material];
+                materials.forEach(material => {
+                    material.needsUpdate = true;
+                });
+            }
+        });
+        
+        console.log(`SceneManager: qualidade gráfica "${quality}" aplicada`);
+    }
+    
     /**
      * Renderiza a cena
      */
@@ -0,0 +1,369 @@
+/**
+ * Gerenciador das configurações do jogador
+ * Guarda as preferências no localStorage e as aplica imediatamente no InputManager,
+ * no SceneManager e no AudioManager. A dificuldade escolhida na tela inicial também fica
+ * guardada aqui, mas só é aplicada pelo Game ao começar uma campanha
+ */
+import { PLAYER, GAME, AUDIO, GRAPHICS, CONTROLS, DIFFICULTY } from './config.js';
+
+const STORAGE_KEY = 'starstrike_settings';
+
+// Limites dos valores numéricos (os mesmos dos controles da tela de configurações)
+const LIMITS = {
+    sensitivity: { min: 0.05, max: 1 },
+    fov: { min: 60, max: 110 },
+    musicVolume: { min: 0, max: 1 },
+    sfxVolume: { min: 0, max: 1 }
+};
+
+// Fatores da dificuldade: nome usado no jogo -> nome em DIFFICULTY.PRESETS
+const DIFFICULTY_FACTORS = {
+    enemyHealth: 'ENEMY_HEALTH',
+    enemyDamage: 'ENEMY_DAMAGE',
+    enemyAccuracy: 'ENEMY_ACCURACY',
+    attackCooldown: 'ATTACK_COOLDOWN',
+    detectionRadius: 'DETECTION_RADIUS',
+    waveSize: 'WAVE_SIZE',
+    spawnRate: 'SPAWN_RATE',
+    damageTaken: 'DAMAGE_TAKEN'
+};
+
+// Configurações simples, alteradas por set e conferidas por validate; as compostas (controles e
+// dificuldade) são alteradas só pelos seus próprios métodos
+const SIMPLE_KEYS = ['sensitivity', 'invertY', 'fov', 'musicVolume', 'sfxVolume', 'graphicsQuality'];
+
+export class SettingsManager {
+    /**
+     * @param {InputManager} inputManager - Recebe sensibilidade, inversão do eixo Y e controles
+     * @param {SceneManager} sceneManager - Recebe campo de visão e qualidade gráfica
+     * @param {AudioManager} audioManager - Recebe os volumes de música e efeitos
+     */
+    constructor(inputManager, sceneManager, audioManager) {
+        this.inputManager = inputManager;
+        this.sceneManager = sceneManager;
+        this.audioManager = audioManager;
+
+        // Valores padrão vêm do config.js (lidos antes que as configurações alterem AUDIO)
+        this.defaults = {
+            sensitivity: PLAYER.LOOK_SENSITIVITY,
+            invertY: false,
+            fov: GAME.FOV,
+            musicVolume: AUDIO.MUSIC_VOLUME,
+            sfxVolume: AUDIO.SFX_VOLUME,
+            graphicsQuality: GRAPHICS.DEFAULT_QUALITY,
+            bindings: inputManager.copyBindings(CONTROLS.BINDINGS),
+            difficulty: DIFFICULTY.DEFAULT,
+            customDifficulty: this.getPresetFactors(DIFFICULTY.DEFAULT)
+        };
+
+        this.settings = this.load();
+        this.applyAll();
+
+        console.log("SettingsManager inicializado");
+    }
+
+    /**
+     * Lê as configurações salvas, descartando valores inválidos
+     * @returns {Object} - Configurações completas (padrões para o que faltar)
+     */
+    load() {
+        const settings = {
+            ...this.defaults,
+            bindings: this.inputManager.copyBindings(this.defaults.bindings),
+            customDifficulty: { ...this.defaults.customDifficulty }
+        };
+
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (error) {
+            console.warn("Configurações salvas ilegíveis, usando os padrões:", error.message);
+            return settings;
+        }
+
+        if (!saved || typeof saved !== 'object') return settings;
+
+        SIMPLE_KEYS.forEach(key => {
+            const value = this.validate(key, saved[key]);
+            if (value !== undefined) {
+                settings[key] = value;
+            }
+        });
+
+        if (this.isValidDifficulty(saved.difficulty)) {
+            settings.difficulty = saved.difficulty;
+        }
+
+        if (saved.customDifficulty && typeof saved.customDifficulty === 'object') {
+            Object.keys(DIFFICULTY_FACTORS).forEach(factor => {
+                const value = saved.customDifficulty[factor];
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    settings.customDifficulty[factor] = this.clampDifficultyFactor(value);
+                }
+            });
+        }
+
+        // Só aceita ações conhecidas com entradas válidas, e descarta tudo se houver conflitos
+        if (saved.bindings && typeof saved.bindings === 'object') {
+            const bindings = this.inputManager.copyBindings(settings.bindings);
+
+            Object.keys(bindings).forEach(action => {
+                const inputs = saved.bindings[action];
+                if (Array.isArray(inputs) && inputs.length <= CONTROLS.MAX_BINDINGS_PER_ACTION &&
+                    inputs.every(input => this.inputManager.isValidInput(input))) {
+                    bindings[action] = [...inputs];
+                }
+            });
+
+            if (this.inputManager.findConflicts(bindings).length === 0) {
+                settings.bindings = bindings;
+            } else {
+                console.warn("Controles salvos com entradas repetidas, usando os padrões");
+            }
+        }
+
+        return settings;
+    }
+
+    /**
+     * Grava as configurações atuais
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.error("Erro ao salvar configurações:", error);
+        }
+    }
+
+    /**
+     * Confere o valor de uma configuração simples, usado ao carregar e ao alterar
+     * Números fora da faixa são limitados; tipos errados e qualidades desconhecidas são recusados
+     * @param {string} key - Nome da configuração (uma de SIMPLE_KEYS)
+     * @param {*} value - Valor recebido
+     * @returns {*} - Valor a guardar, ou undefined se for inválido
+     */
+    validate(key, value) {
+        if (key in LIMITS) {
+            return typeof value === 'number' && Number.isFinite(value) ? this.clamp(key, value) : undefined;
+        }
+
+        if (key === 'invertY') {
+            return typeof value === 'boolean' ? value : undefined;
+        }
+
+        if (key === 'graphicsQuality') {
+            return typeof value === 'string' && GRAPHICS.QUALITY[value.toUpperCase()] ? value : undefined;
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Limita um valor numérico à faixa da configuração
+     * @param {string} key - Nome da configuração
+     * @param {number} value - Valor recebido
+     * @returns {number}
+     */
+    clamp(key, value) {
+        const { min, max } = LIMITS[key];
+        return Math.max(min, Math.min(max, value));
+    }
+
+    /**
+     * Altera uma configuração, aplica e salva
+     * @param {string} key - Nome da configuração ('sensitivity', 'invertY', 'fov', 'musicVolume', 'sfxVolume', 'graphicsQuality')
+     * @param {*} value - Novo valor
+     */
+    set(key, value) {
+        if (!SIMPLE_KEYS.includes(key)) {
+            console.warn(`Configuração desconhecida: ${key}`);
+            return;
+        }
+
+        const validValue = this.validate(key, value);
+        if (validValue === undefined) {
+            console.warn(`Valor inválido para ${key}: ${value}`);
+            return;
+        }
+
+        this.settings[key] = validValue;
+        this.apply(key);
+        this.save();
+    }
+
+    /**
+     * Liga uma entrada a uma ação (ver InputManager.bindInput)
+     * @param {string} action - Ação ('forward', 'fire', etc.)
+     * @param {string} input - Nova entrada
+     * @param {number} index - Posição (0 = principal, 1 = alternativa)
+     * @returns {string[]} - Ações que perderam a entrada por conflito
+     */
+    bindInput(action, input, index) {
+        const conflicts = this.inputManager.bindInput(action, input, index);
+        this.storeBindings();
+        return conflicts;
+    }
+
+    /**
+     * Remove a entrada de uma ação
+     * @param {string} action - Ação
+     * @param {number} index - Posição da entrada
+     */
+    clearInput(action, index) {
+        this.inputManager.clearInput(action, index);
+        this.storeBindings();
+    }
+
+    /**
+     * Importa um perfil de controles (ver InputManager.importProfile)
+     * @param {string} json - Conteúdo do perfil
+     * @returns {string} - Nome do perfil
+     * @throws {Error} - Se o perfil for inválido (os controles atuais não mudam)
+     */
+    importBindings(json) {
+        const name = this.inputManager.importProfile(json);
+        this.storeBindings();
+        return name;
+    }
+
+    /**
+     * Verifica se o nome é um nível de dificuldade ('custom' ou um de DIFFICULTY.PRESETS)
+     * @param {string} name - Nome do nível
+     * @returns {boolean}
+     */
+    isValidDifficulty(name) {
+        return name === 'custom' || (typeof name === 'string' && !!DIFFICULTY.PRESETS[name.toUpperCase()]);
+    }
+
+    /**
+     * Limita um fator da dificuldade personalizada
+     * @param {number} value - Multiplicador recebido
+     * @returns {number}
+     */
+    clampDifficultyFactor(value) {
+        return Math.max(DIFFICULTY.CUSTOM_MIN, Math.min(DIFFICULTY.CUSTOM_MAX, value));
+    }
+
+    /**
+     * Fatores de um nível pré-definido
+     * @param {string} name - Nome do nível ('recruit', 'soldier', 'veteran')
+     * @returns {Object} - Fator -> multiplicador
+     */
+    getPresetFactors(name) {
+        const preset = DIFFICULTY.PRESETS[name.toUpperCase()];
+        const factors = {};
+
+        Object.entries(DIFFICULTY_FACTORS).forEach(([factor, presetKey]) => {
+            factors[factor] = preset[presetKey];
+        });
+
+        return factors;
+    }
+
+    /**
+     * Dificuldade escolhida, com os fatores que o Game passa ao EnemyManager e ao Player
+     * @returns {Object} - { name, factors }
+     */
+    getDifficulty() {
+        const name = this.settings.difficulty;
+        const factors = name === 'custom' ? { ...this.settings.customDifficulty } : this.getPresetFactors(name);
+
+        return { name, factors };
+    }
+
+    /**
+     * Escolhe o nível de dificuldade das próximas campanhas e salva
+     * @param {string} name - 'recruit', 'soldier', 'veteran' ou 'custom'
+     */
+    setDifficulty(name) {
+        if (!this.isValidDifficulty(name)) {
+            console.warn(`Dificuldade desconhecida: ${name}`);
+            return;
+        }
+
+        this.settings.difficulty = name;
+        this.save();
+    }
+
+    /**
+     * Altera um fator da dificuldade personalizada e salva
+     * @param {string} factor - Fator ('enemyHealth', 'damageTaken', etc.)
+     * @param {number} value - Multiplicador (limitado a DIFFICULTY.CUSTOM_MIN..CUSTOM_MAX)
+     */
+    setCustomDifficulty(factor, value) {
+        if (!(factor in DIFFICULTY_FACTORS) || !Number.isFinite(value)) {
+            console.warn(`Fator de dificuldade inválido: ${factor}`);
+            return;
+        }
+
+        this.settings.customDifficulty[factor] = this.clampDifficultyFactor(value);
+        this.save();
+    }
+
+    /**
+     * Copia os controles do InputManager para as configurações e salva
+     */
+    storeBindings() {
+        this.settings.bindings = this.inputManager.getBindings();
+        this.save();
+    }
+
+    /**
+     * Aplica uma configuração no gerenciador responsável
+     * @param {string} key - Nome da configuração
+     */
+    apply(key) {
+        const settings = this.settings;
+
+        switch (key) {
+            case 'sensitivity':
+            case 'invertY':
+                this.inputManager.setLookSettings(settings.sensitivity, settings.invertY);
+                break;
+
+            case 'fov':
+                this.sceneManager.setFOV(settings.fov);
+                break;
+
+            case 'graphicsQuality':
+                this.sceneManager.setGraphicsQuality(settings.graphicsQuality);
+                break;
+
+            case 'musicVolume':
+                this.audioManager.setMusicVolume(settings.musicVolume);
+                break;
+
+            case 'sfxVolume':
+                this.audioManager.setSFXVolume(settings.sfxVolume);
+                break;
+
+            case 'bindings':
+                this.inputManager.setBindings(settings.bindings);
+                break;
+        }
+    }
+
+    /**
+     * Aplica todas as configurações (na inicialização e ao restaurar os padrões)
+     */
+    applyAll() {
+        Object.keys(this.settings).forEach(key => this.apply(key));
+    }
+
+    /**
+     * Volta todas as configurações aos valores padrão
+     * A dificuldade não faz parte da tela de configurações e é mantida
+     */
+    resetToDefaults() {
+        this.settings = {
+            ...this.defaults,
+            bindings: this.inputManager.copyBindings(this.defaults.bindings),
+            difficulty: this.settings.difficulty,
+            customDifficulty: this.settings.customDifficulty
+        };
+        this.applyAll();
+        this.save();
+        console.log("Configurações restauradas para o padrão");
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Passo fixo da simulação, compartilhado pelo Game (navegador) e pelo HeadlessGame (Node)
+ * Atualiza jogador, inimigos, itens e missões, resolve os acertos e avança o relógio do jogo;
+ * quem chama reage ao resultado (marcador de acerto, efeito de dano, fim de jogo)
+ */
+import { GAME_EVENTS } from './event-bus.js';
+
+export class Simulation {
+    /**
+     * @param {Object} modules - Módulos da partida
+     * @param {GameState} modules.gameState - Estado e relógio do jogo
+     * @param {THREE.Scene} modules.scene - Cena onde os projéteis do jogador aparecem
+     * @param {Player} modules.player - Jogador local
+     * @param {EnemyManager} modules.enemyManager - Inimigos e seus projéteis
+     * @param {PickupManager} modules.pickupManager - Itens coletáveis
+     * @param {MissionManager} modules.missionManager - Missões da fase
+     */
+    constructor({ gameState, scene, player, enemyManager, pickupManager, missionManager }) {
+        this.gameState = gameState;
+        this.scene = scene;
+        this.player = player;
+        this.enemyManager = enemyManager;
+        this.pickupManager = pickupManager;
+        this.missionManager = missionManager;
+    }
+
+    /**
+     * Define o barramento da partida: missões com "respawnTargets" repõem cada alvo eliminado
+     * depois desse tempo de jogo, para que sempre haja alvos
+     * @param {EventBus} events - Barramento da partida
+     */
+    setEventBus(events) {
+        events.on(GAME_EVENTS.ENEMY_KILLED, ({ type }) => {
+            const mission = this.missionManager.currentMission;
+            if (!mission || !mission.respawnTargets || type !== mission.target) return;
+
+            this.gameState.schedule(mission.respawnTargets, () => {
+                const spawnPoint = this.enemyManager.getRandomSpawnPoint();
+                this.enemyManager.spawnEnemy(type, spawnPoint);
+            });
+        });
+    }
+
+    /**
+     * Avança a simulação um passo fixo
+     * @param {number} deltaTime - Duração do passo em segundos
+     * @returns {Object} - Acertos do passo: { hits, hitscanHits, contacts, playerKilled }
+     */
+    step(deltaTime) {
+        this.player.update(deltaTime);
+        this.enemyManager.update(deltaTime);
+        this.pickupManager.update(deltaTime);
+        this.missionManager.update(deltaTime);
+
+        this.updatePlayerBullets();
+        const result = this.checkCollisions();
+
+        // Relógio do jogo e ações agendadas nele
+        this.gameState.advanceClock(deltaTime);
+
+        return result;
+    }
+
+    /**
+     * Põe na cena os projéteis novos do jogador e descarta os que colidiram ou saíram do alcance
+     * (o limite WEAPON.MAX_PLAYER_BULLETS é aplicado pelo Player)
+     */
+    updatePlayerBullets() {
+        const bullets = this.player.bullets;
+
+        bullets.forEach(bullet => {
+            if (!bullet.addedToScene) {
+                this.scene.add(bullet.mesh);
+                bullet.addedToScene = true;
+            }
+        });
+
+        this.player.bullets = bullets.filter(bullet => {
+            if (bullet.hasCollided || bullet.distance > bullet.maxDistance) {
+                this.scene.remove(bullet.mesh);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Resolve os acertos do passo: tiros do jogador, projéteis inimigos e contato com inimigos
+     * Eliminações são publicadas pelo EnemyManager (missões, itens e estatísticas assinam)
+     * @returns {Object} - { hits: inimigos atingidos pelo jogador, hitscanHits: acertos instantâneos
+     *                     com a zona, contacts: inimigos que encostaram no jogador,
+     *                     playerKilled: se o contato eliminou o jogador }
+     */
+    checkCollisions() {
+        const hits = this.enemyManager.checkProjectileCollisions(this.player.bullets);
+
+        // Tiros instantâneos do passo (armas com PROJECTILE 'hitscan')
+        const hitscanHits = this.enemyManager.checkHitscanShots(this.player.shots);
+        this.player.shots = [];
+
+        hitscanHits.forEach(hit => {
+            if (!hits.includes(hit.enemy)) {
+                hits.push(hit.enemy);
+            }
+        });
+
+        this.enemyManager.checkEnemyBulletCollisions();
+
+        // Corpo a corpo: metade do dano do inimigo
+        let playerKilled = false;
+        const contacts = this.enemyManager.checkPlayerCollisions();
+        contacts.forEach(enemy => {
+            if (this.player.takeDamage(enemy.damage * 0.5)) {
+                playerKilled = true;
+            }
+        });
+
+        return { hits, hitscanHits, contacts, playerKilled };
+    }
+}
@@ -0,0 +1,193 @@
+/**
+ * Buffer de snapshots de um jogador remoto
+ * Guarda as posições recebidas com o horário do servidor e as reproduz NETWORK.INTERPOLATION.DELAY
+ * no passado: entre dois snapshots a posição é interpolada e, se os próximos atrasam, o movimento
+ * continua na última velocidade por até MAX_EXTRAPOLATION
+ */
+import { NETWORK } from './config.js';
+
+export class SnapshotBuffer {
+    /**
+     * @param {number} delay - Quanto o tempo mostrado fica atrás do servidor (ms)
+     */
+    constructor(delay = NETWORK.INTERPOLATION.DELAY) {
+        this.delay = delay;
+
+        // Snapshots em ordem de horário: { time, receivedAt, position, rotation, teleport }
+        this.snapshots = [];
+
+        // Diferença estimada entre o relógio do servidor e o local (ms)
+        this.clockOffset = null;
+
+        // Variação no intervalo de chegada dos snapshots (ms, média como no RFC 3550)
+        this.jitter = 0;
+
+        // Resultado da última amostra, para as estatísticas
+        this.mode = 'holding';
+        this.depth = 0;
+    }
+
+    /**
+     * Guarda um snapshot recebido
+     * @param {number} time - Horário do snapshot no servidor (ms)
+     * @param {Object} position - Posição {x, y, z}
+     * @param {Object} rotation - Rotação {x, y}
+     * @param {number} receivedAt - Horário local da chegada (ms)
+     * @returns {boolean} - Falso se o snapshot chegou fora de ordem e foi descartado
+     */
+    push(time, position, rotation, receivedAt = Date.now()) {
+        const { BUFFER_SIZE, TELEPORT_DISTANCE, CLOCK_SMOOTHING, CLOCK_RESET } = NETWORK.INTERPOLATION;
+        const last = this.snapshots[this.snapshots.length - 1];
+        if (last && time <= last.time) return false;
+
+        // Relógio do servidor: média das diferenças, recomeçada se a diferença mudar demais
+        const offset = time - receivedAt;
+        if (this.clockOffset === null || Math.abs(offset - this.clockOffset) > CLOCK_RESET) {
+            this.clockOffset = offset;
+        } else {
+            this.clockOffset += (offset - this.clockOffset) * CLOCK_SMOOTHING;
+        }
+
+        if (last) {
+            const deviation = Math.abs((receivedAt - last.receivedAt) - (time - last.time));
+            this.jitter += (deviation - this.jitter) / 16;
+        }
+
+        this.snapshots.push({
+            time,
+            receivedAt,
+            position: { x: position.x, y: position.y, z: position.z },
+            rotation: { x: rotation.x, y: rotation.y },
+            // Salto grande (volta após ser eliminado): aparece no lugar novo sem deslizar até ele
+            teleport: !!last && distance(last.position, position) > TELEPORT_DISTANCE
+        });
+
+        if (this.snapshots.length > BUFFER_SIZE) {
+            this.snapshots.shift();
+        }
+
+        return true;
+    }
+
+    /**
+     * @returns {boolean} - Verdadeiro se nenhum snapshot foi guardado
+     */
+    isEmpty() {
+        return this.snapshots.length === 0;
+    }
+
+    /**
+     * Estado do jogador no tempo mostrado (agora menos o atraso, no relógio do servidor)
+     * @param {number} now - Horário local (ms)
+     * @returns {Object|null} - { position, rotation } ou null sem snapshots
+     */
+    sample(now = Date.now()) {
+        if (this.snapshots.length === 0) return null;
+
+        const renderTime = now + this.clockOffset - this.delay;
+
+        // Mantém só o último snapshot anterior ao tempo mostrado
+        while (this.snapshots.length > 2 && this.snapshots[1].time <= renderTime) {
+            this.snapshots.shift();
+        }
+
+        this.depth = this.snapshots.filter(snapshot => snapshot.time > renderTime).length;
+
+        const [from, to] = this.snapshots;
+        if (!to || renderTime <= from.time) {
+            this.mode = 'holding';
+            return copyState(from);
+        }
+
+        // Entre dois snapshots: interpola (a rotação acumulada do cliente não dá voltas em 2π)
+        if (renderTime < to.time) {
+            if (to.teleport) {
+                this.mode = 'holding';
+                return copyState(from);
+            }
+
+            const t = (renderTime - from.time) / (to.time - from.time);
+            this.mode = 'interpolating';
+            return {
+                position: lerp(from.position, to.position, t),
+                rotation: {
+                    x: from.rotation.x + (to.rotation.x - from.rotation.x) * t,
+                    y: from.rotation.y + (to.rotation.y - from.rotation.y) * t
+                }
+            };
+        }
+
+        // Sem snapshot novo: segue na velocidade dos dois últimos por um tempo limitado
+        const state = copyState(to);
+        if (to.teleport) {
+            this.mode = 'holding';
+            return state;
+        }
+
+        const elapsed = Math.min(renderTime - to.time, NETWORK.INTERPOLATION.MAX_EXTRAPOLATION);
+        state.position = lerp(from.position, to.position, 1 + elapsed / (to.time - from.time));
+        this.mode = 'extrapolating';
+        return state;
+    }
+
+    /**
+     * Estatísticas da última amostra, para Game.showNetworkStats
+     * @returns {Object} - { depth, jitter, extrapolating }: snapshots à frente do tempo mostrado,
+     *                     jitter em ms e se a posição está sendo extrapolada
+     */
+    getStats() {
+        return {
+            depth: this.depth,
+            jitter: Math.round(this.jitter),
+            extrapolating: this.mode === 'extrapolating'
+        };
+    }
+
+    /**
+     * Descarta os snapshots e a estimativa de relógio
+     */
+    clear() {
+        this.snapshots = [];
+        this.clockOffset = null;
+        this.jitter = 0;
+        this.mode = 'holding';
+        this.depth = 0;
+    }
+}
+
+/**
+ * Cópia da posição e rotação de um snapshot
+ * @param {Object} snapshot - Snapshot do buffer
+ * @returns {Object} - { position, rotation }
+ */
+function copyState(snapshot) {
+    return {
+        position: { ...snapshot.position },
+        rotation: { ...snapshot.rotation }
+    };
+}
+
+/**
+ * Interpolação linear entre dois pontos
+ * @param {Object} a - Ponto {x, y, z}
+ * @param {Object} b - Ponto {x, y, z}
+ * @param {number} t - Fração de a (0) até b (1)
+ * @returns {Object} - Ponto {x, y, z}
+ */
+function lerp(a, b, t) {
+    return {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        z: a.z + (b.z - a.z) * t
+    };
+}
+
+/**
+ * Distância entre dois pontos
+ * @param {Object} a - Ponto {x, y, z}
+ * @param {Object} b - Ponto {x, y, z}
+ * @returns {number}
+ */
+function distance(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
@@ -0,0 +1,183 @@
+/**
+ * Grade espacial uniforme no plano XZ (fase ampla das colisões e consultas de proximidade)
+ * Cada item ocupa as células cobertas pela sua área em XZ; as consultas devolvem candidatos,
+ * e quem consulta faz o teste exato. Usada pelo CollisionWorld (colisores estáticos),
+ * pelo EnemyManager (inimigos) e pelo PickupManager (itens)
+ */
+export class SpatialGrid {
+    /**
+     * @param {number} cellSize - Lado de cada célula em unidades do mundo
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+
+        // Chave da célula -> itens nela
+        this.cells = new Map();
+
+        // Item -> faixa de células ocupada { minX, minZ, maxX, maxZ } (índices de célula)
+        this.ranges = new Map();
+    }
+
+    /**
+     * Índice da célula que contém uma coordenada
+     * @param {number} value - Coordenada X ou Z
+     * @returns {number}
+     */
+    cellIndex(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    /**
+     * Adiciona ou move um item
+     * Itens que continuam nas mesmas células não são reinseridos
+     * @param {*} item - Item (inimigo, caixa, etc.)
+     * @param {number} minX - Menor X da área do item
+     * @param {number} minZ - Menor Z da área do item
+     * @param {number} maxX - Maior X (padrão: minX, para itens pontuais)
+     * @param {number} maxZ - Maior Z (padrão: minZ)
+     */
+    insert(item, minX, minZ, maxX = minX, maxZ = minZ) {
+        const range = {
+            minX: this.cellIndex(minX),
+            minZ: this.cellIndex(minZ),
+            maxX: this.cellIndex(maxX),
+            maxZ: this.cellIndex(maxZ)
+        };
+
+        const current = this.ranges.get(item);
+        if (current) {
+            if (current.minX === range.minX && current.minZ === range.minZ &&
+                current.maxX === range.maxX && current.maxZ === range.maxZ) return;
+
+            this.remove(item);
+        }
+
+        this.ranges.set(item, range);
+
+        for (let x = range.minX; x <= range.maxX; x++) {
+            for (let z = range.minZ; z <= range.maxZ; z++) {
+                const key = `${x},${z}`;
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(item);
+            }
+        }
+    }
+
+    /**
+     * Remove um item da grade
+     * @param {*} item - Item inserido antes
+     */
+    remove(item) {
+        const range = this.ranges.get(item);
+        if (!range) return;
+
+        for (let x = range.minX; x <= range.maxX; x++) {
+            for (let z = range.minZ; z <= range.maxZ; z++) {
+                const key = `${x},${z}`;
+                const cell = this.cells.get(key);
+                if (!cell) continue;
+
+                const index = cell.indexOf(item);
+                if (index !== -1) cell.splice(index, 1);
+                if (cell.length === 0) this.cells.delete(key);
+            }
+        }
+
+        this.ranges.delete(item);
+    }
+
+    /**
+     * Remove todos os itens
+     */
+    clear() {
+        this.cells.clear();
+        this.ranges.clear();
+    }
+
+    /**
+     * Itens nas células que cobrem um retângulo em XZ
+     * @param {number} minX - Menor X
+     * @param {number} minZ - Menor Z
+     * @param {number} maxX - Maior X
+     * @param {number} maxZ - Maior Z
+     * @returns {Array} - Candidatos, sem repetição
+     */
+    queryBox(minX, minZ, maxX, maxZ) {
+        const found = new Set();
+
+        const x0 = this.cellIndex(minX);
+        const x1 = this.cellIndex(maxX);
+        const z0 = this.cellIndex(minZ);
+        const z1 = this.cellIndex(maxZ);
+
+        for (let x = x0; x <= x1; x++) {
+            for (let z = z0; z <= z1; z++) {
+                const cell = this.cells.get(`${x},${z}`);
+                if (cell) cell.forEach(item => found.add(item));
+            }
+        }
+
+        return [...found];
+    }
+
+    /**
+     * Itens nas células que cobrem um círculo em XZ
+     * @param {number} x - Centro em X
+     * @param {number} z - Centro em Z
+     * @param {number} radius - Raio
+     * @returns {Array} - Candidatos, sem repetição
+     */
+    queryRadius(x, z, radius) {
+        return this.queryBox(x - radius, z - radius, x + radius, z + radius);
+    }
+
+    /**
+     * Itens nas células atravessadas por um segmento (percurso célula a célula em XZ)
+     * @param {Object} from - Início {x, z}
+     * @param {Object} to - Fim {x, z}
+     * @returns {Array} - Candidatos, sem repetição, na ordem em que as células são atravessadas
+     */
+    querySegment(from, to) {
+        const found = new Set();
+        const size = this.cellSize;
+
+        let x = this.cellIndex(from.x);
+        let z = this.cellIndex(from.z);
+        const endX = this.cellIndex(to.x);
+        const endZ = this.cellIndex(to.z);
+
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        const stepX = Math.sign(dx);
+        const stepZ = Math.sign(dz);
+
+        // Fração do segmento até a próxima borda de célula em cada eixo, e o quanto cada célula avança
+        const tDeltaX = stepX !== 0 ? size / Math.abs(dx) : Infinity;
+        const tDeltaZ = stepZ !== 0 ? size / Math.abs(dz) : Infinity;
+        let tMaxX = stepX !== 0 ? ((stepX > 0 ? (x + 1) * size : x * size) - from.x) / dx : Infinity;
+        let tMaxZ = stepZ !== 0 ? ((stepZ > 0 ? (z + 1) * size : z * size) - from.z) / dz : Infinity;
+
+        const maxSteps = Math.abs(endX - x) + Math.abs(endZ - z);
+
+        for (let step = 0; step <= maxSteps; step++) {
+            const cell = this.cells.get(`${x},${z}`);
+            if (cell) cell.forEach(item => found.add(item));
+
+            if (x === endX && z === endZ) break;
+
+            if (tMaxX < tMaxZ) {
+                x += stepX;
+                tMaxX += tDeltaX;
+            } else {
+                z += stepZ;
+                tMaxZ += tDeltaZ;
+            }
+        }
+
+        return [...found];
+    }
+}
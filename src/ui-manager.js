@@ -2,6 +2,65 @@
  * Gerenciador de interface do usuário
  * Atualiza e controla todos os elementos de UI, como HUD, menus e feedbacks visuais
  */
+import { CONTROLS, DIFFICULTY, WEAPON } from './config.js';
+import { GAME_EVENTS } from './event-bus.js';
+
+// Nomes das ações exibidos na lista de controles da tela de configurações
+const ACTION_LABELS = {
+    forward: 'Frente',
+    backward: 'Trás',
+    left: 'Esquerda',
+    right: 'Direita',
+    sprint: 'Correr',
+    jump: 'Pular',
+    crouch: 'Agachar',
+    reload: 'Recarregar',
+    fire: 'Atirar',
+    next_weapon: 'Próxima arma',
+    previous_weapon: 'Arma anterior',
+    weapon_1: 'Arma 1',
+    weapon_2: 'Arma 2',
+    weapon_3: 'Arma 3',
+    weapon_4: 'Arma 4',
+    pause: 'Pausar',
+    scoreboard: 'Placar'
+};
+
+// Fatores da dificuldade personalizada exibidos na tela inicial
+const DIFFICULTY_FACTOR_LABELS = {
+    enemyHealth: 'Vida dos inimigos',
+    enemyDamage: 'Dano dos inimigos',
+    enemyAccuracy: 'Precisão dos inimigos',
+    attackCooldown: 'Intervalo entre ataques',
+    detectionRadius: 'Alcance de detecção',
+    waveSize: 'Tamanho das ondas',
+    spawnRate: 'Ritmo dos spawns',
+    damageTaken: 'Dano recebido'
+};
+
+// Nomes legíveis de entradas cujo código não é autoexplicativo
+const KEY_NAMES = {
+    Mouse0: 'Mouse Esq.',
+    Mouse1: 'Mouse Meio',
+    Mouse2: 'Mouse Dir.',
+    Mouse3: 'Mouse 4',
+    Mouse4: 'Mouse 5',
+    WheelUp: 'Roda ↑',
+    WheelDown: 'Roda ↓',
+    Escape: 'Esc',
+    Space: 'Espaço',
+    ShiftLeft: 'Shift Esq.',
+    ShiftRight: 'Shift Dir.',
+    ControlLeft: 'Ctrl Esq.',
+    ControlRight: 'Ctrl Dir.',
+    AltLeft: 'Alt Esq.',
+    AltRight: 'Alt Dir.',
+    ArrowUp: 'Seta ↑',
+    ArrowDown: 'Seta ↓',
+    ArrowLeft: 'Seta ←',
+    ArrowRight: 'Seta →'
+};
+
 export class UIManager {
     /**
      * @param {Object} gameState - Referência ao estado do jogo para obter informações atualizadas
@@ -19,18 +78,56 @@ export class UIManager {
             scoreValue: document.getElementById('score-value'),
             waveValue: document.getElementById('wave-value'),
             missionText: document.getElementById('mission-text'),
+            buffsContainer: document.getElementById('buffs-container'),
             
             // Telas do jogo
             startScreen: document.getElementById('startScreen'),
             pauseScreen: document.getElementById('pauseScreen'),
             gameoverScreen: document.getElementById('gameoverScreen'),
+            missionFailedScreen: document.getElementById('missionFailedScreen'),
             mobileTutorialScreen: document.getElementById('mobileTutorialScreen'),
             
+            // Jogos salvos (tela inicial)
+            continueButton: document.getElementById('continue-button'),
+            saveSlotSelect: document.getElementById('save-slot-select'),
+            difficultySelect: document.getElementById('difficulty-select'),
+            customDifficulty: document.getElementById('custom-difficulty'),
+            
             // Elementos da tela de game over
             finalScoreValue: document.getElementById('final-score-value'),
             
+            // Tela de configurações
+            settingsScreen: document.getElementById('settingsScreen'),
+            settingSensitivity: document.getElementById('setting-sensitivity'),
+            settingSensitivityValue: document.getElementById('setting-sensitivity-value'),
+            settingInvertY: document.getElementById('setting-invert-y'),
+            settingFov: document.getElementById('setting-fov'),
+            settingFovValue: document.getElementById('setting-fov-value'),
+            settingMusicVolume: document.getElementById('setting-music-volume'),
+            settingMusicVolumeValue: document.getElementById('setting-music-volume-value'),
+            settingSfxVolume: document.getElementById('setting-sfx-volume'),
+            settingSfxVolumeValue: document.getElementById('setting-sfx-volume-value'),
+            settingGraphicsQuality: document.getElementById('setting-graphics-quality'),
+            keyBindings: document.getElementById('key-bindings'),
+            keyBindingsStatus: document.getElementById('key-bindings-status'),
+            
+            // Placar (segurar a ação 'scoreboard' durante o jogo)
+            scoreboard: document.getElementById('scoreboard'),
+            
+            // Barra de vida do chefe
+            bossBar: document.getElementById('boss-bar'),
+            bossName: document.getElementById('boss-name'),
+            bossPhase: document.getElementById('boss-phase'),
+            bossHealthValue: document.getElementById('boss-health-value'),
+            
+            // Elementos da tela de missão falhou
+            missionFailedTitle: document.getElementById('mission-failed-title'),
+            missionFailedReason: document.getElementById('mission-failed-reason'),
+            missionFailedAttempts: document.getElementById('mission-failed-attempts'),
+            
             // Crosshair
             crosshair: document.getElementById('crosshair'),
+            hitMarker: document.getElementById('hit-marker'),
             
             // Elementos multiplayer
             multiplayerScreen: document.getElementById('multiplayerScreen'),
@@ -48,10 +145,89 @@ export class UIManager {
         // Flag para dispositivos móveis
         this.isMobileDevice = this.detectMobile();
         
+        // Barramento de eventos da partida (definido pelo Game via setEventBus)
+        this.events = null;
+        
         // Configura eventos iniciais e estados da UI
         this.setupEventListeners();
     }
     
+    /**
+     * Define o barramento da partida e assina os eventos que aparecem na interface
+     * (dano, chefe, itens, jogadores e estado da conexão)
+     * @param {EventBus} events - Barramento da partida
+     */
+    setEventBus(events) {
+        this.events = events;
+        
+        events.on(GAME_EVENTS.PLAYER_DAMAGED, ({ amount }) => {
+            if (amount > 0) {
+                this.showDamageSplash();
+            }
+        });
+        events.on(GAME_EVENTS.PICKUP_COLLECTED, ({ message }) => this.showMessage(message, 1500, 'success'));
+        events.on(GAME_EVENTS.BOSS_SPAWNED, () => {
+            this.showMessage("ALERTA: Comandante inimigo detectado!", 5000, 'warning');
+        });
+        events.on(GAME_EVENTS.BOSS_PHASE_CHANGED, ({ phase }) => {
+            this.showMessage(`COMANDANTE ENFURECIDO - FASE ${phase}`, 3000, 'warning');
+        });
+        
+        // Multiplayer
+        events.on(GAME_EVENTS.NETWORK_CONNECTED, ({ latency }) => {
+            this.showMessage("Conectado ao servidor multiplayer!", 3000, "success");
+            this.updateConnectionStatus("Conectado");
+            this.updateNetworkStatus(true, latency);
+            this.elements.connectButton.disabled = true;
+            this.elements.disconnectButton.disabled = false;
+            
+            // Volta para o menu principal após conectar
+            if (this.elements.multiplayerScreen && this.elements.multiplayerScreen.style.display === 'flex') {
+                this.showScreen('startScreen');
+            }
+        });
+        events.on(GAME_EVENTS.NETWORK_CONNECTION_FAILED, ({ message }) => {
+            this.showMessage("Falha ao conectar ao servidor: " + message, 5000, "error");
+            this.updateConnectionStatus("Falha na conexão");
+            this.updateNetworkStatus(false);
+            this.elements.connectButton.disabled = false;
+        });
+        events.on(GAME_EVENTS.NETWORK_DISCONNECTED, ({ reason }) => {
+            const message = reason === 'timeout' ?
+                "Conexão perdida com o servidor - timeout" : `Desconectado do servidor: ${reason}`;
+            this.showMessage(message, 5000, reason === 'timeout' ? "error" : "warning");
+            this.updateNetworkStatus(false);
+        });
+        events.on(GAME_EVENTS.NETWORK_ERROR, ({ message, fromServer }) => {
+            this.showMessage(`${fromServer ? 'Erro do servidor' : 'Erro de rede'}: ${message}`, 5000, "error");
+        });
+        events.on(GAME_EVENTS.NETWORK_LATENCY, ({ latency }) => this.updateNetworkStatus(true, latency));
+        events.on(GAME_EVENTS.PLAYER_JOINED, ({ id, player }) => {
+            this.showMessage(`Jogador ${player.name || id} entrou no jogo`, 3000, "info");
+        });
+        events.on(GAME_EVENTS.PLAYER_LEFT, ({ id, name }) => {
+            this.showMessage(`Jogador ${name || id} saiu do jogo`, 3000, "warning");
+        });
+        events.on(GAME_EVENTS.PLAYERS_LIST_CHANGED, ({ players }) => this.updatePlayersList(players));
+        
+        // Acertos e eliminações entre jogadores (confirmados pelo servidor)
+        events.on(GAME_EVENTS.PLAYER_HIT, ({ health, zone, fromLocal }) => {
+            if (fromLocal) {
+                this.showHitMarker(health <= 0 ? 'kill' : zone === 'head' ? 'head' : 'hit');
+            }
+        });
+        events.on(GAME_EVENTS.PLAYER_KILLED, ({ targetName, killerName, local, fromLocal }) => {
+            const killer = fromLocal ? 'Você' : killerName;
+            const target = local ? 'você' : targetName;
+            this.showMessage(`${killer} eliminou ${target}`, 3000, local ? 'error' : 'info');
+        });
+        events.on(GAME_EVENTS.PLAYER_RESPAWNED, ({ local }) => {
+            if (local) {
+                this.showMessage("De volta ao combate!", 2000, 'success');
+            }
+        });
+    }
+    
     /**
      * Detecta se é um dispositivo móvel
      * @returns {boolean} - Verdadeiro se for dispositivo móvel
@@ -167,6 +343,12 @@ export class UIManager {
                         score: this.gameState.score
                     });
                     break;
+                case 'mission-failed':
+                    this.showScreen('missionFailedScreen');
+                    break;
+                case 'settings':
+                    this.showScreen('settingsScreen');
+                    break;
             }
         }
     }
@@ -193,10 +375,12 @@ export class UIManager {
             }
         }
         
-        // Munição
+        // Munição da arma atual (cada arma tem carregador e reserva próprios)
         if (this.elements.ammoCount && this.gameState.player) {
+            const player = this.gameState.player;
+            const weaponName = player.currentWeapon ? `${player.currentWeapon.name.toUpperCase()} ` : '';
             this.elements.ammoCount.textContent = 
-                `${this.gameState.player.ammo} / ${this.gameState.player.reserveAmmo}`;
+                `${weaponName}${player.ammo} / ${player.reserveAmmo}`;
         }
         
         // Pontuação
@@ -208,6 +392,37 @@ export class UIManager {
         if (this.elements.waveValue) {
             this.elements.waveValue.textContent = this.gameState.currentWave;
         }
+        
+        // Power-ups ativos
+        if (this.elements.buffsContainer && this.gameState.player) {
+            this.updateBuffs(this.gameState.player.activeEffects || {});
+        }
+    }
+    
+    /**
+     * Atualiza os timers dos power-ups ativos no HUD
+     * @param {Object} effects - Efeitos ativos do jogador (efeito -> { remaining, duration })
+     */
+    updateBuffs(effects) {
+        const labels = {
+            shield: 'ESCUDO',
+            rapid_fire: 'TIRO RÁPIDO'
+        };
+        
+        const html = Object.entries(effects).map(([effect, { remaining, duration }]) => {
+            const percent = Math.round(Math.max(0, remaining / duration) * 100);
+            return `<div class="buff buff-${effect}">` +
+                `<span class="buff-label">${labels[effect] || effect}</span>` +
+                `<span class="buff-time">${Math.ceil(remaining)}s</span>` +
+                `<div class="buff-bar"><div class="buff-fill" style="width: ${percent}%"></div></div>` +
+                `</div>`;
+        }).join('');
+        
+        // Evita reescrever o DOM quando nada mudou visualmente
+        if (html !== this.lastBuffsHTML) {
+            this.elements.buffsContainer.innerHTML = html;
+            this.lastBuffsHTML = html;
+        }
     }
     
     /**
@@ -349,6 +564,26 @@ export class UIManager {
         }, 250);
     }
     
+    /**
+     * Mostra o marcador de acerto na mira por WEAPON.HIT_MARKER_TIME
+     * @param {string} kind - 'hit', 'head' (tiro na cabeça) ou 'kill' (eliminação)
+     */
+    showHitMarker(kind = 'hit') {
+        const marker = this.elements.hitMarker;
+        if (!marker) return;
+        
+        if (this.hitMarkerTimer) {
+            clearTimeout(this.hitMarkerTimer);
+        }
+        
+        marker.className = `active ${kind}`;
+        
+        this.hitMarkerTimer = setTimeout(() => {
+            marker.className = '';
+            this.hitMarkerTimer = null;
+        }, WEAPON.HIT_MARKER_TIME);
+    }
+    
     /**
      * Determina a posição CSS para o gradiente com base no ângulo
      * @param {number} angle - Ângulo em graus
@@ -401,6 +636,8 @@ export class UIManager {
             'startScreen',
             'pauseScreen',
             'gameoverScreen',
+            'missionFailedScreen',
+            'settingsScreen',
             'mobileTutorialScreen',
             'multiplayerScreen'
         ];
@@ -429,7 +666,7 @@ export class UIManager {
         
         // Gerencia visibilidade do HUD baseado na tela e estado do jogo
         // O HUD deve estar visível apenas durante o jogo ativo (playing)
-        const isPlaying = window.game && window.game.gameState && window.game.gameState.state === 'playing';
+        const isPlaying = this.gameState && this.gameState.state === 'playing';
         const shouldShowHUD = isPlaying && (!screenId || screenId === null);
         
         // Exibe o HUD se estiver jogando e não houver tela bloqueante ativa
@@ -478,6 +715,246 @@ export class UIManager {
         // Aqui pode-se adicionar mais estatísticas ao game over futuramente
     }
     
+    /**
+     * Atualiza a lista de slots e o botão "Continuar" da tela inicial
+     * @param {Array<Object>} slots - Slots retornados por SaveManager.listSlots
+     * @param {number} activeSlot - Slot selecionado
+     */
+    updateSaveSlots(slots, activeSlot) {
+        if (this.elements.saveSlotSelect) {
+            this.elements.saveSlotSelect.innerHTML = '';
+            
+            slots.forEach(({ slot, save }) => {
+                const option = document.createElement('option');
+                option.value = slot;
+                option.textContent = save
+                    ? `Slot ${slot}: Fase ${save.level} - ${save.missionTitle} - ${save.score} pts (${new Date(save.savedAt).toLocaleString('pt-BR')})`
+                    : `Slot ${slot}: vazio`;
+                option.selected = slot === activeSlot;
+                this.elements.saveSlotSelect.appendChild(option);
+            });
+        }
+        
+        // "Continuar" só aparece se o slot selecionado tem um jogo salvo
+        if (this.elements.continueButton) {
+            const active = slots.find(({ slot }) => slot === activeSlot);
+            this.elements.continueButton.style.display = active && active.save ? 'block' : 'none';
+        }
+    }
+    
+    /**
+     * Mostra a dificuldade escolhida na tela inicial
+     * Os controles da personalizada são criados uma vez (data-factor) e só aparecem com ela selecionada
+     * @param {string} name - Nível escolhido ('recruit', 'soldier', 'veteran', 'custom')
+     * @param {Object} customFactors - Fatores da dificuldade personalizada
+     */
+    updateDifficulty(name, customFactors) {
+        const el = this.elements;
+        
+        if (el.difficultySelect) el.difficultySelect.value = name;
+        
+        const container = el.customDifficulty;
+        if (!container) return;
+        
+        container.style.display = name === 'custom' ? 'block' : 'none';
+        
+        if (container.children.length === 0) {
+            Object.keys(DIFFICULTY_FACTOR_LABELS).forEach(factor => {
+                const group = document.createElement('div');
+                group.className = 'form-group';
+                
+                const label = document.createElement('label');
+                label.innerHTML = `${DIFFICULTY_FACTOR_LABELS[factor]}: <span></span>`;
+                group.appendChild(label);
+                
+                const input = document.createElement('input');
+                input.type = 'range';
+                input.min = DIFFICULTY.CUSTOM_MIN;
+                input.max = DIFFICULTY.CUSTOM_MAX;
+                input.step = 0.05;
+                input.dataset.factor = factor;
+                group.appendChild(input);
+                
+                container.appendChild(group);
+            });
+        }
+        
+        container.querySelectorAll('input[data-factor]').forEach(input => {
+            const value = customFactors[input.dataset.factor];
+            input.value = value;
+            input.previousElementSibling.querySelector('span').textContent = `${Math.round(value * 100)}%`;
+        });
+    }
+    
+    /**
+     * Mostra os valores atuais na tela de configurações
+     * @param {Object} settings - Configurações do SettingsManager
+     */
+    updateSettingsScreen(settings) {
+        const el = this.elements;
+        
+        if (el.settingSensitivity) el.settingSensitivity.value = settings.sensitivity;
+        if (el.settingSensitivityValue) el.settingSensitivityValue.textContent = settings.sensitivity.toFixed(2);
+        if (el.settingInvertY) el.settingInvertY.checked = settings.invertY;
+        if (el.settingFov) el.settingFov.value = settings.fov;
+        if (el.settingFovValue) el.settingFovValue.textContent = `${settings.fov}°`;
+        if (el.settingMusicVolume) el.settingMusicVolume.value = settings.musicVolume;
+        if (el.settingMusicVolumeValue) el.settingMusicVolumeValue.textContent = `${Math.round(settings.musicVolume * 100)}%`;
+        if (el.settingSfxVolume) el.settingSfxVolume.value = settings.sfxVolume;
+        if (el.settingSfxVolumeValue) el.settingSfxVolumeValue.textContent = `${Math.round(settings.sfxVolume * 100)}%`;
+        if (el.settingGraphicsQuality) el.settingGraphicsQuality.value = settings.graphicsQuality;
+        
+        this.renderBindings(settings.bindings);
+    }
+    
+    /**
+     * Monta a lista de controles da tela de configurações
+     * Cada ação tem um botão por posição (principal e alternativa) com data-action e data-index
+     * @param {Object} bindings - Mapa ação -> lista de entradas
+     * @param {Object} pending - { action, index } aguardando uma nova entrada (opcional)
+     */
+    renderBindings(bindings, pending = null) {
+        const container = this.elements.keyBindings;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        Object.keys(bindings).forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'key-binding';
+            
+            const label = document.createElement('span');
+            label.textContent = ACTION_LABELS[action] || action;
+            row.appendChild(label);
+            
+            for (let index = 0; index < CONTROLS.MAX_BINDINGS_PER_ACTION; index++) {
+                const button = document.createElement('button');
+                const input = bindings[action][index];
+                const isPending = pending && pending.action === action && pending.index === index;
+                
+                button.dataset.action = action;
+                button.dataset.index = index;
+                button.textContent = isPending ? 'Pressione...' : (input ? this.formatKeyCode(input) : '—');
+                row.appendChild(button);
+            }
+            
+            container.appendChild(row);
+        });
+    }
+    
+    /**
+     * Mostra uma mensagem abaixo da lista de controles (conflitos, importação)
+     * @param {string} text - Mensagem (vazia para limpar)
+     * @param {boolean} isError - Se a mensagem é um erro
+     */
+    setBindingsStatus(text, isError = false) {
+        const status = this.elements.keyBindingsStatus;
+        if (!status) return;
+        
+        status.textContent = text;
+        status.style.color = isError ? '#ff6666' : '#ffcc00';
+    }
+    
+    /**
+     * Retorna o nome exibido de uma ação
+     * @param {string} action - Ação
+     * @returns {string}
+     */
+    getActionLabel(action) {
+        return ACTION_LABELS[action] || action;
+    }
+    
+    /**
+     * Mostra a barra de vida do chefe ou a esconde
+     * @param {Object|null} status - { name, health (0-1), phase, phaseCount, invulnerable } ou null
+     */
+    setBossBar(status) {
+        const { bossBar, bossName, bossPhase, bossHealthValue } = this.elements;
+        if (!bossBar) return;
+        
+        // Evita mexer no DOM quando nada mudou visualmente
+        const key = status ? `${status.name}|${Math.round(status.health * 200)}|${status.phase}|${status.invulnerable}` : '';
+        if (key === this.lastBossBarKey) return;
+        this.lastBossBarKey = key;
+        
+        if (!status) {
+            bossBar.style.display = 'none';
+            return;
+        }
+        
+        bossName.textContent = status.name;
+        bossPhase.textContent = `FASE ${status.phase}/${status.phaseCount}`;
+        bossHealthValue.style.width = `${status.health * 100}%`;
+        bossBar.classList.toggle('invulnerable', status.invulnerable);
+        bossBar.style.display = 'block';
+    }
+    
+    /**
+     * Mostra ou esconde o placar
+     * @param {boolean} visible - Se o placar deve aparecer
+     * @param {Array<Object>} rows - Linhas { name, score, kills } (usadas apenas se visível)
+     */
+    setScoreboardVisible(visible, rows = []) {
+        const scoreboard = this.elements.scoreboard;
+        if (!scoreboard) return;
+        
+        if (!visible) {
+            scoreboard.style.display = 'none';
+            return;
+        }
+        
+        scoreboard.innerHTML = '';
+        
+        const header = document.createElement('div');
+        header.className = 'scoreboard-row scoreboard-header';
+        ['JOGADOR', 'PONTOS', 'ELIMINAÇÕES'].forEach(text => {
+            const cell = document.createElement('span');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+        scoreboard.appendChild(header);
+        
+        rows.forEach(row => {
+            const line = document.createElement('div');
+            line.className = 'scoreboard-row';
+            [row.name, row.score, row.kills].forEach(value => {
+                const cell = document.createElement('span');
+                cell.textContent = value;
+                line.appendChild(cell);
+            });
+            scoreboard.appendChild(line);
+        });
+        
+        scoreboard.style.display = 'block';
+    }
+    
+    /**
+     * Converte um código de entrada em um nome legível ('KeyW' -> 'W', 'Digit1' -> '1', 'Mouse0' -> 'Mouse Esq.')
+     * @param {string} code - Código da entrada
+     * @returns {string}
+     */
+    formatKeyCode(code) {
+        if (KEY_NAMES[code]) return KEY_NAMES[code];
+        
+        return code.replace(/^Key/, '').replace(/^Digit/, '');
+    }
+    
+    /**
+     * Preenche a tela de missão falhou
+     * @param {Object} info - Título da missão, motivo da falha e número de tentativas falhas
+     */
+    updateMissionFailedScreen(info) {
+        if (this.elements.missionFailedTitle) {
+            this.elements.missionFailedTitle.textContent = info.title;
+        }
+        if (this.elements.missionFailedReason) {
+            this.elements.missionFailedReason.textContent = info.reason;
+        }
+        if (this.elements.missionFailedAttempts) {
+            this.elements.missionFailedAttempts.textContent = info.attempts;
+        }
+    }
+    
     /**
      * Atualiza o tamanho e posição dos elementos da UI quando a janela é redimensionada
      */
@@ -502,7 +979,7 @@ export class UIManager {
                 message = 'TUTORIAL: Localize o terminal de acesso (estrutura com luz AZUL BRILHANTE) para acessar o centro de comando. Siga o marcador visual para encontrá-lo.';
                 break;
             case 'boss':
-                message = 'TUTORIAL: O comandante inimigo é muito mais forte que os sentinelas comuns. Ele possui mais vida e causa mais dano. Mantenha distância e use cobertura!';
+                message = 'TUTORIAL: O comandante inimigo fica mais agressivo a cada fase: dispara rajadas, avança contra você e chama reforços. Acerte os pontos fracos brilhantes nas costas, ou o núcleo azul exposto durante as investidas, para causar dano extra!';
                 break;
             default:
                 message = 'TUTORIAL: Use WASD para se mover, SHIFT para correr, MOUSE para mirar e BOTÃO ESQUERDO para atirar. R para recarregar e ESC para pausar.';
@@ -620,92 +1097,39 @@ export class UIManager {
      * Inicia conexão com servidor multiplayer
      */
     handleConnectToServer() {
-        try {
-            if (!window.game) {
-                console.error("UIManager: Instância do jogo não disponível");
-                return;
-            }
-            
-            // Obtém URL do servidor e nome do jogador
-            const serverUrl = this.elements.serverUrl.value.trim();
-            const playerName = this.elements.playerName.value.trim() || "Jogador" + Math.floor(Math.random() * 1000);
-            
-            if (!serverUrl) {
-                this.showMessage("Informe o endereço do servidor", 3000, "error");
-                return;
-            }
-            
-            // Verificar se já está conectado a este servidor
-            if (window.game.networkManager && 
-                window.game.networkManager.connected && 
-                window.game.networkManager.serverUrl === serverUrl) {
-                
-                this.showMessage("Já está conectado a este servidor", 3000, "info");
-                this.updateConnectionStatus("Conectado");
-                this.elements.connectButton.disabled = true;
-                this.elements.disconnectButton.disabled = false;
-                
-                // Volta para o menu principal após conectar
-                this.showScreen('startScreen');
-                return;
-            }
-            
-            // Atualiza interface
-            this.updateConnectionStatus("Conectando...");
-            this.elements.connectButton.disabled = true;
-            
-            // Se já estiver conectado a outro servidor, desconectar primeiro
-            if (window.game.networkManager && window.game.networkManager.connected) {
-                window.game.disconnectFromMultiplayerServer();
-            }
-            
-            // Inicia modo multiplayer se ainda não iniciado
-            if (!window.game.multiplayerReady) {
-                window.game.startMultiplayerMode();
-            }
-            
-            // Registra o nome do jogador na UI
-            console.log(`Tentando conectar como "${playerName}" ao servidor ${serverUrl}`);
-            
-            // Tenta conectar passando o nome do jogador
-            window.game.connectToMultiplayerServer(serverUrl, playerName)
-                .then(() => {
-                    // Sucesso na conexão
-                    this.updateConnectionStatus("Conectado");
-                    this.elements.connectButton.disabled = true;
-                    this.elements.disconnectButton.disabled = false;
-                    
-                    // Volta para o menu principal após conectar
-                    this.showScreen('startScreen');
-                    
-                    // Inicia o jogo se já não estiver jogando
-                    if (window.game.gameState.state !== 'playing') {
-                        window.game.startGame();
-                    }
-                })
-                .catch(error => {
-                    // Falha na conexão
-                    this.updateConnectionStatus("Erro: " + error);
-                    this.elements.connectButton.disabled = false;
-                    this.showMessage("Falha ao conectar: " + error, 5000, "error");
-                });
-        } catch (error) {
-            console.error("Erro ao tentar conectar ao servidor:", error);
-            this.showMessage("Erro interno: " + error.message, 5000, "error");
-            this.elements.connectButton.disabled = false;
+        if (!this.events) {
+            console.error("UIManager: Barramento de eventos não disponível");
+            return;
+        }
+        
+        // Obtém URL do servidor e nome do jogador
+        const serverUrl = this.elements.serverUrl.value.trim();
+        const playerName = this.elements.playerName.value.trim() || "Jogador" + Math.floor(Math.random() * 1000);
+        
+        if (!serverUrl) {
+            this.showMessage("Informe o endereço do servidor", 3000, "error");
+            return;
         }
+        
+        // Atualiza interface
+        this.updateConnectionStatus("Conectando...");
+        this.elements.connectButton.disabled = true;
+        
+        // Registra o nome do jogador na UI
+        console.log(`Tentando conectar como "${playerName}" ao servidor ${serverUrl}`);
+        
+        // O Game conecta (desconectando de outro servidor antes, se preciso) e publica o resultado
+        this.events.emit(GAME_EVENTS.CONNECT_REQUESTED, { serverUrl, playerName });
     }
     
     /**
      * Desconecta do servidor multiplayer
      */
     handleDisconnectFromServer() {
-        if (!window.game || !window.game.isMultiplayer) {
-            return;
-        }
+        if (!this.events) return;
         
         // Desconecta
-        window.game.disconnectFromMultiplayerServer();
+        this.events.emit(GAME_EVENTS.DISCONNECT_REQUESTED);
         
         // Atualiza interface
         this.updateConnectionStatus("Desconectado");
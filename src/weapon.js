@@ -0,0 +1,136 @@
+/**
+ * Classe que representa uma arma do inventário do jogador
+ * Guarda a definição da arma (WEAPONS) e o estado de munição próprio de cada arma
+ */
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.157.0/build/three.module.js';
+import { WEAPONS } from './config.js';
+
+export class Weapon {
+    /**
+     * Cria uma arma a partir da sua definição
+     * @param {string} id - Id da arma ('pistol', 'rifle', 'shotgun', 'rocket_launcher')
+     */
+    constructor(id) {
+        this.id = id;
+        this.config = WEAPONS[id.toUpperCase()];
+
+        if (!this.config) {
+            throw new Error(`Weapon: arma desconhecida "${id}"`);
+        }
+
+        // Munição no carregador e na reserva
+        this.ammo = this.config.MAGAZINE_SIZE;
+        this.reserveAmmo = this.config.MAX_AMMO;
+    }
+
+    /**
+     * Nome exibido no HUD
+     * @returns {string}
+     */
+    get name() {
+        return this.config.NAME;
+    }
+
+    /**
+     * Verifica se a arma pode ser recarregada
+     * @returns {boolean} - Verdadeiro se o carregador não está cheio e há munição na reserva
+     */
+    canReload() {
+        return this.ammo < this.config.MAGAZINE_SIZE && this.reserveAmmo > 0;
+    }
+
+    /**
+     * Transfere munição da reserva para o carregador
+     */
+    reload() {
+        const takeFromReserve = Math.min(this.config.MAGAZINE_SIZE - this.ammo, this.reserveAmmo);
+
+        this.ammo += takeFromReserve;
+        this.reserveAmmo -= takeFromReserve;
+    }
+
+    /**
+     * Devolve ao carregador um tiro recusado pelo servidor no multiplayer
+     */
+    refundShot() {
+        this.ammo = Math.min(this.config.MAGAZINE_SIZE, this.ammo + 1);
+    }
+
+    /**
+     * Adiciona munição à reserva, respeitando o máximo da arma
+     * @param {number} amount - Quantidade de munição
+     */
+    addAmmo(amount) {
+        this.reserveAmmo = Math.min(this.config.MAX_AMMO, this.reserveAmmo + amount);
+    }
+
+    /**
+     * Verifica se a reserva está cheia
+     * @returns {boolean}
+     */
+    isReserveFull() {
+        return this.reserveAmmo >= this.config.MAX_AMMO;
+    }
+
+    /**
+     * Restaura o carregador e a reserva
+     */
+    refill() {
+        this.ammo = this.config.MAGAZINE_SIZE;
+        this.reserveAmmo = this.config.MAX_AMMO;
+    }
+
+    /**
+     * Cria o modelo 3D em primeira pessoa a partir de config.MODEL
+     * @returns {THREE.Group} - Grupo com o modelo (a ser adicionado à câmera)
+     */
+    createModel() {
+        const model = this.config.MODEL;
+        const group = new THREE.Group();
+        const [width, height, depth] = model.BODY;
+
+        // Corpo principal
+        const body = new THREE.Mesh(
+            new THREE.BoxGeometry(width, height, depth),
+            new THREE.MeshPhongMaterial({ color: model.BODY_COLOR, shininess: 30 })
+        );
+        body.position.set(0, -0.3, 0);
+        group.add(body);
+
+        // Canos lado a lado (a espingarda tem dois)
+        const barrelMaterial = new THREE.MeshPhongMaterial({ color: model.BARREL_COLOR, shininess: 50 });
+        const spacing = model.BARREL_RADIUS * 2.2;
+
+        for (let i = 0; i < model.BARREL_COUNT; i++) {
+            const barrel = new THREE.Mesh(
+                new THREE.CylinderGeometry(model.BARREL_RADIUS, model.BARREL_RADIUS, model.BARREL_LENGTH, 8),
+                barrelMaterial
+            );
+            barrel.rotation.x = Math.PI / 2;
+            barrel.position.set(
+                (i - (model.BARREL_COUNT - 1) / 2) * spacing,
+                -0.3 + height / 2 + model.BARREL_RADIUS * 0.5,
+                depth / 2 + model.BARREL_LENGTH / 2 - 0.1
+            );
+            group.add(barrel);
+        }
+
+        // Empunhadura
+        const handle = new THREE.Mesh(
+            new THREE.BoxGeometry(width * 0.75, 0.4, 0.2),
+            new THREE.MeshPhongMaterial({ color: 0x333333, shininess: 20 })
+        );
+        handle.position.set(0, -0.5, 0);
+        group.add(handle);
+
+        // Mira
+        const sight = new THREE.Mesh(
+            new THREE.BoxGeometry(0.04, 0.04, 0.04),
+            new THREE.MeshPhongMaterial({ color: 0xff0000 })
+        );
+        sight.position.set(0, -0.3 + height / 2 + 0.05, depth * 0.4);
+        group.add(sight);
+
+        return group;
+    }
+}
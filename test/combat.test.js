@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ENEMY, WEAPONS } from '../src/config.js';
+import { levelWith, startGame, difficultyFactors, aimAt, fireOnce } from './support/headless.js';
+
+const PISTOL = 0;
+const ROCKET_LAUNCHER = 3;
+
+// Arena sem inimigos; o jogador começa em (0, 1.8, 8) e o inimigo fica parado entre ele e o obstáculo central
+function startArena(options = {}) {
+    const game = startGame(levelWith('level1_mission2'), { startWaves: false, ...options });
+    const enemy = game.enemyManager.spawnEnemy('medium', new THREE.Vector3(0, 0.5, 3));
+    enemy.speed = 0;
+    game.scene.updateMatrixWorld();
+    return { game, enemy };
+}
+
+// Centro de uma zona de acerto ('head' ou 'body') no mundo
+function zoneCenter(enemy, zone) {
+    const { mesh } = enemy.hitZones.find(hitZone => hitZone.zone === zone);
+    return mesh.getWorldPosition(new THREE.Vector3());
+}
+
+// Troca de arma e espera o tempo de saque
+function equip(game, index) {
+    game.player.switchWeapon(index);
+    game.run(1);
+}
+
+test('tiro no corpo causa o dano da arma e tiro na cabeça causa o dobro', () => {
+    const { game, enemy } = startArena();
+    equip(game, PISTOL);
+    const damage = WEAPONS.PISTOL.DAMAGE;
+
+    aimAt(game, zoneCenter(enemy, 'body'));
+    fireOnce(game);
+    assert.equal(enemy.health, ENEMY.HEALTH.MEDIUM - damage);
+    assert.equal(game.player.ammo, WEAPONS.PISTOL.MAGAZINE_SIZE - 1);
+
+    game.run(0.5);
+    aimAt(game, zoneCenter(enemy, 'head'));
+    const result = fireOnce(game);
+    assert.equal(enemy.health, ENEMY.HEALTH.MEDIUM - damage - 2 * damage);
+    assert.deepEqual(result.hits, [enemy]);
+    assert.equal(result.hitscanHits[0].zone, 'head');
+
+    // Fora de uma partida em andamento não há passo
+    game.gameOver();
+    assert.equal(game.tick(), null);
+    game.dispose();
+});
+
+test('obstáculos bloqueiam os tiros instantâneos', () => {
+    const { game, enemy } = startArena();
+    equip(game, PISTOL);
+
+    // Do outro lado do obstáculo central
+    game.player.position.set(0, game.player.position.y, -6);
+    aimAt(game, zoneCenter(enemy, 'body'));
+    fireOnce(game);
+    assert.equal(enemy.health, ENEMY.HEALTH.MEDIUM);
+    game.dispose();
+});
+
+test('eliminações contam para a missão e dão pontos quando o corpo some', () => {
+    const game = startGame(levelWith('level1_mission1'), { startWaves: false });
+    const mission = game.missionManager.currentMission;
+    const enemy = game.enemyManager.spawnEnemy('basic', new THREE.Vector3(0, 0.5, 3));
+    game.scene.updateMatrixWorld();
+
+    // Rifle (automático): segura o gatilho até o inimigo cair
+    game.inputManager.keys.Mouse0 = true;
+    for (let i = 0; i < 60 && enemy.state !== 'dead'; i++) {
+        aimAt(game, zoneCenter(enemy, 'body'));
+        game.tick();
+    }
+    game.inputManager.keys.Mouse0 = false;
+
+    assert.equal(enemy.state, 'dead');
+    assert.equal(mission.progress, 1);
+    assert.equal(game.gameState.score, 0);
+
+    game.run(2.1);
+    assert.ok(!game.enemyManager.enemies.includes(enemy));
+    assert.equal(game.gameState.kills, 1);
+    assert.equal(game.gameState.score, ENEMY.SCORE.BASIC);
+    game.dispose();
+});
+
+test('o foguete acerta o inimigo e explode', () => {
+    const { game, enemy } = startArena();
+    equip(game, ROCKET_LAUNCHER);
+
+    aimAt(game, zoneCenter(enemy, 'body'));
+    fireOnce(game);
+    assert.equal(game.player.bullets.length, 1);
+
+    game.run(0.5);
+    assert.equal(game.player.bullets.length, 0);
+    assert.ok(enemy.health <= ENEMY.HEALTH.MEDIUM - WEAPONS.ROCKET_LAUNCHER.DAMAGE);
+    game.dispose();
+});
+
+test('a dificuldade multiplica o dano recebido pelo jogador', () => {
+    const game = startGame(levelWith('level1_mission2'), {
+        startWaves: false,
+        difficulty: difficultyFactors({ damageTaken: 1.25 })
+    });
+
+    assert.equal(game.player.takeDamage(20), false);
+    assert.equal(game.player.health, 75);
+
+    // Dano fatal encerra a partida
+    game.enemyManager.spawnEnemy('heavy', game.player.position.clone().setY(0.5));
+    game.player.health = 1;
+    game.tick();
+    assert.equal(game.gameState.state, 'gameover');
+    game.dispose();
+});
+
+test('a recarga leva RELOAD_TIME, enche o carregador e gasta a reserva', () => {
+    const game = startGame(levelWith('level1_mission2'), { startWaves: false });
+    const player = game.player;
+    const rifle = WEAPONS.RIFLE;
+
+    // Esvazia o carregador com o gatilho pressionado
+    game.inputManager.keys.Mouse0 = true;
+    for (let i = 0; i < 600 && player.ammo > 0; i++) {
+        game.tick();
+    }
+    game.run(0.5);
+    assert.equal(player.ammo, 0);
+    assert.equal(player.isReloading, false);
+
+    // Gatilho ainda pressionado: com o carregador vazio, só a tecla R recarrega
+    game.inputManager.keys.KeyR = true;
+    game.tick();
+    game.inputManager.keys.KeyR = false;
+    assert.equal(player.isReloading, true);
+
+    game.run(rifle.RELOAD_TIME - 0.1);
+    assert.equal(player.ammo, 0);
+
+    game.run(0.2);
+    game.inputManager.keys.Mouse0 = false;
+    assert.equal(player.isReloading, false);
+    assert.ok(player.ammo >= rifle.MAGAZINE_SIZE - 1);
+    assert.equal(player.currentWeapon.reserveAmmo, rifle.MAX_AMMO - rifle.MAGAZINE_SIZE);
+    game.dispose();
+});
+
+test('a recarga não começa com o carregador cheio ou sem reserva', () => {
+    const game = startGame(levelWith('level1_mission2'), { startWaves: false });
+    const player = game.player;
+
+    game.inputManager.keys.KeyR = true;
+    game.tick();
+    assert.equal(player.isReloading, false);
+
+    player.currentWeapon.ammo = 5;
+    player.currentWeapon.reserveAmmo = 0;
+    game.tick();
+    assert.equal(player.isReloading, false);
+    game.dispose();
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { EventBus, GAME_EVENTS } from '../src/event-bus.js';
+import { levelWith, startGame, aimAt, fireOnce } from './support/headless.js';
+
+test('o barramento recusa eventos desconhecidos e isola erros dos assinantes', () => {
+    const events = new EventBus();
+    const received = [];
+
+    assert.throws(() => events.on('enemyKiled', () => {}), /evento desconhecido/);
+
+    const originalError = console.error;
+    console.error = () => {};
+    events.on(GAME_EVENTS.WAVE_STARTED, () => { throw new Error('falha'); });
+    const off = events.on(GAME_EVENTS.WAVE_STARTED, ({ number }) => received.push(number));
+    events.emit(GAME_EVENTS.WAVE_STARTED, { number: 1 });
+    console.error = originalError;
+
+    off();
+    events.emit(GAME_EVENTS.WAVE_STARTED, { number: 2 });
+    assert.deepEqual(received, [1]);
+});
+
+test('tiros e eliminações são publicados no barramento da partida', () => {
+    const game = startGame(levelWith('level1_mission1'), { startWaves: false });
+    const enemy = game.enemyManager.spawnEnemy('basic', new THREE.Vector3(0, 0.5, 3));
+    const fired = [];
+    const killed = [];
+    game.events.on(GAME_EVENTS.WEAPON_FIRED, ({ directions }) => fired.push(directions.length));
+    game.events.on(GAME_EVENTS.ENEMY_KILLED, ({ type }) => killed.push(type));
+    game.scene.updateMatrixWorld();
+
+    enemy.health = 1;
+    aimAt(game, enemy.position.clone().setY(1));
+    fireOnce(game);
+
+    assert.deepEqual(fired, [1]);
+    assert.deepEqual(killed, ['basic']);
+    assert.equal(game.missionManager.currentMission.progress, 1);
+    game.dispose();
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NETWORK } from '../src/config.js';
+import { SnapshotBuffer } from '../src/snapshot-buffer.js';
+
+const DELAY = NETWORK.INTERPOLATION.DELAY;
+const INTERVAL = 1000 / NETWORK.UPDATE_RATE;
+
+// Snapshots de um jogador andando em x a 10 unidades/s, chegando 40 ms depois de enviados
+function walking(count, latency = 40) {
+    const buffer = new SnapshotBuffer();
+    for (let i = 0; i < count; i++) {
+        buffer.push(i * INTERVAL, { x: i, y: 1.8, z: 0 }, { x: 0, y: i * 0.1 }, i * INTERVAL + latency);
+    }
+    return buffer;
+}
+
+test('o jogador remoto é mostrado DELAY no passado, interpolado entre snapshots', () => {
+    const buffer = walking(5);
+
+    // O relógio local está 40 ms atrás do servidor: às 390 ms locais o tempo mostrado é 250 ms,
+    // no meio do caminho entre os snapshots de 200 e 300 ms
+    const state = buffer.sample(4 * INTERVAL + 40 - DELAY / 2);
+    assert.ok(Math.abs(state.position.x - 2.5) < 1e-9);
+    assert.ok(Math.abs(state.rotation.y - 0.25) < 1e-9);
+    assert.deepEqual(buffer.getStats(), { depth: 2, jitter: 0, extrapolating: false });
+});
+
+test('sem snapshots novos a posição é extrapolada por até MAX_EXTRAPOLATION', () => {
+    const buffer = walking(3);
+    const lastArrival = 2 * INTERVAL + 40;
+
+    let state = buffer.sample(lastArrival + DELAY + 50);
+    assert.ok(Math.abs(state.position.x - 2.5) < 1e-9);
+    assert.equal(buffer.getStats().extrapolating, true);
+
+    state = buffer.sample(lastArrival + DELAY + 5000);
+    assert.ok(Math.abs(state.position.x - (2 + NETWORK.INTERPOLATION.MAX_EXTRAPOLATION / INTERVAL)) < 1e-9);
+});
+
+test('saltos grandes não são interpolados e o jitter mede a variação nas chegadas', () => {
+    const buffer = new SnapshotBuffer();
+    buffer.push(0, { x: 0, y: 1.8, z: 0 }, { x: 0, y: 0 }, 40);
+    buffer.push(INTERVAL, { x: 40, y: 1.8, z: 0 }, { x: 0, y: 0 }, INTERVAL + 100);
+
+    // Entre os dois snapshots o jogador continua no lugar antigo e depois aparece no novo
+    assert.equal(buffer.sample(40 + DELAY + INTERVAL / 2).position.x, 0);
+    assert.equal(buffer.sample(INTERVAL + 100 + DELAY).position.x, 40);
+    assert.ok(buffer.getStats().jitter > 0);
+
+    // Snapshot fora de ordem é descartado
+    assert.equal(buffer.push(INTERVAL / 2, { x: 5, y: 1.8, z: 0 }, { x: 0, y: 0 }), false);
+});
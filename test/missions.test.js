@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadJSON, levelWith, startGame } from './support/headless.js';
+
+test('a fase começa na primeira missão e cria os inimigos dela', () => {
+    const game = startGame(loadJSON('assets/levels/level1.json'), { startWaves: false });
+
+    assert.equal(game.missionManager.currentMission.id, 'level1_mission1');
+    assert.equal(game.enemyManager.enemies.filter(enemy => enemy.type === 'basic').length, 3);
+    game.dispose();
+});
+
+test('missão de eliminação conclui com o número de abates e avança no relógio do jogo', () => {
+    const game = startGame(levelWith('level1_mission1', 'level1_mission2'), { startWaves: false });
+    const mission = game.missionManager.currentMission;
+
+    // Abates de outros tipos não contam
+    game.missionManager.updateMissionProgress({ enemyType: 'medium' });
+    assert.equal(mission.progress, 0);
+
+    for (let i = 0; i < mission.count; i++) {
+        game.missionManager.updateMissionProgress({ enemyType: 'basic' });
+    }
+    assert.equal(mission.completed, true);
+    assert.equal(game.gameState.score, 500);
+
+    // A próxima missão começa 2 segundos de jogo depois
+    game.run(1.9);
+    assert.equal(game.missionManager.currentMission.id, 'level1_mission1');
+    game.run(0.2);
+    assert.equal(game.missionManager.currentMission.id, 'level1_mission2');
+    game.dispose();
+});
+
+test('missão de alcançar conclui quando o jogador entra no raio do objetivo', () => {
+    const game = startGame(levelWith('level1_mission2', 'level1_mission4'), { startWaves: false });
+    const mission = game.missionManager.currentMission;
+
+    game.run(0.5);
+    assert.equal(mission.completed, false);
+
+    // Terminal em (20, 20), raio 3
+    game.player.position.set(20, game.player.position.y, 18);
+    game.tick();
+    assert.equal(mission.completed, true);
+    assert.equal(game.gameState.score, 300);
+
+    game.run(2.1);
+    assert.equal(game.missionManager.currentMission.id, 'level1_mission4');
+    assert.ok(game.enemyManager.getBoss(), 'o chefe da missão seguinte foi criado');
+    game.dispose();
+});
+
+test('a missão falha quando o tempo limite acaba', () => {
+    const game = startGame(levelWith('level1_mission5'), { startWaves: false });
+
+    game.run(119);
+    assert.equal(game.gameState.state, 'playing');
+
+    game.run(2);
+    assert.equal(game.gameState.state, 'mission-failed');
+    assert.deepEqual(game.failure, { mission: 'level1_mission5', reason: 'time_expired' });
+    assert.equal(game.missionManager.getFailureCount('level1_mission5'), 1);
+    game.dispose();
+});
+
+test('a última missão concluída encerra a fase com o bônus', () => {
+    const game = startGame(levelWith('level1_mission2'), { startWaves: false });
+
+    game.player.position.set(20, game.player.position.y, 20);
+    game.run(2.5);
+
+    assert.ok(game.missionManager.completedMissions.includes('level1_mission2'));
+    assert.equal(game.gameState.score, 300 + 5000);
+    game.dispose();
+});
+
+test('alvos de missão com respawnTargets são repostos depois do tempo de jogo', () => {
+    const game = startGame(levelWith('level1_mission1'), { startWaves: false });
+    const alive = () => game.enemyManager.enemies.filter(enemy => enemy.type === 'basic' && enemy.health > 0).length;
+
+    // Eliminação como a publicada pelos acertos do jogador
+    const [target] = game.enemyManager.enemies;
+    target.takeDamage(target.health);
+    game.enemyManager.reportKill(target);
+    game.tick();
+    assert.equal(alive(), 2);
+
+    // Sentinelas voltam 5 segundos depois de eliminados
+    game.run(4.9);
+    assert.equal(alive(), 2);
+    game.run(0.2);
+    assert.equal(alive(), 3);
+    game.dispose();
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocket } from 'ws';
+import { GameServer } from '../server/game-server.js';
+import { NETWORK, PLAYER } from '../src/config.js';
+import { NetworkManager } from '../src/network-manager.js';
+import { levelWith, startGame } from './support/headless.js';
+
+// Jogador local "conectado" (sem socket: os lotes ficam em outgoingInputs) e o mesmo jogador
+// em um GameServer, que refaz os inputs com o mapa e o movimento do servidor
+function startPrediction() {
+    const game = startGame(levelWith('level1_mission2'), { startWaves: false });
+    const network = new NetworkManager(game.gameState, game.player);
+    network.connected = true;
+
+    const server = new GameServer({ verbose: false });
+    const socket = { readyState: WebSocket.OPEN, send() {}, on() {}, close() {}, terminate() {} };
+    server.handleConnection(socket, { url: '/' });
+    const serverPlayer = [...server.players.values()][0];
+    server.handleMessage(serverPlayer, JSON.stringify({ type: 'auth', data: { playerName: 'Local' } }));
+    serverPlayer.lastInputTime = Date.now() - 1000;
+
+    return { game, network, server, serverPlayer };
+}
+
+// Passos andando para a frente (pulando no passo dado), cada input guardado como no Game.tick
+function walk(game, network, steps, jumpAt = -1) {
+    game.inputManager.keys.KeyW = true;
+    for (let i = 0; i < steps; i++) {
+        game.inputManager.keys.Space = i === jumpAt;
+        game.tick();
+        network.recordInput(game.player.lastInput);
+    }
+    game.inputManager.keys.KeyW = false;
+    game.inputManager.keys.Space = false;
+}
+
+// Entrega ao servidor os inputs até a sequência dada e devolve o estado do snapshot
+function confirm(server, serverPlayer, network, sequence) {
+    const inputs = network.outgoingInputs.filter(input => input.sequence <= sequence);
+    network.outgoingInputs = network.outgoingInputs.filter(input => input.sequence > sequence);
+    server.handleMessage(serverPlayer, JSON.stringify({ type: 'input', data: { inputs } }));
+    return JSON.parse(JSON.stringify(server.createSnapshot().players[serverPlayer.id]));
+}
+
+test('a reconciliação refaz os inputs não confirmados, com pulo e gravidade, e chega à posição prevista', () => {
+    const { game, network, server, serverPlayer } = startPrediction();
+    walk(game, network, 30, 12);
+    const predicted = game.player.position.clone();
+    assert.ok(predicted.z < PLAYER.SPAWN_POSITION.z - 2);
+    assert.ok(predicted.y > PLAYER.HEIGHT);
+
+    // Servidor confirmou só até antes do pulo: refazer os inputs seguintes (pulo incluído) não muda nada
+    network.reconcile(confirm(server, serverPlayer, network, 9));
+    assert.equal(network.pendingInputs.length, 20);
+    assert.deepEqual(network.correction, { x: 0, z: 0 });
+    assert.ok(game.player.position.equals(predicted));
+
+    // Confirmado no meio do pulo: o servidor subiu o jogador com o mesmo movimento
+    const state = confirm(server, serverPlayer, network, 19);
+    assert.ok(state.position.y > PLAYER.HEIGHT);
+    assert.equal(state.movement.isGrounded, false);
+    network.reconcile(state);
+    assert.deepEqual(network.correction, { x: 0, z: 0 });
+    assert.ok(game.player.position.equals(predicted));
+    server.stop();
+    game.dispose();
+});
+
+test('um erro pequeno do servidor é corrigido aos poucos depois de refazer os inputs', () => {
+    const { game, network, server, serverPlayer } = startPrediction();
+    walk(game, network, 30);
+    const predicted = game.player.position.clone();
+
+    // O servidor diverge meio metro em x antes dos últimos inputs
+    const state = confirm(server, serverPlayer, network, 19);
+    state.position.x += 0.5;
+    network.reconcile(state);
+    assert.ok(Math.abs(network.correction.x - 0.5) < 1e-9);
+
+    network.applyCorrection(1 / 60);
+    assert.ok(game.player.position.x > predicted.x && game.player.position.x < predicted.x + 0.5);
+    for (let i = 0; i < 60; i++) {
+        network.applyCorrection(1 / 60);
+    }
+    assert.ok(Math.abs(game.player.position.x - (predicted.x + 0.5)) <= NETWORK.PREDICTION.EPSILON);
+    server.stop();
+    game.dispose();
+});
+
+test('um erro maior que SNAP_DISTANCE leva o jogador direto ao estado do servidor', () => {
+    const { game, network, server, serverPlayer } = startPrediction();
+    walk(game, network, 30);
+
+    // Servidor de volta ao ponto inicial (como depois de ser eliminado), agachado
+    const state = confirm(server, serverPlayer, network, 29);
+    state.position = { x: PLAYER.SPAWN_POSITION.x + 10, y: PLAYER.CROUCH_HEIGHT, z: PLAYER.SPAWN_POSITION.z };
+    state.movement.isCrouching = true;
+    state.movement.currentHeight = PLAYER.CROUCH_HEIGHT;
+    network.reconcile(state);
+
+    assert.deepEqual(game.player.position.toArray(), [state.position.x, state.position.y, state.position.z]);
+    assert.equal(game.player.isCrouching, true);
+    assert.equal(game.player.currentHeight, PLAYER.CROUCH_HEIGHT);
+    assert.equal(network.pendingInputs.length, 0);
+    server.stop();
+    game.dispose();
+});
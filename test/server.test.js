@@ -0,0 +1,451 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocket } from 'ws';
+import { GameServer } from '../server/game-server.js';
+import { NETWORK, PLAYER, WEAPONS, ITEM } from '../src/config.js';
+import { NetworkManager } from '../src/network-manager.js';
+import { difficultyFactors, levelWith, startGame } from './support/headless.js';
+
+// Socket falso: guarda as mensagens enviadas pelo servidor
+function fakeSocket() {
+    return {
+        readyState: WebSocket.OPEN,
+        messages: [],
+        send(message) { this.messages.push(JSON.parse(message)); },
+        on() {},
+        close() {},
+        terminate() {}
+    };
+}
+
+// Jogador autenticado em uma posição (os olhos ficam na altura PLAYER.HEIGHT); os testes de tiro
+// usam a faixa livre x = 5 do mapa, ao lado do obstáculo central
+function join(server, name, x, z) {
+    const socket = fakeSocket();
+    server.handleConnection(socket, { url: '/' });
+    const player = [...server.players.values()].find(candidate => candidate.socket === socket);
+
+    server.handleMessage(player, JSON.stringify({ type: 'auth', data: { playerName: name } }));
+    player.position = { x, y: PLAYER.HEIGHT, z };
+    player.history = [];
+    return player;
+}
+
+// Disparo na direção -z (de frente para quem está em z menor)
+function shoot(server, player, weapon, latency = 0, direction = { x: 0, y: 0, z: -1 }) {
+    server.handleMessage(player, JSON.stringify({
+        type: 'action',
+        data: { action: 'shoot', weapon, latency, position: player.position, directions: [direction] }
+    }));
+}
+
+function messagesOf(player, type) {
+    return player.socket.messages.filter(message => message.type === type);
+}
+
+test('o servidor valida o tiro instantâneo e avisa todos do dano', (context) => {
+    context.mock.timers.enable({ apis: ['Date'], now: 1000 });
+    const server = new GameServer({ verbose: false });
+    const shooter = join(server, 'Atirador', 5, 10);
+    const target = join(server, 'Alvo', 5, 0);
+
+    // Na altura dos olhos o tiro acerta a cabeça
+    shoot(server, shooter, 'pistol');
+    assert.equal(target.health, PLAYER.HEALTH - 2 * WEAPONS.PISTOL.DAMAGE);
+
+    const [damage] = messagesOf(target, 'playerDamaged');
+    assert.deepEqual(
+        { playerId: damage.playerId, attackerId: damage.attackerId, health: damage.health, zone: damage.zone },
+        { playerId: target.id, attackerId: shooter.id, health: target.health, zone: 'head' }
+    );
+    assert.equal(messagesOf(shooter, 'playerDamaged').length, 1);
+
+    // Tiro mirado abaixo da cabeça acerta o corpo; tiro longe do atirador é descartado
+    context.mock.timers.tick(WEAPONS.PISTOL.FIRE_RATE * 1000);
+    shoot(server, shooter, 'pistol', 0, { x: 0, y: -0.1, z: -1 });
+    assert.equal(messagesOf(target, 'playerDamaged')[1].zone, 'body');
+    shooter.position = { x: 25, y: PLAYER.HEIGHT, z: 10 };
+    server.handleMessage(shooter, JSON.stringify({
+        type: 'action',
+        data: { action: 'shoot', weapon: 'pistol', position: { x: 5, y: PLAYER.HEIGHT, z: 10 }, directions: [{ x: 0, y: 0, z: -1 }] }
+    }));
+    assert.equal(messagesOf(target, 'playerDamaged').length, 2);
+    server.stop();
+});
+
+test('o servidor descarta tiros antes do intervalo da arma, sem munição e durante a recarga', (context) => {
+    context.mock.timers.enable({ apis: ['Date'], now: 1000 });
+    const server = new GameServer({ verbose: false });
+    const shooter = join(server, 'Atirador', 5, 10);
+    const target = join(server, 'Alvo', 5, 0);
+    target.health = 1000;
+    const hits = () => messagesOf(target, 'playerDamaged').length;
+    const interval = WEAPONS.PISTOL.FIRE_RATE * 1000;
+
+    // Dois tiros seguidos: o segundo chega antes do intervalo da pistola
+    shoot(server, shooter, 'pistol');
+    shoot(server, shooter, 'pistol');
+    assert.equal(hits(), 1);
+
+    // Um pouco adiantado (dentro de TIMING_TOLERANCE) ainda vale
+    context.mock.timers.tick(interval - NETWORK.LAG_COMPENSATION.TIMING_TOLERANCE / 2);
+    shoot(server, shooter, 'pistol');
+    assert.equal(hits(), 2);
+
+    // O carregador acaba: sem recarga não há mais tiros
+    for (let i = 2; i < WEAPONS.PISTOL.MAGAZINE_SIZE + 2; i++) {
+        context.mock.timers.tick(interval);
+        shoot(server, shooter, 'pistol');
+    }
+    assert.equal(hits(), WEAPONS.PISTOL.MAGAZINE_SIZE);
+
+    // Durante a recarga a arma não atira; depois dela, sim
+    server.handleMessage(shooter, JSON.stringify({ type: 'action', data: { action: 'reload', weapon: 'pistol' } }));
+    context.mock.timers.tick(WEAPONS.PISTOL.RELOAD_TIME * 1000 / 2);
+    shoot(server, shooter, 'pistol');
+    assert.equal(hits(), WEAPONS.PISTOL.MAGAZINE_SIZE);
+    context.mock.timers.tick(WEAPONS.PISTOL.RELOAD_TIME * 1000 / 2);
+    shoot(server, shooter, 'pistol');
+    assert.equal(hits(), WEAPONS.PISTOL.MAGAZINE_SIZE + 1);
+    server.stop();
+});
+
+// Coleta do tiro rápido informada pelo cliente
+function pickup(server, player, type = 'rapid_fire') {
+    server.handleMessage(player, JSON.stringify({ type: 'action', data: { action: 'pickup', type } }));
+}
+
+test('o tiro rápido só vale coletado no local do item e encurta o intervalo aceito', (context) => {
+    context.mock.timers.enable({ apis: ['Date'], now: 1000 });
+    const server = new GameServer({ verbose: false });
+    const shooter = join(server, 'Atirador', 5, 10);
+    const other = join(server, 'Outro', 5, 20);
+    const target = join(server, 'Alvo', 5, 0);
+    target.health = 100000;
+    const hits = () => messagesOf(target, 'playerDamaged').length;
+    const fastInterval = WEAPONS.RIFLE.FIRE_RATE * 1000 / ITEM.RAPID_FIRE.FIRE_RATE_MULTIPLIER;
+    shooter.weapons.RIFLE.ammo = 1000;
+
+    // Rajada na cadência do tiro rápido: sem o efeito, parte dos tiros é recusada e o atirador é avisado
+    const burst = () => {
+        const before = hits();
+        for (let i = 0; i < 20; i++) {
+            context.mock.timers.tick(fastInterval);
+            shoot(server, shooter, 'rifle');
+        }
+        return hits() - before;
+    };
+    const accepted = burst();
+    assert.ok(accepted < 15);
+    assert.equal(messagesOf(shooter, 'shotRejected').length, 20 - accepted);
+    assert.ok(messagesOf(shooter, 'shotRejected').every(message => message.weapon === 'rifle'));
+
+    // Coleta longe do item é recusada
+    pickup(server, shooter);
+    assert.equal(messagesOf(shooter, 'pickupRejected').length, 1);
+
+    // Junto do item vale, e ele some para os outros até reaparecer
+    const placement = ITEM.PLACEMENTS.find(candidate => candidate.type === 'rapid_fire');
+    shooter.position = { x: placement.position.x, y: PLAYER.HEIGHT, z: placement.position.z };
+    pickup(server, shooter);
+    other.position = { ...shooter.position };
+    pickup(server, other);
+    assert.equal(messagesOf(shooter, 'pickupRejected').length, 1);
+    assert.equal(messagesOf(other, 'pickupRejected').length, 1);
+
+    shooter.position = { x: 5, y: PLAYER.HEIGHT, z: 10 };
+    assert.equal(burst(), 20);
+
+    // Acabou o efeito: volta o intervalo normal
+    context.mock.timers.tick(ITEM.RAPID_FIRE.DURATION * 1000);
+    assert.ok(burst() < 15);
+    server.stop();
+});
+
+test('o cliente devolve a munição de tiros recusados e desfaz coletas recusadas', (context) => {
+    context.mock.timers.enable({ apis: ['Date'], now: 1000 });
+    const server = new GameServer({ verbose: false });
+    const shooter = join(server, 'Atirador', 5, 10);
+    join(server, 'Alvo', 5, 0);
+
+    // Cliente do atirador: as mensagens do servidor chegam direto ao NetworkManager
+    const game = startGame(levelWith('level1_mission2'), { startWaves: false });
+    const network = new NetworkManager(game.gameState, game.player);
+    network.connected = true;
+    network.playerId = shooter.id;
+    shooter.socket.send = message => network._handleMessage({ data: message });
+
+    // O cliente gastou dois tiros; o servidor recusa o segundo (antes do intervalo)
+    const pistol = game.player.weapons.find(weapon => weapon.id === 'pistol');
+    pistol.ammo -= 2;
+    shoot(server, shooter, 'pistol');
+    shoot(server, shooter, 'pistol');
+    assert.equal(pistol.ammo, WEAPONS.PISTOL.MAGAZINE_SIZE - 1);
+
+    game.player.applyEffect('rapid_fire', ITEM.RAPID_FIRE.DURATION);
+    pickup(server, shooter);
+    assert.equal(game.player.hasEffect('rapid_fire'), false);
+
+    network._clearConnectionTimeout();
+    game.dispose();
+    server.stop();
+});
+
+test('o tiro de outro jogador desconta só o dano da vida local, com escudo e dificuldade', (context) => {
+    context.mock.timers.enable({ apis: ['Date'], now: 1000 });
+    const server = new GameServer({ verbose: false });
+    const shooter = join(server, 'Atirador', 5, 10);
+    const target = join(server, 'Alvo', 5, 0);
+
+    // Cliente do alvo, que já levou dano de um inimigo e está com o escudo ativo
+    const game = startGame(levelWith('level1_mission2'), { startWaves: false, difficulty: difficultyFactors({ damageTaken: 1.25 }) });
+    const network = new NetworkManager(game.gameState, game.player);
+    network.connected = true;
+    network.playerId = target.id;
+    target.socket.send = message => network._handleMessage({ data: message });
+
+    game.player.takeDamage(20);
+    const localHealth = game.player.health;
+    assert.equal(localHealth, PLAYER.HEALTH - 25);
+    game.player.applyEffect('shield', ITEM.SHIELD.DURATION);
+
+    shoot(server, shooter, 'pistol');
+    const amount = 2 * WEAPONS.PISTOL.DAMAGE;
+    assert.equal(target.health, PLAYER.HEALTH - amount);
+    const expected = localHealth - amount * game.player.damageTakenMultiplier * (1 - ITEM.SHIELD.DAMAGE_REDUCTION);
+    assert.ok(Math.abs(game.player.health - expected) < 1e-9);
+
+    // Eliminado no servidor, o jogador local para mesmo com vida sobrando
+    server.applyDamage(target, shooter, target.health, 'body');
+    assert.equal(messagesOf(shooter, 'playerKilled').length, 1);
+    assert.equal(game.player.health, 0);
+
+    network._clearConnectionTimeout();
+    game.dispose();
+    server.stop();
+});
+
+test('obstáculos do mapa bloqueiam tiros e foguetes entre jogadores', () => {
+    const server = new GameServer({ verbose: false });
+
+    // Obstáculo central (3x3, 4 de altura) entre os dois
+    const shooter = join(server, 'Atirador', 0, 6);
+    const target = join(server, 'Alvo', 0, -6);
+
+    shoot(server, shooter, 'rifle');
+    assert.equal(target.health, PLAYER.HEALTH);
+
+    // O foguete explode no obstáculo, longe demais para a explosão alcançar o alvo
+    shoot(server, shooter, 'rocket_launcher');
+    for (let i = 0; i < 30; i++) {
+        server.updateProjectiles(1 / 30);
+    }
+    assert.equal(server.projectiles.size, 0);
+    assert.equal(target.health, PLAYER.HEALTH);
+
+    // Fora do obstáculo o mesmo tiro acerta
+    shooter.position = { x: 5, y: PLAYER.HEIGHT, z: 6 };
+    target.position = { x: 5, y: PLAYER.HEIGHT, z: -6 };
+    target.history = [];
+    shoot(server, shooter, 'rifle');
+    assert.ok(target.health < PLAYER.HEALTH);
+    server.stop();
+});
+
+test('o alvo é avaliado onde o atirador o via, recuando pela latência', () => {
+    const server = new GameServer({ verbose: false });
+    const shooter = join(server, 'Atirador', 5, 10);
+    const target = join(server, 'Alvo', 8, 0);
+    const now = Date.now();
+
+    // O alvo estava em x = 5 e chegou a x = 8 há 100 ms
+    target.history = [
+        { time: now - 400, position: { x: 5, y: PLAYER.HEIGHT, z: 0 } },
+        { time: now - 250, position: { x: 5, y: PLAYER.HEIGHT, z: 0 } },
+        { time: now - 100, position: { x: 8, y: PLAYER.HEIGHT, z: 0 } }
+    ];
+
+    // Sem latência só o atraso de interpolação é descontado: o alvo já está em x = 8
+    shoot(server, shooter, 'rifle', 0);
+    assert.equal(target.health, PLAYER.HEALTH);
+
+    // Com a latência o recuo volta até a posição antiga
+    shoot(server, shooter, 'rifle', 250 - NETWORK.INTERPOLATION.DELAY);
+    assert.ok(target.health < PLAYER.HEALTH);
+    server.stop();
+});
+
+test('a eliminação é anunciada e o jogador volta depois de RESPAWN_TIME', (context) => {
+    context.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000 });
+    const server = new GameServer({ verbose: false });
+    const shooter = join(server, 'Atirador', 5, 10);
+    const target = join(server, 'Alvo', 5, 0);
+    target.health = 1;
+
+    shoot(server, shooter, 'pistol');
+    assert.equal(target.health, 0);
+    assert.deepEqual(messagesOf(shooter, 'playerKilled').map(({ playerName, killerName }) => [playerName, killerName]), [['Alvo', 'Atirador']]);
+
+    // Eliminado: não é atingido de novo
+    context.mock.timers.tick(WEAPONS.PISTOL.FIRE_RATE * 1000);
+    shoot(server, shooter, 'pistol');
+    assert.equal(messagesOf(target, 'playerDamaged').length, 1);
+
+    context.mock.timers.tick(NETWORK.RESPAWN_TIME);
+    assert.equal(target.health, PLAYER.HEALTH);
+    assert.deepEqual(target.position, { x: PLAYER.SPAWN_POSITION.x, y: PLAYER.HEIGHT, z: PLAYER.SPAWN_POSITION.z });
+    server.stop();
+});
+
+test('o jogador local eliminado fica parado e volta ao jogo quando o servidor o traz de volta', (context) => {
+    context.mock.timers.enable({ apis: ['setTimeout'] });
+    const server = new GameServer({ verbose: false });
+    const shooter = join(server, 'Atirador', 5, 10);
+    const target = join(server, 'Alvo', 5, 0);
+    target.health = 1;
+
+    // Cliente do alvo: as mensagens do servidor chegam direto ao NetworkManager
+    const game = startGame(levelWith('level1_mission2'), { startWaves: false });
+    const network = new NetworkManager(game.gameState, game.player);
+    network.connected = true;
+    network.playerId = target.id;
+    target.socket.send = message => network._handleMessage({ data: message });
+
+    shoot(server, shooter, 'pistol');
+    assert.equal(game.player.health, 0);
+    assert.equal(game.gameState.state, 'playing');
+
+    // Eliminado: não anda nem gera inputs
+    const deathPosition = game.player.position.clone();
+    game.inputManager.keys.KeyW = true;
+    game.run(1);
+    assert.ok(game.player.position.equals(deathPosition));
+    assert.equal(game.player.lastInput, null);
+
+    context.mock.timers.tick(NETWORK.RESPAWN_TIME);
+    assert.equal(game.player.health, PLAYER.HEALTH);
+    assert.deepEqual(game.player.position.toArray(), [PLAYER.SPAWN_POSITION.x, PLAYER.HEIGHT, PLAYER.SPAWN_POSITION.z]);
+    assert.equal(network.pendingInputs.length, 0);
+
+    game.tick();
+    assert.ok(game.player.position.z < PLAYER.SPAWN_POSITION.z);
+    assert.ok(game.player.lastInput);
+
+    network._clearConnectionTimeout();
+    game.dispose();
+    server.stop();
+});
+
+test('o foguete atinge o alvo direto e os jogadores próximos com a explosão', () => {
+    const server = new GameServer({ verbose: false });
+    const shooter = join(server, 'Atirador', 5, 10);
+    const target = join(server, 'Alvo', 5, 0);
+    const nearby = join(server, 'Vizinho', 7, 0);
+
+    shoot(server, shooter, 'rocket_launcher', 0, { x: 0, y: -0.05, z: -1 });
+    for (let i = 0; i < 30; i++) {
+        server.updateProjectiles(1 / 30);
+    }
+
+    assert.equal(server.projectiles.size, 0);
+    assert.equal(target.health, PLAYER.HEALTH - WEAPONS.ROCKET_LAUNCHER.DAMAGE);
+    assert.ok(nearby.health < PLAYER.HEALTH);
+    assert.equal(shooter.health, PLAYER.HEALTH);
+    server.stop();
+});
+
+// Lote de inputs de 1/60 s na direção dada (andando em -z por padrão)
+function walk(server, player, firstSequence, count, move = { x: 0, z: -1 }, keys = {}) {
+    const inputs = Array.from({ length: count }, (_, index) => ({
+        sequence: firstSequence + index,
+        dt: 1 / 60,
+        move,
+        sprint: false,
+        crouch: false,
+        jump: false,
+        rotation: { x: 0, y: 0 },
+        ...keys
+    }));
+    server.handleMessage(player, JSON.stringify({ type: 'input', data: { inputs } }));
+}
+
+test('o servidor move o jogador pelas teclas, com as colisões do mapa, e confirma a sequência', () => {
+    const server = new GameServer({ verbose: false });
+    const player = join(server, 'Corredor', 5, 0);
+    const step = PLAYER.SPEED / 60;
+    player.lastInputTime = Date.now() - 1000;
+
+    // Direções longas demais valem o mesmo que as das teclas; inputs repetidos são ignorados
+    walk(server, player, 0, 6);
+    walk(server, player, 6, 6, { x: 0, z: -10 });
+    walk(server, player, 6, 6);
+    assert.ok(Math.abs(player.position.z + 12 * step) < 1e-9);
+    assert.equal(player.position.y, PLAYER.HEIGHT);
+    assert.equal(server.createSnapshot().players[player.id].sequence, 11);
+
+    // O obstáculo central (3x4x3 na origem) barra quem anda em direção a ele
+    player.position = { x: 0, y: PLAYER.HEIGHT, z: 4 };
+    walk(server, player, 12, 30);
+    assert.ok(Math.abs(player.position.z - (1.5 + PLAYER.RADIUS)) < 0.01);
+    server.stop();
+});
+
+test('o servidor simula o pulo e a gravidade: só sobe quem pula com os pés no chão', () => {
+    const server = new GameServer({ verbose: false });
+    const player = join(server, 'Saltador', 5, 0);
+    const still = { x: 0, z: 0 };
+    player.lastInputTime = Date.now() - 1000;
+
+    // Pular em todos os inputs não passa da altura de um pulo (JUMP_FORCE² / 2·GRAVITY)
+    walk(server, player, 0, 30, still, { jump: true });
+    const jumpHeight = PLAYER.JUMP_FORCE ** 2 / (2 * PLAYER.GRAVITY);
+    assert.ok(player.position.y > PLAYER.HEIGHT + 1);
+    assert.ok(player.position.y <= PLAYER.HEIGHT + jumpHeight);
+    assert.equal(server.createSnapshot().players[player.id].movement.isGrounded, false);
+
+    // A gravidade traz o jogador de volta ao chão
+    for (let batch = 1; batch <= 3; batch++) {
+        player.lastInputTime = Date.now() - 1000;
+        walk(server, player, batch * 30, 30, still);
+    }
+    assert.equal(player.position.y, PLAYER.HEIGHT);
+    assert.equal(player.isGrounded, true);
+    server.stop();
+});
+
+test('o servidor recusa inputs além do tempo real decorrido', () => {
+    const server = new GameServer({ verbose: false });
+    const player = join(server, 'Apressado', 5, 0);
+
+    // Sem tempo real decorrido o cliente não pode adiantar o relógio
+    player.inputTime = 0;
+    player.lastInputTime = Date.now();
+    walk(server, player, 0, 30);
+    assert.ok(player.lastSequence < 2);
+    server.stop();
+});
+
+test('mensagens que não são objetos são recusadas sem derrubar o servidor', () => {
+    const server = new GameServer({ verbose: false });
+    const player = join(server, 'Curioso', 5, 0);
+
+    ['null', '42', '"texto"', '[]', '{"type":"input","data":null}'].forEach(raw => {
+        player.socket.messages = [];
+        assert.doesNotThrow(() => server.handleMessage(player, raw));
+    });
+
+    ['null', '42', '[]'].forEach(raw => {
+        player.socket.messages = [];
+        server.handleMessage(player, raw);
+        assert.equal(player.socket.messages[0].type, 'error');
+    });
+    server.stop();
+});
+
+test('erros do WebSocketServer depois de iniciar não derrubam o processo', () => {
+    const server = new GameServer({ port: 0, verbose: false });
+    return server.start().then(() => {
+        assert.doesNotThrow(() => server.wss.emit('error', new Error('falha de rede')));
+        return server.stop();
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Utilitários dos testes: dados do jogo, criação do HeadlessGame e mira do jogador
+ */
+import { readFileSync } from 'node:fs';
+import * as THREE from 'three';
+import { HeadlessGame } from '../../src/headless-game.js';
+
+// Os módulos do jogo registram cada passo no console; nos testes só os erros aparecem
+console.log = () => {};
+console.info = () => {};
+console.warn = () => {};
+
+/**
+ * Lê um arquivo JSON a partir da raiz do projeto
+ * @param {string} path - Caminho relativo (ex.: 'assets/levels/level1.json')
+ * @returns {Object}
+ */
+export function loadJSON(path) {
+    return JSON.parse(readFileSync(new URL(`../../${path}`, import.meta.url), 'utf8'));
+}
+
+/**
+ * Fase 1 só com as missões escolhidas (por id), na ordem do arquivo
+ * @param {...string} ids - Ids das missões
+ * @returns {Object} - Dados de fase
+ */
+export function levelWith(...ids) {
+    const level = loadJSON('assets/levels/level1.json');
+    level.missions = level.missions.filter(mission => ids.includes(mission.id));
+    return level;
+}
+
+/**
+ * Fatores de dificuldade (nomes do SettingsManager): os do nível soldado, com os valores alterados
+ * @param {Object} factors - Fatores alterados (ex.: { waveSize: 2 })
+ * @returns {Object} - Fator -> multiplicador
+ */
+export function difficultyFactors(factors = {}) {
+    return {
+        enemyHealth: 1, enemyDamage: 1, enemyAccuracy: 1, attackCooldown: 1,
+        detectionRadius: 1, waveSize: 1, spawnRate: 1, damageTaken: 1,
+        ...factors
+    };
+}
+
+/**
+ * Cria um jogo headless já em andamento
+ * @param {Object} level - Dados da fase
+ * @param {Object} options - Opções do HeadlessGame.startCampaign e seed
+ * @returns {HeadlessGame}
+ */
+export function startGame(level, { seed = 1, ...options } = {}) {
+    const game = new HeadlessGame({ seed });
+    game.startCampaign(level, options);
+    return game;
+}
+
+/**
+ * Vira o jogador (câmera) para um ponto
+ * @param {HeadlessGame} game - Jogo
+ * @param {THREE.Vector3} point - Ponto mirado
+ */
+export function aimAt(game, point) {
+    const player = game.player;
+    const direction = new THREE.Vector3().subVectors(point, player.position);
+    const horizontal = Math.hypot(direction.x, direction.z);
+
+    player.rotation.set(Math.atan2(direction.y, horizontal), Math.atan2(-direction.x, -direction.z), 0);
+}
+
+/**
+ * Mantém o gatilho pressionado por um passo e solta em seguida
+ * @param {HeadlessGame} game - Jogo
+ * @returns {Object|null} - Acertos do passo (HeadlessGame.tick)
+ */
+export function fireOnce(game) {
+    game.inputManager.keys.Mouse0 = true;
+    const result = game.tick();
+    game.inputManager.keys.Mouse0 = false;
+    return result;
+}
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { GAME, WAVE } from '../src/config.js';
+import { loadJSON, levelWith, startGame, difficultyFactors } from './support/headless.js';
+
+const WAVES = loadJSON('assets/waves/waves.json');
+
+// Fase só com a missão de alcançar o terminal: nenhum inimigo além das ondas
+function startWaves(options = {}) {
+    return startGame(levelWith('level1_mission2'), { waves: WAVES, ...options });
+}
+
+test('os inimigos da onda roteirizada aparecem nos tempos do arquivo', () => {
+    const game = startWaves();
+
+    // Onda 1: 3 básicos, um a cada 2 segundos
+    assert.equal(game.gameState.currentWave, 1);
+    game.tick();
+    assert.equal(game.enemyManager.enemies.length, 1);
+    game.run(1.9);
+    assert.equal(game.enemyManager.enemies.length, 1);
+    game.run(0.2);
+    assert.equal(game.enemyManager.enemies.length, 2);
+    game.run(2);
+    assert.equal(game.enemyManager.enemies.length, 3);
+    assert.ok(game.enemyManager.enemies.every(enemy => enemy.type === 'basic' && enemy.waveNumber === 1));
+    game.dispose();
+});
+
+test('a próxima onda começa depois que a atual é eliminada', () => {
+    const game = startWaves();
+    game.run(4.1);
+
+    game.enemyManager.enemies.forEach(enemy => enemy.takeDamage(enemy.health));
+    game.tick();
+    assert.equal(game.enemyManager.wave, null);
+
+    // Os corpos somem depois do deathTimer e os pontos são contados
+    game.run(2.1);
+    assert.equal(game.enemyManager.enemies.length, 0);
+    assert.equal(game.gameState.kills, 3);
+    assert.equal(game.gameState.score, 300);
+
+    // Intervalo padrão entre ondas: 5 segundos desde a eliminação
+    game.run(2.7);
+    assert.equal(game.gameState.currentWave, 1);
+    game.run(0.3);
+    assert.equal(game.gameState.currentWave, 2);
+    game.dispose();
+});
+
+test('a dificuldade muda o tamanho e o ritmo das ondas', () => {
+    const game = startWaves({ difficulty: difficultyFactors({ waveSize: 2, spawnRate: 2 }) });
+
+    // 6 básicos, um a cada segundo
+    assert.equal(game.enemyManager.wave.queue.length, 6);
+    game.run(5.1);
+    assert.equal(game.enemyManager.enemies.length, 6);
+    game.dispose();
+});
+
+test('a mesma semente cria os inimigos nas mesmas posições', () => {
+    const positions = seed => {
+        const game = startWaves({ seed });
+        game.run(4.1);
+        const result = game.enemyManager.enemies.map(enemy => enemy.position.toArray());
+        game.dispose();
+        return result;
+    };
+
+    assert.deepEqual(positions(42), positions(42));
+    assert.notDeepEqual(positions(42), positions(7));
+});
+
+test('inimigos patrulhando no canto do mapa não saem da grade de navegação', () => {
+    const game = startGame(levelWith('level1_mission2'), { seed: 42, startWaves: false });
+    const grid = game.sceneManager.navigationGrid;
+
+    // Longe do jogador: ficam patrulhando perto das paredes durante um minuto
+    const enemies = Array.from({ length: 10 }, (_, index) => game.enemyManager.spawnEnemy(
+        'basic', new THREE.Vector3(-45 + (index % 5) * 2, 0.5, 40 + Math.floor(index / 5) * 2)
+    ));
+
+    for (let second = 0; second < 60; second++) {
+        game.run(1);
+        enemies.forEach(enemy => assert.ok(grid.contains(enemy.position), `inimigo em ${enemy.position.toArray()}`));
+    }
+    assert.ok(enemies.every(enemy => enemy.state === 'idle'));
+    game.dispose();
+});
+
+test('o limite de inimigos ativos comporta centenas de inimigos dentro do orçamento de um passo', () => {
+    const game = startGame(levelWith('level1_mission2'), { seed: 3, startWaves: false });
+    const grid = game.sceneManager.navigationGrid;
+
+    // Espalhados em espiral em volta do jogador, nas células livres mais próximas
+    for (let i = 0; i < WAVE.MAX_ACTIVE_ENEMIES; i++) {
+        const angle = i * 0.22;
+        const radius = 15 + (i % 30);
+        const { column, row } = grid.toCell(Math.cos(angle) * radius, Math.sin(angle) * radius);
+        const position = grid.cellCenter(grid.findNearestWalkable(column, row), 0.5);
+        assert.ok(game.enemyManager.spawnEnemy(['basic', 'medium', 'heavy'][i % 3], position));
+    }
+    assert.ok(WAVE.MAX_ACTIVE_ENEMIES >= 100);
+    assert.equal(game.enemyManager.spawnEnemy('basic', new THREE.Vector3(0, 0.5, -30)), null);
+
+    // Depois de um segundo de aquecimento, o passo médio cabe no intervalo entre passos
+    game.player.health = Infinity;
+    game.run(1);
+    const start = performance.now();
+    game.run(2);
+    const tickCost = (performance.now() - start) / (2 * GAME.TICK_RATE);
+    assert.ok(tickCost < 1000 / GAME.TICK_RATE, `${tickCost.toFixed(2)} ms por passo`);
+
+    assert.equal(game.enemyManager.enemies.length, WAVE.MAX_ACTIVE_ENEMIES);
+    assert.ok(game.enemyManager.enemies.every(enemy => grid.contains(enemy.position)));
+    assert.ok(game.enemyManager.enemies.some(enemy => enemy.state !== 'idle'));
+    game.dispose();
+});